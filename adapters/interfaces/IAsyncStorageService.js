@@ -0,0 +1,81 @@
+/**
+ * Async Storage Service Interface
+ * Platform-agnostic interface for persistent storage backends that can only
+ * be accessed asynchronously (e.g. IndexedDB) and hold more data than
+ * cookies or localStorage allow
+ *
+ * Implementations:
+ * - Web: IndexedDBStorageService (uses IndexedDB)
+ * - iOS: IOSFileStorageService (uses FileManager / Core Data)
+ * - Android: AndroidRoomStorageService (uses Room)
+ */
+class IAsyncStorageService {
+    /**
+     * Get value from storage
+     * @param {string} key - Storage key
+     * @param {any} defaultValue - Default value if key doesn't exist
+     * @returns {Promise<any>} Stored value or default
+     */
+    async get(key, defaultValue = null) {
+        throw new Error('IAsyncStorageService.get() must be implemented');
+    }
+
+    /**
+     * Get value from storage, failing loudly: unlike get(), a storage error
+     * rejects instead of looking like a missing key
+     * @param {string} key - Storage key
+     * @returns {Promise<any>} Stored value, or undefined if the key doesn't exist
+     */
+    async read(key) {
+        throw new Error('IAsyncStorageService.read() must be implemented');
+    }
+
+    /**
+     * Set value in storage
+     * @param {string} key - Storage key
+     * @param {any} value - Value to store (must be structured-cloneable)
+     * @returns {Promise<void>}
+     */
+    async set(key, value) {
+        throw new Error('IAsyncStorageService.set() must be implemented');
+    }
+
+    /**
+     * Remove value from storage
+     * @param {string} key - Storage key
+     * @returns {Promise<void>}
+     */
+    async remove(key) {
+        throw new Error('IAsyncStorageService.remove() must be implemented');
+    }
+
+    /**
+     * Clear all storage
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        throw new Error('IAsyncStorageService.clear() must be implemented');
+    }
+
+    /**
+     * Check if key exists
+     * @param {string} key - Storage key
+     * @returns {Promise<boolean>}
+     */
+    async has(key) {
+        throw new Error('IAsyncStorageService.has() must be implemented');
+    }
+
+    /**
+     * Get all keys
+     * @returns {Promise<Array<string>>}
+     */
+    async keys() {
+        throw new Error('IAsyncStorageService.keys() must be implemented');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IAsyncStorageService;
+}
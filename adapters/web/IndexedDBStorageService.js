@@ -0,0 +1,148 @@
+/**
+ * IndexedDB Storage Service Implementation
+ * Implements IAsyncStorageService using a single IndexedDB object store
+ *
+ * Values are stored with the structured clone algorithm, so objects and
+ * arrays are persisted as-is without JSON serialization or size caps.
+ */
+class IndexedDBStorageService {
+    constructor(dbName = 'earlift', storeName = 'keyval') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbVersion = 1;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Check if IndexedDB is available in this browser
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+
+    /**
+     * Open (or create) the database, reusing the connection across calls
+     * @returns {Promise<IDBDatabase>}
+     */
+    _openDatabase() {
+        if (this.dbPromise) {
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (!IndexedDBStorageService.isSupported()) {
+                reject(new Error('IndexedDB is not supported in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName);
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => console.warn('IndexedDBStorageService: Database open blocked by another tab');
+        });
+
+        // Allow a retry on the next call if opening failed
+        this.dbPromise.catch(() => {
+            this.dbPromise = null;
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request against the object store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the IDBObjectStore, returns an IDBRequest
+     * @returns {Promise<any>} Result of the request
+     */
+    async _withStore(mode, operation) {
+        const db = await this._openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async get(key, defaultValue = null) {
+        try {
+            const value = await this._withStore('readonly', store => store.get(key));
+            return value === undefined ? defaultValue : value;
+        } catch (error) {
+            console.error(`IndexedDBStorageService: Error getting key '${key}':`, error);
+            return defaultValue;
+        }
+    }
+
+    // Rejects on error, so callers can tell a failed read from a missing key
+    async read(key) {
+        try {
+            return await this._withStore('readonly', store => store.get(key));
+        } catch (error) {
+            console.error(`IndexedDBStorageService: Error reading key '${key}':`, error);
+            throw error;
+        }
+    }
+
+    async set(key, value) {
+        try {
+            await this._withStore('readwrite', store => store.put(value, key));
+        } catch (error) {
+            console.error(`IndexedDBStorageService: Error setting key '${key}':`, error);
+            throw error;
+        }
+    }
+
+    async remove(key) {
+        try {
+            await this._withStore('readwrite', store => store.delete(key));
+        } catch (error) {
+            console.error(`IndexedDBStorageService: Error removing key '${key}':`, error);
+        }
+    }
+
+    async clear() {
+        try {
+            await this._withStore('readwrite', store => store.clear());
+        } catch (error) {
+            console.error('IndexedDBStorageService: Error clearing storage:', error);
+        }
+    }
+
+    async has(key) {
+        try {
+            const count = await this._withStore('readonly', store => store.count(key));
+            return count > 0;
+        } catch (error) {
+            console.error(`IndexedDBStorageService: Error checking key '${key}':`, error);
+            return false;
+        }
+    }
+
+    async keys() {
+        try {
+            return await this._withStore('readonly', store => store.getAllKeys());
+        } catch (error) {
+            console.error('IndexedDBStorageService: Error listing keys:', error);
+            return [];
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IndexedDBStorageService;
+}
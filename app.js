@@ -12,6 +12,15 @@ console.log('[Profile] Loading startup profile:', startupProfile);
 // Initialize global settings with the startup profile
 appSettings = new Settings(startupProfile);
 window.appSettings = appSettings;
+setActivePitchDetector(appSettings.getPitchDetector());
+NoteUtils.setReferencePitch(appSettings.getReferencePitch());
+TuningSystems.setActiveSystem(appSettings.getTuningSystem());
+TimbreLibrary.setActiveTimbre(appSettings.getTimbre());
+window.audioEngine.setMasterVolume(appSettings.getMasterVolume());
+window.audioEngine.setOutputDevice(appSettings.getSelectedSpeaker());
+window.bleedCanceller.setEnabled(appSettings.getSpeakerBleedCancellation());
+appSettings.applyVoicingThreshold();
+window.autoGainControl.setEnabled(appSettings.getAutoGainControl());
 
 // Initialize FTUE System
 const ftueManager = new FTUEManager(startupProfile);
@@ -26,9 +35,13 @@ class EarTrainerApp {
         this.setupContainer = document.getElementById('setupContainer');
         this.appContainer = document.getElementById('appContainer');
         this.resetSetupBtn = document.getElementById('resetSetupBtn');
+
+        // Cards for registered exercises that aren't in index.html yet
+        window.exerciseRegistry.renderMenuCards();
         this.exerciseCards = document.querySelectorAll('.exercise-card');
         this.toneGenerator = new ToneGenerator();
         this.isFirstLoad = true;
+        this.currentExerciseId = null; // Exercise on screen, for its timbre (see applyTimbre)
 
         // Testing mode detection (auto-enabled on test.earlift.app)
         this.isTestingMode = window.location.hostname === 'test.earlift.app';
@@ -204,6 +217,15 @@ class EarTrainerApp {
         const url = new URL(window.location);
         url.searchParams.delete('exercise');
         window.history.replaceState({}, '', url);
+
+        // Every exercise calls this on exit, so go back to the profile's timbre
+        this.currentExerciseId = null;
+        this.applyTimbre();
+    }
+
+    // Play tones in the current exercise's timbre, or the profile's outside exercises
+    applyTimbre() {
+        TimbreLibrary.setActiveTimbre(appSettings.getTimbre(this.currentExerciseId));
     }
 
     showSetup() {
@@ -327,10 +349,13 @@ class EarTrainerApp {
             const exerciseType = card.dataset.exercise;
             const isCompatible = appSettings.isExerciseCompatible(exerciseType);
 
+            // Usage mode can change at any time (e.g. headphone detection), so undo every change
+            card.setAttribute('aria-disabled', isCompatible ? 'false' : 'true');
             if (isCompatible) {
                 card.classList.remove('exercise-disabled');
                 card.style.opacity = '1';
                 card.style.pointerEvents = 'auto';
+                card.style.filter = '';
             } else {
                 card.classList.add('exercise-disabled');
                 card.style.opacity = '0.4';
@@ -524,9 +549,7 @@ class EarTrainerApp {
     }
 
     startExercise(type) {
-        if (type === 'intervalVisualization') {
-            type = 'interferenceVisualization';
-        }
+        type = window.exerciseRegistry.resolveId(type);
 
         console.log('app.js startExercise called with type:', type);
 
@@ -534,732 +557,16 @@ class EarTrainerApp {
         const url = new URL(window.location);
         url.searchParams.set('exercise', type);
         window.history.replaceState({}, '', url);
-        if (type === 'glissando') {
-            // Glissando exercise
-            if (window.glissandoExercise) {
-                window.glissandoExercise.start();
-                // Add fade-in to exercise container
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('glissandoExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'block') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            }
-        } else if (type === 'pitch') {
-            // Pitch Match exercise (formerly intonation)
-            console.log('Starting pitch exercise, window.intonationExercise exists:', !!window.intonationExercise);
-            if (window.intonationExercise) {
-                console.log('Calling window.intonationExercise.start()');
-                window.intonationExercise.start();
-                // Add fade-in to exercise container
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('intonationExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'block') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            } else {
-                console.error('window.intonationExercise is not defined!');
-            }
-        } else if (type === 'pitchhold') {
-            // Pitch Hold exercise
-            console.log('Starting pitchhold exercise, window.pitchHoldExercise exists:', !!window.pitchHoldExercise);
-            if (window.pitchHoldExercise) {
-                console.log('Calling window.pitchHoldExercise.start()');
-                window.pitchHoldExercise.start();
-                // Add fade-in to exercise container
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('pitchHoldExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'block') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            } else {
-                console.error('window.pitchHoldExercise is not defined!');
-            }
-        } else if (type === 'octave') {
-            // Octave Match Up exercise
-            if (window.octaveExercise) {
-                window.octaveExercise.start();
-                // Add fade-in to exercise container
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('octaveExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'block') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            }
-        } else if (type === 'scale') {
-            // Scale Match Up exercise
-            if (window.scaleExerciseInstance) {
-                window.scaleExerciseInstance.start();
-                // Add fade-in to exercise container
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('scaleExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'block') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            }
-        } else if (type === 'toneSlide') {
-            // Tone Slide exercise
-            if (window.toneSlideExercise) {
-                window.toneSlideExercise.start();
-                // Add fade-in to exercise container
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('toneSlideExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'flex') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            }
-        } else if (type === 'diagnostics') {
-            // Mic Diagnostics exercise
-            if (window.audioDiagnostics) {
-                window.audioDiagnostics.start();
-                // Add fade-in to exercise container
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('audioDiagnostics');
-                    if (exerciseEl && exerciseEl.style.display === 'block') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            }
-        } else if (type === 'halfStepFeelRoot') {
-            // Half-Step Feel the Root exercise
-            if (window.halfStepFeelRootExercise) {
-                window.halfStepFeelRootExercise.start();
-                // Add fade-in to exercise container
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('halfStepFeelRootExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'block') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            }
-        } else if (type === 'wholeStepFeelRoot') {
-            // Whole-Step Feel the Root exercise
-            if (window.wholeStepFeelRootExercise) {
-                window.wholeStepFeelRootExercise.start();
-                // Add fade-in to exercise container
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('wholeStepFeelRootExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'block') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            }
-        } else if (type === 'halfStepSlide') {
-            // Half-Step Slide exercise
-            if (window.halfStepSlideExercise) {
-                window.halfStepSlideExercise.start();
-                // Add fade-in to exercise container
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('halfStepSlideExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'flex') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            }
-        } else if (type === 'wholeStepSlide') {
-            // Whole-Step Slide exercise
-            if (window.wholeStepSlideExercise) {
-                window.wholeStepSlideExercise.start();
-                // Add fade-in to exercise container
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('wholeStepSlideExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'flex') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            }
-        } else if (type === 'unisonDarts') {
-            // Unison Darts exercise
-            if (window.unisonDartsExercise) {
-                window.unisonDartsExercise.start();
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('unisonDartsExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'block') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            }
-        } else if (type === 'halfStepDarts') {
-            // Half-Step Darts exercise
-            if (window.halfStepDartsExercise) {
-                window.halfStepDartsExercise.start();
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('halfStepDartsExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'block') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            }
-        } else if (type === 'wholeStepDarts') {
-            // Whole-Step Darts exercise
-            if (window.wholeStepDartsExercise) {
-                window.wholeStepDartsExercise.start();
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('wholeStepDartsExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'block') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            }
-        } else if (type === 'octaveFeelRoot') {
-            // Octave Feel the Root exercise
-            if (window.octaveFeelRootExercise) {
-                window.octaveFeelRootExercise.start();
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('octaveFeelRootExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'block') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            }
-        } else if (type === 'octaveSlide') {
-            // Octave Slide exercise
-            if (window.octaveSlideExercise) {
-                window.octaveSlideExercise.start();
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('octaveSlideExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'flex') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            }
-        } else if (type === 'octaveDarts') {
-            // Octave Darts exercise
-            if (window.octaveDartsExercise) {
-                window.octaveDartsExercise.start();
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('octaveDartsExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'block') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            }
-        } else if (type === 'majorThirdFeelRoot') {
-            // Major Third Feel the Root exercise
-            if (window.majorThirdFeelRootExercise) {
-                window.majorThirdFeelRootExercise.start();
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('majorThirdFeelRootExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'block') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            }
-        } else if (type === 'majorThirdSlide') {
-            // Major Third Slide exercise
-            if (window.majorThirdSlideExercise) {
-                window.majorThirdSlideExercise.start();
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('majorThirdSlideExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'flex') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            }
-        } else if (type === 'majorThirdDarts') {
-            // Major Third Darts exercise
-            if (window.majorThirdDartsExercise) {
-                window.majorThirdDartsExercise.start();
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('majorThirdDartsExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'block') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            }
-        } else if (type === 'perfectFourthFeelRoot') {
-            // Perfect Fourth Feel the Root exercise
-            if (window.perfectFourthFeelRootExercise) {
-                window.perfectFourthFeelRootExercise.start();
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('perfectFourthFeelRootExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'block') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            }
-        } else if (type === 'perfectFourthSlide') {
-            // Perfect Fourth Slide exercise
-            if (window.perfectFourthSlideExercise) {
-                window.perfectFourthSlideExercise.start();
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('perfectFourthSlideExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'flex') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            }
-        } else if (type === 'perfectFourthDarts') {
-            // Perfect Fourth Darts exercise
-            if (window.perfectFourthDartsExercise) {
-                window.perfectFourthDartsExercise.start();
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('perfectFourthDartsExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'block') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            }
-        } else if (type === 'perfectFifthFeelRoot') {
-            // Perfect Fifth Feel the Root exercise
-            if (window.perfectFifthFeelRootExercise) {
-                window.perfectFifthFeelRootExercise.start();
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('perfectFifthFeelRootExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'block') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            }
-        } else if (type === 'perfectFifthSlide') {
-            // Perfect Fifth Slide exercise
-            if (window.perfectFifthSlideExercise) {
-                window.perfectFifthSlideExercise.start();
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('perfectFifthSlideExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'flex') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            }
-        } else if (type === 'perfectFifthDarts') {
-            // Perfect Fifth Darts exercise
-            if (window.perfectFifthDartsExercise) {
-                window.perfectFifthDartsExercise.start();
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('perfectFifthDartsExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'block') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            }
-        } else if (type === 'majorSixthFeelRoot') {
-            // Major Sixth Feel the Root exercise
-            if (window.majorSixthFeelRootExercise) {
-                window.majorSixthFeelRootExercise.start();
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('majorSixthFeelRootExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'block') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            }
-        } else if (type === 'majorSixthSlide') {
-            // Major Sixth Slide exercise
-            if (window.majorSixthSlideExercise) {
-                window.majorSixthSlideExercise.start();
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('majorSixthSlideExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'flex') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            }
-        } else if (type === 'majorSixthDarts') {
-            // Major Sixth Darts exercise
-            if (window.majorSixthDartsExercise) {
-                window.majorSixthDartsExercise.start();
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('majorSixthDartsExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'block') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            }
-        } else if (type === 'majorSeventhFeelRoot') {
-            // Major Seventh Feel the Root exercise
-            if (window.majorSeventhFeelRootExercise) {
-                window.majorSeventhFeelRootExercise.start();
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('majorSeventhFeelRootExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'block') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            }
-        } else if (type === 'majorSeventhSlide') {
-            // Major Seventh Slide exercise
-            if (window.majorSeventhSlideExercise) {
-                window.majorSeventhSlideExercise.start();
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('majorSeventhSlideExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'flex') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            }
-        } else if (type === 'majorSeventhDarts') {
-            // Major Seventh Darts exercise
-            if (window.majorSeventhDartsExercise) {
-                window.majorSeventhDartsExercise.start();
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('majorSeventhDartsExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'block') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            }
-        } else if (type === 'scaleHopping') {
-            // Scale Hopping exercise - coming soon
-            alert('Scale Hopping exercise coming soon!');
-        } else if (type === 'hopToOctave') {
-            // Hop to the Octave exercise - coming soon
-            alert('Hop to the Octave exercise coming soon!');
-        } else if (type === 'scaleDarts') {
-            // Scale Darts exercise
-            if (window.scaleDartsExercise && window.scaleDartsExercise.start) {
-                window.scaleDartsExercise.start();
-            } else {
-                console.error('Scale Darts exercise not initialized');
-            }
-        } else if (type === 'earTrainingOverview') {
-            // Ear Training Overview tutorial
-            if (window.earTrainingOverview && window.earTrainingOverview.start) {
-                window.earTrainingOverview.start();
-            } else {
-                console.error('Ear Training Overview not initialized');
-            }
-        } else if (type === 'pitchVisualization') {
-            // Pitch Visualization exercise
-            if (window.pitchVisualization && window.pitchVisualization.start) {
-                window.pitchVisualization.start();
-            } else {
-                console.error('Pitch Visualization not initialized');
-            }
-        } else if (type === 'tuningForkViz') {
-            // Tuning Fork Visualization exercise
-            if (window.tuningForkViz && window.tuningForkViz.start) {
-                window.tuningForkViz.start();
-            } else {
-                console.error('Tuning Fork Viz not initialized');
-            }
-        } else if (type === 'cymaticViz') {
-            // Cymatic Visualizations exercise
-            if (!window.cymaticViz) {
-                window.cymaticViz = new CymaticViz();
-            }
-            // Show the exercise container
-            document.getElementById('cymaticVizExercise').style.display = 'block';
-            document.getElementById('appContainer').style.display = 'none';
-            // Start the visualization
-            setTimeout(() => {
-                window.cymaticViz.start();
-                const exerciseEl = document.getElementById('cymaticVizExercise');
-                if (exerciseEl && exerciseEl.style.display === 'block') {
-                    this.addFadeIn(exerciseEl);
-                }
-            }, 10);
-        } else if (type === 'cymaticHarmonicViz') {
-            // Cymatic Harmonic Visualization exercise
-            // Initialize both renderers if needed
-            if (!window.cymaticHarmonicViz) {
-                window.cymaticHarmonicViz = new CymaticHarmonicViz();
-            }
-            if (!window.cymaticHarmonicVizWebGL) {
-                try {
-                    window.cymaticHarmonicVizWebGL = new CymaticHarmonicVizWebGL();
-                } catch (e) {
-                    console.warn('WebGL initialization failed:', e);
-                }
-            }
-
-            // Set up renderer switching
-            const rendererSelect = document.getElementById('settingRenderer');
-            const rendererInfo = document.getElementById('rendererInfo');
-            const canvas2D = document.getElementById('cymaticHarmonicCanvas');
-            const canvasWebGL = document.getElementById('cymaticHarmonicCanvasWebGL');
-
-            // Load saved preference or default to WebGL if available
-            const savedRenderer = localStorage.getItem('cymaticRenderer') || (window.cymaticHarmonicVizWebGL ? 'webgl' : 'canvas2d');
-            rendererSelect.value = savedRenderer;
-
-            // Active renderer reference
-            window.activeCymaticRenderer = savedRenderer === 'webgl' ? window.cymaticHarmonicVizWebGL : window.cymaticHarmonicViz;
-
-            // Set initial canvas visibility
-            if (savedRenderer === 'webgl' && window.cymaticHarmonicVizWebGL) {
-                canvas2D.style.display = 'none';
-                canvasWebGL.style.display = 'block';
-                rendererInfo.textContent = '✓ GPU-accelerated rendering active';
-                rendererInfo.style.color = '#4a4';
-            } else {
-                canvas2D.style.display = 'block';
-                canvasWebGL.style.display = 'none';
-                rendererInfo.textContent = 'CPU rendering (compatible mode)';
-                rendererInfo.style.color = '#888';
-            }
-
-            // Handle renderer switching
-            rendererSelect.addEventListener('change', (e) => {
-                const newRenderer = e.target.value;
-
-                // Get canvas elements
-                const canvas2D = document.getElementById('cymaticHarmonicCanvas');
-                const canvasWebGL = document.getElementById('cymaticHarmonicCanvasWebGL');
-
-                // Switch renderer and canvas visibility
-                if (newRenderer === 'webgl' && window.cymaticHarmonicVizWebGL) {
-                    window.activeCymaticRenderer = window.cymaticHarmonicVizWebGL;
-                    canvas2D.style.display = 'none';
-                    canvasWebGL.style.display = 'block';
-                    rendererInfo.textContent = '✓ GPU-accelerated rendering active';
-                    rendererInfo.style.color = '#4a4';
-                    localStorage.setItem('cymaticRenderer', 'webgl');
-
-                    // Start WebGL, pause Canvas 2D rendering (but keep audio analysis)
-                    window.cymaticHarmonicViz.pauseRendering();
-                    window.cymaticHarmonicVizWebGL.start();
-                } else {
-                    window.activeCymaticRenderer = window.cymaticHarmonicViz;
-                    canvas2D.style.display = 'block';
-                    canvasWebGL.style.display = 'none';
-                    rendererInfo.textContent = newRenderer === 'webgl' ? '✗ WebGL not available' : 'CPU rendering (compatible mode)';
-                    rendererInfo.style.color = newRenderer === 'webgl' ? '#a44' : '#888';
-                    localStorage.setItem('cymaticRenderer', 'canvas2d');
-                    if (newRenderer === 'webgl') {
-                        rendererSelect.value = 'canvas2d';
-                    }
-
-                    // Stop WebGL and resume Canvas 2D rendering
-                    window.cymaticHarmonicViz.resumeRendering();
-                    if (window.cymaticHarmonicVizWebGL && typeof window.cymaticHarmonicVizWebGL.stop === 'function') {
-                        window.cymaticHarmonicVizWebGL.stop();
-                    }
-                }
-            });
-
-            // Show the exercise container
-            document.getElementById('cymaticHarmonicVizExercise').style.display = 'block';
-            document.getElementById('appContainer').style.display = 'none';
-
-            // Start both renderers - Canvas 2D handles audio, active renderer handles visuals
-            setTimeout(() => {
-                // Always start Canvas 2D for audio control
-                window.cymaticHarmonicViz.start();
-
-                // Start WebGL if it's the active renderer
-                if (savedRenderer === 'webgl' && window.cymaticHarmonicVizWebGL) {
-                    window.cymaticHarmonicViz.pauseRendering(); // Pause Canvas 2D rendering
-                    window.cymaticHarmonicVizWebGL.start();
-                    // Resize WebGL canvas and overlay
-                    window.cymaticHarmonicVizWebGL.resize();
-                }
-
-                const exerciseEl = document.getElementById('cymaticHarmonicVizExercise');
-                if (exerciseEl && exerciseEl.style.display === 'block') {
-                    this.addFadeIn(exerciseEl);
-                }
-            }, 10);
-        } else if (type === 'intervalOverview') {
-            // Interval Overview - Interference + Wave with Tutorial
-            if (typeof showIntervalOverview === 'function') {
-                showIntervalOverview();
-
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('intervalOverviewExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'block') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            } else {
-                console.error('Interval Overview not available');
-            }
-        } else if (type === 'unisonOverview') {
-            // Unison Overview - Interference + Wave with Tutorial
-            if (typeof showUnisonOverview === 'function') {
-                showUnisonOverview();
-
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('unisonOverviewExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'block') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            } else {
-                console.error('Unison Overview not available');
-            }
-        } else if (type === 'glissandoOverview') {
-            // Glissando Overview Tutorial
-            if (window.glissandoOverview && window.glissandoOverview.start) {
-                window.glissandoOverview.start();
-
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('glissandoOverviewExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'block') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            } else {
-                console.error('Glissando Overview not available');
-            }
-        } else if (type === 'octaveOverview') {
-            // Octave Overview
-            if (typeof showOctaveOverview === 'function') {
-                showOctaveOverview();
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('generalIntervalOverviewExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'block') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            } else {
-                console.error('Octave Overview not available');
-            }
-        } else if (type === 'majorSecondOverview') {
-            // Major Second Overview
-            if (typeof showMajorSecondOverview === 'function') {
-                showMajorSecondOverview();
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('generalIntervalOverviewExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'block') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            } else {
-                console.error('Major Second Overview not available');
-            }
-        } else if (type === 'minorSecondOverview') {
-            // Minor Second Overview
-            if (typeof showMinorSecondOverview === 'function') {
-                showMinorSecondOverview();
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('generalIntervalOverviewExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'block') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            } else {
-                console.error('Minor Second Overview not available');
-            }
-        } else if (type === 'majorThirdOverview') {
-            // Major Third Overview
-            if (typeof showMajorThirdOverview === 'function') {
-                showMajorThirdOverview();
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('generalIntervalOverviewExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'block') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            } else {
-                console.error('Major Third Overview not available');
-            }
-        } else if (type === 'fourthOverview') {
-            // Perfect Fourth Overview
-            if (typeof showFourthOverview === 'function') {
-                showFourthOverview();
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('generalIntervalOverviewExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'block') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            } else {
-                console.error('Perfect Fourth Overview not available');
-            }
-        } else if (type === 'fifthOverview') {
-            // Perfect Fifth Overview
-            if (typeof showFifthOverview === 'function') {
-                showFifthOverview();
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('generalIntervalOverviewExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'block') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            } else {
-                console.error('Perfect Fifth Overview not available');
-            }
-        } else if (type === 'majorSixthOverview') {
-            // Major Sixth Overview
-            if (typeof showMajorSixthOverview === 'function') {
-                showMajorSixthOverview();
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('generalIntervalOverviewExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'block') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            } else {
-                console.error('Major Sixth Overview not available');
-            }
-        } else if (type === 'majorSeventhOverview') {
-            // Major Seventh Overview
-            if (typeof showMajorSeventhOverview === 'function') {
-                showMajorSeventhOverview();
-                setTimeout(() => {
-                    const exerciseEl = document.getElementById('generalIntervalOverviewExercise');
-                    if (exerciseEl && exerciseEl.style.display === 'block') {
-                        this.addFadeIn(exerciseEl);
-                    }
-                }, 10);
-            } else {
-                console.error('Major Seventh Overview not available');
-            }
-        } else if (type === 'interferenceVisualization') {
-            // Interference Visualization exercise - WebGL only
-            if (!window.interferenceViz) {
-                try {
-                    window.interferenceViz = new InterferenceVisualization();
-                } catch (e) {
-                    console.error('Failed to initialize Interference Visualization:', e);
-                    alert('WebGL is required for Interference Visualization');
-                    return;
-                }
-            }
-
-            // Show the exercise container
-            document.getElementById('interferenceVizExercise').style.display = 'block';
-            document.getElementById('appContainer').style.display = 'none';
-
-            // Start visualization
-            setTimeout(() => {
-                window.interferenceViz.start();
-                window.interferenceViz.resize();
-
-                const exerciseEl = document.getElementById('interferenceVizExercise');
-                if (exerciseEl && exerciseEl.style.display === 'block') {
-                    this.addFadeIn(exerciseEl);
-                }
-            }, 10);
-        } else if (type === 'waveVisualization') {
-            if (!window.waveVizExercise) {
-                window.waveVizExercise = new WaveVisualizationExercise();
-            }
 
-            document.getElementById('waveVisualizationExercise').style.display = 'block';
-            document.getElementById('appContainer').style.display = 'none';
+        this.currentExerciseId = type;
+        this.applyTimbre();
 
-            setTimeout(() => {
-                window.waveVizExercise.start();
-                const exerciseEl = document.getElementById('waveVisualizationExercise');
-                if (exerciseEl && exerciseEl.style.display === 'block') {
-                    this.addFadeIn(exerciseEl);
-                }
-            }, 10);
-        } else if (type === 'beatFrequencyFeeling') {
-            // Beat Frequency Feeling exercise
-            if (!window.beatFrequencyFeelingInstance) {
-                window.beatFrequencyFeelingInstance = new BeatFrequencyFeeling();
-            }
-
-            document.getElementById('beatFrequencyFeeling').style.display = 'block';
-            document.getElementById('appContainer').style.display = 'none';
+        // Exercises register themselves (see lib/exerciseRegistry.js)
+        if (window.exerciseRegistry.start(type, this)) {
+            return;
+        }
 
-            setTimeout(() => {
-                window.beatFrequencyFeelingInstance.start();
-                const exerciseEl = document.getElementById('beatFrequencyFeeling');
-                if (exerciseEl && exerciseEl.style.display === 'block') {
-                    this.addFadeIn(exerciseEl);
-                }
-            }, 10);
-        } else if (type.endsWith('SystemExercise')) {
+        if (type.endsWith('SystemExercise')) {
             // System exercises for intervals - show menu to choose which exercise
             const intervalType = type.replace('SystemExercise', '');
             this.showSystemExerciseMenu(intervalType);
@@ -1269,27 +576,74 @@ class EarTrainerApp {
     }
 }
 
-// Register Service Worker
+// Register Service Worker (offline precache + update prompt)
 if ('serviceWorker' in navigator) {
-    window.addEventListener('load', async () => {
-        // Force unregister all service workers and clear caches
-        const registrations = await navigator.serviceWorker.getRegistrations();
-        for (const registration of registrations) {
-            await registration.unregister();
-            console.log('Unregistered service worker:', registration.scope);
-        }
+    // Only reload on controller change when the user accepted an update,
+    // not when the very first worker claims the page
+    let isReloadingForUpdate = false;
 
-        // Clear all caches
-        const cacheNames = await caches.keys();
-        for (const cacheName of cacheNames) {
-            await caches.delete(cacheName);
-            console.log('Deleted cache:', cacheName);
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (isReloadingForUpdate) {
+            window.location.reload();
         }
+    });
+
+    /**
+     * Show the "new version ready" banner for a waiting service worker
+     */
+    const showUpdateBanner = (worker) => {
+        const banner = document.getElementById('updateBanner');
+        if (!banner) return;
+
+        // Ask the waiting worker which build it carries
+        const channel = new MessageChannel();
+        channel.port1.onmessage = (event) => {
+            const text = document.getElementById('updateBannerText');
+            if (text && event.data && event.data.version) {
+                text.textContent = `EarLift ${event.data.version} is ready`;
+            }
+        };
+        worker.postMessage({ type: 'GET_VERSION' }, [channel.port2]);
 
-        // Re-register service worker
+        document.getElementById('updateReloadBtn').onclick = () => {
+            isReloadingForUpdate = true;
+            worker.postMessage({ type: 'SKIP_WAITING' });
+        };
+        document.getElementById('updateDismissBtn').onclick = () => {
+            banner.style.display = 'none';
+        };
+
+        banner.style.display = 'flex';
+    };
+
+    window.addEventListener('load', () => {
         navigator.serviceWorker.register('/service-worker.js')
             .then((registration) => {
-                console.log('Service Worker registered successfully:', registration.scope);
+                console.log(`Service Worker registered successfully (build ${earlift_BUILD_VERSION}):`, registration.scope);
+
+                // A new build may already be installed and waiting from a previous visit
+                if (registration.waiting && navigator.serviceWorker.controller) {
+                    showUpdateBanner(registration.waiting);
+                }
+
+                registration.addEventListener('updatefound', () => {
+                    const newWorker = registration.installing;
+                    if (!newWorker) return;
+
+                    newWorker.addEventListener('statechange', () => {
+                        // "installed" with an existing controller means an update, not a first install
+                        if (newWorker.state === 'installed' && navigator.serviceWorker.controller) {
+                            showUpdateBanner(newWorker);
+                        }
+                    });
+                });
+
+                // Installed PWAs can stay open for days - check for new builds when brought back
+                document.addEventListener('visibilitychange', () => {
+                    if (document.visibilityState === 'visible') {
+                        registration.update().catch(() => {});
+                    }
+                });
             })
             .catch((error) => {
                 console.log('Service Worker registration failed:', error);
@@ -1474,6 +828,17 @@ function initializeTrainingMode() {
         });
     }
 
+    // Training Settings - Microphone auto-grading checkbox
+    const autoGradingCheckbox = document.getElementById('settingAutoGrading');
+    if (autoGradingCheckbox) {
+        // Initialize from settings
+        autoGradingCheckbox.checked = appSettings.getAutoGrading();
+
+        autoGradingCheckbox.addEventListener('change', (e) => {
+            appSettings.setAutoGrading(e.target.checked);
+        });
+    }
+
     // Training Settings - Testing Mode checkbox
     const testingModeCheckbox = document.getElementById('settingTestingMode');
     const testingModeContainer = document.getElementById('testingModeSettingContainer');
@@ -1516,6 +881,14 @@ function initializeTrainingMode() {
         });
     });
 
+    // Rating UI - Accept microphone grade
+    const ratingAcceptAutoBtn = document.getElementById('ratingAcceptAutoBtn');
+    if (ratingAcceptAutoBtn) {
+        ratingAcceptAutoBtn.addEventListener('click', () => {
+            trainingUI.acceptAutoGrade();
+        });
+    }
+
     // Rating UI - Exit button
     const trainingRatingExitBtn = document.getElementById('trainingRatingExitBtn');
     if (trainingRatingExitBtn) {
@@ -1830,6 +1203,15 @@ function switchToProfile(profileName) {
     // Update app settings with new profile
     appSettings = new Settings(profileName);
     window.appSettings = appSettings;
+    setActivePitchDetector(appSettings.getPitchDetector());
+    NoteUtils.setReferencePitch(appSettings.getReferencePitch());
+    TuningSystems.setActiveSystem(appSettings.getTuningSystem());
+    TimbreLibrary.setActiveTimbre(appSettings.getTimbre());
+    window.audioEngine.setMasterVolume(appSettings.getMasterVolume());
+    window.audioEngine.setOutputDevice(appSettings.getSelectedSpeaker());
+    window.bleedCanceller.setEnabled(appSettings.getSpeakerBleedCancellation());
+    appSettings.applyVoicingThreshold();
+    window.autoGainControl.setEnabled(appSettings.getAutoGainControl());
 
     // Update training UI with new profile
     trainingUI.switchProfile(profileName);
@@ -0,0 +1,261 @@
+/**
+ * Attempt Replay
+ *
+ * The "Replay Attempts" screen. Lists the attempts AttemptRecorder kept for
+ * this profile and plays one back mixed with the tone it was sung against,
+ * while a PianoRoll shows the sung pitch over the reference with a playhead.
+ * Drag the slider to scrub; the reference tone can be switched off to hear
+ * the voice alone.
+ *
+ * Opened by any button with a data-attempt-replay attribute; its value is an
+ * exerciseId prefix so each exercise shows its own attempts ('' shows all):
+ *   <button data-attempt-replay="toneDarts">🎧 Replay Attempts</button>
+ */
+
+class AttemptReplay {
+    constructor() {
+        this.modal = document.getElementById('attemptReplay');
+        this.closeBtn = document.getElementById('closeAttemptReplay');
+        this.emptyMessage = document.getElementById('attemptReplayEmpty');
+        this.list = document.getElementById('attemptReplayList');
+        this.player = document.getElementById('attemptReplayPlayer');
+        this.canvas = document.getElementById('attemptReplayTrace');
+        this.scrubSlider = document.getElementById('attemptReplayScrub');
+        this.timeDisplay = document.getElementById('attemptReplayTime');
+        this.referenceToggle = document.getElementById('attemptReplayReferenceToggle');
+        this.playBtn = document.getElementById('attemptReplayPlayBtn');
+        this.deleteBtn = document.getElementById('attemptReplayDeleteBtn');
+        this.pianoRoll = new PianoRoll(this.canvas);
+
+        this.filter = '';
+        this.attempts = [];
+        this.selected = null;
+        this.position = 0; // ms into the selected attempt
+        this.animationFrame = null;
+        this.resumeAfterScrub = false;
+
+        this.attachEventListeners();
+    }
+
+    attachEventListeners() {
+        document.querySelectorAll('[data-attempt-replay]').forEach(btn => {
+            btn.addEventListener('click', () => this.open(btn.dataset.attemptReplay));
+        });
+
+        this.closeBtn.addEventListener('click', () => this.close());
+
+        // Close modal when clicking outside
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.close();
+            }
+        });
+
+        this.playBtn.addEventListener('click', () => this.togglePlayback());
+        this.deleteBtn.addEventListener('click', () => this.deleteSelected());
+
+        // Pause while dragging, carry on playing from the new position on release
+        this.scrubSlider.addEventListener('input', (e) => {
+            if (window.attemptRecorder.isPlaying()) {
+                this.stopPlayback();
+                this.resumeAfterScrub = true;
+            }
+            this.position = parseFloat(e.target.value);
+            this.updatePosition();
+        });
+        this.scrubSlider.addEventListener('change', () => {
+            if (this.resumeAfterScrub) {
+                this.resumeAfterScrub = false;
+                this.play();
+            }
+        });
+
+        this.referenceToggle.addEventListener('change', () => {
+            if (window.attemptRecorder.isPlaying()) {
+                this.stopPlayback();
+                this.play();
+            }
+        });
+
+        window.attemptRecorder.onChange(() => {
+            if (this.isOpen()) {
+                this.loadAttempts();
+            }
+        });
+        window.attemptRecorder.onPlaybackEnd(() => {
+            this.position = this.selected ? this.selected.durationMs : 0;
+            this.showStopped();
+        });
+    }
+
+    isOpen() {
+        return this.modal.style.display !== 'none';
+    }
+
+    /**
+     * @param {string} filter - exerciseId prefix of the attempts to list
+     */
+    async open(filter = '') {
+        this.filter = filter;
+        this.selected = null;
+        this.modal.style.display = 'flex';
+        await this.loadAttempts();
+    }
+
+    close() {
+        this.stopPlayback();
+        this.modal.style.display = 'none';
+    }
+
+    async loadAttempts() {
+        const attempts = await window.attemptRecorder.getAttempts();
+        this.attempts = attempts.filter(attempt => attempt.exerciseId.startsWith(this.filter));
+
+        this.emptyMessage.style.display = this.attempts.length === 0 ? 'block' : 'none';
+        if (!AttemptRecorder.isSupported()) {
+            this.emptyMessage.textContent = "This browser can't record attempts.";
+        }
+
+        // Keep the selection if it's still there, otherwise pick the newest
+        const selected = this.selected && this.attempts.find(attempt => attempt.id === this.selected.id);
+        if (selected) {
+            this.selected = selected;
+        } else {
+            this.select(this.attempts[0] || null);
+        }
+        this.renderList();
+    }
+
+    renderList() {
+        this.list.innerHTML = '';
+        this.attempts.forEach(attempt => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.className = 'attempt-replay-item';
+            button.classList.toggle('active', attempt === this.selected);
+
+            const recordedAt = new Date(attempt.recordedAt).toLocaleString([], {
+                month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+            });
+            const label = document.createElement('span');
+            label.textContent = attempt.label;
+            const details = document.createElement('span');
+            details.textContent = `${recordedAt} · ${(attempt.durationMs / 1000).toFixed(1)}s`;
+            button.append(label, details);
+            button.addEventListener('click', () => {
+                this.select(attempt);
+                this.renderList();
+            });
+
+            item.appendChild(button);
+            this.list.appendChild(item);
+        });
+    }
+
+    select(attempt) {
+        this.stopPlayback();
+        this.selected = attempt;
+        this.position = 0;
+
+        if (!attempt) {
+            this.player.style.display = 'none';
+            return;
+        }
+
+        this.player.style.display = 'block';
+        this.scrubSlider.max = attempt.durationMs;
+        this.updatePosition();
+    }
+
+    async togglePlayback() {
+        if (!this.selected) return;
+
+        if (window.attemptRecorder.isPlaying()) {
+            this.stopPlayback();
+            return;
+        }
+
+        if (this.position >= this.selected.durationMs) {
+            this.position = 0;
+        }
+        await this.play();
+    }
+
+    async play() {
+        // Don't record the replay into an attempt still in progress
+        window.attemptRecorder.cancel();
+
+        try {
+            await window.attemptRecorder.play(this.selected, this.position, {
+                withReference: this.referenceToggle.checked
+            });
+        } catch (error) {
+            console.error('AttemptReplay: Could not play the attempt:', error);
+            alert("This recording can't be played in this browser.");
+            return;
+        }
+
+        this.playBtn.textContent = '⏸ Pause';
+        this.animate();
+    }
+
+    stopPlayback() {
+        if (window.attemptRecorder.isPlaying()) {
+            this.position = window.attemptRecorder.getPlaybackPosition();
+            window.attemptRecorder.stopPlayback();
+        }
+        this.showStopped();
+    }
+
+    showStopped() {
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+        this.playBtn.textContent = '▶ Play';
+        if (this.selected) {
+            this.updatePosition();
+        }
+    }
+
+    animate() {
+        const position = window.attemptRecorder.getPlaybackPosition();
+        if (position === null) return;
+
+        this.position = position;
+        this.updatePosition();
+        this.animationFrame = requestAnimationFrame(() => this.animate());
+    }
+
+    async deleteSelected() {
+        if (!this.selected) return;
+
+        const id = this.selected.id;
+        this.select(null);
+        await window.attemptRecorder.deleteAttempt(id);
+    }
+
+    updatePosition() {
+        this.scrubSlider.value = this.position;
+        this.timeDisplay.textContent = `${(this.position / 1000).toFixed(1)}s`;
+        this.drawTrace();
+    }
+
+    drawTrace() {
+        const attempt = this.selected;
+        this.pianoRoll.render({
+            durationMs: attempt.durationMs,
+            points: attempt.pitchTrace,
+            targets: attempt.references
+        }, { playheadMs: this.position });
+    }
+}
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+        window.attemptReplay = new AttemptReplay();
+    });
+} else {
+    window.attemptReplay = new AttemptReplay();
+}
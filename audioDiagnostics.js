@@ -15,6 +15,7 @@ class AudioDiagnostics {
         this.pitchHistory = [];
         this.maxHistoryLength = 100;
         this.detailedLog = []; // Store detailed diagnostic information
+        this.bleedReport = null; // Result of the last speaker bleed test
 
         this.initializeElements();
         this.attachEventListeners();
@@ -31,6 +32,7 @@ class AudioDiagnostics {
         this.testSpeechBtn = document.getElementById('diagTestSpeech');
         this.testSingingBtn = document.getElementById('diagTestSinging');
         this.testToneBtn = document.getElementById('diagTestTone');
+        this.testBleedBtn = document.getElementById('diagTestBleed');
         this.stopTestBtn = document.getElementById('diagStopTest');
 
         // Displays
@@ -63,6 +65,9 @@ class AudioDiagnostics {
         this.testSingingBtn.addEventListener('click', () => this.startTest('singing'));
         this.testToneBtn.addEventListener('click', () => this.startTest('tone'));
         this.stopTestBtn.addEventListener('click', () => this.stopTest());
+        if (this.testBleedBtn) {
+            this.testBleedBtn.addEventListener('click', () => this.runBleedTest());
+        }
         this.exitBtn.addEventListener('click', () => this.exit());
 
         if (this.copyLogBtn) {
@@ -169,15 +174,12 @@ class AudioDiagnostics {
         }, 50); // 20 Hz
 
         // Update UI
-        this.testSpeechBtn.disabled = true;
-        this.testSingingBtn.disabled = true;
-        this.testToneBtn.disabled = true;
-        this.stopTestBtn.disabled = false;
+        this.setTestButtonsDisabled(true);
 
         // If tone test, play a reference tone
         if (testType === 'tone') {
             const vocalRange = appSettings.getVocalRange();
-            const MIN_FREQUENCY = 174.61;
+            const MIN_FREQUENCY = NoteUtils.noteToFrequency('F3');
             const lowFreq = Math.max(vocalRange.low.frequency, MIN_FREQUENCY);
             const highFreq = vocalRange.high.frequency;
             const targetFreq = this.toneGenerator.getRandomFrequencyInRange(lowFreq, highFreq);
@@ -208,6 +210,12 @@ class AudioDiagnostics {
     }
 
     stopTest() {
+        if (this.currentTest === 'bleed') {
+            this.finishBleedTest();
+            this.addResult('Speaker bleed test stopped.');
+            return;
+        }
+
         this.isRunning = false;
 
         if (this.detectionInterval) {
@@ -223,10 +231,126 @@ class AudioDiagnostics {
         // Reset UI
         this.currentTest = null;
         this.currentTestDisplay.textContent = 'None';
-        this.testSpeechBtn.disabled = false;
-        this.testSingingBtn.disabled = false;
-        this.testToneBtn.disabled = false;
-        this.stopTestBtn.disabled = true;
+        this.setTestButtonsDisabled(false);
+    }
+
+    setTestButtonsDisabled(disabled) {
+        this.testSpeechBtn.disabled = disabled;
+        this.testSingingBtn.disabled = disabled;
+        this.testToneBtn.disabled = disabled;
+        if (this.testBleedBtn) {
+            this.testBleedBtn.disabled = disabled;
+        }
+        this.stopTestBtn.disabled = !disabled;
+    }
+
+    // Measure how much of a tone played on the speaker reaches the mic, and
+    // how much is left after the bleed canceller. Runs in any usage mode;
+    // the user stays quiet throughout.
+    async runBleedTest() {
+        if (!window.bleedCanceller.isAttached()) {
+            this.addResult('⚠ Bleed canceller not running (AudioWorklet not available in this browser)');
+            return;
+        }
+
+        const timing = AudioDiagnostics.BLEED_TEST;
+        this.currentTest = 'bleed';
+        this.currentTestDisplay.textContent = 'Speaker Bleed';
+        this.setTestButtonsDisabled(true);
+        this.bleedReport = null;
+
+        this.addResult('Started speaker bleed test. Instructions:');
+        this.addResult('→ Stay quiet. Background noise is measured first, then a tone plays.');
+        this.addResult('→ Use the speaker and volume you normally practise with.');
+
+        const noise = await this.collectBleedLevels(timing.noiseMs);
+        if (this.currentTest !== 'bleed') return;
+
+        const frequency = NoteUtils.noteToFrequency('A4');
+        this.addResult(`Playing test tone: ${frequency.toFixed(2)} Hz`);
+        await this.toneGenerator.playTone(frequency);
+
+        // Give the canceller time to learn the speaker-to-mic path
+        await this.collectBleedLevels(timing.settleMs);
+        if (this.currentTest !== 'bleed') return;
+
+        const withTone = await this.collectBleedLevels(timing.measureMs);
+        if (this.currentTest !== 'bleed') return;
+
+        this.finishBleedTest();
+        this.analyzeBleedResults(noise, withTone);
+    }
+
+    // Level reports from the bleed canceller for a while (resolves early if the test is stopped)
+    collectBleedLevels(durationMs) {
+        return new Promise(resolve => {
+            const reports = [];
+            const unsubscribe = window.bleedCanceller.onLevels(levels => reports.push(levels));
+            const startTime = Date.now();
+
+            const check = setInterval(() => {
+                if (this.currentTest !== 'bleed' || Date.now() - startTime >= durationMs) {
+                    clearInterval(check);
+                    unsubscribe();
+                    resolve(reports);
+                }
+            }, 50);
+        });
+    }
+
+    finishBleedTest() {
+        this.toneGenerator.stopTone();
+        this.currentTest = null;
+        this.currentTestDisplay.textContent = 'None';
+        this.setTestButtonsDisabled(false);
+    }
+
+    analyzeBleedResults(noiseReports, toneReports) {
+        if (noiseReports.length === 0 || toneReports.length === 0) {
+            this.addResult('⚠ No data collected during test.');
+            return;
+        }
+
+        // Average power, then remove the background noise from the tone readings
+        const meanPower = (reports, key) => reports.reduce((sum, r) => sum + r[key] * r[key], 0) / reports.length;
+        const noisePower = meanPower(noiseReports, 'input');
+        const bleedPower = Math.max(0, meanPower(toneReports, 'input') - noisePower);
+        const residualPower = Math.max(0, meanPower(toneReports, 'residual') - noisePower);
+        const toDb = (power) => 10 * Math.log10(Math.max(power, 1e-12));
+
+        const noiseDb = toDb(noisePower);
+        const bleedDb = toDb(bleedPower);
+        const residualDb = toDb(residualPower);
+        const enabled = window.bleedCanceller.isEnabled();
+
+        this.bleedReport = {
+            noiseDbfs: +noiseDb.toFixed(1),
+            bleedDbfs: +bleedDb.toFixed(1),
+            residualDbfs: +residualDb.toFixed(1),
+            cancellationEnabled: enabled
+        };
+
+        this.addResult('─────────────────────────────');
+        this.addResult('Test Results for speaker bleed:');
+        this.addResult(`Background noise: ${noiseDb.toFixed(1)} dBFS`);
+        this.addResult(`Tone reaching the mic: ${bleedDb.toFixed(1)} dBFS`);
+        this.addResult(`Left after cancellation: ${residualDb.toFixed(1)} dBFS (${Math.max(0, bleedDb - residualDb).toFixed(1)} dB removed)`);
+        this.addResult(`Cancellation in this usage mode: ${enabled ? 'On' : 'Off'}`);
+
+        if (bleedDb < noiseDb) {
+            this.addResult('✓ The tone barely reaches the mic (headphones?). No cancellation needed.');
+        } else if (residualDb <= AudioDiagnostics.BLEED_TEST.acceptableResidualDbfs) {
+            this.addResult('✓ Residual bleed is low enough to sing along with the speaker.');
+            if (!enabled) {
+                this.addResult('→ Switch Usage Mode to Speaker + Mic to turn cancellation on.');
+            }
+        } else {
+            this.addResult('⚠ AUDIBLE BLEED REMAINS');
+            this.addResult('→ The pitch detector may hear the tone instead of your voice');
+            this.addResult('→ Lower the speaker volume or move the mic away from the speaker');
+        }
+
+        this.addResult('─────────────────────────────');
     }
 
     updateDiagnostics() {
@@ -700,6 +824,7 @@ class AudioDiagnostics {
                 minRMS: Math.min(...this.detailedLog.map(l => l.rms)).toFixed(6),
                 clippingOccurred: this.detailedLog.some(l => l.isClipping)
             },
+            speakerBleed: this.bleedReport || null,
             detectionMethods: methodStats,
             rejectionReasons: rejectionReasons,
             topDetectedFrequencies: topFrequencies,
@@ -740,7 +865,7 @@ class AudioDiagnostics {
 
     exit() {
         // Stop test
-        if (this.isRunning) {
+        if (this.isRunning || this.currentTest === 'bleed') {
             this.stopTest();
         }
 
@@ -764,5 +889,23 @@ class AudioDiagnostics {
     }
 }
 
+// Speaker bleed test timing, and the residual level (dBFS) that still
+// leaves a sung note well above the tone
+AudioDiagnostics.BLEED_TEST = {
+    noiseMs: 1000,
+    settleMs: 500,
+    measureMs: 3000,
+    acceptableResidualDbfs: -50
+};
+
 // Initialize exercise
 window.audioDiagnostics = new AudioDiagnostics();
+
+window.exerciseRegistry.register({
+    id: 'diagnostics',
+    name: 'Mic Diagnostics',
+    container: 'audioDiagnostics',
+    category: 'tools',
+    usageModes: ['headphone-mic', 'speaker-mic'],
+    getInstance: () => window.audioDiagnostics
+});
@@ -1,10 +1,12 @@
 // Centralized Audio Manager
-// Handles all audio input/output, device selection, and routing
+// Handles microphone input, device selection and routing. The AudioContext
+// and output mix belong to AudioEngine (lib/audioEngine.js).
 class AudioManager {
     constructor() {
         this.audioContext = null;
         this.micStream = null;
         this.gainNode = null;
+        this.inputNode = null; // Mic signal after gain and bleed cancellation
         this.analyser = null;
         this.currentGain = 4.0; // Default gain
         this.selectedDeviceId = null;
@@ -82,11 +84,9 @@ class AudioManager {
                 }
             }
 
-            // Create shared audio context
-            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
-            this.audioContext = new AudioContextClass({
-                latencyHint: 'interactive'
-            });
+            // Use the shared audio context (tones that are already playing keep
+            // working once the mic is added)
+            this.audioContext = window.audioEngine.getContext();
 
             console.log('AudioManager: Audio context sample rate:', this.audioContext.sampleRate);
 
@@ -97,9 +97,7 @@ class AudioManager {
             }
 
             // Resume context if suspended (iOS)
-            if (this.audioContext.state === 'suspended') {
-                await this.audioContext.resume();
-            }
+            await window.audioEngine.resume();
 
             // Create analyser for pitch detection
             this.analyser = this.audioContext.createAnalyser();
@@ -110,10 +108,12 @@ class AudioManager {
             this.gainNode = this.audioContext.createGain();
             this.gainNode.gain.value = this.currentGain;
 
-            // Connect: microphone -> gain -> analyser
+            // Connect: microphone -> gain -> bleed canceller -> analyser
+            // (the canceller removes our own tones when they play on a speaker)
             const source = this.audioContext.createMediaStreamSource(this.micStream);
             source.connect(this.gainNode);
-            this.gainNode.connect(this.analyser);
+            this.inputNode = await window.bleedCanceller.attach(this.audioContext, this.gainNode);
+            this.inputNode.connect(this.analyser);
 
             // Create shared pitch detector that uses this AudioManager
             if (!this.pitchDetector && typeof PitchDetector !== 'undefined') {
@@ -124,6 +124,8 @@ class AudioManager {
             }
 
             this.isInitialized = true;
+            appSettings.applyVoicingThreshold();
+            window.autoGainControl.start();
             console.log('AudioManager: Initialized successfully');
             return true;
 
@@ -141,20 +143,13 @@ class AudioManager {
         }
 
         try {
-            // Create shared audio context (no microphone needed)
-            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
-            this.audioContext = new AudioContextClass({
-                latencyHint: 'interactive'
-            });
-
-            console.log('AudioManager: AudioContext initialized for playback only');
-            console.log('AudioManager: Audio context sample rate:', this.audioContext.sampleRate);
-
-            // Resume context if suspended (iOS)
-            if (this.audioContext.state === 'suspended') {
-                await this.audioContext.resume();
+            // Use the shared audio context (no microphone needed)
+            this.audioContext = await window.audioEngine.ensureContext();
+            if (!this.audioContext) {
+                throw new Error('Web Audio API not supported');
             }
 
+            console.log('AudioManager: AudioContext initialized for playback only');
             return true;
         } catch (error) {
             console.error('AudioManager: Failed to initialize AudioContext:', error);
@@ -172,13 +167,31 @@ class AudioManager {
         return this.analyser;
     }
 
-    // Set microphone gain
+    // Get the microphone signal after gain and bleed cancellation (for PitchStream's AudioWorklet)
+    getInputNode() {
+        return this.inputNode;
+    }
+
+    // Set and save the manual microphone gain. While AutoGainControl is
+    // running the gain is saved for later but not applied.
     setGain(gain) {
+        const clampedGain = Math.max(0.1, Math.min(5.0, gain));
+        appSettings.setMicrophoneGain(clampedGain);
+        if (!window.autoGainControl.isRunning()) {
+            this.applyGain(clampedGain);
+        }
+    }
+
+    // Change the gain without saving it (AutoGainControl adjusts it this way)
+    applyGain(gain) {
         this.currentGain = Math.max(0.1, Math.min(5.0, gain));
         if (this.gainNode) {
-            this.gainNode.gain.value = this.currentGain;
+            // Short glide so gain changes don't click in the pitch detector's input
+            this.gainNode.gain.setTargetAtTime(this.currentGain, this.audioContext.currentTime, 0.02);
         }
-        appSettings.setMicrophoneGain(this.currentGain);
+
+        // The noise floor is calibrated at one gain and scales with it
+        NoiseFloor.setVoicingThreshold(appSettings.getVoicingThreshold(this.currentGain));
     }
 
     getGain() {
@@ -200,15 +213,27 @@ class AudioManager {
         await this.initialize();
     }
 
-    // Stop audio system
+    // Stop the microphone. The AudioContext belongs to AudioEngine and stays
+    // open so tones and sound effects keep playing.
     stop() {
         console.log('AudioManager: Stopping audio system');
 
+        // Saves the level it learned for this microphone
+        window.autoGainControl.stop();
+
+        // Keeps the attempt recorded so far (the recording would only be silence from here)
+        if (window.attemptRecorder) {
+            window.attemptRecorder.stop();
+        }
+
         if (this.micStream) {
             this.micStream.getTracks().forEach(track => track.stop());
             this.micStream = null;
         }
 
+        window.bleedCanceller.detach();
+        this.inputNode = null;
+
         if (this.gainNode) {
             this.gainNode.disconnect();
             this.gainNode = null;
@@ -219,19 +244,12 @@ class AudioManager {
             this.analyser = null;
         }
 
-        if (this.audioContext) {
-            this.audioContext.close();
-            this.audioContext = null;
-        }
-
         this.isInitialized = false;
     }
 
     // Resume audio context (for iOS)
     async resume() {
-        if (this.audioContext && this.audioContext.state === 'suspended') {
-            await this.audioContext.resume();
-        }
+        await window.audioEngine.resume();
     }
 }
 
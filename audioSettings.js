@@ -5,18 +5,41 @@ class AudioSettings {
         this.closeBtn = document.getElementById('closeAudioSettings');
         this.micSelect = document.getElementById('micSelect');
         this.speakerSelect = document.getElementById('speakerSelect');
+        this.calibrateLatencyBtn = document.getElementById('calibrateLatencyBtn');
+        this.latencyCalibrationStatus = document.getElementById('latencyCalibrationStatus');
         this.requestBtn = document.getElementById('requestPermissions');
         this.testBtn = document.getElementById('testAudio');
         this.showInstallBtn = document.getElementById('showInstallBtn');
         this.sensitivityPreset = document.getElementById('sensitivityPreset');
         this.toleranceSelect = document.getElementById('toleranceSelect');
         this.sensitivityDescription = document.getElementById('sensitivityDescription');
+        this.masterVolumeSlider = document.getElementById('masterVolumeSlider');
+        this.masterVolumeValue = document.getElementById('masterVolumeValue');
         this.micGainSlider = document.getElementById('micGainSlider');
         this.micGainValue = document.getElementById('micGainValue');
+        this.autoGainToggle = document.getElementById('autoGainToggle');
+        this.autoGainStatus = document.getElementById('autoGainStatus');
+        this.calibrateNoiseBtn = document.getElementById('calibrateNoiseBtn');
+        this.noiseCalibrationStatus = document.getElementById('noiseCalibrationStatus');
         this.debugControlsToggle = document.getElementById('debugControlsToggle');
         this.debugControlsStatus = document.getElementById('debugControlsStatus');
         this.usageModeSelect = document.getElementById('usageModeSelect');
         this.usageModeDescription = document.getElementById('usageModeDescription');
+        this.detectUsageModeBtn = document.getElementById('detectUsageModeBtn');
+        this.usageModeDetectionSelect = document.getElementById('usageModeDetectionSelect');
+        this.usageModeDetectionStatus = document.getElementById('usageModeDetectionStatus');
+        this.pitchDetectorSelect = document.getElementById('pitchDetectorSelect');
+        this.pitchDetectorDescription = document.getElementById('pitchDetectorDescription');
+        this.tuningStandardSelect = document.getElementById('tuningStandardSelect');
+        this.referencePitchInput = document.getElementById('referencePitchInput');
+        this.tuningStandardDescription = document.getElementById('tuningStandardDescription');
+        this.tuningSystemSelect = document.getElementById('tuningSystemSelect');
+        this.tuningSystemDescription = document.getElementById('tuningSystemDescription');
+        this.timbreSelect = document.getElementById('timbreSelect');
+        this.timbreDescription = document.getElementById('timbreDescription');
+        this.exerciseTimbreSection = document.getElementById('exerciseTimbreSection');
+        this.exerciseTimbreLabel = document.getElementById('exerciseTimbreLabel');
+        this.exerciseTimbreSelect = document.getElementById('exerciseTimbreSelect');
 
         // Settings buttons from different screens
         this.settingsBtns = [
@@ -39,12 +62,19 @@ class AudioSettings {
             document.getElementById('audioSettingsBtnMajorSeventhFeelRoot'),
             document.getElementById('audioSettingsBtnIntervalOverview'),
             document.getElementById('audioSettingsBtnUnisonOverview'),
-            document.getElementById('audioSettingsBtnGeneralIntervalOverview')
+            document.getElementById('audioSettingsBtnGeneralIntervalOverview'),
+            document.getElementById('audioSettingsBtnTuningComparison'),
+            document.getElementById('audioSettingsBtnIntervalQuiz'),
+            document.getElementById('audioSettingsBtnChordQuality'),
+            document.getElementById('audioSettingsBtnChordTone'),
+            document.getElementById('audioSettingsBtnMelodyEcho'),
+            document.getElementById('audioSettingsBtnPitchDiscrimination')
         ];
 
         this.attachEventListeners();
         this.loadDevices();
         this.loadSensitivitySettings();
+        this.scheduleStartupDetection();
     }
 
     attachEventListeners() {
@@ -82,11 +112,51 @@ class AudioSettings {
             this.toleranceSelect.addEventListener('change', (e) => this.updateTolerance(parseFloat(e.target.value)));
         }
 
+        // Pitch detector selection
+        if (this.pitchDetectorSelect) {
+            this.pitchDetectorSelect.addEventListener('change', (e) => this.updatePitchDetector(e.target.value));
+        }
+
+        // Reference pitch (tuning standard preset or custom A4)
+        if (this.tuningStandardSelect) {
+            this.tuningStandardSelect.addEventListener('change', (e) => this.updateTuningStandard(e.target.value));
+        }
+        if (this.referencePitchInput) {
+            this.referencePitchInput.addEventListener('change', (e) => this.updateReferencePitch(parseFloat(e.target.value)));
+        }
+        if (this.tuningSystemSelect) {
+            this.tuningSystemSelect.addEventListener('change', (e) => this.updateTuningSystem(e.target.value));
+        }
+        if (this.timbreSelect) {
+            this.timbreSelect.addEventListener('change', (e) => this.updateTimbre(e.target.value));
+        }
+        if (this.exerciseTimbreSelect) {
+            this.exerciseTimbreSelect.addEventListener('change', (e) => this.updateExerciseTimbre(e.target.value));
+        }
+
+        // Master volume control
+        if (this.masterVolumeSlider) {
+            this.masterVolumeSlider.addEventListener('input', (e) => this.updateMasterVolume(parseFloat(e.target.value)));
+        }
+
         // Microphone gain control
         if (this.micGainSlider) {
             this.micGainSlider.addEventListener('input', (e) => this.updateMicGain(parseFloat(e.target.value)));
         }
 
+        // Automatic gain control
+        if (this.autoGainToggle) {
+            this.autoGainToggle.addEventListener('change', (e) => this.updateAutoGain(e.target.checked));
+        }
+
+        // Show the gain AGC settles on
+        window.autoGainControl.onGainChange(gain => this.showMicGain(gain));
+
+        // Noise floor calibration
+        if (this.calibrateNoiseBtn) {
+            this.calibrateNoiseBtn.addEventListener('click', () => this.calibrateNoiseFloor());
+        }
+
         // Debug controls toggle
         if (this.debugControlsToggle) {
             this.debugControlsToggle.addEventListener('change', (e) => this.updateDebugControls(e.target.checked));
@@ -97,12 +167,35 @@ class AudioSettings {
             this.usageModeSelect.addEventListener('change', (e) => this.updateUsageMode(e.target.value));
         }
 
+        // Headphone / speaker detection
+        if (this.detectUsageModeBtn) {
+            this.detectUsageModeBtn.addEventListener('click', () => this.detectUsageMode(true));
+        }
+        if (this.usageModeDetectionSelect) {
+            this.usageModeDetectionSelect.addEventListener('change', (e) => appSettings.setUsageModeDetection(e.target.value));
+        }
+
+        // Re-check headphones when they're plugged in or connected
+        if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', () => this.handleDeviceChange());
+        }
+
         // Microphone device selection - save and change device
         if (this.micSelect) {
             this.micSelect.addEventListener('change', () => {
                 this.changeSelectedMic();
             });
         }
+
+        // Speaker device selection - save and route output to it
+        if (this.speakerSelect) {
+            this.speakerSelect.addEventListener('change', () => this.changeSelectedSpeaker());
+        }
+
+        // Latency calibration
+        if (this.calibrateLatencyBtn) {
+            this.calibrateLatencyBtn.addEventListener('click', () => this.calibrateLatency());
+        }
     }
 
     loadSensitivitySettings() {
@@ -121,6 +214,35 @@ class AudioSettings {
             this.toleranceSelect.value = sensitivity.tolerance.toString();
         }
 
+        // Load pitch detector
+        const detectorName = appSettings.getPitchDetector();
+        if (this.pitchDetectorSelect) {
+            this.pitchDetectorSelect.value = detectorName;
+        }
+        this.updatePitchDetectorDescription(detectorName);
+
+        // Load reference pitch
+        this.showReferencePitch(appSettings.getTuningStandard());
+
+        // Load interval tuning system
+        const tuningSystem = appSettings.getTuningSystem();
+        if (this.tuningSystemSelect) {
+            this.tuningSystemSelect.value = tuningSystem;
+        }
+        this.updateTuningSystemDescription(tuningSystem);
+
+        // Load timbres
+        this.loadTimbreSettings();
+
+        // Load master volume
+        const volume = appSettings.getMasterVolume();
+        if (this.masterVolumeSlider) {
+            this.masterVolumeSlider.value = volume;
+        }
+        if (this.masterVolumeValue) {
+            this.masterVolumeValue.textContent = `${Math.round(volume * 100)}%`;
+        }
+
         // Load microphone gain
         const gain = appSettings.getMicrophoneGain();
         if (this.micGainSlider) {
@@ -129,6 +251,7 @@ class AudioSettings {
         if (this.micGainValue) {
             this.micGainValue.textContent = `${gain.toFixed(1)}x`;
         }
+        this.showAutoGain(appSettings.getAutoGainControl());
 
         // Load debug controls state
         const debugEnabled = appSettings.getDebugControlsEnabled();
@@ -148,6 +271,9 @@ class AudioSettings {
             this.usageModeSelect.value = usageMode;
         }
         this.updateUsageModeDescription(usageMode);
+        if (this.usageModeDetectionSelect) {
+            this.usageModeDetectionSelect.value = appSettings.getUsageModeDetection();
+        }
     }
 
     updateSensitivityPreset(preset) {
@@ -175,6 +301,148 @@ class AudioSettings {
         }
     }
 
+    updatePitchDetector(name) {
+        appSettings.setPitchDetector(name);
+        this.updatePitchDetectorDescription(name);
+
+        // Running detectors pick up the change on their next reading
+        if (window.setActivePitchDetector) {
+            window.setActivePitchDetector(name);
+        }
+        if (window.pitchStream) {
+            window.pitchStream.handleDetectorChange();
+        }
+    }
+
+    updatePitchDetectorDescription(name) {
+        if (typeof PITCH_DETECTOR_CONFIG === 'undefined') return;
+        const detector = PITCH_DETECTOR_CONFIG.detectors[name];
+        if (detector && this.pitchDetectorDescription) {
+            this.pitchDetectorDescription.textContent = detector.description;
+        }
+    }
+
+    updateTuningStandard(standardId) {
+        const standard = Settings.getTuningStandards()[standardId];
+        if (standard) {
+            appSettings.setReferencePitch(standard.frequency);
+        }
+        // 'custom' keeps the current pitch until a value is entered
+        this.showReferencePitch(standardId);
+    }
+
+    updateReferencePitch(frequency) {
+        if (!appSettings.setReferencePitch(frequency)) {
+            alert(`Reference pitch must be between ${NoteUtils.MIN_REFERENCE_PITCH} and ${NoteUtils.MAX_REFERENCE_PITCH} Hz`);
+        }
+        this.showReferencePitch(appSettings.getTuningStandard());
+    }
+
+    showReferencePitch(standardId) {
+        const frequency = appSettings.getReferencePitch();
+        const standard = Settings.getTuningStandards()[standardId];
+
+        if (this.tuningStandardSelect) {
+            this.tuningStandardSelect.value = standardId;
+        }
+        if (this.referencePitchInput) {
+            this.referencePitchInput.value = frequency;
+            this.referencePitchInput.style.display = standard ? 'none' : 'block';
+        }
+        if (this.tuningStandardDescription) {
+            this.tuningStandardDescription.textContent = standard
+                ? standard.description
+                : `A4 = ${frequency} Hz`;
+        }
+    }
+
+    updateTuningSystem(systemId) {
+        appSettings.setTuningSystem(systemId);
+        this.updateTuningSystemDescription(systemId);
+    }
+
+    updateTuningSystemDescription(systemId) {
+        const system = TuningSystems.getSystems()[systemId];
+        if (system && this.tuningSystemDescription) {
+            this.tuningSystemDescription.textContent = system.description;
+        }
+    }
+
+    // Fill the timbre selects (samples can be registered at any time) and
+    // show the per-exercise override when opened from an exercise
+    loadTimbreSettings() {
+        const timbres = TimbreLibrary.getTimbres();
+        const exerciseId = window.mainApp ? window.mainApp.currentExerciseId : null;
+
+        if (this.timbreSelect) {
+            this.fillTimbreOptions(this.timbreSelect, timbres);
+            this.timbreSelect.value = appSettings.getDefaultTimbre();
+        }
+        this.updateTimbreDescription(appSettings.getDefaultTimbre());
+
+        if (this.exerciseTimbreSection) {
+            this.exerciseTimbreSection.style.display = exerciseId ? 'block' : 'none';
+        }
+        if (exerciseId && this.exerciseTimbreSelect) {
+            const definition = window.exerciseRegistry.get(exerciseId);
+            if (this.exerciseTimbreLabel) {
+                this.exerciseTimbreLabel.textContent = `Timbre in ${definition ? definition.name : 'this exercise'}:`;
+            }
+            this.fillTimbreOptions(this.exerciseTimbreSelect, timbres, 'Profile timbre');
+            this.exerciseTimbreSelect.value = appSettings.getExerciseTimbre(exerciseId) || '';
+        }
+    }
+
+    fillTimbreOptions(select, timbres, defaultLabel = null) {
+        select.innerHTML = '';
+        if (defaultLabel) {
+            select.appendChild(new Option(defaultLabel, ''));
+        }
+        Object.entries(timbres).forEach(([id, timbre]) => {
+            select.appendChild(new Option(timbre.name, id));
+        });
+    }
+
+    updateTimbre(timbreId) {
+        appSettings.setDefaultTimbre(timbreId);
+        this.updateTimbreDescription(timbreId);
+        this.applyTimbre();
+    }
+
+    updateExerciseTimbre(timbreId) {
+        const exerciseId = window.mainApp ? window.mainApp.currentExerciseId : null;
+        if (!exerciseId) return;
+
+        appSettings.setExerciseTimbre(exerciseId, timbreId || null);
+        this.applyTimbre();
+    }
+
+    // New tones use the timbre straight away; tones already playing keep theirs
+    applyTimbre() {
+        if (window.mainApp) {
+            window.mainApp.applyTimbre();
+        } else {
+            TimbreLibrary.setActiveTimbre(appSettings.getTimbre());
+        }
+    }
+
+    updateTimbreDescription(timbreId) {
+        const timbre = TimbreLibrary.getTimbre(timbreId);
+        if (timbre && this.timbreDescription) {
+            this.timbreDescription.textContent = timbre.description;
+        }
+    }
+
+    updateMasterVolume(volume) {
+        // Update display
+        if (this.masterVolumeValue) {
+            this.masterVolumeValue.textContent = `${Math.round(volume * 100)}%`;
+        }
+
+        // Save to settings (also applies it to the AudioEngine)
+        appSettings.setMasterVolume(volume);
+    }
+
     updateMicGain(gain) {
         // Update display
         if (this.micGainValue) {
@@ -186,8 +454,68 @@ class AudioSettings {
             window.audioManager.setGain(gain);
         }
 
-        // Save to settings
+        // Save to settings (also rescales the noise floor threshold)
         appSettings.setMicrophoneGain(gain);
+        this.updateNoiseCalibrationStatus();
+    }
+
+    updateAutoGain(enabled) {
+        appSettings.setAutoGainControl(enabled);
+        this.showAutoGain(enabled);
+    }
+
+    // The slider shows the gain AGC is using and can't be moved while it's on
+    showAutoGain(enabled) {
+        if (this.autoGainToggle) {
+            this.autoGainToggle.checked = enabled;
+        }
+        if (this.autoGainStatus) {
+            this.autoGainStatus.textContent = enabled ? 'On' : 'Off';
+        }
+        if (this.micGainSlider) {
+            this.micGainSlider.disabled = enabled;
+        }
+
+        const audioManager = window.audioManager;
+        this.showMicGain(enabled && audioManager.isInitialized ? audioManager.getGain() : appSettings.getMicrophoneGain());
+    }
+
+    showMicGain(gain) {
+        if (this.micGainSlider) {
+            this.micGainSlider.value = gain;
+        }
+        if (this.micGainValue) {
+            this.micGainValue.textContent = `${gain.toFixed(1)}x`;
+        }
+        this.updateNoiseCalibrationStatus();
+    }
+
+    async calibrateNoiseFloor() {
+        this.calibrateNoiseBtn.disabled = true;
+        this.calibrateNoiseBtn.textContent = 'Stay quiet...';
+
+        try {
+            const result = await NoiseFloor.measure();
+            appSettings.setNoiseCalibration(result);
+            console.log('Noise floor calibration:', result);
+        } catch (error) {
+            console.error('Noise floor calibration failed:', error);
+            alert(error.message);
+        } finally {
+            this.calibrateNoiseBtn.disabled = false;
+            this.calibrateNoiseBtn.textContent = 'Calibrate Noise Floor';
+            this.updateNoiseCalibrationStatus();
+        }
+    }
+
+    updateNoiseCalibrationStatus() {
+        if (!this.noiseCalibrationStatus) return;
+
+        const calibration = appSettings.getNoiseCalibration();
+        const toDb = (rms) => (20 * Math.log10(rms)).toFixed(0);
+        this.noiseCalibrationStatus.textContent = calibration
+            ? `Noise ${toDb(calibration.noiseFloorRms)} dBFS, notes heard above ${toDb(NoiseFloor.getVoicingThreshold())} dBFS for this microphone`
+            : 'Not calibrated for this microphone';
     }
 
     updateDebugControls(enabled) {
@@ -229,6 +557,102 @@ class AudioSettings {
         }
     }
 
+    // Probe once the first time the user taps outside an exercise (the
+    // AudioContext needs a gesture). Only if the mic is already allowed, so
+    // startup never triggers a permission prompt.
+    scheduleStartupDetection() {
+        const onClick = async () => {
+            if (!this.canDetectUsageMode()) return;
+            document.removeEventListener('click', onClick);
+            if (await this.isMicrophoneAllowed()) {
+                this.detectUsageMode();
+            }
+        };
+        document.addEventListener('click', onClick);
+    }
+
+    async handleDeviceChange() {
+        await this.loadDevices();
+
+        // Only re-probe when the mic is already running (no gesture needed)
+        if (window.audioManager && window.audioManager.isInitialized && this.canDetectUsageMode()) {
+            this.detectUsageMode();
+        }
+    }
+
+    // Not during an exercise or setup (they use the mic), and not if detection is off
+    canDetectUsageMode() {
+        const app = window.mainApp;
+        return appSettings.getUsageModeDetection() !== 'off' &&
+            !window.headphoneDetector.isRunning &&
+            !!app && !app.currentExerciseId &&
+            app.appContainer.style.display !== 'none';
+    }
+
+    async isMicrophoneAllowed() {
+        try {
+            const status = await navigator.permissions.query({ name: 'microphone' });
+            return status.state === 'granted';
+        } catch (error) {
+            // Permissions API or the 'microphone' name isn't supported (older Safari)
+            return false;
+        }
+    }
+
+    /**
+     * Probe for headphones and apply the result: switch when asked to (the
+     * Detect button, or 'auto'), otherwise propose the switch. Car mode is
+     * never changed automatically.
+     * @param {boolean} manual - Started from the Detect Headphones button
+     */
+    async detectUsageMode(manual = false) {
+        if (this.detectUsageModeBtn) {
+            this.detectUsageModeBtn.disabled = true;
+            this.detectUsageModeBtn.textContent = 'Listening...';
+        }
+
+        let result;
+        try {
+            result = await window.headphoneDetector.detect();
+        } catch (error) {
+            console.error('Headphone detection failed:', error);
+            if (manual) {
+                alert(error.message);
+            }
+            return;
+        } finally {
+            if (this.detectUsageModeBtn) {
+                this.detectUsageModeBtn.disabled = false;
+                this.detectUsageModeBtn.textContent = 'Detect Headphones';
+            }
+        }
+
+        const modes = Settings.getUsageModes();
+        const current = appSettings.getUsageMode();
+        const detected = modes[result.usageMode];
+        this.showUsageModeDetectionStatus(`Detected ${detected.name} (probe ${result.leakDb} dB above the noise)`);
+
+        if (result.usageMode === current || (current === 'car-mode' && !manual)) {
+            return;
+        }
+
+        const shouldSwitch = manual || appSettings.getUsageModeDetection() === 'auto' ||
+            confirm(`It sounds like you're using ${detected.icon} ${detected.name}, but your usage mode is ${modes[current].name}. Switch to ${detected.name}?`);
+        if (shouldSwitch) {
+            if (this.usageModeSelect) {
+                this.usageModeSelect.value = result.usageMode;
+            }
+            this.updateUsageMode(result.usageMode);
+            this.showUsageModeDetectionStatus(`Switched to ${detected.name} (probe ${result.leakDb} dB above the noise)`);
+        }
+    }
+
+    showUsageModeDetectionStatus(text) {
+        if (this.usageModeDetectionStatus) {
+            this.usageModeDetectionStatus.textContent = text;
+        }
+    }
+
     updateUsageModeDescription(mode) {
         const modes = Settings.getUsageModes();
         const modeConfig = modes[mode];
@@ -252,6 +676,44 @@ class AudioSettings {
             // Not initialized yet, just save preference
             appSettings.setSelectedMicrophone(deviceId);
         }
+
+        // Latency is calibrated per mic/speaker pair, the noise floor per mic
+        this.updateLatencyStatus();
+        this.updateNoiseCalibrationStatus();
+    }
+
+    changeSelectedSpeaker() {
+        const deviceId = this.speakerSelect.value;
+        appSettings.setSelectedSpeaker(deviceId);
+        window.audioEngine.setOutputDevice(deviceId);
+        this.updateLatencyStatus();
+    }
+
+    async calibrateLatency() {
+        this.calibrateLatencyBtn.disabled = true;
+        this.calibrateLatencyBtn.textContent = 'Listening...';
+
+        try {
+            const result = await window.latencyCalibrator.calibrate();
+            appSettings.setLatencyCalibration(result);
+            console.log('Latency calibration:', result);
+        } catch (error) {
+            console.error('Latency calibration failed:', error);
+            alert(error.message);
+        } finally {
+            this.calibrateLatencyBtn.disabled = false;
+            this.calibrateLatencyBtn.textContent = 'Calibrate Latency';
+            this.updateLatencyStatus();
+        }
+    }
+
+    updateLatencyStatus() {
+        if (!this.latencyCalibrationStatus) return;
+
+        const calibration = appSettings.getLatencyCalibration();
+        this.latencyCalibrationStatus.textContent = calibration
+            ? `Round trip ${calibration.roundTripMs} ms (speaker ~${calibration.outputMs} ms) for this microphone and speaker`
+            : 'Not calibrated for this microphone and speaker';
     }
 
     getSelectedMicId() {
@@ -261,6 +723,7 @@ class AudioSettings {
     openModal() {
         this.modal.style.display = 'flex';
         this.loadDevices();
+        this.loadTimbreSettings();
     }
 
     closeModal() {
@@ -320,8 +783,17 @@ class AudioSettings {
                     option.textContent = speaker.label || `Speaker ${index + 1}`;
                     this.speakerSelect.appendChild(option);
                 });
+
+                // Restore saved selection
+                const savedSpeakerId = appSettings.getSelectedSpeaker();
+                if (savedSpeakerId && speakers.some(s => s.deviceId === savedSpeakerId)) {
+                    this.speakerSelect.value = savedSpeakerId;
+                }
             }
 
+            this.updateLatencyStatus();
+            this.updateNoiseCalibrationStatus();
+
         } catch (error) {
             console.error('Error loading devices:', error);
             this.micSelect.innerHTML = '<option>Error loading devices</option>';
@@ -331,7 +803,7 @@ class AudioSettings {
 
     async testAudio() {
         const toneGen = new ToneGenerator();
-        toneGen.playTone(440, 0.3); // A4 note
+        toneGen.playTone(NoteUtils.noteToFrequency('A4'), 0.3);
         setTimeout(() => toneGen.stopTone(), 1000);
     }
 
@@ -18,9 +18,8 @@ class BeatFrequencyFeeling {
 
         // Audio components
         this.pitchDetector = null;
-        this.toneGenerator = null;
-        this.referenceOscillator = null;
-        this.referenceGainNode = null;
+        // Sine reference, so the beats against the voice are easy to hear
+        this.referenceTone = new ToneGenerator({ timbre: 'sine' });
 
         // Pitch tracking
         this.currentUserPitch = null;
@@ -275,8 +274,8 @@ class BeatFrequencyFeeling {
         this.phaseStatus.textContent = 'Keep singing! Feel the beat frequencies as we get closer...';
         this.demoDisplay.classList.remove('hidden');
 
-        // Initialize reference oscillator
-        await this.initializeReferenceOscillator();
+        // Start the reference tone
+        await this.startReferenceTone();
 
         // Reset glissando
         this.glissandoOffset = 100;
@@ -289,30 +288,11 @@ class BeatFrequencyFeeling {
     }
 
     /**
-     * Initialize reference oscillator for playing tones
+     * Start the reference tone at +100 cents from the user's pitch
      */
-    async initializeReferenceOscillator() {
-        const audioContext = window.audioManager.getAudioContext();
-        await audioContext.resume();
-
-        // Create gain node
-        this.referenceGainNode = audioContext.createGain();
-        this.referenceGainNode.connect(audioContext.destination);
-
-        // Fade in
-        this.referenceGainNode.gain.setValueAtTime(0, audioContext.currentTime);
-        this.referenceGainNode.gain.linearRampToValueAtTime(0.3, audioContext.currentTime + 0.1);
-
-        // Create oscillator
-        this.referenceOscillator = audioContext.createOscillator();
-        this.referenceOscillator.type = 'sine';
-
-        // Start at +100 cents
+    async startReferenceTone() {
         const startFreq = this.currentUserPitch * Math.pow(2, 100 / 1200);
-        this.referenceOscillator.frequency.setValueAtTime(startFreq, audioContext.currentTime);
-
-        this.referenceOscillator.connect(this.referenceGainNode);
-        this.referenceOscillator.start(audioContext.currentTime);
+        await this.referenceTone.playTone(startFreq);
     }
 
     /**
@@ -343,7 +323,7 @@ class BeatFrequencyFeeling {
      * Update glissando demonstration
      */
     updateGlissandoDemo() {
-        if (!this.currentUserPitch || !this.referenceOscillator) return;
+        if (!this.currentUserPitch || !this.referenceTone.isPlaying) return;
 
         // Decrement offset (glissando down)
         this.glissandoOffset -= this.glissandoSpeed;
@@ -357,9 +337,8 @@ class BeatFrequencyFeeling {
         // Calculate target frequency
         const targetFreq = this.currentUserPitch * Math.pow(2, this.glissandoOffset / 1200);
 
-        // Update oscillator smoothly
-        const audioContext = window.audioManager.getAudioContext();
-        this.referenceOscillator.frequency.setValueAtTime(targetFreq, audioContext.currentTime);
+        // Update reference tone
+        this.referenceTone.setFrequency(targetFreq);
 
         // Calculate beat frequency
         const beatFreq = Math.abs(targetFreq - this.currentUserPitch);
@@ -405,52 +384,14 @@ class BeatFrequencyFeeling {
             this.detectionInterval = null;
         }
 
-        // Stop reference oscillator
-        this.stopReferenceOscillator();
+        // Stop reference tone
+        this.referenceTone.stopTone();
 
         // Update UI
         this.phaseStatus.textContent = 'Did you feel it? Try another note or exit.';
         this.nextBtn.classList.remove('hidden');
     }
 
-    /**
-     * Stop reference oscillator
-     */
-    stopReferenceOscillator() {
-        if (this.referenceOscillator) {
-            try {
-                const audioContext = window.audioManager.getAudioContext();
-
-                // Fade out
-                if (this.referenceGainNode) {
-                    this.referenceGainNode.gain.setValueAtTime(
-                        this.referenceGainNode.gain.value,
-                        audioContext.currentTime
-                    );
-                    this.referenceGainNode.gain.linearRampToValueAtTime(
-                        0,
-                        audioContext.currentTime + 0.2
-                    );
-                }
-
-                // Stop after fade
-                setTimeout(() => {
-                    if (this.referenceOscillator) {
-                        this.referenceOscillator.stop();
-                        this.referenceOscillator.disconnect();
-                        this.referenceOscillator = null;
-                    }
-                    if (this.referenceGainNode) {
-                        this.referenceGainNode.disconnect();
-                        this.referenceGainNode = null;
-                    }
-                }, 250);
-            } catch (e) {
-                console.error('Error stopping reference oscillator:', e);
-            }
-        }
-    }
-
     /**
      * Handle Next button
      */
@@ -502,7 +443,7 @@ class BeatFrequencyFeeling {
         }
 
         // Stop audio
-        this.stopReferenceOscillator();
+        this.referenceTone.stopTone();
 
         // Stop pitch detector
         if (this.pitchDetector) {
@@ -513,3 +454,21 @@ class BeatFrequencyFeeling {
 
 // Make available globally
 window.BeatFrequencyFeeling = BeatFrequencyFeeling;
+
+window.exerciseRegistry.register({
+    id: 'beatFrequencyFeeling',
+    name: 'Beat Frequency Feeling',
+    container: 'beatFrequencyFeeling',
+    category: 'tools',
+    getInstance: () => window.beatFrequencyFeelingInstance,
+    start: () => {
+        if (!window.beatFrequencyFeelingInstance) {
+            window.beatFrequencyFeelingInstance = new BeatFrequencyFeeling();
+        }
+
+        document.getElementById('beatFrequencyFeeling').style.display = 'block';
+        document.getElementById('appContainer').style.display = 'none';
+
+        setTimeout(() => window.beatFrequencyFeelingInstance.start(), 10);
+    }
+});
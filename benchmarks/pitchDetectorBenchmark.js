@@ -0,0 +1,330 @@
+#!/usr/bin/env node
+/**
+ * Pitch Detector Benchmark
+ *
+ * Headless accuracy benchmark for the pitch detectors. Feeds synthetic
+ * signals (see syntheticCorpus.js) and optional recorded WAV files (see
+ * wavCorpus.js) through each detector exactly as the app does: the
+ * analyser holds the latest 4096 samples and detectPitch() is called every
+ * `--hop-ms` (50ms, the app's polling rate).
+ *
+ * Per detector and signal category it reports:
+ *   GPE       gross pitch error - voiced frames more than 50 cents off
+ *   Octave    frames off by a whole number of octaves (subset of GPE)
+ *   Cents     mean absolute cents error of the frames without gross error
+ *   Recall    truly voiced frames where the detector reported a pitch
+ *   FalseAlm  truly unvoiced frames where the detector reported a pitch
+ *   Onset     time from the note starting until the first pitch within
+ *             50 cents (includes filling the 85ms analysis window)
+ *   CPU       mean detectPitch() time per frame
+ * Frames whose analysis window straddles a voicing change are not scored.
+ *
+ * Usage:
+ *   node benchmarks/pitchDetectorBenchmark.js
+ *   node benchmarks/pitchDetectorBenchmark.js --detectors v2,pitchy recordings/
+ *   node benchmarks/pitchDetectorBenchmark.js --no-synthetic --per-signal --json results.json take1.wav
+ *
+ * Options:
+ *   --detectors <list>  Comma-separated: v1, v2, pitchy, yin, engine (default all)
+ *   --hop-ms <ms>       Time between detectPitch() calls (default 50)
+ *   --sample-rate <hz>  Sample rate for synthetic signals (default 48000)
+ *   --no-synthetic      Only run the WAV files given on the command line
+ *   --per-signal        Also print a row for every signal
+ *   --json <file>       Write all results as JSON
+ *   --verbose           Show the detectors' own console output
+ * Remaining arguments are WAV files or directories of WAV files.
+ */
+
+const fs = require('fs');
+const { SimulatedAnalyser, DETECTORS, loadDetector } = require('./simulatedAudio');
+const { generateSyntheticCorpus } = require('./syntheticCorpus');
+const { loadWavCorpus } = require('./wavCorpus');
+
+const GROSS_ERROR_CENTS = 50;
+const CATEGORY_ORDER = ['clean', 'vibrato', 'breathy', 'octave', 'bass', 'recorded'];
+
+function parseArgs(argv) {
+    const options = {
+        detectors: Object.keys(DETECTORS),
+        hopMs: 50,
+        sampleRate: 48000,
+        synthetic: true,
+        perSignal: false,
+        json: null,
+        verbose: false,
+        wavInputs: []
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--detectors':
+                options.detectors = argv[++i].split(',').map(s => s.trim()).filter(Boolean);
+                break;
+            case '--hop-ms':
+                options.hopMs = parseFloat(argv[++i]);
+                break;
+            case '--sample-rate':
+                options.sampleRate = parseInt(argv[++i], 10);
+                break;
+            case '--no-synthetic':
+                options.synthetic = false;
+                break;
+            case '--per-signal':
+                options.perSignal = true;
+                break;
+            case '--json':
+                options.json = argv[++i];
+                break;
+            case '--verbose':
+                options.verbose = true;
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('--')) {
+                    throw new Error(`Unknown option ${arg}`);
+                }
+                options.wavInputs.push(arg);
+        }
+    }
+
+    options.detectors.forEach(key => {
+        if (!DETECTORS[key]) {
+            throw new Error(`Unknown detector "${key}" (expected one of: ${Object.keys(DETECTORS).join(', ')})`);
+        }
+    });
+    if (!(options.hopMs > 0)) {
+        throw new Error('--hop-ms must be a positive number');
+    }
+
+    return options;
+}
+
+function createTally() {
+    return {
+        truthVoiced: 0,
+        truthUnvoiced: 0,
+        detectedVoiced: 0,
+        grossErrors: 0,
+        octaveErrors: 0,
+        falseAlarms: 0,
+        fineCentsSum: 0,
+        fineFrames: 0,
+        onsetLatencySum: 0,
+        onsets: 0,
+        missedOnsets: 0,
+        cpuMsSum: 0,
+        frames: 0
+    };
+}
+
+function mergeTally(target, source) {
+    Object.keys(target).forEach(key => {
+        target[key] += source[key];
+    });
+    return target;
+}
+
+function summarize(tally) {
+    const percent = (count, total) => (total > 0 ? (100 * count) / total : null);
+    return {
+        grossPitchError: percent(tally.grossErrors, tally.detectedVoiced),
+        octaveErrorRate: percent(tally.octaveErrors, tally.detectedVoiced),
+        meanCentsError: tally.fineFrames > 0 ? tally.fineCentsSum / tally.fineFrames : null,
+        voicingRecall: percent(tally.detectedVoiced, tally.truthVoiced),
+        falseAlarmRate: percent(tally.falseAlarms, tally.truthUnvoiced),
+        onsetLatencyMs: tally.onsets > 0 ? tally.onsetLatencySum / tally.onsets : null,
+        missedOnsets: tally.missedOnsets,
+        cpuMsPerFrame: tally.frames > 0 ? tally.cpuMsSum / tally.frames : null,
+        frames: tally.frames
+    };
+}
+
+/**
+ * Run one detector over one signal
+ * @returns {Promise<Object>} Tally of frame outcomes
+ */
+async function runSignal(detectorKey, signal, options) {
+    const analyser = new SimulatedAnalyser(signal.sampleRate);
+    const detector = await loadDetector(detectorKey, analyser, { verbose: options.verbose });
+    const tally = createTally();
+
+    const sampleRate = signal.sampleRate;
+    const windowSize = analyser.fftSize;
+    const hop = Math.max(1, Math.round((options.hopMs / 1000) * sampleRate));
+    let onsetFound = false;
+
+    for (let end = hop; end <= signal.samples.length; end += hop) {
+        analyser.setFrame(signal.samples.subarray(Math.max(0, end - windowSize), end));
+
+        const started = performance.now();
+        const pitch = detector.detectPitch();
+        tally.cpuMsSum += performance.now() - started;
+        tally.frames++;
+
+        const endTime = end / sampleRate;
+        const startTime = Math.max(0, end - windowSize) / sampleRate;
+        const truth = signal.truthAt((startTime + endTime) / 2);
+        const estimate = pitch && pitch.frequency > 0 ? pitch.frequency : null;
+
+        // Onset latency: first frame within tolerance after the note starts
+        if (!onsetFound && signal.onsetTime !== null && endTime > signal.onsetTime &&
+            truth > 0 && estimate && Math.abs(1200 * Math.log2(estimate / truth)) <= GROSS_ERROR_CENTS) {
+            onsetFound = true;
+            tally.onsets++;
+            tally.onsetLatencySum += (endTime - signal.onsetTime) * 1000;
+        }
+
+        // Skip frames where the window is part voiced, part unvoiced
+        const voicedAtStart = signal.truthAt(startTime) > 0;
+        const voicedAtEnd = signal.truthAt(endTime - 1 / sampleRate) > 0;
+        if (voicedAtStart !== voicedAtEnd) {
+            continue;
+        }
+
+        if (truth <= 0) {
+            tally.truthUnvoiced++;
+            if (estimate) tally.falseAlarms++;
+            continue;
+        }
+
+        tally.truthVoiced++;
+        if (!estimate) continue;
+
+        tally.detectedVoiced++;
+        const cents = 1200 * Math.log2(estimate / truth);
+        if (Math.abs(cents) > GROSS_ERROR_CENTS) {
+            tally.grossErrors++;
+            const octaves = Math.round(cents / 1200);
+            if (octaves !== 0 && Math.abs(cents - octaves * 1200) <= GROSS_ERROR_CENTS) {
+                tally.octaveErrors++;
+            }
+        } else {
+            tally.fineCentsSum += Math.abs(cents);
+            tally.fineFrames++;
+        }
+    }
+
+    if (!onsetFound && signal.onsetTime !== null && signal.truthAt(signal.onsetTime + 0.1) > 0) {
+        tally.missedOnsets++;
+    }
+
+    if (typeof detector.stop === 'function') {
+        detector.stop();
+    }
+
+    return tally;
+}
+
+function formatNumber(value, digits, suffix = '') {
+    return value === null ? '-' : value.toFixed(digits) + suffix;
+}
+
+function printTable(title, rows) {
+    const headers = ['Detector', 'GPE', 'Octave', 'Cents', 'Recall', 'FalseAlm', 'Onset', 'CPU', 'Frames'];
+    const lines = rows.map(({ label, summary: s }) => [
+        label,
+        formatNumber(s.grossPitchError, 1, '%'),
+        formatNumber(s.octaveErrorRate, 1, '%'),
+        formatNumber(s.meanCentsError, 1, '¢'),
+        formatNumber(s.voicingRecall, 1, '%'),
+        formatNumber(s.falseAlarmRate, 1, '%'),
+        formatNumber(s.onsetLatencyMs, 0, 'ms') + (s.missedOnsets > 0 ? ` (${s.missedOnsets} missed)` : ''),
+        formatNumber(s.cpuMsPerFrame, 2, 'ms'),
+        String(s.frames)
+    ]);
+
+    const widths = headers.map((header, column) =>
+        Math.max(header.length, ...lines.map(line => line[column].length)));
+    const format = (cells) => cells.map((cell, column) =>
+        (column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column]))).join('  ');
+
+    console.log(`\n${title}`);
+    console.log(format(headers));
+    console.log(widths.map(width => '-'.repeat(width)).join('  '));
+    lines.forEach(line => console.log(format(line)));
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        const header = fs.readFileSync(__filename, 'utf8').match(/\/\*\*([\s\S]*?)\*\//)[1];
+        console.log(header.replace(/^ \* ?/gm, '').trim());
+        return;
+    }
+
+    const signals = [];
+    if (options.synthetic) {
+        signals.push(...generateSyntheticCorpus(options.sampleRate));
+    }
+    if (options.wavInputs.length > 0) {
+        signals.push(...loadWavCorpus(options.wavInputs));
+    }
+    if (signals.length === 0) {
+        throw new Error('Nothing to benchmark (no synthetic signals and no usable WAV files)');
+    }
+
+    console.log(`Benchmarking ${options.detectors.length} detectors on ${signals.length} signals ` +
+        `(polling every ${options.hopMs}ms)`);
+
+    // results[detector][signal name] = tally
+    const results = {};
+    for (const key of options.detectors) {
+        results[key] = {};
+        for (const signal of signals) {
+            results[key][signal.name] = await runSignal(key, signal, options);
+        }
+        process.stdout.write(`  ${DETECTORS[key].name} done\n`);
+    }
+
+    const categories = CATEGORY_ORDER.filter(category => signals.some(s => s.category === category));
+    const report = { options: { hopMs: options.hopMs, detectors: options.detectors }, categories: {}, signals: {} };
+
+    categories.forEach(category => {
+        const categorySignals = signals.filter(s => s.category === category);
+        const rows = options.detectors.map(key => {
+            const tally = categorySignals.reduce(
+                (total, signal) => mergeTally(total, results[key][signal.name]), createTally());
+            return { key, label: DETECTORS[key].name, summary: summarize(tally) };
+        });
+
+        printTable(`${category} (${categorySignals.length} signals)`, rows);
+        report.categories[category] = Object.fromEntries(rows.map(row => [row.key, row.summary]));
+
+        if (options.perSignal) {
+            categorySignals.forEach(signal => {
+                const signalRows = options.detectors.map(key => ({
+                    key, label: DETECTORS[key].name, summary: summarize(results[key][signal.name])
+                }));
+                printTable(`  ${signal.name}`, signalRows);
+            });
+        }
+    });
+
+    signals.forEach(signal => {
+        report.signals[signal.name] = {
+            category: signal.category,
+            detectors: Object.fromEntries(options.detectors.map(key => [key, summarize(results[key][signal.name])]))
+        };
+    });
+
+    const overallRows = options.detectors.map(key => {
+        const tally = signals.reduce((total, signal) => mergeTally(total, results[key][signal.name]), createTally());
+        return { key, label: DETECTORS[key].name, summary: summarize(tally) };
+    });
+    printTable(`overall (${signals.length} signals)`, overallRows);
+    report.overall = Object.fromEntries(overallRows.map(row => [row.key, row.summary]));
+
+    if (options.json) {
+        fs.writeFileSync(options.json, JSON.stringify(report, null, 2));
+        console.log(`\nWrote ${options.json}`);
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
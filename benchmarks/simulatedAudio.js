@@ -0,0 +1,279 @@
+/**
+ * Simulated Audio
+ *
+ * Lets the browser pitch detectors run in Node without Web Audio. Each
+ * detector file is loaded into its own `vm` context (v1 and v2 both declare
+ * `class PitchDetector`), with a fake `window.audioManager` whose analyser
+ * returns whatever frame the benchmark is currently feeding it.
+ *
+ * SimulatedAnalyser mirrors the AnalyserNode settings AudioManager uses
+ * (fftSize 4096, smoothingTimeConstant 0). Frequency data follows the Web
+ * Audio spec: Blackman window, magnitude / fftSize, then decibels.
+ *
+ * Usage:
+ *   const analyser = new SimulatedAnalyser(48000);
+ *   const detector = await loadDetector('pitchy', analyser);
+ *   analyser.setFrame(samples);          // last fftSize samples
+ *   const pitch = detector.detectPitch();
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const REPO_ROOT = path.resolve(__dirname, '..');
+
+class SimulatedAnalyser {
+    constructor(sampleRate, fftSize = 4096) {
+        this.sampleRate = sampleRate;
+        this.fftSize = fftSize;
+        this.frequencyBinCount = fftSize / 2;
+        this.smoothingTimeConstant = 0;
+
+        this.timeData = new Float32Array(fftSize);
+        this.frequencyData = new Float32Array(fftSize / 2);
+        this.frequencyDataStale = true;
+
+        // Blackman window, as used by AnalyserNode
+        this.window = new Float32Array(fftSize);
+        for (let i = 0; i < fftSize; i++) {
+            const x = (2 * Math.PI * i) / fftSize;
+            this.window[i] = 0.42 - 0.5 * Math.cos(x) + 0.08 * Math.cos(2 * x);
+        }
+
+        this.fftReal = new Float64Array(fftSize);
+        this.fftImag = new Float64Array(fftSize);
+    }
+
+    /**
+     * Set the samples the analyser will report. Shorter frames are
+     * right-aligned after zeros, like an analyser that has just started.
+     */
+    setFrame(samples) {
+        this.timeData.fill(0);
+        const count = Math.min(samples.length, this.fftSize);
+        this.timeData.set(samples.subarray(samples.length - count), this.fftSize - count);
+        this.frequencyDataStale = true;
+    }
+
+    getFloatTimeDomainData(buffer) {
+        buffer.set(this.timeData.subarray(0, buffer.length));
+    }
+
+    getFloatFrequencyData(buffer) {
+        if (this.frequencyDataStale) {
+            this.computeFrequencyData();
+        }
+        buffer.set(this.frequencyData.subarray(0, buffer.length));
+    }
+
+    // Spectrum is only computed for detectors that ask for it
+    computeFrequencyData() {
+        const n = this.fftSize;
+        const real = this.fftReal;
+        const imag = this.fftImag;
+
+        for (let i = 0; i < n; i++) {
+            real[i] = this.timeData[i] * this.window[i];
+            imag[i] = 0;
+        }
+
+        fft(real, imag);
+
+        for (let k = 0; k < n / 2; k++) {
+            const magnitude = Math.sqrt(real[k] * real[k] + imag[k] * imag[k]) / n;
+            this.frequencyData[k] = 20 * Math.log10(magnitude);
+        }
+
+        this.frequencyDataStale = false;
+    }
+
+    // Unused AudioNode surface some detectors touch
+    connect() {}
+    disconnect() {}
+}
+
+// In-place iterative radix-2 FFT
+function fft(real, imag) {
+    const n = real.length;
+
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) {
+            j ^= bit;
+        }
+        j ^= bit;
+        if (i < j) {
+            let temp = real[i]; real[i] = real[j]; real[j] = temp;
+            temp = imag[i]; imag[i] = imag[j]; imag[j] = temp;
+        }
+    }
+
+    for (let size = 2; size <= n; size *= 2) {
+        const half = size / 2;
+        const angle = (-2 * Math.PI) / size;
+        for (let start = 0; start < n; start += size) {
+            for (let k = 0; k < half; k++) {
+                const cos = Math.cos(angle * k);
+                const sin = Math.sin(angle * k);
+                const a = start + k;
+                const b = a + half;
+                const tre = real[b] * cos - imag[b] * sin;
+                const tim = real[b] * sin + imag[b] * cos;
+                real[b] = real[a] - tre;
+                imag[b] = imag[a] - tim;
+                real[a] += tre;
+                imag[a] += tim;
+            }
+        }
+    }
+}
+
+/**
+ * Stand-in for AudioManager with just what the detectors call
+ */
+function createAudioManager(analyser) {
+    const audioContext = { sampleRate: analyser.sampleRate, currentTime: 0 };
+    let gain = 1.0;
+
+    return {
+        isInitialized: true,
+        async initialize() { return true; },
+        getAnalyser: () => analyser,
+        getAudioContext: () => audioContext,
+        getInputNode: () => analyser,
+        setGain: (value) => { gain = value; },
+        getGain: () => gain
+    };
+}
+
+/**
+ * Stand-in for WebAudioService, for core/audio/PitchDetectionEngine
+ */
+function createAudioService(analyser) {
+    return {
+        isInitialized: () => true,
+        getSampleRate: () => analyser.sampleRate,
+        getFFTSize: () => analyser.fftSize,
+        getAnalyser: () => analyser,
+        getTimeDomainData: (buffer) => analyser.getFloatTimeDomainData(buffer),
+        getFrequencyData: (buffer) => analyser.getFloatFrequencyData(buffer)
+    };
+}
+
+/**
+ * Run browser scripts in a fresh context and return the named global
+ */
+function loadBrowserClass(files, className, options = {}) {
+    const quietConsole = {
+        log() {}, info() {}, debug() {},
+        warn: options.verbose ? console.warn : () => {},
+        error: options.verbose ? console.error : () => {}
+    };
+
+    const sandbox = {
+        console: options.verbose ? console : quietConsole,
+        performance: { now: () => performance.now() },
+        setTimeout, clearTimeout
+    };
+    sandbox.window = sandbox;
+    sandbox.globalThis = sandbox;
+    Object.assign(sandbox, options.globals || {});
+
+    const context = vm.createContext(sandbox);
+    files.forEach(file => {
+        const filePath = path.join(REPO_ROOT, file);
+        vm.runInContext(fs.readFileSync(filePath, 'utf8'), context, { filename: filePath });
+    });
+
+    return { Class: vm.runInContext(className, context), context: sandbox };
+}
+
+/**
+ * Detectors under test. `create` receives the analyser and returns an
+ * object with detectPitch(); each signal gets a fresh instance so
+ * smoothing state doesn't leak between signals.
+ */
+const DETECTORS = {
+    v1: {
+        name: 'PitchDetector v1',
+        files: ['lib/noteUtils.js', 'pitchDetector.js'],
+        className: 'PitchDetector',
+        async create(Class, analyser) {
+            // v1 owns its microphone and analyser, so wire them in directly
+            const detector = new Class();
+            detector.analyser = analyser;
+            detector.audioContext = { sampleRate: analyser.sampleRate, close: async () => {} };
+            detector.buffer = new Float32Array(analyser.fftSize);
+            detector.isListening = true;
+            return detector;
+        }
+    },
+    v2: {
+        name: 'PitchDetector v2 (custom)',
+        files: ['lib/noteUtils.js', 'lib/noiseFloor.js', 'pitchDetector.v2.js'],
+        className: 'PitchDetector',
+        async create(Class, analyser) {
+            const detector = new Class();
+            await detector.initializeWithSharedAudio();
+            return detector;
+        }
+    },
+    pitchy: {
+        name: 'Pitchy',
+        files: ['lib/noteUtils.js', 'lib/noiseFloor.js', 'pitchy.bundle.js', 'pitchDetector.pitchy.js'],
+        className: 'PitchDetectorPitchy',
+        async create(Class, analyser) {
+            const detector = new Class();
+            await detector.initializeWithSharedAudio();
+            return detector;
+        }
+    },
+    yin: {
+        name: 'Probabilistic YIN',
+        files: ['lib/noteUtils.js', 'lib/noiseFloor.js', 'lib/yinAnalyzer.js', 'pitchDetector.yin.js'],
+        className: 'PitchDetectorYin',
+        async create(Class, analyser) {
+            const detector = new Class();
+            await detector.initializeWithSharedAudio();
+            return detector;
+        }
+    },
+    engine: {
+        name: 'PitchDetectionEngine',
+        files: ['lib/noteUtils.js', 'core/audio/PitchDetectionEngine.js'],
+        className: 'PitchDetectionEngine',
+        async create(Class, analyser) {
+            const engine = new Class(createAudioService(analyser));
+            engine.start();
+            return engine;
+        }
+    }
+};
+
+/**
+ * Load a detector by key and bind it to the analyser
+ * @param {string} key - One of Object.keys(DETECTORS)
+ * @param {SimulatedAnalyser} analyser
+ * @param {Object} options - { verbose } to show detector console output
+ * @returns {Promise<Object>} Object with detectPitch()
+ */
+async function loadDetector(key, analyser, options = {}) {
+    const spec = DETECTORS[key];
+    if (!spec) {
+        throw new Error(`Unknown detector "${key}" (expected one of: ${Object.keys(DETECTORS).join(', ')})`);
+    }
+
+    const { Class } = loadBrowserClass(spec.files, spec.className, {
+        verbose: options.verbose,
+        globals: { audioManager: createAudioManager(analyser) }
+    });
+
+    return spec.create(Class, analyser);
+}
+
+module.exports = {
+    SimulatedAnalyser,
+    DETECTORS,
+    loadDetector
+};
@@ -0,0 +1,321 @@
+/**
+ * Synthetic Corpus
+ *
+ * Generated test signals with exact ground truth, covering the cases that
+ * trip up pitch detectors on real voices:
+ *   - clean: sung vowels across the vocal range (baseline)
+ *   - vibrato: 5.5Hz vibrato at 50 and 100 cents depth
+ *   - breathy: vowels mixed with noise at 20, 10 and 0 dB SNR, plus noise alone
+ *   - octave: missing fundamental, weak fundamental, dominant even harmonics
+ *   - bass: low notes from C2 to A2 (below some detectors' search range)
+ *
+ * Vowels are a glottal source shaped by the vowel's formants (harmonic
+ * amplitude = source rolloff x vocal tract gain), so the fundamental is
+ * present at a realistic level; only the 'octave' signals weaken it.
+ *
+ * Voices get a little random jitter and shimmer, as real voices do; a
+ * perfectly periodic tone matches itself equally well at every multiple of
+ * its period, which no microphone ever delivers. Ground truth is the
+ * smooth f0 contour without the jitter. Every signal starts with a short
+ * near-silent lead-in so onset latency can be measured. Noise is seeded,
+ * so runs are repeatable.
+ *
+ * Each signal is:
+ *   { name, category, sampleRate, samples: Float32Array,
+ *     truthAt(timeSeconds) -> frequency in Hz, or 0 when unvoiced,
+ *     onsetTime }
+ */
+
+const LEAD_IN_SECONDS = 0.3;
+const TONE_SECONDS = 1.5;
+
+// Vowel formants (Hz) used to shape the harmonic amplitudes
+const VOWELS = {
+    a: [800, 1150, 2900],
+    i: [270, 2300, 3000],
+    u: [325, 700, 2530]
+};
+
+// Deterministic PRNG (mulberry32) so noise is the same on every run
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Gaussian noise via Box-Muller
+function createGaussian(seed) {
+    const random = createRandom(seed);
+    return () => {
+        const u = Math.max(random(), 1e-12);
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+    };
+}
+
+/**
+ * Amplitude of harmonic k at the glottis, as heard outside the lips: the
+ * source rolls off at about -12 dB/octave and lip radiation adds +6
+ */
+function sourceGain(k) {
+    return 1 / k;
+}
+
+/**
+ * Gain of a vowel's vocal tract at `frequency`: a cascade of formant
+ * resonators, 1 at 0Hz, peaking at each formant and falling above them
+ */
+function vocalTractGain(frequency, formants) {
+    let gain = 1;
+    formants.forEach((formant) => {
+        const bandwidth = 80 + formant * 0.1;
+        const detuning = formant * formant - frequency * frequency;
+        gain *= (formant * formant) / Math.sqrt(detuning * detuning + Math.pow(bandwidth * frequency, 2));
+    });
+    return gain;
+}
+
+/**
+ * Render a harmonic tone following an f0 contour
+ * @param {Object} options
+ *   f0(t)          - fundamental in Hz at time t (seconds from tone start)
+ *   harmonicGain(k, frequency) - amplitude of harmonic k (1 = fundamental)
+ *   sampleRate, seconds, amplitude, seed
+ */
+function renderTone(options) {
+    const { sampleRate, seconds, f0, harmonicGain } = options;
+    const amplitude = options.amplitude || 0.3;
+    const jitterNoise = createGaussian(options.seed);
+    const shimmerNoise = createGaussian(options.seed + 7);
+    const length = Math.round(seconds * sampleRate);
+    const samples = new Float32Array(length);
+    const phases = new Float64Array(40);
+    const attack = Math.round(0.02 * sampleRate);
+    const release = Math.round(0.02 * sampleRate);
+
+    // Low-passed noise: ~0.3% frequency jitter and ~3% amplitude shimmer
+    const smoothing = Math.exp((-2 * Math.PI * 60) / sampleRate);
+    const noiseScale = Math.sqrt(1 - smoothing * smoothing); // Unit variance
+    let jitter = 0;
+    let shimmer = 0;
+
+    let peak = 0;
+    for (let n = 0; n < length; n++) {
+        jitter = smoothing * jitter + noiseScale * jitterNoise();
+        shimmer = smoothing * shimmer + noiseScale * shimmerNoise();
+
+        const frequency = f0(n / sampleRate) * (1 + 0.003 * jitter);
+        let value = 0;
+
+        for (let k = 1; k <= phases.length; k++) {
+            const harmonicFrequency = frequency * k;
+            if (harmonicFrequency >= sampleRate / 2) break;
+
+            phases[k - 1] += (2 * Math.PI * harmonicFrequency) / sampleRate;
+            const gain = harmonicGain(k, harmonicFrequency);
+            if (gain > 0) {
+                value += gain * Math.sin(phases[k - 1]);
+            }
+        }
+
+        // Short fades so the onset isn't a click
+        const envelope = Math.min(1, n / attack, (length - n) / release);
+        samples[n] = value * envelope * (1 + 0.03 * shimmer);
+        peak = Math.max(peak, Math.abs(samples[n]));
+    }
+
+    const scale = peak > 0 ? amplitude / peak : 0;
+    for (let n = 0; n < length; n++) {
+        samples[n] *= scale;
+    }
+    return samples;
+}
+
+function rms(samples) {
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+        sum += samples[i] * samples[i];
+    }
+    return Math.sqrt(sum / samples.length);
+}
+
+/**
+ * Mix white noise into samples at the given SNR (dB). Pass -Infinity
+ * with a reference level to produce noise alone.
+ */
+function addNoise(samples, snrDb, seed, referenceRms = null) {
+    const gaussian = createGaussian(seed);
+    const signalRms = referenceRms || rms(samples);
+    const noiseRms = signalRms / Math.pow(10, snrDb / 20);
+
+    // One-pole low-pass so the noise sounds like breath rather than hiss
+    let previous = 0;
+    const noise = new Float32Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        previous = 0.7 * previous + 0.3 * gaussian();
+        noise[i] = previous;
+    }
+
+    const scale = noiseRms / (rms(noise) || 1);
+    const mixed = new Float32Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        mixed[i] = (snrDb === -Infinity ? 0 : samples[i]) + noise[i] * scale;
+    }
+    return mixed;
+}
+
+/**
+ * Prepend a near-silent lead-in (-70 dB noise floor, like a quiet room)
+ */
+function withLeadIn(samples, sampleRate, seed) {
+    const leadIn = Math.round(LEAD_IN_SECONDS * sampleRate);
+    const gaussian = createGaussian(seed);
+    const output = new Float32Array(leadIn + samples.length);
+
+    for (let i = 0; i < output.length; i++) {
+        output[i] = gaussian() * 0.0003;
+    }
+    for (let i = 0; i < samples.length; i++) {
+        output[leadIn + i] += samples[i];
+    }
+    return output;
+}
+
+function noteFrequency(midi) {
+    return 440 * Math.pow(2, (midi - 69) / 12);
+}
+
+/**
+ * Build one signal record from a tone description
+ */
+function makeSignal(spec, sampleRate, seed) {
+    let tone = renderTone({
+        sampleRate,
+        seconds: TONE_SECONDS,
+        f0: spec.f0,
+        harmonicGain: spec.harmonicGain,
+        amplitude: spec.amplitude,
+        seed: seed + 2
+    });
+
+    if (spec.snrDb !== undefined) {
+        tone = addNoise(tone, spec.snrDb, seed + 1, spec.noiseReferenceRms);
+    }
+
+    const voiced = spec.voiced !== false;
+    return {
+        name: spec.name,
+        category: spec.category,
+        sampleRate,
+        samples: withLeadIn(tone, sampleRate, seed),
+        onsetTime: LEAD_IN_SECONDS,
+        truthAt(time) {
+            const toneTime = time - LEAD_IN_SECONDS;
+            if (!voiced || toneTime < 0 || toneTime >= TONE_SECONDS) {
+                return 0;
+            }
+            return spec.f0(toneTime);
+        }
+    };
+}
+
+function vowelGain(vowel) {
+    const formants = VOWELS[vowel];
+    return (k, frequency) => sourceGain(k) * vocalTractGain(frequency, formants);
+}
+
+function steady(frequency) {
+    return () => frequency;
+}
+
+/**
+ * Generate the full synthetic corpus
+ * @param {number} sampleRate - Sample rate in Hz (default 48000)
+ * @returns {Array<Object>} Signals (see file header)
+ */
+function generateSyntheticCorpus(sampleRate = 48000) {
+    const specs = [];
+
+    // Clean vowels from bass to soprano
+    [[48, 'a'], [57, 'u'], [64, 'a'], [69, 'i'], [76, 'a']].forEach(([midi, vowel]) => {
+        specs.push({
+            name: `clean ${vowel} ${noteFrequency(midi).toFixed(1)}Hz`,
+            category: 'clean',
+            f0: steady(noteFrequency(midi)),
+            harmonicGain: vowelGain(vowel)
+        });
+    });
+
+    // Vibrato: 5.5Hz, 50 and 100 cents peak deviation
+    [[57, 50], [64, 100], [72, 50]].forEach(([midi, depthCents]) => {
+        const center = noteFrequency(midi);
+        specs.push({
+            name: `vibrato ±${depthCents}¢ ${center.toFixed(1)}Hz`,
+            category: 'vibrato',
+            f0: (t) => center * Math.pow(2, (depthCents / 1200) * Math.sin(2 * Math.PI * 5.5 * t)),
+            harmonicGain: vowelGain('a')
+        });
+    });
+
+    // Breathy voice at decreasing SNR, then breath noise with no pitch at all
+    [20, 10, 0].forEach((snrDb) => {
+        specs.push({
+            name: `breathy ${snrDb}dB SNR 220.0Hz`,
+            category: 'breathy',
+            f0: steady(220),
+            harmonicGain: vowelGain('a'),
+            snrDb: snrDb
+        });
+    });
+    specs.push({
+        name: 'breath noise only',
+        category: 'breathy',
+        f0: steady(220),
+        harmonicGain: () => 0,
+        snrDb: -Infinity,
+        noiseReferenceRms: 0.1,
+        voiced: false
+    });
+
+    // Octave-ambiguous tones
+    specs.push({
+        name: 'missing fundamental 196.0Hz',
+        category: 'octave',
+        f0: steady(196),
+        harmonicGain: (k) => (k === 1 ? 0 : 1 / k)
+    });
+    specs.push({
+        name: 'weak fundamental 146.8Hz',
+        category: 'octave',
+        f0: steady(noteFrequency(50)),
+        harmonicGain: (k) => (k === 1 ? 0.05 : k === 2 ? 1 : 0.5 / k)
+    });
+    specs.push({
+        name: 'dominant even harmonics 261.6Hz',
+        category: 'octave',
+        f0: steady(noteFrequency(60)),
+        harmonicGain: (k) => (k % 2 === 0 ? 1 / k : 0.1 / k)
+    });
+
+    // Low bass notes
+    [[36, 'C2'], [40, 'E2'], [43, 'G2'], [45, 'A2']].forEach(([midi, label]) => {
+        specs.push({
+            name: `bass ${label} ${noteFrequency(midi).toFixed(1)}Hz`,
+            category: 'bass',
+            f0: steady(noteFrequency(midi)),
+            harmonicGain: vowelGain('u')
+        });
+    });
+
+    return specs.map((spec, index) => makeSignal(spec, sampleRate, 1000 + index * 17));
+}
+
+module.exports = {
+    generateSyntheticCorpus,
+    LEAD_IN_SECONDS,
+    TONE_SECONDS
+};
@@ -0,0 +1,236 @@
+/**
+ * WAV Corpus
+ *
+ * Loads recorded voice files for the benchmark. Reads PCM (16/24/32-bit)
+ * and 32-bit float WAV, mixed down to mono at the file's own sample rate.
+ *
+ * Ground truth comes from, in order of preference:
+ *   1. A sidecar `<name>.f0.csv` next to the WAV with `time,frequency` rows
+ *      (seconds, Hz; 0 or empty for unvoiced). Exports from Sonic
+ *      Visualiser's pYIN plugin work once saved as CSV.
+ *   2. A steady frequency in the file name, e.g. `alto_A3_220Hz.wav`
+ *      (the whole file counts as voiced after the first 50ms of sound)
+ * Files with neither are skipped with a warning.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Decode a WAV file into mono samples
+ * @param {Buffer} data - File contents
+ * @returns {{sampleRate: number, samples: Float32Array}}
+ */
+function decodeWav(data) {
+    if (data.toString('ascii', 0, 4) !== 'RIFF' || data.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new Error('Not a RIFF/WAVE file');
+    }
+
+    let format = null;
+    let offset = 12;
+
+    while (offset + 8 <= data.length) {
+        const chunkId = data.toString('ascii', offset, offset + 4);
+        const chunkSize = data.readUInt32LE(offset + 4);
+        const body = offset + 8;
+
+        if (chunkId === 'fmt ') {
+            let audioFormat = data.readUInt16LE(body);
+            if (audioFormat === 0xFFFE) {
+                // WAVE_FORMAT_EXTENSIBLE: the real format is the first two bytes of the sub-format GUID
+                audioFormat = data.readUInt16LE(body + 24);
+            }
+            format = {
+                audioFormat,
+                channels: data.readUInt16LE(body + 2),
+                sampleRate: data.readUInt32LE(body + 4),
+                bitsPerSample: data.readUInt16LE(body + 14)
+            };
+        } else if (chunkId === 'data') {
+            if (!format) {
+                throw new Error('WAV data chunk before fmt chunk');
+            }
+            const end = Math.min(body + chunkSize, data.length);
+            return {
+                sampleRate: format.sampleRate,
+                samples: decodeSamples(data, body, end, format)
+            };
+        }
+
+        // Chunks are padded to an even size
+        offset = body + chunkSize + (chunkSize % 2);
+    }
+
+    throw new Error('WAV file has no data chunk');
+}
+
+function decodeSamples(data, start, end, format) {
+    const { audioFormat, channels, bitsPerSample } = format;
+    const bytesPerSample = bitsPerSample / 8;
+    const frameCount = Math.floor((end - start) / (bytesPerSample * channels));
+    const samples = new Float32Array(frameCount);
+
+    let read;
+    if (audioFormat === 3 && bitsPerSample === 32) {
+        read = (pos) => data.readFloatLE(pos);
+    } else if (audioFormat === 1 && bitsPerSample === 16) {
+        read = (pos) => data.readInt16LE(pos) / 32768;
+    } else if (audioFormat === 1 && bitsPerSample === 24) {
+        read = (pos) => data.readIntLE(pos, 3) / 8388608;
+    } else if (audioFormat === 1 && bitsPerSample === 32) {
+        read = (pos) => data.readInt32LE(pos) / 2147483648;
+    } else {
+        throw new Error(`Unsupported WAV format ${audioFormat} at ${bitsPerSample} bits`);
+    }
+
+    for (let i = 0; i < frameCount; i++) {
+        let sum = 0;
+        for (let c = 0; c < channels; c++) {
+            sum += read(start + (i * channels + c) * bytesPerSample);
+        }
+        samples[i] = sum / channels;
+    }
+
+    return samples;
+}
+
+/**
+ * Parse a `time,frequency` CSV into sorted points. Lines that don't start
+ * with a number (headers, comments) are ignored.
+ */
+function parseF0Csv(text) {
+    const points = [];
+    text.split(/\r?\n/).forEach(line => {
+        const [time, frequency] = line.split(/[,;\t ]+/).map(parseFloat);
+        if (isFinite(time)) {
+            points.push({ time, frequency: isFinite(frequency) && frequency > 0 ? frequency : 0 });
+        }
+    });
+    return points.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Ground truth from annotated points: linear interpolation between voiced
+ * neighbours, unvoiced if either neighbour is unvoiced
+ */
+function truthFromPoints(points) {
+    return (time) => {
+        if (points.length === 0 || time < points[0].time || time > points[points.length - 1].time) {
+            return 0;
+        }
+
+        let low = 0;
+        let high = points.length - 1;
+        while (high - low > 1) {
+            const mid = (low + high) >> 1;
+            if (points[mid].time <= time) low = mid; else high = mid;
+        }
+
+        const a = points[low];
+        const b = points[high];
+        if (!a.frequency || !b.frequency) {
+            return time - a.time < b.time - time ? a.frequency : b.frequency;
+        }
+        if (b.time === a.time) {
+            return a.frequency;
+        }
+        return a.frequency + (b.frequency - a.frequency) * ((time - a.time) / (b.time - a.time));
+    };
+}
+
+/**
+ * First time the signal rises above a -40 dB (0.01 RMS) 10ms window
+ */
+function findOnset(samples, sampleRate) {
+    const windowSize = Math.round(0.01 * sampleRate);
+    for (let start = 0; start + windowSize <= samples.length; start += windowSize) {
+        let sum = 0;
+        for (let i = start; i < start + windowSize; i++) {
+            sum += samples[i] * samples[i];
+        }
+        if (Math.sqrt(sum / windowSize) > 0.01) {
+            return start / sampleRate;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Load one WAV file as a benchmark signal
+ * @returns {Object|null} Signal (see syntheticCorpus.js), or null without ground truth
+ */
+function loadWavSignal(filePath) {
+    const { sampleRate, samples } = decodeWav(fs.readFileSync(filePath));
+    const base = filePath.replace(/\.wav$/i, '');
+    const name = path.basename(filePath);
+    const csvPath = `${base}.f0.csv`;
+
+    if (fs.existsSync(csvPath)) {
+        const points = parseF0Csv(fs.readFileSync(csvPath, 'utf8'));
+        const firstVoiced = points.find(p => p.frequency > 0);
+        return {
+            name,
+            category: 'recorded',
+            sampleRate,
+            samples,
+            onsetTime: firstVoiced ? firstVoiced.time : null,
+            truthAt: truthFromPoints(points)
+        };
+    }
+
+    const match = name.match(/(\d+(?:\.\d+)?)\s*hz/i);
+    if (match) {
+        const frequency = parseFloat(match[1]);
+        const onsetTime = findOnset(samples, sampleRate);
+        const duration = samples.length / sampleRate;
+        return {
+            name,
+            category: 'recorded',
+            sampleRate,
+            samples,
+            onsetTime,
+            truthAt: (time) => (time >= onsetTime + 0.05 && time <= duration ? frequency : 0)
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Load WAV files from a list of files and/or directories (not recursive)
+ * @param {Array<string>} inputs - Paths to .wav files or directories containing them
+ * @returns {Array<Object>} Signals with ground truth
+ */
+function loadWavCorpus(inputs) {
+    const files = [];
+    inputs.forEach(input => {
+        if (fs.statSync(input).isDirectory()) {
+            fs.readdirSync(input)
+                .filter(file => /\.wav$/i.test(file))
+                .sort()
+                .forEach(file => files.push(path.join(input, file)));
+        } else {
+            files.push(input);
+        }
+    });
+
+    const signals = [];
+    files.forEach(file => {
+        try {
+            const signal = loadWavSignal(file);
+            if (signal) {
+                signals.push(signal);
+            } else {
+                console.warn(`Skipping ${file}: no ${path.basename(file, '.wav')}.f0.csv and no "<freq>Hz" in the name`);
+            }
+        } catch (error) {
+            console.warn(`Skipping ${file}: ${error.message}`);
+        }
+    });
+    return signals;
+}
+
+module.exports = {
+    decodeWav,
+    loadWavCorpus
+};
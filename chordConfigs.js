@@ -0,0 +1,109 @@
+/**
+ * Chord Configuration Data
+ *
+ * Triads used by the chord exercises (chordQualityExercise.js and
+ * chordToneExercise.js), in root position.
+ *
+ * Properties:
+ * - chordType: Unique identifier (e.g., 'major', 'sus4')
+ * - chordName: Display name (e.g., 'Major')
+ * - symbol: Suffix after the root in chord symbols (e.g., 'm' for C minor = Cm)
+ * - semitones: Each chord tone above the root
+ * - toneNames: Name of each chord tone, in the same order
+ * - description: Brief description of the chord's sound
+ *
+ * Chord results are tracked in TrainingData like intervals, under
+ * getChordTrainingType(chordType) so they never mix with interval progress.
+ */
+
+const CHORD_CONFIGS = Object.freeze({
+    major: {
+        chordType: 'major',
+        chordName: 'Major',
+        symbol: '',
+        semitones: [0, 4, 7],
+        toneNames: ['root', 'third', 'fifth'],
+        description: 'bright and settled'
+    },
+
+    minor: {
+        chordType: 'minor',
+        chordName: 'Minor',
+        symbol: 'm',
+        semitones: [0, 3, 7],
+        toneNames: ['root', 'third', 'fifth'],
+        description: 'dark and settled'
+    },
+
+    diminished: {
+        chordType: 'diminished',
+        chordName: 'Diminished',
+        symbol: '°',
+        semitones: [0, 3, 6],
+        toneNames: ['root', 'third', 'fifth'],
+        description: 'tense and crowded, wants to move'
+    },
+
+    augmented: {
+        chordType: 'augmented',
+        chordName: 'Augmented',
+        symbol: '+',
+        semitones: [0, 4, 8],
+        toneNames: ['root', 'third', 'fifth'],
+        description: 'bright but unresolved, floating'
+    },
+
+    sus2: {
+        chordType: 'sus2',
+        chordName: 'Suspended 2nd',
+        symbol: 'sus2',
+        semitones: [0, 2, 7],
+        toneNames: ['root', 'second', 'fifth'],
+        description: 'open and hollow, neither major nor minor'
+    },
+
+    sus4: {
+        chordType: 'sus4',
+        chordName: 'Suspended 4th',
+        symbol: 'sus4',
+        semitones: [0, 5, 7],
+        toneNames: ['root', 'fourth', 'fifth'],
+        description: 'open with a pull back to major'
+    }
+});
+
+// Chord sets to practise, easiest first
+const CHORD_SETS = Object.freeze({
+    'major-minor': ['major', 'minor'],
+    'triads': ['major', 'minor', 'diminished', 'augmented'],
+    'all': ['major', 'minor', 'diminished', 'augmented', 'sus2', 'sus4']
+});
+
+// Helper function to get chord config by type
+function getChordConfig(chordType) {
+    return CHORD_CONFIGS[chordType] || null;
+}
+
+// Key for a chord's attempts in TrainingData.data.exercises
+function getChordTrainingType(chordType) {
+    return `chord-${chordType}`;
+}
+
+/**
+ * A root on the equal-tempered scale that keeps the whole chord in the
+ * user's vocal range (C3-C5 when none is set)
+ * @param {Object} chordConfig - From CHORD_CONFIGS
+ * @returns {number} Hz
+ */
+function pickChordRoot(chordConfig) {
+    const vocalRange = appSettings.getVocalRange();
+    const hasRange = vocalRange && vocalRange.low && vocalRange.high;
+    const low = hasRange ? vocalRange.low.frequency : NoteUtils.noteToFrequency('C3');
+    const high = hasRange ? vocalRange.high.frequency : NoteUtils.noteToFrequency('C5');
+    const top = Math.max(...chordConfig.semitones);
+
+    const lowMidi = Math.ceil(NoteUtils.frequencyToMidi(low));
+    const highMidi = Math.max(lowMidi, Math.floor(NoteUtils.frequencyToMidi(high)) - top);
+
+    return NoteUtils.midiToFrequency(lowMidi + Math.floor(Math.random() * (highMidi - lowMidi + 1)));
+}
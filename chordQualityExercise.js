@@ -0,0 +1,229 @@
+// Chord Quality Exercise - Hear a triad, name its quality
+// Plays a root-position triad (together, or one note at a time then
+// together) and asks whether it was major, minor, diminished, augmented or
+// suspended. Answers are recorded in TrainingData under the chord that was
+// played (see getChordTrainingType in chordConfigs.js)
+class ChordQualityExercise {
+    constructor() {
+        this.audioController = new MultiToneAudioController();
+        this.choices = []; // Chord configs offered as answers
+        this.question = null; // { config, rootFrequency, plays, answered }
+        this.playTimers = [];
+        this.correctCount = 0;
+        this.answeredCount = 0;
+
+        this.initializeElements();
+        this.attachEventListeners();
+    }
+
+    initializeElements() {
+        this.container = document.getElementById('chordQualityExercise');
+        this.setSelect = document.getElementById('chordQualitySet');
+        this.styleSelect = document.getElementById('chordQualityStyle');
+        this.promptDisplay = document.getElementById('chordQualityPrompt');
+        this.answersContainer = document.getElementById('chordQualityAnswers');
+        this.playBtn = document.getElementById('chordQualityPlayBtn');
+        this.nextBtn = document.getElementById('chordQualityNextBtn');
+        this.scoreDisplay = document.getElementById('chordQualityScore');
+        this.exitBtn = document.getElementById('exitChordQualityExercise');
+    }
+
+    attachEventListeners() {
+        this.exitBtn.addEventListener('click', () => this.exit());
+        this.playBtn.addEventListener('click', () => this.play());
+        this.nextBtn.addEventListener('click', () => this.newQuestion());
+
+        this.setSelect.addEventListener('change', () => {
+            this.choices = this.getChoices();
+            this.renderAnswers();
+            this.newQuestion();
+        });
+    }
+
+    getTrainingData() {
+        return window.trainingUI ? window.trainingUI.trainingData : null;
+    }
+
+    start() {
+        document.getElementById('appContainer').style.display = 'none';
+        this.container.style.display = 'block';
+
+        this.correctCount = 0;
+        this.answeredCount = 0;
+        this.choices = this.getChoices();
+        this.renderAnswers();
+        this.updateScore();
+        this.newQuestion();
+    }
+
+    getChoices() {
+        const types = CHORD_SETS[this.setSelect.value] || CHORD_SETS['major-minor'];
+        return types.map(type => getChordConfig(type));
+    }
+
+    renderAnswers() {
+        this.answersContainer.innerHTML = '';
+        this.choices.forEach(config => {
+            const button = document.createElement('button');
+            button.className = 'quiz-answer';
+            button.dataset.chordType = config.chordType;
+            button.textContent = config.chordName;
+            button.title = config.description;
+            button.addEventListener('click', () => this.answer(config));
+            this.answersContainer.appendChild(button);
+        });
+    }
+
+    newQuestion() {
+        const config = this.choices[Math.floor(Math.random() * this.choices.length)];
+        this.question = {
+            config,
+            rootFrequency: pickChordRoot(config),
+            plays: 0,
+            answered: false
+        };
+
+        this.answersContainer.querySelectorAll('.quiz-answer').forEach(button => {
+            button.disabled = false;
+            button.classList.remove('correct', 'wrong');
+        });
+        this.promptDisplay.textContent = 'Which chord?';
+        this.nextBtn.style.display = 'none';
+
+        this.play();
+    }
+
+    // Play (or replay) the current chord
+    play() {
+        const question = this.question;
+        if (!question) return;
+
+        this.stopPlayback();
+        question.plays++;
+
+        const { noteMs, chordMs } = ChordQualityExercise.CONFIG;
+        this.audioController.setChordFrequencies(question.rootFrequency, question.config.semitones);
+
+        if (this.styleSelect.value !== 'broken') {
+            this.audioController.playAll();
+            this.schedule(() => this.audioController.stopAll(), chordMs);
+            return;
+        }
+
+        // Each note in turn, held, then the full chord
+        const voiceCount = this.audioController.getVoiceCount();
+        for (let index = 0; index < voiceCount; index++) {
+            this.schedule(() => this.audioController.playVoice(index), index * noteMs);
+        }
+        this.schedule(() => this.audioController.stopAll(), voiceCount * noteMs + chordMs);
+    }
+
+    schedule(callback, delayMs) {
+        this.playTimers.push(setTimeout(callback, delayMs));
+    }
+
+    stopPlayback() {
+        this.playTimers.forEach(timer => clearTimeout(timer));
+        this.playTimers = [];
+        this.audioController.stopAll();
+    }
+
+    answer(config) {
+        const question = this.question;
+        if (!question || question.answered) return;
+
+        question.answered = true;
+        const played = question.config;
+        const correct = config.chordType === played.chordType;
+        const chordSymbol = `${NoteUtils.frequencyToNote(question.rootFrequency).replace(/-?\d+$/, '')}${played.symbol}`;
+
+        this.answeredCount++;
+        if (correct) {
+            this.correctCount++;
+            this.promptDisplay.textContent = `✓ ${played.chordName} (${chordSymbol})`;
+        } else {
+            this.promptDisplay.textContent = `✗ That was ${played.chordName} (${chordSymbol}), not ${config.chordName}`;
+        }
+
+        this.answersContainer.querySelectorAll('.quiz-answer').forEach(button => {
+            button.disabled = true;
+            button.classList.toggle('correct', button.dataset.chordType === played.chordType);
+            button.classList.toggle('wrong', !correct && button.dataset.chordType === config.chordType);
+        });
+
+        this.recordAnswer(question, config, correct);
+        this.updateScore();
+        this.nextBtn.style.display = '';
+    }
+
+    /**
+     * Record the answer against the chord that was played: easy if named on
+     * the first listen, medium after replays
+     */
+    recordAnswer(question, answered, correct) {
+        const trainingData = this.getTrainingData();
+        if (!trainingData) return;
+
+        let difficulty = 'failed';
+        if (correct) {
+            difficulty = question.plays === 1 ? 'easy' : 'medium';
+        }
+
+        const { range } = window.trainingUI.trainingSystem.detectDirectionAndRange(
+            question.rootFrequency,
+            question.rootFrequency
+        );
+
+        trainingData.recordAttempt(
+            getChordTrainingType(question.config.chordType),
+            difficulty,
+            'none',
+            range,
+            ChordQualityExercise.EXERCISE_INDEX,
+            1,
+            { answer: answered.chordType, plays: question.plays, style: this.styleSelect.value }
+        );
+    }
+
+    updateScore() {
+        this.scoreDisplay.textContent = `${this.correctCount} / ${this.answeredCount}`;
+    }
+
+    exit() {
+        this.stopPlayback();
+        this.question = null;
+        this.container.style.display = 'none';
+        document.getElementById('appContainer').style.display = 'block';
+
+        // Add fade-in
+        if (window.mainApp) {
+            window.mainApp.clearExerciseFromURL();
+            window.mainApp.addFadeIn(document.getElementById('appContainer'));
+        }
+    }
+}
+
+// exerciseIndex of chord quality attempts (chord tone singing is 1)
+ChordQualityExercise.EXERCISE_INDEX = 0;
+
+ChordQualityExercise.CONFIG = {
+    noteMs: 700,    // Each note of a broken chord
+    chordMs: 2000   // The full chord
+};
+
+// Initialize exercise
+window.chordQualityExercise = new ChordQualityExercise();
+
+// Listening only, but answered on screen, so not in car mode
+window.exerciseRegistry.register({
+    id: 'chordQuality',
+    name: 'Chord Quality',
+    container: 'chordQualityExercise',
+    category: 'chords',
+    usageModes: ['headphone-mic', 'speaker-mic'],
+    getInstance: () => window.chordQualityExercise,
+    menu: {
+        icon: '🎹',
+        description: 'Hear a chord and name it: major, minor, diminished, augmented or sus'
+    }
+});
@@ -0,0 +1,239 @@
+// Chord Tone Exercise - Sing the requested note of a sustained chord
+// Holds a root-position triad and asks for its root, third or fifth (the
+// second or fourth of a sus chord). The pitch detector grades the note with
+// StepPitchGrader: time to lock on, then accuracy and steadiness. Any octave
+// counts. Results are recorded in TrainingData under the chord (see
+// getChordTrainingType in chordConfigs.js)
+class ChordToneExercise {
+    constructor() {
+        this.audioController = new MultiToneAudioController();
+        this.unsubscribePitch = null; // Set while subscribed to window.pitchStream
+        this.grader = null;
+        this.round = null; // { config, rootFrequency, toneIndex, targetFrequency, finished }
+        this.roundTimer = null;
+        this.session = 0; // Bumped on exit so a slow mic start can't resume
+        this.completedCount = 0;
+
+        this.initializeElements();
+        this.attachEventListeners();
+    }
+
+    initializeElements() {
+        this.container = document.getElementById('chordToneExercise');
+        this.setSelect = document.getElementById('chordToneSet');
+        this.chordDisplay = document.getElementById('chordToneChord');
+        this.promptDisplay = document.getElementById('chordTonePrompt');
+        this.liveDisplay = document.getElementById('chordToneLive');
+        this.resultDisplay = document.getElementById('chordToneResult');
+        this.nextBtn = document.getElementById('chordToneNextBtn');
+        this.counterDisplay = document.getElementById('chordToneCounter');
+        this.exitBtn = document.getElementById('exitChordToneExercise');
+    }
+
+    attachEventListeners() {
+        this.exitBtn.addEventListener('click', () => this.exit());
+        this.nextBtn.addEventListener('click', () => this.newRound());
+        this.setSelect.addEventListener('change', () => this.newRound());
+    }
+
+    getTrainingData() {
+        return window.trainingUI ? window.trainingUI.trainingData : null;
+    }
+
+    async start() {
+        document.getElementById('appContainer').style.display = 'none';
+        this.container.style.display = 'block';
+
+        this.completedCount = 0;
+        this.counterDisplay.textContent = '0';
+
+        // Same tolerance and stability requirements as the other pitch exercises
+        const sensitivityConfig = appSettings.getCurrentSensitivityConfig();
+        this.grader = new StepPitchGrader({
+            toleranceCents: StepPitchGrader.toleranceRatioToCents(sensitivityConfig.tolerance),
+            stableReadings: sensitivityConfig.stableReadings
+        });
+
+        const session = ++this.session;
+        try {
+            const unsubscribe = await window.pitchStream.subscribe((pitch) => this.handlePitch(pitch), {
+                minIntervalMs: ChordToneExercise.CONFIG.pitchIntervalMs
+            });
+
+            // Exercise was exited while the microphone was starting
+            if (session !== this.session) {
+                unsubscribe();
+                return;
+            }
+            this.unsubscribePitch = unsubscribe;
+        } catch (error) {
+            alert(error.message);
+            this.exit();
+            return;
+        }
+
+        this.newRound();
+    }
+
+    newRound() {
+        if (!this.grader) return;
+
+        this.clearRoundTimer();
+        const types = CHORD_SETS[this.setSelect.value] || CHORD_SETS['major-minor'];
+        const config = getChordConfig(types[Math.floor(Math.random() * types.length)]);
+        const rootFrequency = pickChordRoot(config);
+        const frequencies = this.audioController.setChordFrequencies(rootFrequency, config.semitones);
+        const toneIndex = Math.floor(Math.random() * frequencies.length);
+
+        this.round = {
+            config,
+            rootFrequency,
+            toneIndex,
+            targetFrequency: frequencies[toneIndex],
+            finished: false
+        };
+
+        const rootName = NoteUtils.frequencyToNote(rootFrequency).replace(/-?\d+$/, '');
+        this.chordDisplay.textContent = `${rootName}${config.symbol} · ${config.chordName}`;
+        this.promptDisplay.textContent = `Sing the ${config.toneNames[toneIndex]}`;
+        this.liveDisplay.textContent = '';
+        this.resultDisplay.textContent = '';
+        this.nextBtn.style.display = 'none';
+
+        this.audioController.playAll();
+        this.grader.reset();
+        this.grader.beginStep('sing-interval', this.round.targetFrequency);
+        this.roundTimer = setTimeout(() => this.finishRound(), ChordToneExercise.CONFIG.timeLimitMs);
+    }
+
+    handlePitch(pitch) {
+        const round = this.round;
+        if (!round || round.finished) return;
+
+        const frequency = pitch ? pitch.frequency : null;
+        this.grader.addReading(frequency);
+
+        if (frequency) {
+            const cents = Math.round(StepPitchGrader.foldedCents(frequency, round.targetFrequency));
+            this.liveDisplay.textContent = `${NoteUtils.frequencyToNote(frequency)} · ${cents > 0 ? '+' : ''}${cents}¢`;
+        }
+
+        if (this.grader.hasHeldLock(ChordToneExercise.CONFIG.holdMs)) {
+            this.finishRound();
+        }
+    }
+
+    finishRound() {
+        const round = this.round;
+        if (!round || round.finished) return;
+
+        round.finished = true;
+        this.clearRoundTimer();
+
+        const grade = this.grader.finishExercise();
+        const difficulty = grade ? grade.difficulty : 'failed';
+        const toneName = round.config.toneNames[round.toneIndex];
+        const targetNote = NoteUtils.frequencyToNote(round.targetFrequency);
+
+        if (difficulty === 'failed') {
+            this.resultDisplay.textContent = `✗ The ${toneName} was ${targetNote}`;
+        } else {
+            this.resultDisplay.textContent = `✓ ${targetNote} · ${StepPitchGrader.describeGrade(grade)}`;
+        }
+
+        this.completedCount++;
+        this.counterDisplay.textContent = this.completedCount;
+        this.recordResult(round, difficulty, grade);
+
+        // Let the chord ring on under the result for a moment
+        this.roundTimer = setTimeout(() => this.audioController.stopAll(), ChordToneExercise.CONFIG.releaseMs);
+        this.nextBtn.style.display = '';
+    }
+
+    recordResult(round, difficulty, grade) {
+        const trainingData = this.getTrainingData();
+        if (!trainingData) return;
+
+        const { range } = window.trainingUI.trainingSystem.detectDirectionAndRange(
+            round.rootFrequency,
+            round.rootFrequency
+        );
+        const step = grade ? grade.steps[0] : null;
+
+        trainingData.recordAttempt(
+            getChordTrainingType(round.config.chordType),
+            difficulty,
+            'none',
+            range,
+            ChordToneExercise.EXERCISE_INDEX,
+            1,
+            {
+                chordTone: round.config.toneNames[round.toneIndex],
+                timeToLockMs: step ? step.timeToLockMs : null,
+                meanCentsError: step ? step.meanCentsError : null
+            }
+        );
+    }
+
+    clearRoundTimer() {
+        if (this.roundTimer) {
+            clearTimeout(this.roundTimer);
+            this.roundTimer = null;
+        }
+    }
+
+    exit() {
+        this.session++;
+        this.clearRoundTimer();
+        this.audioController.stopAll();
+        this.round = null;
+        this.grader = null;
+
+        if (this.unsubscribePitch) {
+            this.unsubscribePitch();
+            this.unsubscribePitch = null;
+        }
+
+        // Stop microphone stream
+        if (window.audioManager && window.audioManager.isInitialized) {
+            window.audioManager.stop();
+        }
+
+        this.container.style.display = 'none';
+        document.getElementById('appContainer').style.display = 'block';
+
+        // Add fade-in
+        if (window.mainApp) {
+            window.mainApp.clearExerciseFromURL();
+            window.mainApp.addFadeIn(document.getElementById('appContainer'));
+        }
+    }
+}
+
+// exerciseIndex of chord tone attempts (chord quality is 0)
+ChordToneExercise.EXERCISE_INDEX = 1;
+
+ChordToneExercise.CONFIG = {
+    pitchIntervalMs: 50,  // StepPitchGrader's thresholds assume 50ms readings
+    holdMs: 1000,         // Held in tune this long after locking to finish early
+    timeLimitMs: 8000,    // Graded on what was sung by then
+    releaseMs: 1500       // Chord keeps sounding after the result
+};
+
+// Initialize exercise
+window.chordToneExercise = new ChordToneExercise();
+
+// Sung against a sustained chord: headphones, or a speaker with the bleed
+// canceller removing the chord from the mic
+window.exerciseRegistry.register({
+    id: 'chordTone',
+    name: 'Chord Tones',
+    container: 'chordToneExercise',
+    category: 'chords',
+    usageModes: ['headphone-mic', 'speaker-mic'],
+    getInstance: () => window.chordToneExercise,
+    menu: {
+        icon: '🎼',
+        description: 'Sing the root, third or fifth of a sustained chord'
+    }
+});
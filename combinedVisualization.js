@@ -335,7 +335,7 @@ class CombinedVisualizationExercise {
         const newRoot = Math.random() * (rootRange.max - rootRange.min) + rootRange.min;
         const semitoneSpan = 24;
         const semitones = Math.floor(Math.random() * semitoneSpan);
-        const rawInterval = newRoot * Math.pow(2, semitones / 12);
+        const rawInterval = newRoot * TuningSystems.getRatio(semitones);
         const clampedInterval = Math.max(Math.min(rawInterval, intervalRange.max), intervalRange.min);
 
         const wasPlaying = this.isAudioPlaying();
@@ -359,7 +359,7 @@ class CombinedVisualizationExercise {
         const semitones = parseFloat(button.dataset.interval);
         if (isNaN(semitones)) return;
 
-        const newInterval = this.currentFrequencies.root * Math.pow(2, semitones / 12);
+        const newInterval = this.currentFrequencies.root * TuningSystems.getRatio(semitones);
         const wasPlaying = this.isAudioPlaying();
         this.setFrequencies(this.currentFrequencies.root, newInterval, { updateAudio: wasPlaying });
 
@@ -4,6 +4,7 @@
  *
  * This class contains ZERO platform-specific code.
  * All audio I/O goes through IAudioService interface.
+ * Note names and cents come from lib/noteUtils.js (load it first).
  */
 class PitchDetectionEngine {
     constructor(audioService) {
@@ -399,18 +400,8 @@ class PitchDetectionEngine {
      * @private
      */
     _frequencyToNote(frequency) {
-        const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-        const a4 = 440;
-        const c0 = a4 * Math.pow(2, -4.75);
-
         if (frequency < 1) return null;
-
-        const halfSteps = 12 * Math.log2(frequency / c0);
-        const noteIndex = Math.round(halfSteps);
-        const octave = Math.floor(noteIndex / 12);
-        const note = noteIndex % 12;
-
-        return noteNames[note] + octave;
+        return NoteUtils.frequencyToNote(frequency);
     }
 
     /**
@@ -418,16 +409,8 @@ class PitchDetectionEngine {
      * @private
      */
     _getCents(frequency) {
-        const a4 = 440;
-        const c0 = a4 * Math.pow(2, -4.75);
-
         if (frequency < 1) return 0;
-
-        const halfSteps = 12 * Math.log2(frequency / c0);
-        const nearestNote = Math.round(halfSteps);
-        const cents = Math.round((halfSteps - nearestNote) * 100);
-
-        return cents;
+        return NoteUtils.getCents(frequency);
     }
 }
 
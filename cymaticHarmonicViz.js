@@ -412,7 +412,8 @@ class CymaticHarmonicViz {
 
     initAudioContext() {
         if (!this.audioContext) {
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            // The app's shared context (see lib/audioEngine.js)
+            this.audioContext = window.audioEngine.getContext();
 
             // Create analyser for mixed audio output
             this.analyser = this.audioContext.createAnalyser();
@@ -420,11 +421,14 @@ class CymaticHarmonicViz {
             this.analyser.smoothingTimeConstant = 0.3; // Some smoothing for cleaner envelope
             this.analyserDataArray = new Float32Array(this.analyser.fftSize);
 
-            // Connect analyser to destination so it captures the final mixed output
-            this.analyser.connect(this.audioContext.destination);
+            // Both tones pass through the analyser on their way to the tones channel
+            this.analyser.connect(window.audioEngine.getChannel('tones'));
 
             console.log('CymaticHarmonicViz: Audio context initialized with analyser');
         }
+
+        // Suspended until a user gesture on iOS
+        window.audioEngine.resume();
     }
 
     toggleTone1() {
@@ -2187,3 +2191,107 @@ class CymaticHarmonicViz {
         console.log('Piano spectrum displayed with C (261.63 Hz) as root');
     }
 }
+
+// Canvas 2D always runs (it owns the audio); WebGL, when selected, does the drawing
+window.exerciseRegistry.register({
+    id: 'cymaticHarmonicViz',
+    name: 'Cymatic Harmonic Visualization',
+    container: 'cymaticHarmonicVizExercise',
+    getInstance: () => window.cymaticHarmonicViz,
+    start: () => {
+        // Initialize both renderers if needed
+        if (!window.cymaticHarmonicViz) {
+            window.cymaticHarmonicViz = new CymaticHarmonicViz();
+        }
+        if (!window.cymaticHarmonicVizWebGL) {
+            try {
+                window.cymaticHarmonicVizWebGL = new CymaticHarmonicVizWebGL();
+            } catch (e) {
+                console.warn('WebGL initialization failed:', e);
+            }
+        }
+
+        // Set up renderer switching
+        const rendererSelect = document.getElementById('settingRenderer');
+        const rendererInfo = document.getElementById('rendererInfo');
+        const canvas2D = document.getElementById('cymaticHarmonicCanvas');
+        const canvasWebGL = document.getElementById('cymaticHarmonicCanvasWebGL');
+
+        // Load saved preference or default to WebGL if available
+        const savedRenderer = localStorage.getItem('cymaticRenderer') || (window.cymaticHarmonicVizWebGL ? 'webgl' : 'canvas2d');
+        rendererSelect.value = savedRenderer;
+
+        // Active renderer reference
+        window.activeCymaticRenderer = savedRenderer === 'webgl' ? window.cymaticHarmonicVizWebGL : window.cymaticHarmonicViz;
+
+        // Set initial canvas visibility
+        if (savedRenderer === 'webgl' && window.cymaticHarmonicVizWebGL) {
+            canvas2D.style.display = 'none';
+            canvasWebGL.style.display = 'block';
+            rendererInfo.textContent = '✓ GPU-accelerated rendering active';
+            rendererInfo.style.color = '#4a4';
+        } else {
+            canvas2D.style.display = 'block';
+            canvasWebGL.style.display = 'none';
+            rendererInfo.textContent = 'CPU rendering (compatible mode)';
+            rendererInfo.style.color = '#888';
+        }
+
+        // Handle renderer switching
+        rendererSelect.addEventListener('change', (e) => {
+            const newRenderer = e.target.value;
+
+            // Get canvas elements
+            const canvas2D = document.getElementById('cymaticHarmonicCanvas');
+            const canvasWebGL = document.getElementById('cymaticHarmonicCanvasWebGL');
+
+            // Switch renderer and canvas visibility
+            if (newRenderer === 'webgl' && window.cymaticHarmonicVizWebGL) {
+                window.activeCymaticRenderer = window.cymaticHarmonicVizWebGL;
+                canvas2D.style.display = 'none';
+                canvasWebGL.style.display = 'block';
+                rendererInfo.textContent = '✓ GPU-accelerated rendering active';
+                rendererInfo.style.color = '#4a4';
+                localStorage.setItem('cymaticRenderer', 'webgl');
+
+                // Start WebGL, pause Canvas 2D rendering (but keep audio analysis)
+                window.cymaticHarmonicViz.pauseRendering();
+                window.cymaticHarmonicVizWebGL.start();
+            } else {
+                window.activeCymaticRenderer = window.cymaticHarmonicViz;
+                canvas2D.style.display = 'block';
+                canvasWebGL.style.display = 'none';
+                rendererInfo.textContent = newRenderer === 'webgl' ? '✗ WebGL not available' : 'CPU rendering (compatible mode)';
+                rendererInfo.style.color = newRenderer === 'webgl' ? '#a44' : '#888';
+                localStorage.setItem('cymaticRenderer', 'canvas2d');
+                if (newRenderer === 'webgl') {
+                    rendererSelect.value = 'canvas2d';
+                }
+
+                // Stop WebGL and resume Canvas 2D rendering
+                window.cymaticHarmonicViz.resumeRendering();
+                if (window.cymaticHarmonicVizWebGL && typeof window.cymaticHarmonicVizWebGL.stop === 'function') {
+                    window.cymaticHarmonicVizWebGL.stop();
+                }
+            }
+        });
+
+        // Show the exercise container
+        document.getElementById('cymaticHarmonicVizExercise').style.display = 'block';
+        document.getElementById('appContainer').style.display = 'none';
+
+        // Start both renderers - Canvas 2D handles audio, active renderer handles visuals
+        setTimeout(() => {
+            // Always start Canvas 2D for audio control
+            window.cymaticHarmonicViz.start();
+
+            // Start WebGL if it's the active renderer
+            if (savedRenderer === 'webgl' && window.cymaticHarmonicVizWebGL) {
+                window.cymaticHarmonicViz.pauseRendering(); // Pause Canvas 2D rendering
+                window.cymaticHarmonicVizWebGL.start();
+                // Resize WebGL canvas and overlay
+                window.cymaticHarmonicVizWebGL.resize();
+            }
+        }, 10);
+    }
+});
@@ -439,7 +439,8 @@ class CymaticViz {
 
     initAudio() {
         if (!this.audioContext) {
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            // The app's shared context (see lib/audioEngine.js)
+            this.audioContext = window.audioEngine.getContext();
 
             // Create analyser for mixed audio output
             this.analyser = this.audioContext.createAnalyser();
@@ -447,11 +448,14 @@ class CymaticViz {
             this.analyser.smoothingTimeConstant = 0.3; // Some smoothing for cleaner envelope
             this.analyserDataArray = new Float32Array(this.analyser.fftSize);
 
-            // Connect analyser to destination so it captures the final mixed output
-            this.analyser.connect(this.audioContext.destination);
+            // Both tones pass through the analyser on their way to the tones channel
+            this.analyser.connect(window.audioEngine.getChannel('tones'));
 
             console.log('CymaticViz: Audio context initialized with analyser');
         }
+
+        // Suspended until a user gesture on iOS
+        window.audioEngine.resume();
     }
 
     toggleTone1() {
@@ -1790,8 +1794,23 @@ class CymaticViz {
         }
         this.stopTone1();
         this.stopTone2();
-        if (this.audioContext) {
-            this.audioContext.close();
-        }
+        // The AudioContext is shared, so it stays open
     }
 }
+
+window.exerciseRegistry.register({
+    id: 'cymaticViz',
+    name: 'Cymatic Visualizations',
+    container: 'cymaticVizExercise',
+    getInstance: () => window.cymaticViz,
+    start: () => {
+        if (!window.cymaticViz) {
+            window.cymaticViz = new CymaticViz();
+        }
+
+        document.getElementById('cymaticVizExercise').style.display = 'block';
+        document.getElementById('appContainer').style.display = 'none';
+
+        setTimeout(() => window.cymaticViz.start(), 10);
+    }
+});
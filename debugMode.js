@@ -476,13 +476,7 @@ class DebugMode {
     }
 
     frequencyToNote(frequency) {
-        const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-        const A4 = 440;
-        const halfSteps = 12 * Math.log2(frequency / A4);
-        const noteIndex = Math.round(halfSteps) + 9; // A is 9th note in chromatic scale starting from C
-        const octave = Math.floor((noteIndex + 3) / 12) + 4;
-        const note = noteNames[((noteIndex % 12) + 12) % 12];
-        return `${note}${octave}`;
+        return NoteUtils.frequencyToNote(frequency);
     }
 
     frequencyDifferenceInCents(freq1, freq2) {
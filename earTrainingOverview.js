@@ -157,3 +157,10 @@ if (document.readyState === 'loading') {
 } else {
     window.earTrainingOverview = new EarTrainingOverview();
 }
+
+window.exerciseRegistry.register({
+    id: 'earTrainingOverview',
+    name: 'Ear Training Overview',
+    category: 'tutorials',
+    getInstance: () => window.earTrainingOverview
+});
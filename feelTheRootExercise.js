@@ -1,13 +1,15 @@
 // Feel the Root Exercise - Base Class
 // Helps users internalize intervals by toggling between root and interval tones
 class FeelTheRootExercise {
-    constructor(intervalName, intervalRatio, exerciseId, containerId) {
+    constructor(intervalName, semitones, exerciseId, containerId) {
         this.intervalName = intervalName; // "Half-Step" or "Whole-Step"
-        this.intervalRatio = intervalRatio; // Math.pow(2, 1/12) or Math.pow(2, 2/12)
+        this.semitones = semitones; // 1 for Half-Step, 2 for Whole-Step, ...
         this.exerciseId = exerciseId;
         this.containerId = containerId;
 
-        this.toneGenerator = new ToneGenerator();
+        // Root and interval voices, held while their buttons are on
+        this.rootTone = new ToneGenerator({ channel: 'tone1' });
+        this.intervalTone = new ToneGenerator({ channel: 'tone2' });
         this.vocalRange = null;
         this.rootFrequency = null;
         this.intervalFrequency = null;
@@ -21,6 +23,12 @@ class FeelTheRootExercise {
         this.initializeInstructions();
     }
 
+    // Interval ratio in the profile's tuning system, looked up each time so
+    // a tuning change in Audio Settings applies from the next round
+    get intervalRatio() {
+        return TuningSystems.getRatio(this.semitones);
+    }
+
     initializeInstructions() {
         const instructions = [
             `At first, play around with playing the root note, the ${this.intervalName}, and both. Listen for the difference in tone.`,
@@ -101,8 +109,8 @@ class FeelTheRootExercise {
     }
 
     generateNewTone() {
-        // F3 is approximately 174.61 Hz - use as minimum unless user's range is lower
-        const MIN_FREQUENCY = 174.61; // F3
+        // Use F3 as minimum unless user's range is lower
+        const MIN_FREQUENCY = NoteUtils.noteToFrequency('F3');
 
         // Generate random frequency within vocal range (minimum F3)
         const lowFreq = Math.max(this.vocalRange.low.frequency, MIN_FREQUENCY);
@@ -126,7 +134,7 @@ class FeelTheRootExercise {
             constrainedHighFreq = highFreq;
         }
 
-        this.rootFrequency = this.toneGenerator.getRandomFrequencyInRange(constrainedLowFreq, constrainedHighFreq);
+        this.rootFrequency = this.rootTone.getRandomFrequencyInRange(constrainedLowFreq, constrainedHighFreq);
 
         // Calculate interval frequency based on direction
         this.intervalFrequency = this.goingUp ?
@@ -145,15 +153,7 @@ class FeelTheRootExercise {
     }
 
     frequencyToNote(frequency) {
-        const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-        const A4 = 440;
-        const C0 = A4 * Math.pow(2, -4.75);
-
-        const halfSteps = Math.round(12 * Math.log2(frequency / C0));
-        const octave = Math.floor(halfSteps / 12);
-        const note = noteNames[halfSteps % 12];
-
-        return `${note}${octave}`;
+        return NoteUtils.frequencyToNote(frequency);
     }
 
     async toggleRoot() {
@@ -191,121 +191,19 @@ class FeelTheRootExercise {
     }
 
     async playRoot() {
-        // Ensure audio context is initialized
-        await this.toneGenerator.ensureAudioContext();
-
-        const audioContext = window.audioManager.getAudioContext();
-        if (!audioContext) {
-            console.error('Audio context not initialized');
-            return;
-        }
-
-        try {
-            // Create gain node for root
-            this.rootGainNode = audioContext.createGain();
-            this.rootGainNode.gain.setValueAtTime(0, audioContext.currentTime);
-            this.rootGainNode.gain.linearRampToValueAtTime(0.3, audioContext.currentTime + 0.05);
-            this.rootGainNode.connect(audioContext.destination);
-
-            // Create root oscillator
-            this.rootOscillator = audioContext.createOscillator();
-            this.rootOscillator.type = 'sine';
-            this.rootOscillator.frequency.setValueAtTime(this.rootFrequency, audioContext.currentTime);
-            this.rootOscillator.connect(this.rootGainNode);
-            this.rootOscillator.start(audioContext.currentTime);
-        } catch (error) {
-            console.error('Error playing root tone:', error);
-        }
+        await this.rootTone.playTone(this.rootFrequency);
     }
 
     async playInterval() {
-        // Ensure audio context is initialized
-        await this.toneGenerator.ensureAudioContext();
-
-        const audioContext = window.audioManager.getAudioContext();
-        if (!audioContext) {
-            console.error('Audio context not initialized');
-            return;
-        }
-
-        try {
-            // Create gain node for interval
-            this.intervalGainNode = audioContext.createGain();
-            this.intervalGainNode.gain.setValueAtTime(0, audioContext.currentTime);
-            this.intervalGainNode.gain.linearRampToValueAtTime(0.3, audioContext.currentTime + 0.05);
-            this.intervalGainNode.connect(audioContext.destination);
-
-            // Create interval oscillator
-            this.intervalOscillator = audioContext.createOscillator();
-            this.intervalOscillator.type = 'sine';
-            this.intervalOscillator.frequency.setValueAtTime(this.intervalFrequency, audioContext.currentTime);
-            this.intervalOscillator.connect(this.intervalGainNode);
-            this.intervalOscillator.start(audioContext.currentTime);
-        } catch (error) {
-            console.error('Error playing interval tone:', error);
-        }
+        await this.intervalTone.playTone(this.intervalFrequency);
     }
 
     stopRoot() {
-        const audioContext = window.audioManager.getAudioContext();
-
-        if (this.rootOscillator) {
-            try {
-                if (audioContext && this.rootGainNode) {
-                    // Fade out
-                    const currentTime = audioContext.currentTime;
-                    this.rootGainNode.gain.setValueAtTime(this.rootGainNode.gain.value, currentTime);
-                    this.rootGainNode.gain.linearRampToValueAtTime(0, currentTime + 0.05);
-                    this.rootOscillator.stop(currentTime + 0.05);
-                } else {
-                    this.rootOscillator.stop();
-                }
-                this.rootOscillator.disconnect();
-            } catch (e) {
-                // Oscillator may already be stopped
-            }
-            this.rootOscillator = null;
-        }
-
-        if (this.rootGainNode) {
-            try {
-                this.rootGainNode.disconnect();
-            } catch (e) {
-                // Already disconnected
-            }
-            this.rootGainNode = null;
-        }
+        this.rootTone.stopTone();
     }
 
     stopInterval() {
-        const audioContext = window.audioManager.getAudioContext();
-
-        if (this.intervalOscillator) {
-            try {
-                if (audioContext && this.intervalGainNode) {
-                    // Fade out
-                    const currentTime = audioContext.currentTime;
-                    this.intervalGainNode.gain.setValueAtTime(this.intervalGainNode.gain.value, currentTime);
-                    this.intervalGainNode.gain.linearRampToValueAtTime(0, currentTime + 0.05);
-                    this.intervalOscillator.stop(currentTime + 0.05);
-                } else {
-                    this.intervalOscillator.stop();
-                }
-                this.intervalOscillator.disconnect();
-            } catch (e) {
-                // Oscillator may already be stopped
-            }
-            this.intervalOscillator = null;
-        }
-
-        if (this.intervalGainNode) {
-            try {
-                this.intervalGainNode.disconnect();
-            } catch (e) {
-                // Already disconnected
-            }
-            this.intervalGainNode = null;
-        }
+        this.intervalTone.stopTone();
     }
 
     async toggleBoth() {
@@ -499,7 +397,7 @@ if (document.readyState === 'loading') {
         // Half-Step Feel the Root
         window.halfStepFeelRootExercise = new FeelTheRootExercise(
             'Half-Step',
-            Math.pow(2, 1/12),
+            1,
             'halfStepFeelRoot',
             'halfStepFeelRootExercise'
         );
@@ -507,7 +405,7 @@ if (document.readyState === 'loading') {
         // Whole-Step Feel the Root
         window.wholeStepFeelRootExercise = new FeelTheRootExercise(
             'Whole-Step',
-            Math.pow(2, 2/12),
+            2,
             'wholeStepFeelRoot',
             'wholeStepFeelRootExercise'
         );
@@ -515,7 +413,7 @@ if (document.readyState === 'loading') {
         // Octave Feel the Root
         window.octaveFeelRootExercise = new FeelTheRootExercise(
             'Octave',
-            2.0,
+            12,
             'octaveFeelRoot',
             'octaveFeelRootExercise'
         );
@@ -523,7 +421,7 @@ if (document.readyState === 'loading') {
         // Major Third Feel the Root
         window.majorThirdFeelRootExercise = new FeelTheRootExercise(
             'Major Third',
-            Math.pow(2, 4/12),
+            4,
             'majorThirdFeelRoot',
             'majorThirdFeelRootExercise'
         );
@@ -531,7 +429,7 @@ if (document.readyState === 'loading') {
         // Perfect Fourth Feel the Root
         window.perfectFourthFeelRootExercise = new FeelTheRootExercise(
             'Perfect Fourth',
-            Math.pow(2, 5/12),
+            5,
             'perfectFourthFeelRoot',
             'perfectFourthFeelRootExercise'
         );
@@ -539,7 +437,7 @@ if (document.readyState === 'loading') {
         // Perfect Fifth Feel the Root
         window.perfectFifthFeelRootExercise = new FeelTheRootExercise(
             'Perfect Fifth',
-            Math.pow(2, 7/12),
+            7,
             'perfectFifthFeelRoot',
             'perfectFifthFeelRootExercise'
         );
@@ -547,7 +445,7 @@ if (document.readyState === 'loading') {
         // Major Sixth Feel the Root
         window.majorSixthFeelRootExercise = new FeelTheRootExercise(
             'Major Sixth',
-            Math.pow(2, 9/12),
+            9,
             'majorSixthFeelRoot',
             'majorSixthFeelRootExercise'
         );
@@ -555,7 +453,7 @@ if (document.readyState === 'loading') {
         // Major Seventh Feel the Root
         window.majorSeventhFeelRootExercise = new FeelTheRootExercise(
             'Major Seventh',
-            Math.pow(2, 11/12),
+            11,
             'majorSeventhFeelRoot',
             'majorSeventhFeelRootExercise'
         );
@@ -564,7 +462,7 @@ if (document.readyState === 'loading') {
     // Half-Step Feel the Root
     window.halfStepFeelRootExercise = new FeelTheRootExercise(
         'Half-Step',
-        Math.pow(2, 1/12),
+        1,
         'halfStepFeelRoot',
         'halfStepFeelRootExercise'
     );
@@ -572,7 +470,7 @@ if (document.readyState === 'loading') {
     // Whole-Step Feel the Root
     window.wholeStepFeelRootExercise = new FeelTheRootExercise(
         'Whole-Step',
-        Math.pow(2, 2/12),
+        2,
         'wholeStepFeelRoot',
         'wholeStepFeelRootExercise'
     );
@@ -580,7 +478,7 @@ if (document.readyState === 'loading') {
     // Octave Feel the Root
     window.octaveFeelRootExercise = new FeelTheRootExercise(
         'Octave',
-        2.0,
+        12,
         'octaveFeelRoot',
         'octaveFeelRootExercise'
     );
@@ -588,7 +486,7 @@ if (document.readyState === 'loading') {
     // Major Third Feel the Root
     window.majorThirdFeelRootExercise = new FeelTheRootExercise(
         'Major Third',
-        Math.pow(2, 4/12),
+        4,
         'majorThirdFeelRoot',
         'majorThirdFeelRootExercise'
     );
@@ -596,7 +494,7 @@ if (document.readyState === 'loading') {
     // Perfect Fourth Feel the Root
     window.perfectFourthFeelRootExercise = new FeelTheRootExercise(
         'Perfect Fourth',
-        Math.pow(2, 5/12),
+        5,
         'perfectFourthFeelRoot',
         'perfectFourthFeelRootExercise'
     );
@@ -604,7 +502,7 @@ if (document.readyState === 'loading') {
     // Perfect Fifth Feel the Root
     window.perfectFifthFeelRootExercise = new FeelTheRootExercise(
         'Perfect Fifth',
-        Math.pow(2, 7/12),
+        7,
         'perfectFifthFeelRoot',
         'perfectFifthFeelRootExercise'
     );
@@ -612,7 +510,7 @@ if (document.readyState === 'loading') {
     // Major Sixth Feel the Root
     window.majorSixthFeelRootExercise = new FeelTheRootExercise(
         'Major Sixth',
-        Math.pow(2, 9/12),
+        9,
         'majorSixthFeelRoot',
         'majorSixthFeelRootExercise'
     );
@@ -620,8 +518,30 @@ if (document.readyState === 'loading') {
     // Major Seventh Feel the Root
     window.majorSeventhFeelRootExercise = new FeelTheRootExercise(
         'Major Seventh',
-        Math.pow(2, 11/12),
+        11,
         'majorSeventhFeelRoot',
         'majorSeventhFeelRootExercise'
     );
 }
+
+// Register the variants; instances are looked up when started, since they may be created on DOMContentLoaded.
+// The half- and whole-step variants toggle between tones with taps, so no car mode.
+[
+    ['halfStepFeelRoot', 'Half-Step', 'minorSecond', ['headphone-mic', 'speaker-mic']],
+    ['wholeStepFeelRoot', 'Whole-Step', 'majorSecond', ['headphone-mic', 'speaker-mic']],
+    ['octaveFeelRoot', 'Octave', 'octave'],
+    ['majorThirdFeelRoot', 'Major Third', 'majorThird'],
+    ['perfectFourthFeelRoot', 'Perfect Fourth', 'fourth'],
+    ['perfectFifthFeelRoot', 'Perfect Fifth', 'fifth'],
+    ['majorSixthFeelRoot', 'Major Sixth', 'majorSixth'],
+    ['majorSeventhFeelRoot', 'Major Seventh', 'majorSeventh']
+].forEach(([id, intervalName, category, usageModes]) => {
+    window.exerciseRegistry.register({
+        id,
+        name: `${intervalName} Feel the Root`,
+        container: `${id}Exercise`,
+        category,
+        usageModes,
+        getInstance: () => window[`${id}Exercise`]
+    });
+});
@@ -7,12 +7,15 @@
 class FTUESounds {
     constructor() {
         this.audioContext = null;
-        this.initAudioContext();
+        this.output = null;
     }
 
+    // Use the shared AudioEngine context, playing on its 'ui' channel
     initAudioContext() {
         try {
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            this.audioContext = window.audioEngine.getContext();
+            this.output = this.audioContext ? window.audioEngine.getChannel('ui') : null;
+            window.audioEngine.resume().catch(() => {});
         } catch (e) {
             console.warn('Web Audio API not supported:', e);
         }
@@ -27,6 +30,7 @@ class FTUESounds {
      * - Success chime (ascending arpeggio)
      */
     playUnlockSound() {
+        this.initAudioContext();
         if (!this.audioContext) return;
 
         const now = this.audioContext.currentTime;
@@ -75,7 +79,7 @@ class FTUESounds {
 
         noise.connect(filter);
         filter.connect(gain);
-        gain.connect(this.audioContext.destination);
+        gain.connect(this.output);
 
         noise.start(startTime);
         noise.stop(startTime + duration);
@@ -96,7 +100,7 @@ class FTUESounds {
         gain.gain.exponentialRampToValueAtTime(0.01, startTime + 0.05);
 
         oscillator.connect(gain);
-        gain.connect(this.audioContext.destination);
+        gain.connect(this.output);
 
         oscillator.start(startTime);
         oscillator.stop(startTime + 0.05);
@@ -126,7 +130,7 @@ class FTUESounds {
 
         osc1.connect(gain);
         osc2.connect(gain);
-        gain.connect(this.audioContext.destination);
+        gain.connect(this.output);
 
         osc1.start(startTime);
         osc1.stop(startTime + duration);
@@ -158,7 +162,7 @@ class FTUESounds {
             gain.gain.exponentialRampToValueAtTime(0.01, time + noteDuration);
 
             oscillator.connect(gain);
-            gain.connect(this.audioContext.destination);
+            gain.connect(this.output);
 
             oscillator.start(time);
             oscillator.stop(time + noteDuration);
@@ -169,6 +173,7 @@ class FTUESounds {
      * Play big celebration sound (for "Unlock All" and Training Mode unlock)
      */
     playCelebrationSound() {
+        this.initAudioContext();
         if (!this.audioContext) return;
 
         const now = this.audioContext.currentTime;
@@ -208,7 +213,7 @@ class FTUESounds {
 
             osc1.connect(gain);
             osc2.connect(gain);
-            gain.connect(this.audioContext.destination);
+            gain.connect(this.output);
 
             osc1.start(time);
             osc1.stop(time + noteDuration);
@@ -230,7 +235,7 @@ class FTUESounds {
             sparkleGain.gain.exponentialRampToValueAtTime(0.01, time + 0.1);
 
             sparkle.connect(sparkleGain);
-            sparkleGain.connect(this.audioContext.destination);
+            sparkleGain.connect(this.output);
 
             sparkle.start(time);
             sparkle.stop(time + 0.1);
@@ -119,8 +119,8 @@ class GeneralIntervalOverview {
     }
 
     calculateIntervalFrequency(rootFreq, semitones) {
-        // Calculate frequency using equal temperament: freq * 2^(semitones/12)
-        return rootFreq * Math.pow(2, semitones / 12);
+        // Calculate frequency in the profile's tuning system (see TuningSystems)
+        return rootFreq * TuningSystems.getRatio(semitones);
     }
 
     updateIntervalTitle() {
@@ -513,10 +513,7 @@ class GeneralIntervalOverview {
 
     // Chromatic Scale Logic
     nextChromaticFreq(freq, direction) {
-        const A4 = 440;
-        const semitones = Math.round(12 * Math.log2(freq / A4));
-        const nextSemitones = semitones + direction; // +1 or -1
-        return A4 * Math.pow(2, nextSemitones / 12);
+        return NoteUtils.snapToNote(freq, direction); // direction is +1 or -1
     }
 
     // Initialize Simplified Controls
@@ -847,3 +844,23 @@ window.showMinorSecondOverview = showMinorSecondOverview;
 window.showTritoneOverview = showTritoneOverview;
 window.showMajorSeventhOverview = showMajorSeventhOverview;
 window.showMinorSeventhOverview = showMinorSeventhOverview;
+
+// Register the overviews that have a menu card
+[
+    ['octaveOverview', 'Octave Overview', 'octave', showOctaveOverview],
+    ['majorSecondOverview', 'Major Second Overview', 'majorSecond', showMajorSecondOverview],
+    ['minorSecondOverview', 'Minor Second Overview', 'minorSecond', showMinorSecondOverview],
+    ['majorThirdOverview', 'Major Third Overview', 'majorThird', showMajorThirdOverview],
+    ['fourthOverview', 'Perfect Fourth Overview', 'fourth', showFourthOverview],
+    ['fifthOverview', 'Perfect Fifth Overview', 'fifth', showFifthOverview],
+    ['majorSixthOverview', 'Major Sixth Overview', 'majorSixth', showMajorSixthOverview],
+    ['majorSeventhOverview', 'Major Seventh Overview', 'majorSeventh', showMajorSeventhOverview]
+].forEach(([id, name, category, show]) => {
+    window.exerciseRegistry.register({
+        id,
+        name,
+        container: 'generalIntervalOverviewExercise',
+        category,
+        start: () => show()
+    });
+});
@@ -1,10 +1,9 @@
 // Glissando Exercise - Smooth pitch sliding
 class GlissandoExercise {
     constructor() {
-        this.pitchDetector = null; // Created lazily on first use
         this.vocalRange = null;
         this.isActive = false;
-        this.detectionInterval = null;
+        this.unsubscribePitch = null; // Set while subscribed to window.pitchStream
 
         // Progress tracking
         this.completedGlissandos = 0;
@@ -17,14 +16,16 @@ class GlissandoExercise {
         this.atLow = false;
         this.atHigh = false;
 
-        // Smoothing and history
-        this.pitchHistory = [];
-        this.maxHistoryLength = 10;
+        // Live pitch is the median of this many readings (see lib/noteSegmenter.js)
+        this.smoothingReadings = 10;
 
         // Pitch persistence - hold last valid pitch when audio drops below threshold
         this.lastValidFrequency = null;
         this.lastValidPitch = null;
 
+        // Whole run, shown on the piano roll when it's complete
+        this.pitchTrace = new PitchTrace({ minIntervalMs: 50 });
+
         this.initializeElements();
         this.attachEventListeners();
     }
@@ -42,6 +43,7 @@ class GlissandoExercise {
         this.countDisplay = document.getElementById('glissandoCount');
         this.directionDisplay = document.getElementById('glissandoDirection');
         this.exitBtn = document.getElementById('exitGlissandoExercise');
+        this.pianoRoll = new PianoRoll(document.getElementById('glissandoPianoRoll'));
     }
 
     attachEventListeners() {
@@ -66,7 +68,7 @@ class GlissandoExercise {
         this.currentDirection = 'up';
         this.atLow = false;
         this.atHigh = false;
-        this.pitchHistory = [];
+        this.pianoRoll.canvas.style.display = 'none';
 
         // Update UI
         this.updateLabels();
@@ -78,25 +80,24 @@ class GlissandoExercise {
 
     async startDetection() {
         try {
-            // Create pitch detector lazily (so config has time to load)
-            if (!this.pitchDetector) {
-                this.pitchDetector = new PitchDetector();
-            }
-
-            // Initialize pitch detector if needed
-            if (!this.pitchDetector.isListening) {
-                // Get selected microphone device ID if available
-                const deviceId = window.audioSettings ? window.audioSettings.getSelectedMicId() : null;
-                await this.pitchDetector.initialize(deviceId);
+            // Subscribe to the shared pitch stream if not already listening
+            if (!this.unsubscribePitch) {
+                // One note per unbroken run, however far it slides
+                this.unsubscribePitch = await NoteSegmenter.subscribe((event) => {
+                    this.detectAndUpdate(event);
+                }, {
+                    minIntervalMs: 50, // 20 Hz update rate for smooth feedback
+                    minVolume: 2.0, // Requires decent volume to register
+                    splitCents: Infinity,
+                    recentReadings: this.smoothingReadings,
+                    minNoteMs: 0,
+                    minReadings: 1
+                });
             }
 
+            this.pitchTrace.start();
             this.isActive = true;
 
-            // Start detection loop
-            this.detectionInterval = setInterval(() => {
-                this.detectAndUpdate();
-            }, 50); // 20 Hz update rate for smooth feedback
-
         } catch (error) {
             alert(error.message);
             this.exit();
@@ -105,34 +106,26 @@ class GlissandoExercise {
 
     stopDetection() {
         this.isActive = false;
-        if (this.detectionInterval) {
-            clearInterval(this.detectionInterval);
-            this.detectionInterval = null;
+        this.pitchTrace.stop();
+        if (this.unsubscribePitch) {
+            this.unsubscribePitch();
+            this.unsubscribePitch = null;
         }
     }
 
-    detectAndUpdate() {
-        const pitch = this.pitchDetector.detectPitch();
+    // Event from NoteSegmenter: the sung run's smoothed pitch, or silence
+    detectAndUpdate(event) {
+        if (!this.isActive) return;
 
-        // Check volume level to ensure decent volume before registering
-        const volume = this.pitchDetector.getVolume();
-        const rms = this.pitchDetector.getRMS();
-        const volumeThreshold = 2.0; // Requires decent volume to register
+        const { pitch, frame } = event;
 
         // Update debug mode with detected pitch and volume
-        if (window.debugMode) {
-            window.debugMode.updateDetectedPitch(pitch, volume, rms);
+        if (window.debugMode && frame) {
+            window.debugMode.updateDetectedPitch(pitch, frame.volume, frame.rms);
         }
 
-        if (pitch && pitch.frequency > 50 && pitch.frequency < 2000 && volume >= volumeThreshold) {
-            // Add to history for smoothing
-            this.pitchHistory.push(pitch.frequency);
-            if (this.pitchHistory.length > this.maxHistoryLength) {
-                this.pitchHistory.shift();
-            }
-
-            // Calculate smoothed frequency
-            const smoothedFreq = this.pitchHistory.reduce((a, b) => a + b, 0) / this.pitchHistory.length;
+        if (event.type === 'onset' || event.type === 'update') {
+            const smoothedFreq = event.note.currentFrequency;
 
             // Store as last valid pitch
             this.lastValidFrequency = smoothedFreq;
@@ -281,6 +274,7 @@ class GlissandoExercise {
     }
 
     congratulate() {
+        const trace = this.pitchTrace.stop();
         this.stopDetection();
 
         this.noteName.textContent = '🎉';
@@ -291,17 +285,26 @@ class GlissandoExercise {
         // Celebration animation
         this.pitchDisplay.style.animation = 'celebration 1s ease-out';
 
-        setTimeout(() => {
-            this.exit();
-        }, 3000);
+        if (trace) {
+            this.showPianoRoll(trace);
+        }
+    }
+
+    // The run against the bottom and top of the vocal range it had to reach
+    showPianoRoll(trace) {
+        trace.targets = [this.vocalRange.low, this.vocalRange.high].map(note => ({
+            frequency: note.frequency,
+            startMs: 0,
+            endMs: trace.durationMs
+        }));
+
+        this.pianoRoll.render(trace);
+        this.pianoRoll.canvas.style.display = 'block';
     }
 
     exit() {
         this.stopDetection();
 
-        // Stop the pitch detector and turn off microphone
-        this.pitchDetector.stop();
-
         // Stop microphone stream
         if (window.audioManager && window.audioManager.isInitialized) {
             window.audioManager.stop();
@@ -320,3 +323,15 @@ class GlissandoExercise {
 
 // Initialize exercise
 window.glissandoExercise = new GlissandoExercise();
+
+// Needs the tone and the microphone at the same time: headphones, or a speaker
+// with the bleed canceller removing the tone from the mic
+window.exerciseRegistry.register({
+    id: 'glissando',
+    name: 'Glissando',
+    container: 'glissandoExercise',
+    category: 'tools',
+    usageModes: ['headphone-mic', 'speaker-mic'],
+    requiresSimultaneousAudio: true,
+    getInstance: () => window.glissandoExercise
+});
@@ -107,3 +107,11 @@ if (document.readyState === 'loading') {
 } else {
     initializeGlissandoOverview();
 }
+
+window.exerciseRegistry.register({
+    id: 'glissandoOverview',
+    name: 'Glissando Overview',
+    container: 'glissandoOverviewExercise',
+    category: 'tutorials',
+    getInstance: () => window.glissandoOverview
+});
@@ -452,7 +452,7 @@ class InterferenceVisualization {
                 const semitones = parseInt(btn.dataset.interval);
                 if (isNaN(semitones)) return;
 
-                const rawFreq = this.tone1Freq * Math.pow(2, semitones / 12);
+                const rawFreq = this.tone1Freq * TuningSystems.getRatio(semitones);
                 const slider = this.elements.tone2FreqSlider;
                 const maxFreq = slider ? parseFloat(slider.max) : 4186;
                 const minFreq = slider ? parseFloat(slider.min) : 27;
@@ -474,7 +474,7 @@ class InterferenceVisualization {
                 const maxFreq = 1000;
                 const newRoot = Math.random() * (maxFreq - minFreq) + minFreq;
                 const semitones = Math.floor(Math.random() * 25);
-                const newInterval = newRoot * Math.pow(2, semitones / 12);
+                const newInterval = newRoot * TuningSystems.getRatio(semitones);
 
                 const wasPlaying = this.audioController && this.audioController.isAnyPlaying && this.audioController.isAnyPlaying();
                 this.setFrequencies(newRoot, newInterval, { updateAudio: wasPlaying });
@@ -589,6 +589,7 @@ class InterferenceVisualization {
             uniform float uTime;
             uniform float uAmplitude;
             uniform int uHarmonicOrder;
+            uniform float uHarmonicWeights[10]; // Per-harmonic amplitude from the active timbre
             uniform bool uIsPlayingTone1;
             uniform bool uIsPlayingTone2;
             uniform float uTone1RevealRadiusMin;
@@ -691,7 +692,7 @@ class InterferenceVisualization {
                 for (int h = 1; h <= 10; h++) {
                     if (h > harmonicOrder) break;
                     float harmonic = float(h);
-                    amplitude += sin(dist * 0.05 * harmonic - freq * harmonic * time * 0.01) / harmonic;
+                    amplitude += sin(dist * 0.05 * harmonic - freq * harmonic * time * 0.01) * uHarmonicWeights[h - 1];
                 }
 
                 return amplitude;
@@ -1776,6 +1777,7 @@ class InterferenceVisualization {
             time: this.gl.getUniformLocation(this.program, 'uTime'),
             amplitude: this.gl.getUniformLocation(this.program, 'uAmplitude'),
             harmonicOrder: this.gl.getUniformLocation(this.program, 'uHarmonicOrder'),
+            harmonicWeights: this.gl.getUniformLocation(this.program, 'uHarmonicWeights'),
             isPlayingTone1: this.gl.getUniformLocation(this.program, 'uIsPlayingTone1'),
             isPlayingTone2: this.gl.getUniformLocation(this.program, 'uIsPlayingTone2'),
             tone1RevealRadiusMin: this.gl.getUniformLocation(this.program, 'uTone1RevealRadiusMin'),
@@ -1874,18 +1876,20 @@ class InterferenceVisualization {
         return ConsonanceColorSystem.hexToRgb(hex);
     }
 
-    getRevealRadius(toneStartTime, toneStopTime, isPlaying, toneX, toneY, width, height) {
+    // `now` is the performance.now() time to draw for; pass an earlier time
+    // to draw what is being heard rather than what was just scheduled
+    getRevealRadius(toneStartTime, toneStopTime, isPlaying, toneX, toneY, width, height, now = performance.now()) {
         const maxDist = Math.sqrt(width * width + height * height);
         const revealSpeed = 300; // Pulse speed setting
 
         if (isPlaying && toneStartTime) {
             // Expanding - tone is playing
-            const elapsed = performance.now() - toneStartTime;
+            const elapsed = Math.max(0, now - toneStartTime);
             const radius = (elapsed / 1000) * revealSpeed;
             return Math.min(radius, maxDist);
         } else if (toneStopTime && toneStartTime) {
             // Shrinking from center outward - show a "dead zone" expanding from center
-            const elapsedSinceStopped = performance.now() - toneStopTime;
+            const elapsedSinceStopped = Math.max(0, now - toneStopTime);
             const deadZoneRadius = (elapsedSinceStopped / 1000) * revealSpeed;
 
             // The maximum expansion when stopped
@@ -1918,7 +1922,11 @@ class InterferenceVisualization {
             this.debugLogged = true;
         }
 
-        // Calculate reveal radii for expanding wave effect
+        // Calculate reveal radii for expanding wave effect. The waves are drawn
+        // as they are heard: tones reach the ear after the calibrated output
+        // latency (large over Bluetooth), so the reveal lags by that much.
+        const now = performance.now();
+        const heardNow = now - appSettings.getOutputLatency();
         const tone1RevealRadius = this.getRevealRadius(
             state.tone1StartTime,
             state.tone1StopTime,
@@ -1926,7 +1934,8 @@ class InterferenceVisualization {
             this.tone1X,
             this.tone1Y,
             width,
-            height
+            height,
+            heardNow
         );
         const tone2RevealRadius = this.getRevealRadius(
             state.tone2StartTime,
@@ -1935,7 +1944,8 @@ class InterferenceVisualization {
             this.tone2X,
             this.tone2Y,
             width,
-            height
+            height,
+            heardNow
         );
 
         // Handle reveal radius - can be a number (expanding) or object with minRadius/maxRadius (shrinking ring)
@@ -1969,32 +1979,42 @@ class InterferenceVisualization {
             this.tone2RevealRadiusMax = tone2RevealRadius === 0 ? 0 : 9999;
         }
 
-        // Auto-sync audio volume with reveal radius expansion (if enabled)
+        // Auto-sync audio volume with reveal radius expansion (if enabled).
+        // Volume changes are heard after the same latency, so they follow the
+        // undelayed radii to line up with the delayed drawing.
         if (this.settings.autoVolumeSync && this.audioController && !this.alwaysShowWaves) {
             const maxDist = Math.sqrt(width * width + height * height);
+            const volumeRadius1 = heardNow === now ? tone1RevealRadius : this.getRevealRadius(
+                state.tone1StartTime, state.tone1StopTime, state.isPlayingTone1,
+                this.tone1X, this.tone1Y, width, height, now
+            );
+            const volumeRadius2 = heardNow === now ? tone2RevealRadius : this.getRevealRadius(
+                state.tone2StartTime, state.tone2StopTime, state.isPlayingTone2,
+                this.tone2X, this.tone2Y, width, height, now
+            );
 
             // Calculate tone 1 volume based on expansion
             let tone1Volume = 1.0; // Default full volume
-            if (typeof tone1RevealRadius === 'number' && tone1RevealRadius < maxDist) {
+            if (typeof volumeRadius1 === 'number' && volumeRadius1 < maxDist) {
                 // Expanding - volume proportional to expansion (use square root for more natural curve)
-                const expansion = tone1RevealRadius / maxDist;
+                const expansion = volumeRadius1 / maxDist;
                 tone1Volume = Math.sqrt(expansion);
-            } else if (tone1RevealRadius && tone1RevealRadius.minRadius !== undefined) {
+            } else if (volumeRadius1 && volumeRadius1.minRadius !== undefined) {
                 // Shrinking ring - calculate remaining visible area
-                const visibleRing = tone1RevealRadius.maxRadius - tone1RevealRadius.minRadius;
+                const visibleRing = volumeRadius1.maxRadius - volumeRadius1.minRadius;
                 const expansion = visibleRing / maxDist;
                 tone1Volume = Math.sqrt(expansion);
             }
 
             // Calculate tone 2 volume based on expansion
             let tone2Volume = 1.0; // Default full volume
-            if (typeof tone2RevealRadius === 'number' && tone2RevealRadius < maxDist) {
+            if (typeof volumeRadius2 === 'number' && volumeRadius2 < maxDist) {
                 // Expanding - volume proportional to expansion (use square root for more natural curve)
-                const expansion = tone2RevealRadius / maxDist;
+                const expansion = volumeRadius2 / maxDist;
                 tone2Volume = Math.sqrt(expansion);
-            } else if (tone2RevealRadius && tone2RevealRadius.minRadius !== undefined) {
+            } else if (volumeRadius2 && volumeRadius2.minRadius !== undefined) {
                 // Shrinking ring - calculate remaining visible area
-                const visibleRing = tone2RevealRadius.maxRadius - tone2RevealRadius.minRadius;
+                const visibleRing = volumeRadius2.maxRadius - volumeRadius2.minRadius;
                 const expansion = visibleRing / maxDist;
                 tone2Volume = Math.sqrt(expansion);
             }
@@ -2025,6 +2045,7 @@ class InterferenceVisualization {
         this.gl.uniform1f(this.uniforms.time, time);
         this.gl.uniform1f(this.uniforms.amplitude, this.settings.amplitude);
         this.gl.uniform1i(this.uniforms.harmonicOrder, this.settings.harmonicOrder);
+        this.gl.uniform1fv(this.uniforms.harmonicWeights, TimbreLibrary.getHarmonicWeights(10));
         const tone1Active = this.alwaysShowWaves || state.isPlayingTone1;
         const tone2Active = this.alwaysShowWaves || state.isPlayingTone2;
         this.gl.uniform1i(this.uniforms.isPlayingTone1, tone1Active ? 1 : 0);
@@ -2424,3 +2445,32 @@ class InterferenceVisualization {
 }
 
 InterferenceVisualization.DEFAULT_SELECTORS = INTERFERENCE_DEFAULT_SELECTORS;
+
+// WebGL only
+window.exerciseRegistry.register({
+    id: 'interferenceVisualization',
+    name: 'Interference Visualization',
+    container: 'interferenceVizExercise',
+    category: 'tools',
+    aliases: ['intervalVisualization'],
+    getInstance: () => window.interferenceViz,
+    start: () => {
+        if (!window.interferenceViz) {
+            try {
+                window.interferenceViz = new InterferenceVisualization();
+            } catch (e) {
+                console.error('Failed to initialize Interference Visualization:', e);
+                alert('WebGL is required for Interference Visualization');
+                return;
+            }
+        }
+
+        document.getElementById('interferenceVizExercise').style.display = 'block';
+        document.getElementById('appContainer').style.display = 'none';
+
+        setTimeout(() => {
+            window.interferenceViz.start();
+            window.interferenceViz.resize();
+        }, 10);
+    }
+});
@@ -304,6 +304,13 @@ function getIntervalConfig(intervalType) {
     return INTERVAL_CONFIGS[intervalType] || null;
 }
 
+// Key for an interval's quiz answers in TrainingData.data.exercises, kept
+// apart from the interval's own entry so quiz answers don't affect its
+// unlocks or review schedule
+function getIntervalQuizTrainingType(intervalType) {
+    return `quiz-${intervalType}`;
+}
+
 // Helper function to get all interval types
 function getAllIntervalTypes() {
     return Object.keys(INTERVAL_CONFIGS);
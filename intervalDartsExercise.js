@@ -1,14 +1,14 @@
 // Interval Darts Exercise - Base Class
 // Match interval accuracy game - plays root, sing the interval
 class IntervalDartsExercise {
-    constructor(intervalName, intervalRatio, exerciseId, containerId) {
+    constructor(intervalName, semitones, exerciseId, containerId) {
         this.intervalName = intervalName; // "Unison", "Half-Step", "Whole-Step"
-        this.intervalRatio = intervalRatio; // 1.0, Math.pow(2, 1/12), Math.pow(2, 2/12)
+        this.semitones = semitones; // 0 for Unison, 1 for Half-Step, 2 for Whole-Step, ...
         this.exerciseId = exerciseId;
         this.containerId = containerId;
 
         this.toneGenerator = new ToneGenerator();
-        this.pitchDetector = null; // Created lazily on first use
+        this.unsubscribePitch = null; // Set while subscribed to window.pitchStream
         this.vocalRange = null;
         this.rootFrequency = null;
         this.targetFrequency = null; // The interval we're trying to sing
@@ -16,7 +16,6 @@ class IntervalDartsExercise {
         this.isListening = false;
         this.totalScore = 0;
         this.roundsPlayed = 0;
-        this.detectionInterval = null;
         this.listeningStartTime = null;
         this.matchDuration = 1000; // 1 second to match
         this.bestMatch = null; // Track best match during listening period
@@ -29,12 +28,19 @@ class IntervalDartsExercise {
         this.carModeLives = 5;
         this.carModePhase = null; // 'listen', 'countdown', 'sing', 'result'
         this.carModeTimers = []; // Track all car mode timers for cleanup
+        this.pitchTrace = new PitchTrace(); // Reply of the current round, for the piano roll
 
         this.initializeElements();
         this.attachEventListeners();
         this.loadDartSounds();
     }
 
+    // Interval ratio in the profile's tuning system, looked up each time so
+    // a tuning change in Audio Settings applies from the next round
+    get intervalRatio() {
+        return TuningSystems.getRatio(this.semitones);
+    }
+
     initializeElements() {
         this.container = document.getElementById(this.containerId);
         this.dartboard = document.getElementById(`${this.exerciseId}Dartboard`);
@@ -43,6 +49,9 @@ class IntervalDartsExercise {
         this.playBtn = document.getElementById(`${this.exerciseId}PlayBtn`);
         this.playIcon = document.getElementById(`${this.exerciseId}PlayIcon`);
         this.exitBtn = document.getElementById(`${this.exerciseId}ExitBtn`);
+
+        const pianoRollCanvas = document.getElementById(`${this.exerciseId}PianoRoll`);
+        this.pianoRoll = pianoRollCanvas ? new PianoRoll(pianoRollCanvas) : null;
     }
 
     attachEventListeners() {
@@ -56,9 +65,9 @@ class IntervalDartsExercise {
 
     async loadDartSounds() {
         try {
-            const audioContext = window.audioManager.getAudioContext();
+            const audioContext = window.audioEngine.getContext();
             if (!audioContext) {
-                // Audio context will be created on first user interaction
+                // Web Audio isn't supported
                 return;
             }
 
@@ -108,6 +117,9 @@ class IntervalDartsExercise {
         this.carModeLives = 5;
         this.updateScore();
         this.clearDartboard();
+        if (this.pianoRoll) {
+            this.pianoRoll.canvas.style.display = 'none';
+        }
 
         // Ready for first tone
         if (this.isCarMode) {
@@ -139,7 +151,7 @@ class IntervalDartsExercise {
 
     async playRootTone() {
         // Generate random frequency in vocal range
-        const MIN_FREQUENCY = 174.61; // F3
+        const MIN_FREQUENCY = NoteUtils.noteToFrequency('F3');
         const lowFreq = Math.max(this.vocalRange.low.frequency, MIN_FREQUENCY);
         const highFreq = this.vocalRange.high.frequency;
 
@@ -183,16 +195,16 @@ class IntervalDartsExercise {
         }, 2000);
     }
 
-    async startListening() {
-        // Create pitch detector lazily (so config has time to load)
-        if (!this.pitchDetector) {
-            this.pitchDetector = new PitchDetector();
-        }
+    // Listening window, extended by the calibrated speaker-to-mic latency so
+    // a reply that arrives late (e.g. over Bluetooth) still counts
+    getListeningDuration() {
+        return this.matchDuration + appSettings.getRoundTripLatency();
+    }
 
-        // Initialize pitch detector
+    async startListening() {
+        // Subscribe to the shared pitch stream
         try {
-            const deviceId = window.audioSettings ? window.audioSettings.getSelectedMicId() : null;
-            await this.pitchDetector.initialize(deviceId);
+            await this.subscribeToPitch();
         } catch (error) {
             alert('Failed to access microphone: ' + error.message);
             return;
@@ -201,48 +213,79 @@ class IntervalDartsExercise {
         this.isListening = true;
         this.listeningStartTime = Date.now();
         this.bestMatch = null;
+        this.recordAttempt();
 
         this.playBtn.textContent = 'Listening...';
         this.playIcon.textContent = '🎤';
 
-        // Start pitch detection
-        this.detectionInterval = setInterval(() => {
-            this.checkPitch();
-        }, 100);
-
         // Auto-stop after match duration
         setTimeout(() => {
             if (this.isListening) {
                 this.stopListening();
             }
-        }, this.matchDuration);
+        }, this.getListeningDuration());
     }
 
-    checkPitch() {
-        const pitch = this.pitchDetector.detectPitch();
-
-        if (pitch && pitch.confidence > 0.85) {
-            // Calculate signed cents difference (positive = sharp, negative = flat)
-            const signedCentsDiff = 1200 * Math.log2(pitch.frequency / this.targetFrequency);
-            const centsDiff = Math.abs(signedCentsDiff);
-
-            // Track best match during listening period
-            if (!this.bestMatch || centsDiff < this.bestMatch.centsDiff) {
-                this.bestMatch = {
-                    frequency: pitch.frequency,
-                    centsDiff: centsDiff,
-                    signedCentsDiff: signedCentsDiff,
-                    confidence: pitch.confidence
-                };
-            }
+    async subscribeToPitch() {
+        if (this.unsubscribePitch) return;
+        this.unsubscribePitch = await NoteSegmenter.subscribe((event) => this.checkPitch(event), {
+            minConfidence: 0.85
+        });
+    }
+
+    // Trace the reply for the piano roll and record it for replay
+    // (see lib/attemptRecorder.js)
+    recordAttempt() {
+        this.pitchTrace.start(this.targetFrequency);
+        window.attemptRecorder.start(this.exerciseId, `${this.intervalName} Darts`, this.targetFrequency);
+    }
+
+    // Stop tracing and recording, and show the reply on the piano roll
+    finishAttempt() {
+        window.attemptRecorder.stop();
+        const trace = this.pitchTrace.stop();
+        if (!trace || !this.pianoRoll) return;
+
+        // Tolerance band = the scoring area of the board
+        this.pianoRoll.render(trace, { toleranceCents: 50 });
+        this.pianoRoll.canvas.style.display = 'block';
+    }
+
+    unsubscribeFromPitch() {
+        if (this.unsubscribePitch) {
+            this.unsubscribePitch();
+            this.unsubscribePitch = null;
+        }
+    }
+
+    // Scores each confidently sung note by its median pitch (see lib/noteSegmenter.js)
+    checkPitch(event) {
+        if (!this.isListening || event.type !== 'offset') return;
+
+        const note = event.note;
+
+        // Calculate signed cents difference (positive = sharp, negative = flat)
+        const signedCentsDiff = 1200 * Math.log2(note.frequency / this.targetFrequency);
+        const centsDiff = Math.abs(signedCentsDiff);
+
+        // Track best match during listening period
+        if (!this.bestMatch || centsDiff < this.bestMatch.centsDiff) {
+            this.bestMatch = {
+                frequency: note.frequency,
+                centsDiff: centsDiff,
+                signedCentsDiff: signedCentsDiff,
+                confidence: note.confidence
+            };
         }
     }
 
     stopListening() {
         if (!this.isListening) return;
 
+        // Unsubscribing ends the note still being sung, which can be the best match
+        this.unsubscribeFromPitch();
         this.isListening = false;
-        clearInterval(this.detectionInterval);
+        this.finishAttempt();
 
         // Calculate score based on best match
         if (this.bestMatch) {
@@ -288,7 +331,7 @@ class IntervalDartsExercise {
     }
 
     playHitSound(centsDiff = null) {
-        const audioContext = window.audioManager.getAudioContext();
+        const audioContext = window.audioEngine.getContext();
         if (!audioContext) {
             console.warn('Interval Darts: No audio context for playHitSound');
             return;
@@ -344,7 +387,7 @@ class IntervalDartsExercise {
         gainNode.gain.value = 0.4;
 
         source.connect(gainNode);
-        gainNode.connect(audioContext.destination);
+        gainNode.connect(window.audioEngine.getChannel('effects'));
 
         source.start(audioContext.currentTime, selectedSegment.start, selectedSegment.duration);
 
@@ -358,7 +401,7 @@ class IntervalDartsExercise {
                 datsGain.gain.value = 0.3;
 
                 datsSource.connect(datsGain);
-                datsGain.connect(audioContext.destination);
+                datsGain.connect(window.audioEngine.getChannel('effects'));
 
                 datsSource.start();
             }, 200);
@@ -366,7 +409,7 @@ class IntervalDartsExercise {
     }
 
     playMissSound() {
-        const audioContext = window.audioManager.getAudioContext();
+        const audioContext = window.audioEngine.getContext();
         if (!audioContext || !this.missAudioBuffer) {
             console.warn('Interval Darts: Miss sound not available');
             return;
@@ -379,7 +422,7 @@ class IntervalDartsExercise {
         gainNode.gain.value = 0.3;
 
         source.connect(gainNode);
-        gainNode.connect(audioContext.destination);
+        gainNode.connect(window.audioEngine.getChannel('effects'));
 
         source.start();
     }
@@ -404,7 +447,7 @@ class IntervalDartsExercise {
         const isSharp = signedCentsDiff > 0;
 
         // Check if this is Unison (ratio ~= 1.0)
-        const isUnison = Math.abs(this.intervalRatio - 1.0) < 0.001;
+        const isUnison = this.semitones === 0;
 
         if (centsDiff === null) {
             // Miss - place in purple area off the dartboard
@@ -660,7 +703,7 @@ class IntervalDartsExercise {
         this.playBtn.disabled = true;
 
         // Generate frequencies
-        const MIN_FREQUENCY = 174.61;
+        const MIN_FREQUENCY = NoteUtils.noteToFrequency('F3');
         const lowFreq = Math.max(this.vocalRange.low.frequency, MIN_FREQUENCY);
         const highFreq = this.vocalRange.high.frequency;
         const maxRootFreq = highFreq / this.intervalRatio;
@@ -701,30 +744,32 @@ class IntervalDartsExercise {
         this.carModePhase = 'sing';
         this.playBtn.textContent = 'Sing Now!';
 
-        // Initialize audio system for microphone
-        await window.audioManager.initialize();
+        // Subscribe to the shared pitch stream (starts the microphone)
+        try {
+            await this.subscribeToPitch();
+        } catch (error) {
+            alert('Failed to access microphone: ' + error.message);
+            this.carModePhase = null;
+            return;
+        }
 
         this.isListening = true;
         this.listeningStartTime = Date.now();
         this.bestMatch = null;
+        this.recordAttempt();
 
-        // Start pitch detection
-        this.detectionInterval = setInterval(() => {
-            this.checkPitch();
-        }, 100);
-        this.carModeTimers.push(this.detectionInterval);
-
-        // Listen for 1 second
+        // Listen for 1 second (plus latency)
         const listenTimer = setTimeout(() => {
             this.carModeResult();
-        }, this.matchDuration);
+        }, this.getListeningDuration());
         this.carModeTimers.push(listenTimer);
     }
 
     carModeResult() {
         this.carModePhase = 'result';
+        this.unsubscribeFromPitch();
         this.isListening = false;
-        clearInterval(this.detectionInterval);
+        this.finishAttempt();
 
         // Calculate result
         if (this.bestMatch) {
@@ -772,10 +817,9 @@ class IntervalDartsExercise {
         this.toneGenerator.stopTone();
         this.isPlayingTone = false;
         this.isListening = false;
-
-        if (this.detectionInterval) {
-            clearInterval(this.detectionInterval);
-        }
+        this.unsubscribeFromPitch();
+        window.attemptRecorder.stop();
+        this.pitchTrace.stop();
 
         // Clear all car mode timers
         this.carModeTimers.forEach(timer => {
@@ -804,7 +848,7 @@ if (document.readyState === 'loading') {
         // Unison Darts
         window.unisonDartsExercise = new IntervalDartsExercise(
             'Unison',
-            1.0,
+            0,
             'unisonDarts',
             'unisonDartsExercise'
         );
@@ -812,7 +856,7 @@ if (document.readyState === 'loading') {
         // Half-Step Darts
         window.halfStepDartsExercise = new IntervalDartsExercise(
             'Half-Step',
-            Math.pow(2, 1/12),
+            1,
             'halfStepDarts',
             'halfStepDartsExercise'
         );
@@ -820,7 +864,7 @@ if (document.readyState === 'loading') {
         // Whole-Step Darts
         window.wholeStepDartsExercise = new IntervalDartsExercise(
             'Whole-Step',
-            Math.pow(2, 2/12),
+            2,
             'wholeStepDarts',
             'wholeStepDartsExercise'
         );
@@ -828,7 +872,7 @@ if (document.readyState === 'loading') {
         // Octave Darts
         window.octaveDartsExercise = new IntervalDartsExercise(
             'Octave',
-            2.0,
+            12,
             'octaveDarts',
             'octaveDartsExercise'
         );
@@ -836,7 +880,7 @@ if (document.readyState === 'loading') {
         // Major Third Darts
         window.majorThirdDartsExercise = new IntervalDartsExercise(
             'Major Third',
-            Math.pow(2, 4/12),
+            4,
             'majorThirdDarts',
             'majorThirdDartsExercise'
         );
@@ -844,7 +888,7 @@ if (document.readyState === 'loading') {
         // Perfect Fourth Darts
         window.perfectFourthDartsExercise = new IntervalDartsExercise(
             'Perfect Fourth',
-            Math.pow(2, 5/12),
+            5,
             'perfectFourthDarts',
             'perfectFourthDartsExercise'
         );
@@ -852,7 +896,7 @@ if (document.readyState === 'loading') {
         // Perfect Fifth Darts
         window.perfectFifthDartsExercise = new IntervalDartsExercise(
             'Perfect Fifth',
-            Math.pow(2, 7/12),
+            7,
             'perfectFifthDarts',
             'perfectFifthDartsExercise'
         );
@@ -860,7 +904,7 @@ if (document.readyState === 'loading') {
         // Major Sixth Darts
         window.majorSixthDartsExercise = new IntervalDartsExercise(
             'Major Sixth',
-            Math.pow(2, 9/12),
+            9,
             'majorSixthDarts',
             'majorSixthDartsExercise'
         );
@@ -868,7 +912,7 @@ if (document.readyState === 'loading') {
         // Major Seventh Darts
         window.majorSeventhDartsExercise = new IntervalDartsExercise(
             'Major Seventh',
-            Math.pow(2, 11/12),
+            11,
             'majorSeventhDarts',
             'majorSeventhDartsExercise'
         );
@@ -877,7 +921,7 @@ if (document.readyState === 'loading') {
     // Unison Darts
     window.unisonDartsExercise = new IntervalDartsExercise(
         'Unison',
-        1.0,
+        0,
         'unisonDarts',
         'unisonDartsExercise'
     );
@@ -885,7 +929,7 @@ if (document.readyState === 'loading') {
     // Half-Step Darts
     window.halfStepDartsExercise = new IntervalDartsExercise(
         'Half-Step',
-        Math.pow(2, 1/12),
+        1,
         'halfStepDarts',
         'halfStepDartsExercise'
     );
@@ -893,7 +937,7 @@ if (document.readyState === 'loading') {
     // Whole-Step Darts
     window.wholeStepDartsExercise = new IntervalDartsExercise(
         'Whole-Step',
-        Math.pow(2, 2/12),
+        2,
         'wholeStepDarts',
         'wholeStepDartsExercise'
     );
@@ -901,7 +945,7 @@ if (document.readyState === 'loading') {
     // Octave Darts
     window.octaveDartsExercise = new IntervalDartsExercise(
         'Octave',
-        2.0,
+        12,
         'octaveDarts',
         'octaveDartsExercise'
     );
@@ -909,7 +953,7 @@ if (document.readyState === 'loading') {
     // Major Third Darts
     window.majorThirdDartsExercise = new IntervalDartsExercise(
         'Major Third',
-        Math.pow(2, 4/12),
+        4,
         'majorThirdDarts',
         'majorThirdDartsExercise'
     );
@@ -917,7 +961,7 @@ if (document.readyState === 'loading') {
     // Perfect Fourth Darts
     window.perfectFourthDartsExercise = new IntervalDartsExercise(
         'Perfect Fourth',
-        Math.pow(2, 5/12),
+        5,
         'perfectFourthDarts',
         'perfectFourthDartsExercise'
     );
@@ -925,7 +969,7 @@ if (document.readyState === 'loading') {
     // Perfect Fifth Darts
     window.perfectFifthDartsExercise = new IntervalDartsExercise(
         'Perfect Fifth',
-        Math.pow(2, 7/12),
+        7,
         'perfectFifthDarts',
         'perfectFifthDartsExercise'
     );
@@ -933,7 +977,7 @@ if (document.readyState === 'loading') {
     // Major Sixth Darts
     window.majorSixthDartsExercise = new IntervalDartsExercise(
         'Major Sixth',
-        Math.pow(2, 9/12),
+        9,
         'majorSixthDarts',
         'majorSixthDartsExercise'
     );
@@ -941,8 +985,30 @@ if (document.readyState === 'loading') {
     // Major Seventh Darts
     window.majorSeventhDartsExercise = new IntervalDartsExercise(
         'Major Seventh',
-        Math.pow(2, 11/12),
+        11,
         'majorSeventhDarts',
         'majorSeventhDartsExercise'
     );
 }
+
+// Register the variants; instances are looked up when started, since they may be created on DOMContentLoaded.
+// Sequential (root, then mic), with a car mode, so every usage mode.
+[
+    ['unisonDarts', 'Unison', 'unison'],
+    ['halfStepDarts', 'Half-Step', 'minorSecond'],
+    ['wholeStepDarts', 'Whole-Step', 'majorSecond'],
+    ['octaveDarts', 'Octave', 'octave'],
+    ['majorThirdDarts', 'Major Third', 'majorThird'],
+    ['perfectFourthDarts', 'Perfect Fourth', 'fourth'],
+    ['perfectFifthDarts', 'Perfect Fifth', 'fifth'],
+    ['majorSixthDarts', 'Major Sixth', 'majorSixth'],
+    ['majorSeventhDarts', 'Major Seventh', 'majorSeventh']
+].forEach(([id, intervalName, category]) => {
+    window.exerciseRegistry.register({
+        id,
+        name: `${intervalName} Darts`,
+        container: `${id}Exercise`,
+        category,
+        getInstance: () => window[`${id}Exercise`]
+    });
+});
@@ -407,8 +407,8 @@ class IntervalOverview {
             return;
         }
 
-        // Calculate frequency using equal temperament: freq * 2^(semitones/12)
-        this.tone2Freq = this.tone1Freq * Math.pow(2, semitones / 12);
+        // Calculate frequency in the profile's tuning system (see TuningSystems)
+        this.tone2Freq = this.tone1Freq * TuningSystems.getRatio(semitones);
         this.syncTone2Controls(this.tone2Freq);
         this.updateVisualizations();
 
@@ -565,10 +565,7 @@ class IntervalOverview {
 
     // Chromatic Scale Logic
     nextChromaticFreq(freq, direction) {
-        const A4 = 440;
-        const semitones = Math.round(12 * Math.log2(freq / A4));
-        const nextSemitones = semitones + direction; // +1 or -1
-        return A4 * Math.pow(2, nextSemitones / 12);
+        return NoteUtils.snapToNote(freq, direction); // direction is +1 or -1
     }
 
     // Initialize Simplified Controls
@@ -790,3 +787,11 @@ function showIntervalOverview() {
 
 // Export to window
 window.showIntervalOverview = showIntervalOverview;
+
+window.exerciseRegistry.register({
+    id: 'intervalOverview',
+    name: 'Interval Overview',
+    container: 'intervalOverviewExercise',
+    category: 'tutorials',
+    start: () => showIntervalOverview()
+});
@@ -0,0 +1,381 @@
+// Interval Quiz Exercise - Hear two notes, name the interval
+// Plays an interval melodically (up or down) or harmonically and asks which
+// one it was. The answers offered are the intervals unlocked in Training
+// Mode; each answer is recorded as a training attempt under the quiz key of
+// the interval that was played (see getIntervalQuizTrainingType), and
+// counted in a confusion matrix of which intervals are mistaken for which
+// (see TrainingData.recordIntervalConfusion)
+class IntervalQuizExercise {
+    constructor() {
+        this.audioController = new DualToneAudioController();
+        this.choices = []; // Interval configs offered as answers, by size
+        this.question = null; // { config, mode, rootFrequency, plays, answered }
+        this.playTimers = [];
+        this.correctCount = 0;
+        this.answeredCount = 0;
+
+        this.initializeElements();
+        this.attachEventListeners();
+    }
+
+    initializeElements() {
+        this.container = document.getElementById('intervalQuizExercise');
+        this.modeSelect = document.getElementById('intervalQuizMode');
+        this.promptDisplay = document.getElementById('intervalQuizPrompt');
+        this.answersContainer = document.getElementById('intervalQuizAnswers');
+        this.playBtn = document.getElementById('intervalQuizPlayBtn');
+        this.nextBtn = document.getElementById('intervalQuizNextBtn');
+        this.scoreDisplay = document.getElementById('intervalQuizScore');
+        this.confusionContainer = document.getElementById('intervalQuizConfusion');
+        this.exitBtn = document.getElementById('exitIntervalQuizExercise');
+    }
+
+    attachEventListeners() {
+        this.exitBtn.addEventListener('click', () => this.exit());
+        this.playBtn.addEventListener('click', () => this.play());
+        this.nextBtn.addEventListener('click', () => this.newQuestion());
+
+        // A new mode applies from the next question unless this one is unanswered
+        this.modeSelect.addEventListener('change', () => {
+            if (this.question && !this.question.answered) {
+                this.newQuestion();
+            }
+        });
+    }
+
+    getTrainingData() {
+        return window.trainingUI ? window.trainingUI.trainingData : null;
+    }
+
+    async start() {
+        document.getElementById('appContainer').style.display = 'none';
+        this.container.style.display = 'block';
+
+        const trainingData = this.getTrainingData();
+        if (trainingData) {
+            await trainingData.ready;
+        }
+
+        this.correctCount = 0;
+        this.answeredCount = 0;
+        this.choices = this.getChoices();
+        this.renderAnswers();
+        this.renderConfusion();
+        this.updateScore();
+        this.newQuestion();
+    }
+
+    /**
+     * Intervals unlocked in Training Mode, topped up with the next most
+     * fundamental ones until there are enough to choose between
+     */
+    getChoices() {
+        const trainingData = this.getTrainingData();
+        const unlocked = trainingData ? trainingData.getUnlockedExercises() : [];
+        const byPriority = Object.values(INTERVAL_CONFIGS)
+            .filter(config => !config.isTutorial)
+            .sort((a, b) => trainingData
+                ? trainingData.getFundamentalPriority(a.intervalType) - trainingData.getFundamentalPriority(b.intervalType)
+                : a.semitones - b.semitones);
+
+        const choices = byPriority.filter(config => unlocked.includes(config.intervalType));
+        for (const config of byPriority) {
+            if (choices.length >= IntervalQuizExercise.CONFIG.minChoices) break;
+            if (!choices.includes(config)) {
+                choices.push(config);
+            }
+        }
+
+        return choices.sort((a, b) => a.semitones - b.semitones);
+    }
+
+    getConfig(intervalType) {
+        return Object.values(INTERVAL_CONFIGS).find(config => config.intervalType === intervalType) || null;
+    }
+
+    renderAnswers() {
+        this.answersContainer.innerHTML = '';
+        this.choices.forEach(config => {
+            const button = document.createElement('button');
+            button.className = 'quiz-answer';
+            button.dataset.intervalType = config.intervalType;
+            button.textContent = config.intervalName;
+            button.addEventListener('click', () => this.answer(config));
+            this.answersContainer.appendChild(button);
+        });
+    }
+
+    newQuestion() {
+        const config = this.choices[Math.floor(Math.random() * this.choices.length)];
+        let mode = this.modeSelect.value;
+        if (mode === 'mixed') {
+            mode = IntervalQuizExercise.MODES[Math.floor(Math.random() * IntervalQuizExercise.MODES.length)];
+        }
+
+        this.question = {
+            config,
+            mode,
+            rootFrequency: this.pickRoot(config.semitones, mode),
+            plays: 0,
+            answered: false
+        };
+
+        this.answersContainer.querySelectorAll('.quiz-answer').forEach(button => {
+            button.disabled = false;
+            button.classList.remove('correct', 'wrong');
+        });
+        this.promptDisplay.textContent = IntervalQuizExercise.PROMPTS[mode];
+        this.nextBtn.style.display = 'none';
+
+        this.play();
+    }
+
+    /**
+     * A root on the equal-tempered scale that keeps both notes in the vocal
+     * range (or a default range when none is set)
+     */
+    pickRoot(semitones, mode) {
+        const vocalRange = appSettings.getVocalRange();
+        const hasRange = vocalRange && vocalRange.low && vocalRange.high;
+        const low = hasRange ? vocalRange.low.frequency : IntervalQuizExercise.CONFIG.defaultRange.low;
+        const high = hasRange ? vocalRange.high.frequency : IntervalQuizExercise.CONFIG.defaultRange.high;
+        const ratio = TuningSystems.getRatio(semitones);
+
+        const minRoot = mode === 'melodic-down' ? low * ratio : low;
+        const maxRoot = mode === 'melodic-down' ? high : high / ratio;
+        const lowMidi = Math.ceil(NoteUtils.frequencyToMidi(minRoot));
+        const highMidi = Math.max(lowMidi, Math.floor(NoteUtils.frequencyToMidi(maxRoot)));
+
+        return NoteUtils.midiToFrequency(lowMidi + Math.floor(Math.random() * (highMidi - lowMidi + 1)));
+    }
+
+    getIntervalFrequency(question) {
+        const semitones = question.mode === 'melodic-down' ? -question.config.semitones : question.config.semitones;
+        return TuningSystems.intervalFrequency(question.rootFrequency, semitones);
+    }
+
+    // Play (or replay) the current question
+    play() {
+        const question = this.question;
+        if (!question) return;
+
+        this.stopPlayback();
+        question.plays++;
+
+        const { noteMs, harmonicMs } = IntervalQuizExercise.CONFIG;
+        this.audioController.setFrequencies(question.rootFrequency, this.getIntervalFrequency(question));
+
+        if (question.mode === 'harmonic') {
+            this.audioController.playBoth();
+            this.schedule(() => this.audioController.stopBoth(), harmonicMs);
+            return;
+        }
+
+        this.audioController.playTone1();
+        this.schedule(() => {
+            this.audioController.stopTone1();
+            this.audioController.playTone2();
+        }, noteMs);
+        this.schedule(() => this.audioController.stopTone2(), noteMs * 2);
+    }
+
+    schedule(callback, delayMs) {
+        this.playTimers.push(setTimeout(callback, delayMs));
+    }
+
+    stopPlayback() {
+        this.playTimers.forEach(timer => clearTimeout(timer));
+        this.playTimers = [];
+        this.audioController.stopBoth();
+    }
+
+    answer(config) {
+        const question = this.question;
+        if (!question || question.answered) return;
+
+        question.answered = true;
+        const played = question.config;
+        const correct = config.intervalType === played.intervalType;
+
+        this.answeredCount++;
+        if (correct) {
+            this.correctCount++;
+            this.promptDisplay.textContent = `✓ ${played.intervalName}`;
+        } else {
+            this.promptDisplay.textContent = `✗ That was ${played.intervalName}, not ${config.intervalName}`;
+        }
+
+        this.answersContainer.querySelectorAll('.quiz-answer').forEach(button => {
+            button.disabled = true;
+            button.classList.toggle('correct', button.dataset.intervalType === played.intervalType);
+            button.classList.toggle('wrong', !correct && button.dataset.intervalType === config.intervalType);
+        });
+
+        this.recordAnswer(question, config, correct);
+        this.updateScore();
+        this.renderConfusion();
+        this.nextBtn.style.display = '';
+    }
+
+    /**
+     * Record the answer as a quiz attempt for the interval that was played:
+     * easy if named on the first listen, medium after replays
+     */
+    recordAnswer(question, answered, correct) {
+        const trainingData = this.getTrainingData();
+        if (!trainingData) return;
+
+        let difficulty = 'failed';
+        if (correct) {
+            difficulty = question.plays === 1 ? 'easy' : 'medium';
+        }
+
+        const { direction, range } = window.trainingUI.trainingSystem.detectDirectionAndRange(
+            question.rootFrequency,
+            this.getIntervalFrequency(question)
+        );
+
+        trainingData.recordAttempt(
+            getIntervalQuizTrainingType(question.config.intervalType),
+            difficulty,
+            question.mode === 'harmonic' ? 'none' : direction,
+            range,
+            IntervalQuizExercise.EXERCISE_INDEX,
+            null,
+            { mode: question.mode, answer: answered.intervalType, plays: question.plays }
+        );
+        trainingData.recordIntervalConfusion(question.config.intervalType, answered.intervalType);
+    }
+
+    updateScore() {
+        this.scoreDisplay.textContent = `${this.correctCount} / ${this.answeredCount}`;
+    }
+
+    /**
+     * Table of played (rows) against answered (columns) for the intervals
+     * with any answers, and the most frequent mix-up
+     */
+    renderConfusion() {
+        const trainingData = this.getTrainingData();
+        const matrix = trainingData ? trainingData.getIntervalConfusion() : {};
+        this.confusionContainer.innerHTML = '';
+
+        const types = new Set();
+        Object.entries(matrix).forEach(([played, row]) => {
+            types.add(played);
+            Object.keys(row).forEach(answered => types.add(answered));
+        });
+        const configs = [...types].map(type => this.getConfig(type)).filter(Boolean)
+            .sort((a, b) => a.semitones - b.semitones);
+
+        if (configs.length === 0) {
+            this.confusionContainer.style.display = 'none';
+            return;
+        }
+        this.confusionContainer.style.display = 'block';
+
+        const shortName = (config) => IntervalQuizExercise.SHORT_NAMES[config.semitones] || config.intervalName;
+        const table = document.createElement('table');
+        table.className = 'interval-quiz-confusion-table';
+
+        const header = table.insertRow();
+        header.appendChild(document.createElement('th')).title = 'Rows: played, columns: answered';
+        configs.forEach(config => {
+            const th = document.createElement('th');
+            th.textContent = shortName(config);
+            th.title = config.intervalName;
+            header.appendChild(th);
+        });
+
+        let worst = null;
+        configs.forEach(played => {
+            const row = matrix[played.intervalType] || {};
+            const tr = table.insertRow();
+            const th = document.createElement('th');
+            th.textContent = shortName(played);
+            th.title = played.intervalName;
+            tr.appendChild(th);
+
+            configs.forEach(answered => {
+                const count = row[answered.intervalType] || 0;
+                const cell = tr.insertCell();
+                cell.textContent = count || '';
+                if (count === 0) return;
+
+                if (answered === played) {
+                    cell.classList.add('correct');
+                } else {
+                    cell.classList.add('wrong');
+                    if (!worst || count > worst.count) {
+                        worst = { played, answered, count };
+                    }
+                }
+            });
+        });
+
+        const title = document.createElement('p');
+        title.className = 'interval-quiz-confusion-title';
+        title.textContent = 'Mix-ups';
+        this.confusionContainer.appendChild(title);
+        this.confusionContainer.appendChild(table);
+
+        if (worst) {
+            const summary = document.createElement('p');
+            summary.className = 'settings-description';
+            summary.textContent = `Most often: ${worst.played.intervalName} heard as ${worst.answered.intervalName} (${worst.count}×)`;
+            this.confusionContainer.appendChild(summary);
+        }
+    }
+
+    exit() {
+        this.stopPlayback();
+        this.question = null;
+        this.container.style.display = 'none';
+        document.getElementById('appContainer').style.display = 'block';
+
+        // Add fade-in
+        if (window.mainApp) {
+            window.mainApp.clearExerciseFromURL();
+            window.mainApp.addFadeIn(document.getElementById('appContainer'));
+        }
+    }
+}
+
+// Ways of playing an interval ('mixed' picks one per question)
+IntervalQuizExercise.MODES = ['melodic-up', 'melodic-down', 'harmonic'];
+
+IntervalQuizExercise.PROMPTS = {
+    'melodic-up': 'Which interval? (rising)',
+    'melodic-down': 'Which interval? (falling)',
+    'harmonic': 'Which interval? (together)'
+};
+
+// Column headers of the confusion table, by semitones
+IntervalQuizExercise.SHORT_NAMES = ['P1', 'm2', 'M2', 'm3', 'M3', 'P4', 'TT', 'P5', 'm6', 'M6', 'm7', 'M7', 'P8'];
+
+// exerciseIndex of quiz attempts in TrainingData
+IntervalQuizExercise.EXERCISE_INDEX = 'quiz';
+
+IntervalQuizExercise.CONFIG = {
+    minChoices: 3,      // Answers offered even when fewer intervals are unlocked
+    noteMs: 900,        // Each note of a melodic interval
+    harmonicMs: 1800,   // Both notes together
+    defaultRange: { low: 130.81, high: 523.25 } // C3-C5 when no vocal range is set
+};
+
+// Initialize exercise
+window.intervalQuizExercise = new IntervalQuizExercise();
+
+// Listening only, but answered on screen, so not in car mode
+window.exerciseRegistry.register({
+    id: 'intervalQuiz',
+    name: 'Interval Quiz',
+    container: 'intervalQuizExercise',
+    category: 'tools',
+    usageModes: ['headphone-mic', 'speaker-mic'],
+    getInstance: () => window.intervalQuizExercise,
+    menu: {
+        icon: '👂',
+        description: 'Hear two notes and name the interval'
+    }
+});
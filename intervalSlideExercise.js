@@ -2,12 +2,12 @@
 // Slide to match an interval above/below a root note
 
 class IntervalSlideExercise {
-    constructor(intervalName, intervalRatio, exerciseId, containerId) {
+    constructor(intervalName, semitones, exerciseId, containerId) {
         this.intervalName = intervalName; // "Unison", "Half-Step", "Whole-Step", "Octave"
-        this.intervalRatio = intervalRatio; // 1.0 for Unison, Math.pow(2, 1/12) for Half-Step, etc.
+        this.semitones = semitones; // 0 for Unison, 1 for Half-Step, etc.
         this.exerciseId = exerciseId;
         this.containerId = containerId;
-        this.isUnison = Math.abs(intervalRatio - 1.0) < 0.001; // Check if this is Unison (ratio ~= 1.0)
+        this.isUnison = semitones === 0;
 
         // Full piano frequency range
         this.PIANO_MIN_FREQ = 27.5;  // A0
@@ -41,6 +41,12 @@ class IntervalSlideExercise {
         this.initializeButtons();
     }
 
+    // Interval ratio in the profile's tuning system, looked up each time so
+    // a tuning change in Audio Settings applies from the next round
+    get intervalRatio() {
+        return TuningSystems.getRatio(this.semitones);
+    }
+
     initializeInstructions() {
         let instructions;
 
@@ -256,14 +262,8 @@ class IntervalSlideExercise {
     updateSliderTone() {
         if (!this.isPlayingSlider) return;
 
-        if (this.sliderToneGenerator.oscillator && this.currentFrequency) {
-            const audioContext = window.audioManager.getAudioContext();
-            if (audioContext) {
-                this.sliderToneGenerator.oscillator.frequency.setValueAtTime(
-                    this.currentFrequency,
-                    audioContext.currentTime
-                );
-            }
+        if (this.currentFrequency) {
+            this.sliderToneGenerator.setFrequency(this.currentFrequency);
         }
     }
 
@@ -505,7 +505,7 @@ if (document.readyState === 'loading') {
         // Unison Slide
         window.toneSlideExercise = new IntervalSlideExercise(
             'Unison',
-            1.0,
+            0,
             'toneSlide',
             'toneSlideExercise'
         );
@@ -513,7 +513,7 @@ if (document.readyState === 'loading') {
         // Half-Step Slide
         window.halfStepSlideExercise = new IntervalSlideExercise(
             'Half-Step',
-            Math.pow(2, 1/12),
+            1,
             'halfStepSlide',
             'halfStepSlideExercise'
         );
@@ -521,7 +521,7 @@ if (document.readyState === 'loading') {
         // Whole-Step Slide
         window.wholeStepSlideExercise = new IntervalSlideExercise(
             'Whole-Step',
-            Math.pow(2, 2/12),
+            2,
             'wholeStepSlide',
             'wholeStepSlideExercise'
         );
@@ -529,7 +529,7 @@ if (document.readyState === 'loading') {
         // Octave Slide
         window.octaveSlideExercise = new IntervalSlideExercise(
             'Octave',
-            2.0,
+            12,
             'octaveSlide',
             'octaveSlideExercise'
         );
@@ -537,7 +537,7 @@ if (document.readyState === 'loading') {
         // Major Third Slide
         window.majorThirdSlideExercise = new IntervalSlideExercise(
             'Major Third',
-            Math.pow(2, 4/12),
+            4,
             'majorThirdSlide',
             'majorThirdSlideExercise'
         );
@@ -545,7 +545,7 @@ if (document.readyState === 'loading') {
         // Perfect Fourth Slide
         window.perfectFourthSlideExercise = new IntervalSlideExercise(
             'Perfect Fourth',
-            Math.pow(2, 5/12),
+            5,
             'perfectFourthSlide',
             'perfectFourthSlideExercise'
         );
@@ -553,7 +553,7 @@ if (document.readyState === 'loading') {
         // Perfect Fifth Slide
         window.perfectFifthSlideExercise = new IntervalSlideExercise(
             'Perfect Fifth',
-            Math.pow(2, 7/12),
+            7,
             'perfectFifthSlide',
             'perfectFifthSlideExercise'
         );
@@ -561,7 +561,7 @@ if (document.readyState === 'loading') {
         // Major Sixth Slide
         window.majorSixthSlideExercise = new IntervalSlideExercise(
             'Major Sixth',
-            Math.pow(2, 9/12),
+            9,
             'majorSixthSlide',
             'majorSixthSlideExercise'
         );
@@ -569,7 +569,7 @@ if (document.readyState === 'loading') {
         // Major Seventh Slide
         window.majorSeventhSlideExercise = new IntervalSlideExercise(
             'Major Seventh',
-            Math.pow(2, 11/12),
+            11,
             'majorSeventhSlide',
             'majorSeventhSlideExercise'
         );
@@ -578,7 +578,7 @@ if (document.readyState === 'loading') {
     // Unison Slide
     window.toneSlideExercise = new IntervalSlideExercise(
         'Unison',
-        1.0,
+        0,
         'toneSlide',
         'toneSlideExercise'
     );
@@ -586,7 +586,7 @@ if (document.readyState === 'loading') {
     // Half-Step Slide
     window.halfStepSlideExercise = new IntervalSlideExercise(
         'Half-Step',
-        Math.pow(2, 1/12),
+        1,
         'halfStepSlide',
         'halfStepSlideExercise'
     );
@@ -594,7 +594,7 @@ if (document.readyState === 'loading') {
     // Whole-Step Slide
     window.wholeStepSlideExercise = new IntervalSlideExercise(
         'Whole-Step',
-        Math.pow(2, 2/12),
+        2,
         'wholeStepSlide',
         'wholeStepSlideExercise'
     );
@@ -602,7 +602,7 @@ if (document.readyState === 'loading') {
     // Octave Slide
     window.octaveSlideExercise = new IntervalSlideExercise(
         'Octave',
-        2.0,
+        12,
         'octaveSlide',
         'octaveSlideExercise'
     );
@@ -610,7 +610,7 @@ if (document.readyState === 'loading') {
     // Major Third Slide
     window.majorThirdSlideExercise = new IntervalSlideExercise(
         'Major Third',
-        Math.pow(2, 4/12),
+        4,
         'majorThirdSlide',
         'majorThirdSlideExercise'
     );
@@ -618,7 +618,7 @@ if (document.readyState === 'loading') {
     // Perfect Fourth Slide
     window.perfectFourthSlideExercise = new IntervalSlideExercise(
         'Perfect Fourth',
-        Math.pow(2, 5/12),
+        5,
         'perfectFourthSlide',
         'perfectFourthSlideExercise'
     );
@@ -626,7 +626,7 @@ if (document.readyState === 'loading') {
     // Perfect Fifth Slide
     window.perfectFifthSlideExercise = new IntervalSlideExercise(
         'Perfect Fifth',
-        Math.pow(2, 7/12),
+        7,
         'perfectFifthSlide',
         'perfectFifthSlideExercise'
     );
@@ -634,7 +634,7 @@ if (document.readyState === 'loading') {
     // Major Sixth Slide
     window.majorSixthSlideExercise = new IntervalSlideExercise(
         'Major Sixth',
-        Math.pow(2, 9/12),
+        9,
         'majorSixthSlide',
         'majorSixthSlideExercise'
     );
@@ -642,8 +642,31 @@ if (document.readyState === 'loading') {
     // Major Seventh Slide
     window.majorSeventhSlideExercise = new IntervalSlideExercise(
         'Major Seventh',
-        Math.pow(2, 11/12),
+        11,
         'majorSeventhSlide',
         'majorSeventhSlideExercise'
     );
 }
+
+// Register the variants; instances are looked up when started, since they may be created on DOMContentLoaded.
+// The unison, half- and whole-step sliders need touch, so no car mode.
+[
+    ['toneSlide', 'Unison', 'unison', true],
+    ['halfStepSlide', 'Half-Step', 'minorSecond', true],
+    ['wholeStepSlide', 'Whole-Step', 'majorSecond', true],
+    ['octaveSlide', 'Octave', 'octave'],
+    ['majorThirdSlide', 'Major Third', 'majorThird'],
+    ['perfectFourthSlide', 'Perfect Fourth', 'fourth'],
+    ['perfectFifthSlide', 'Perfect Fifth', 'fifth'],
+    ['majorSixthSlide', 'Major Sixth', 'majorSixth'],
+    ['majorSeventhSlide', 'Major Seventh', 'majorSeventh']
+].forEach(([id, intervalName, category, requiresTouch = false]) => {
+    window.exerciseRegistry.register({
+        id,
+        name: `${intervalName} Slide`,
+        container: `${id}Exercise`,
+        category,
+        requiresTouch,
+        getInstance: () => window[`${id}Exercise`]
+    });
+});
@@ -23,11 +23,10 @@ class IntervalSystemExercise {
         this.rootPlaying = false;
         this.intervalPlaying = false;
 
-        // Oscillators for playing tones
-        this.rootOscillator = null;
-        this.intervalOscillator = null;
-        this.rootGainNode = null;
-        this.intervalGainNode = null;
+        // Root and interval voices, held while their buttons are on
+        // (channels as in DualToneAudioController)
+        this.rootTone = new ToneGenerator({ channel: 'tone1' });
+        this.intervalTone = new ToneGenerator({ channel: 'tone2' });
 
         // Exercise progression
         this.exercises = getSystemExercisesForInterval(this.intervalType);
@@ -43,6 +42,17 @@ class IntervalSystemExercise {
         this.tipRotationInterval = null;
         this.currentTipIndex = 0;
 
+        // Microphone grading (see lib/stepPitchGrader.js)
+        this.stepGrader = null;
+        this.unsubscribePitch = null; // Set while subscribed to window.pitchStream
+        this.gradingSession = 0; // Bumped on stop so a slow mic start can't resume grading
+        this.lastAutoGrade = null; // { difficulty, steps } for the last completed exercise/rep
+        this.lastGradingSource = null; // 'mic' if the user accepted the mic grade, else 'self'
+        this.suggestedUnisonRating = null;
+        this.unisonAutoApplyTimer = null; // Applies the suggested unison rating unless a button is pressed first
+        this.pitchTrace = new PitchTrace(); // Sung pitch of the current rep
+        this.lastPitchTrace = null; // PitchTrace result of the last rep, plus its toleranceCents
+
         // Randomization support
         this.glissandoDirection = null; // 'up' or 'down'
 
@@ -99,10 +109,15 @@ class IntervalSystemExercise {
         // Unison rating UI
         this.unisonRatingContainer = this.container.querySelector('[data-system-exercise="unison-rating"]');
         this.unisonRatingButtons = this.container.querySelectorAll('.unison-rating-btn');
+        this.unisonAutoGradeElement = this.container.querySelector('[data-system-exercise="auto-grade"]');
 
         // Tip display elements
         this.tipContainer = this.container.querySelector('[data-system-exercise="tip-container"]');
         this.tipElement = this.container.querySelector('[data-system-exercise="tip"]');
+
+        // Piano roll of the last rep
+        const pianoRollCanvas = this.container.querySelector('[data-system-exercise="piano-roll"]');
+        this.pianoRoll = pianoRollCanvas ? new PianoRoll(pianoRollCanvas) : null;
     }
 
     attachEventListeners() {
@@ -183,6 +198,10 @@ class IntervalSystemExercise {
         // Reset step state (but preserve currentExerciseIndex set by caller)
         this.currentStepIndex = 0;
         this.repetitionsCompleted = 0;
+        this.lastPitchTrace = null;
+        if (this.pianoRoll) {
+            this.pianoRoll.canvas.style.display = 'none';
+        }
         this.rootPlaying = false;
         this.intervalPlaying = false;
 
@@ -195,6 +214,9 @@ class IntervalSystemExercise {
 
         // Start tip rotation
         this.startTipRotation();
+
+        // Grade sung steps from the microphone (not awaited so the first step isn't delayed)
+        this.startAutoGrading();
     }
 
     /**
@@ -241,7 +263,7 @@ class IntervalSystemExercise {
                 this.intervalFrequency = this.rootFrequency;
             } else {
                 const semitones = this.intervalConfig.semitones;
-                const intervalRatio = Math.pow(2, semitones / 12);
+                const intervalRatio = TuningSystems.getRatio(semitones);
                 this.intervalFrequency = this.rootFrequency * intervalRatio;
             }
 
@@ -256,8 +278,8 @@ class IntervalSystemExercise {
 
             if (usesPianoRange) {
                 // Slider Glissando: Use fixed piano range A3 to C6
-                lowFreq = 220.00;     // A3
-                highFreq = 1046.50;   // C6
+                lowFreq = NoteUtils.noteToFrequency('A3');
+                highFreq = NoteUtils.noteToFrequency('C6');
                 console.log('[SystemExercise] Using fixed piano range for Slider Glissando:', lowFreq, '-', highFreq, 'Hz');
             } else {
                 // Other exercises: Use vocal range
@@ -279,7 +301,7 @@ class IntervalSystemExercise {
             } else {
                 // Calculate interval frequency range
                 const semitones = this.intervalConfig.semitones;
-                const intervalRatio = Math.pow(2, semitones / 12);
+                const intervalRatio = TuningSystems.getRatio(semitones);
 
                 // Ensure interval fits in range (assuming upward interval)
                 const maxRootFreq = highFreq / intervalRatio;
@@ -301,15 +323,7 @@ class IntervalSystemExercise {
 
 
     frequencyToNote(frequency) {
-        const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-        const A4 = 440;
-        const C0 = A4 * Math.pow(2, -4.75);
-
-        const halfSteps = Math.round(12 * Math.log2(frequency / C0));
-        const octave = Math.floor(halfSteps / 12);
-        const note = noteNames[halfSteps % 12];
-
-        return `${note}${octave}`;
+        return NoteUtils.frequencyToNote(frequency);
     }
 
     updateDisplay() {
@@ -453,6 +467,7 @@ class IntervalSystemExercise {
             }
 
             // Apply audio state (play root tone)
+            this.beginStepGrading(currentStep);
             this.applyAudioState(currentStep.audioState);
             return;
         }
@@ -473,6 +488,7 @@ class IntervalSystemExercise {
             }
 
             // Apply audio state (play root tone)
+            this.beginStepGrading(currentStep);
             this.applyAudioState(currentStep.audioState);
             return;
         }
@@ -561,6 +577,7 @@ class IntervalSystemExercise {
         this.updateTriangleSizes();
 
         // Auto-play audio based on step's audioState
+        this.beginStepGrading(currentStep);
         this.applyAudioState(currentStep.audioState);
     }
 
@@ -868,143 +885,26 @@ class IntervalSystemExercise {
     }
 
     async playRoot() {
-        console.log('playRoot called', { rootFrequency: this.rootFrequency, rootOscillator: this.rootOscillator });
-
-        // Stop existing oscillator if already playing
-        if (this.rootOscillator) {
-            console.log('Stopping existing root oscillator before creating new one');
-            this.stopRoot();
-        }
-
-        await this.toneGenerator.ensureAudioContext();
-        const audioContext = window.audioManager.getAudioContext();
-
-        if (!audioContext) {
-            console.error('AudioContext not available');
-            return;
-        }
-
-        console.log('Creating root oscillator at', this.rootFrequency, 'Hz');
-
-        // Create gain node
-        this.rootGainNode = audioContext.createGain();
-        this.rootGainNode.gain.setValueAtTime(0.3, audioContext.currentTime);
-        this.rootGainNode.connect(audioContext.destination);
-
-        // Create and start oscillator
-        this.rootOscillator = audioContext.createOscillator();
-        this.rootOscillator.type = 'sine';
-        this.rootOscillator.frequency.setValueAtTime(this.rootFrequency, audioContext.currentTime);
-        this.rootOscillator.connect(this.rootGainNode);
-        this.rootOscillator.start(audioContext.currentTime);
-        console.log('Root oscillator started');
+        await this.rootTone.playTone(this.rootFrequency);
     }
 
     stopRoot() {
-        console.log('stopRoot called', { rootOscillator: this.rootOscillator, rootGainNode: this.rootGainNode });
-        if (this.rootOscillator) {
-            try {
-                const audioContext = window.audioManager.getAudioContext();
-                if (!audioContext) {
-                    console.log('No audio context in stopRoot');
-                    return;
-                }
-
-                const currentTime = audioContext.currentTime;
-
-                // Fade out
-                if (this.rootGainNode) {
-                    this.rootGainNode.gain.setValueAtTime(this.rootGainNode.gain.value, currentTime);
-                    this.rootGainNode.gain.exponentialRampToValueAtTime(0.001, currentTime + 0.05);
-                    this.rootOscillator.stop(currentTime + 0.05);
-                    console.log('Root oscillator scheduled to stop at', currentTime + 0.05);
-                } else {
-                    this.rootOscillator.stop();
-                    console.log('Root oscillator stopped immediately');
-                }
-                this.rootOscillator.disconnect();
-            } catch (e) {
-                console.warn('Error stopping root oscillator:', e);
-            }
-            this.rootOscillator = null;
-        } else {
-            console.log('No root oscillator to stop');
-        }
-        if (this.rootGainNode) {
-            this.rootGainNode.disconnect();
-            this.rootGainNode = null;
-        }
-        console.log('stopRoot complete');
+        this.rootTone.stopTone();
     }
 
     async playInterval() {
-        console.log('playInterval called', { intervalFrequency: this.intervalFrequency, intervalOscillator: this.intervalOscillator });
-
-        // Stop existing oscillator if already playing
-        if (this.intervalOscillator) {
-            console.log('Stopping existing interval oscillator before creating new one');
-            this.stopInterval();
-        }
-
-        await this.toneGenerator.ensureAudioContext();
-        const audioContext = window.audioManager.getAudioContext();
-
-        if (!audioContext) {
-            console.error('AudioContext not available');
-            return;
-        }
-
-        console.log('Creating interval oscillator at', this.intervalFrequency, 'Hz');
-
-        // Create gain node
-        this.intervalGainNode = audioContext.createGain();
-        this.intervalGainNode.gain.setValueAtTime(0.3, audioContext.currentTime);
-        this.intervalGainNode.connect(audioContext.destination);
-
-        // Create and start oscillator
-        this.intervalOscillator = audioContext.createOscillator();
-        this.intervalOscillator.type = 'sine';
-        this.intervalOscillator.frequency.setValueAtTime(this.intervalFrequency, audioContext.currentTime);
-        this.intervalOscillator.connect(this.intervalGainNode);
-        this.intervalOscillator.start(audioContext.currentTime);
-        console.log('Interval oscillator started');
+        await this.intervalTone.playTone(this.intervalFrequency);
     }
 
     stopInterval() {
-        console.log('stopInterval called', { intervalOscillator: this.intervalOscillator, intervalGainNode: this.intervalGainNode });
-        if (this.intervalOscillator) {
-            try {
-                const audioContext = window.audioManager.getAudioContext();
-                if (!audioContext) {
-                    console.log('No audio context in stopInterval');
-                    return;
-                }
-
-                const currentTime = audioContext.currentTime;
+        this.intervalTone.stopTone();
+    }
 
-                // Fade out
-                if (this.intervalGainNode) {
-                    this.intervalGainNode.gain.setValueAtTime(this.intervalGainNode.gain.value, currentTime);
-                    this.intervalGainNode.gain.exponentialRampToValueAtTime(0.001, currentTime + 0.05);
-                    this.intervalOscillator.stop(currentTime + 0.05);
-                    console.log('Interval oscillator scheduled to stop at', currentTime + 0.05);
-                } else {
-                    this.intervalOscillator.stop();
-                    console.log('Interval oscillator stopped immediately');
-                }
-                this.intervalOscillator.disconnect();
-            } catch (e) {
-                console.warn('Error stopping interval oscillator:', e);
-            }
-            this.intervalOscillator = null;
-        } else {
-            console.log('No interval oscillator to stop');
-        }
-        if (this.intervalGainNode) {
-            this.intervalGainNode.disconnect();
-            this.intervalGainNode = null;
+    // Follow the glissando slider with the playing interval tone
+    updateIntervalTone(frequency) {
+        if (this.intervalPlaying) {
+            this.intervalTone.setFrequency(frequency);
         }
-        console.log('stopInterval complete');
     }
 
     handleCurrentAction() {
@@ -1117,6 +1017,7 @@ class IntervalSystemExercise {
 
             // Update other step elements
             this.updateGlissandoPulse();
+            this.beginStepGrading(newStep);
             this.applyAudioState(newStep.audioState);
 
             // Recalculate triangle sizes to ensure proper spacing
@@ -1242,9 +1143,12 @@ class IntervalSystemExercise {
 
     completeCurrentExercise() {
         this.repetitionsCompleted++;
+        this.finishRep();
 
         if (this.repetitionsCompleted >= this.maxRepetitions) {
             // Completed all repetitions for this exercise
+            // Combine the mic grades of every rep so training mode can suggest a rating
+            this.lastAutoGrade = this.finishExerciseGrading();
 
             // If not doing all exercises, return to menu
             if (!this.doAllExercises) {
@@ -1279,6 +1183,8 @@ class IntervalSystemExercise {
 
     handleUnisonRating(rating) {
         console.log('[Unison] User rated:', rating);
+        this.clearUnisonAutoApply();
+        this.finishRep();
 
         const currentExercise = this.exercises[this.currentExerciseIndex];
 
@@ -1287,11 +1193,16 @@ class IntervalSystemExercise {
             console.log('[Unison] User marked "Did not complete" on Match the Tone - showing instructions');
             this.showMatchTheToneModal();
             // Don't increment repetitions or generate new tones - let them try again with same note
+            this.restartStepGrading();
             return;
         }
 
         this.repetitionsCompleted++;
 
+        // Keep the mic measurements for this rep and note whether the user took the suggestion
+        this.lastAutoGrade = this.finishExerciseGrading();
+        this.lastGradingSource = this.suggestedUnisonRating && rating === this.suggestedUnisonRating ? 'mic' : 'self';
+
         // Map rating to spaced repetition difficulty
         const difficultyMap = {
             'easy': 'easy',
@@ -1315,6 +1226,7 @@ class IntervalSystemExercise {
             console.log('[Unison] Generating new note for next rep');
             this.generateNewTones();
             this.updateDisplay();
+            this.restartStepGrading();
         }
     }
 
@@ -1333,6 +1245,7 @@ class IntervalSystemExercise {
                 // If not doing all exercises, return to menu
                 if (!this.doAllExercises) {
                     this.stopAll();
+                    this.stopAutoGrading();
                     this.container.style.display = 'none';
                     document.getElementById('systemExerciseMenu').style.display = 'block';
                 } else {
@@ -1354,6 +1267,7 @@ class IntervalSystemExercise {
         if (this.currentExerciseIndex >= this.exercises.length || !this.doAllExercises) {
             // Return to menu if we've reached the end OR if not doing all exercises
             this.stopAll();
+            this.stopAutoGrading();
             this.container.style.display = 'none';
             document.getElementById('systemExerciseMenu').style.display = 'block';
         } else {
@@ -1410,6 +1324,9 @@ class IntervalSystemExercise {
         // Stop all audio
         this.stopAll();
 
+        // Stop microphone grading
+        this.stopAutoGrading();
+
         // Stop tip rotation
         this.stopTipRotation();
 
@@ -1428,6 +1345,215 @@ class IntervalSystemExercise {
         }
     }
 
+    // ===========================
+    // Microphone Grading Methods
+    // ===========================
+
+    /**
+     * Start listening so sung steps can be graded automatically.
+     * Falls back silently to self-rating if grading is off or the mic is unavailable.
+     */
+    async startAutoGrading() {
+        this.stopAutoGrading();
+        this.lastAutoGrade = null;
+        this.lastGradingSource = null;
+
+        if (!appSettings.getAutoGrading() || typeof StepPitchGrader === 'undefined') {
+            return;
+        }
+
+        const session = this.gradingSession;
+        let unsubscribe;
+
+        try {
+            // Grading thresholds are tuned for readings every 50ms
+            unsubscribe = await window.pitchStream.subscribe((pitch, frame) => {
+                this.checkGradingReading(pitch, frame);
+            }, { minIntervalMs: 50 });
+            window.audioManager.setGain(appSettings.getMicrophoneGain());
+        } catch (error) {
+            console.warn('[SystemExercise] Microphone unavailable, using self-rating only:', error);
+            return;
+        }
+
+        // Exercise was exited while the microphone was starting
+        if (session !== this.gradingSession) {
+            unsubscribe();
+            return;
+        }
+
+        // Use the same tolerance and stability requirements as the other pitch exercises
+        const sensitivityConfig = appSettings.getCurrentSensitivityConfig();
+        this.stepGrader = new StepPitchGrader({
+            toleranceCents: StepPitchGrader.toleranceRatioToCents(sensitivityConfig.tolerance),
+            stableReadings: sensitivityConfig.stableReadings
+        });
+
+        this.unsubscribePitch = unsubscribe;
+
+        // Start grading whichever step is already on screen
+        const currentExercise = this.getCurrentExerciseConfig();
+        if (currentExercise && currentExercise.steps) {
+            this.beginStepGrading(currentExercise.steps[this.currentStepIndex]);
+        }
+    }
+
+    stopAutoGrading() {
+        this.gradingSession++;
+        window.attemptRecorder.stop();
+        this.pitchTrace.stop();
+
+        if (this.unsubscribePitch) {
+            this.unsubscribePitch();
+            this.unsubscribePitch = null;
+        }
+
+        this.stepGrader = null;
+        this.clearUnisonGradeSuggestion();
+    }
+
+    /**
+     * Start grading a step against the tone its userAction targets
+     */
+    beginStepGrading(step) {
+        if (!this.stepGrader || !step) return;
+
+        const target = StepPitchGrader.getGradedActions()[step.userAction];
+        let targetFrequency = target === 'interval' ? this.intervalFrequency : this.rootFrequency;
+
+        // Tutorial "sing" steps ask for any steady note, not the generated root
+        if (this.isTutorial) {
+            targetFrequency = null;
+        }
+
+        this.stepGrader.beginStep(step.userAction, targetFrequency);
+        this.clearUnisonGradeSuggestion();
+        this.recordStep(targetFrequency);
+    }
+
+    /**
+     * Trace the rep for the piano roll and record it for replay (see
+     * lib/attemptRecorder.js). One trace and one recording cover every step
+     * of a rep, each step against the tone it targets.
+     */
+    recordStep(targetFrequency) {
+        if (this.pitchTrace.isRunning()) {
+            this.pitchTrace.setTarget(targetFrequency);
+        } else {
+            this.pitchTrace.start(targetFrequency);
+        }
+
+        if (window.attemptRecorder.isRecording()) {
+            window.attemptRecorder.setReference(targetFrequency);
+            return;
+        }
+
+        const label = this.exerciseLabel ? `${this.intervalName}: ${this.exerciseLabel.textContent}` : this.intervalName;
+        window.attemptRecorder.start(`system_${this.intervalType}`, label, targetFrequency);
+    }
+
+    /**
+     * End the rep's recording and show its pitch trace on the piano roll.
+     * The training rating screen shows lastPitchTrace too.
+     */
+    finishRep() {
+        window.attemptRecorder.stop();
+        const trace = this.pitchTrace.stop();
+        if (!trace || !this.stepGrader) return;
+
+        this.lastPitchTrace = { ...trace, toleranceCents: this.stepGrader.toleranceCents };
+        if (this.pianoRoll) {
+            this.pianoRoll.render(trace, { toleranceCents: this.lastPitchTrace.toleranceCents });
+            this.pianoRoll.canvas.style.display = 'block';
+        }
+    }
+
+    /**
+     * Drop measurements for the current attempt and grade the step from scratch
+     */
+    restartStepGrading() {
+        if (!this.stepGrader) return;
+
+        this.stepGrader.reset();
+        const currentExercise = this.getCurrentExerciseConfig();
+        if (currentExercise && currentExercise.steps) {
+            this.beginStepGrading(currentExercise.steps[this.currentStepIndex]);
+        }
+    }
+
+    /**
+     * Finish grading and return the combined grade (null if nothing was graded)
+     */
+    finishExerciseGrading() {
+        if (!this.stepGrader) return null;
+
+        const grade = this.stepGrader.finishExercise();
+        if (grade) {
+            console.log('[SystemExercise] Mic grade:', grade.difficulty, grade.steps);
+        }
+        return grade;
+    }
+
+    checkGradingReading(pitch, frame) {
+        if (!this.stepGrader) return;
+
+        this.stepGrader.addReading(pitch && pitch.frequency ? pitch.frequency : null, frame.timestamp);
+
+        // Unison reps are rated one note at a time, so suggest a rating once the match is held
+        if (this.isUnison && !this.suggestedUnisonRating &&
+            this.unisonRatingContainer && this.unisonRatingContainer.style.display !== 'none' &&
+            this.stepGrader.hasHeldLock(1500)) {
+            const result = this.stepGrader.peekStep();
+            if (result) {
+                this.showUnisonGradeSuggestion({ difficulty: result.difficulty, steps: [result] });
+            }
+        }
+    }
+
+    /**
+     * Highlight the mic's rating among the unison rating buttons and apply
+     * it after AUTO_GRADE_APPLY_MS. Pressing any button first overrides it.
+     */
+    showUnisonGradeSuggestion(grade) {
+        this.suggestedUnisonRating = grade.difficulty;
+
+        this.unisonRatingButtons.forEach(btn => {
+            btn.classList.toggle('suggested', btn.dataset.rating === grade.difficulty);
+        });
+
+        if (this.unisonAutoGradeElement) {
+            this.unisonAutoGradeElement.textContent = `🎤 ${StepPitchGrader.describeGrade(grade)} · used unless you pick a rating`;
+            this.unisonAutoGradeElement.style.display = 'block';
+        }
+
+        this.clearUnisonAutoApply();
+        this.unisonAutoApplyTimer = setTimeout(() => {
+            this.unisonAutoApplyTimer = null;
+            this.handleUnisonRating(grade.difficulty);
+        }, IntervalSystemExercise.AUTO_GRADE_APPLY_MS);
+    }
+
+    clearUnisonAutoApply() {
+        if (this.unisonAutoApplyTimer) {
+            clearTimeout(this.unisonAutoApplyTimer);
+            this.unisonAutoApplyTimer = null;
+        }
+    }
+
+    clearUnisonGradeSuggestion() {
+        this.clearUnisonAutoApply();
+        this.suggestedUnisonRating = null;
+
+        if (this.unisonRatingButtons) {
+            this.unisonRatingButtons.forEach(btn => btn.classList.remove('suggested'));
+        }
+
+        if (this.unisonAutoGradeElement) {
+            this.unisonAutoGradeElement.textContent = '';
+            this.unisonAutoGradeElement.style.display = 'none';
+        }
+    }
+
     // ===========================
     // Tip Rotation Methods
     // ===========================
@@ -1798,12 +1924,7 @@ class IntervalSystemExercise {
             }
 
             // Update audio
-            if (this.intervalOscillator && this.intervalPlaying) {
-                const audioContext = window.audioManager?.getAudioContext();
-                if (audioContext) {
-                    this.intervalOscillator.frequency.setValueAtTime(currentFreq, audioContext.currentTime);
-                }
-            }
+            this.updateIntervalTone(currentFreq);
 
             if (progress < 1) {
                 requestAnimationFrame(animate);
@@ -1815,12 +1936,7 @@ class IntervalSystemExercise {
                     slider.value = endFreq;
                 }
 
-                if (this.intervalOscillator && this.intervalPlaying) {
-                    const audioContext = window.audioManager?.getAudioContext();
-                    if (audioContext) {
-                        this.intervalOscillator.frequency.setValueAtTime(endFreq, audioContext.currentTime);
-                    }
-                }
+                this.updateIntervalTone(endFreq);
 
                 if (onComplete) {
                     onComplete();
@@ -1878,12 +1994,7 @@ class IntervalSystemExercise {
                 const slider = this.container.querySelector('[data-glissando-slider="frequency"]');
                 if (slider) slider.value = targetLimit;
 
-                if (this.intervalOscillator && this.intervalPlaying) {
-                    const audioContext = window.audioManager?.getAudioContext();
-                    if (audioContext) {
-                        this.intervalOscillator.frequency.setValueAtTime(targetLimit, audioContext.currentTime);
-                    }
-                }
+                this.updateIntervalTone(targetLimit);
 
                 this.stopContinuousGlissando();
                 return;
@@ -1903,12 +2014,7 @@ class IntervalSystemExercise {
             }
 
             // Update audio
-            if (this.intervalOscillator && this.intervalPlaying) {
-                const audioContext = window.audioManager?.getAudioContext();
-                if (audioContext) {
-                    this.intervalOscillator.frequency.setValueAtTime(newFreq, audioContext.currentTime);
-                }
-            }
+            this.updateIntervalTone(newFreq);
 
             // Continue animation
             this.continuousGlissando.animationId = requestAnimationFrame(animate);
@@ -2016,12 +2122,7 @@ class IntervalSystemExercise {
         this.intervalFrequency = frequency;
 
         // Update audio if playing
-        if (this.intervalOscillator && this.intervalPlaying) {
-            const audioContext = window.audioManager?.getAudioContext();
-            if (audioContext) {
-                this.intervalOscillator.frequency.setValueAtTime(frequency, audioContext.currentTime);
-            }
-        }
+        this.updateIntervalTone(frequency);
 
         // Show Next button after first interaction
         this.showGlissandoNextButton();
@@ -2231,6 +2332,9 @@ class IntervalSystemExercise {
             setTimeout(() => {
                 modal.style.display = 'none';
             }, 300);
+
+            // Time spent reading the instructions shouldn't count against the mic grade
+            this.restartStepGrading();
         };
 
         if (closeBtn) {
@@ -2259,3 +2363,7 @@ class IntervalSystemExercise {
         }
     }
 }
+
+// How long a microphone grade is shown before it is applied as the rating
+// (pressing a rating button in that time overrides it)
+IntervalSystemExercise.AUTO_GRADE_APPLY_MS = 4000;
@@ -931,6 +931,7 @@ class IntervalVisualizationWebGL {
             uniform float uTime;
             uniform float uAmplitude;
             uniform int uHarmonicOrder;
+            uniform float uHarmonicWeights[10]; // Per-harmonic amplitude from the active timbre
             uniform bool uIsPlayingTone1;
             uniform bool uIsPlayingTone2;
             uniform float uTone1RevealRadiusMin;
@@ -1033,7 +1034,7 @@ class IntervalVisualizationWebGL {
                 for (int h = 1; h <= 10; h++) {
                     if (h > harmonicOrder) break;
                     float harmonic = float(h);
-                    amplitude += sin(dist * 0.05 * harmonic - freq * harmonic * time * 0.01) / harmonic;
+                    amplitude += sin(dist * 0.05 * harmonic - freq * harmonic * time * 0.01) * uHarmonicWeights[h - 1];
                 }
 
                 return amplitude;
@@ -2113,6 +2114,7 @@ class IntervalVisualizationWebGL {
             time: this.gl.getUniformLocation(this.program, 'uTime'),
             amplitude: this.gl.getUniformLocation(this.program, 'uAmplitude'),
             harmonicOrder: this.gl.getUniformLocation(this.program, 'uHarmonicOrder'),
+            harmonicWeights: this.gl.getUniformLocation(this.program, 'uHarmonicWeights'),
             isPlayingTone1: this.gl.getUniformLocation(this.program, 'uIsPlayingTone1'),
             isPlayingTone2: this.gl.getUniformLocation(this.program, 'uIsPlayingTone2'),
             tone1RevealRadiusMin: this.gl.getUniformLocation(this.program, 'uTone1RevealRadiusMin'),
@@ -2319,6 +2321,7 @@ class IntervalVisualizationWebGL {
         this.gl.uniform1f(this.uniforms.time, time);
         this.gl.uniform1f(this.uniforms.amplitude, this.settings.amplitude);
         this.gl.uniform1i(this.uniforms.harmonicOrder, this.settings.harmonicOrder);
+        this.gl.uniform1fv(this.uniforms.harmonicWeights, TimbreLibrary.getHarmonicWeights(10));
         this.gl.uniform1i(this.uniforms.isPlayingTone1, this.isPlayingTone1 ? 1 : 0);
         this.gl.uniform1i(this.uniforms.isPlayingTone2, this.isPlayingTone2 ? 1 : 0);
         this.gl.uniform1f(this.uniforms.tone1RevealRadiusMin, this.tone1RevealRadiusMin || 0);
@@ -90,8 +90,8 @@ class IntonationExercise {
     }
 
     generateNewTone() {
-        // F3 is approximately 174.61 Hz - use as minimum unless user's range is lower
-        const MIN_FREQUENCY = 174.61; // F3
+        // Use F3 as minimum unless user's range is lower
+        const MIN_FREQUENCY = NoteUtils.noteToFrequency('F3');
 
         // Generate random frequency within vocal range (minimum F3)
         const lowFreq = Math.max(this.vocalRange.low.frequency, MIN_FREQUENCY);
@@ -275,3 +275,15 @@ if (document.readyState === 'loading') {
 } else {
     window.intonationExercise = new IntonationExercise();
 }
+
+window.exerciseRegistry.register({
+    id: 'pitch',
+    name: 'Unison Explore',
+    container: 'intonationExercise',
+    category: 'unison',
+    usageModes: ['headphone-mic', 'speaker-mic', 'car-mode'], // Has a car mode
+    getInstance: () => window.intonationExercise,
+    pause: (exercise) => {
+        if (!exercise.isPaused) exercise.togglePlayPause();
+    }
+});
@@ -0,0 +1,368 @@
+/**
+ * Attempt Recorder
+ *
+ * Records what the singer sang during an exercise attempt so they can hear
+ * it back. While recording it captures:
+ *
+ *   - the microphone after gain and bleed cancellation (AudioManager's input
+ *     node), so the speaker's reference tone is mostly not in the recording
+ *   - the reference tones the attempt was sung against, as
+ *     { frequency, startMs, endMs } segments set by the exercise
+ *   - a pitch trace (see lib/pitchTrace.js), as { timeMs, frequency|null }
+ *
+ * Times are milliseconds from the start of the recording. Finished attempts
+ * are kept per profile in IndexedDB, newest first, up to MAX_ATTEMPTS.
+ *
+ * play() mixes the recording with the reference tones re-synthesised in the
+ * active timbre, from any point in the attempt, on the 'playback' channel.
+ * The replay screen is attemptReplay.js.
+ *
+ * Needs MediaRecorder; where it is missing start() returns false and the
+ * exercises carry on without recording.
+ *
+ * Usage:
+ *   await window.attemptRecorder.start('toneDarts', 'Tone Darts', targetFrequency);
+ *   window.attemptRecorder.setReference(nextFrequency);
+ *   const attempt = await window.attemptRecorder.stop();   // saved, or null if too short
+ *
+ *   const attempts = await window.attemptRecorder.getAttempts();
+ *   await window.attemptRecorder.play(attempts[0], 1500);
+ */
+
+class AttemptRecorder {
+    constructor() {
+        this.storage = new IndexedDBStorageService();
+        this.recording = null; // { attempt, recorder, chunks, inputNode, destination, trace, timer }
+        this.playback = null;  // { attempt, startAt, offsetMs, nodes }
+        this.buffers = new Map(); // attempt id -> decoded AudioBuffer
+        this.pendingUpdate = Promise.resolve();
+        this.listeners = new Set();
+        this.playbackEndListeners = new Set();
+    }
+
+    static isSupported() {
+        return typeof MediaRecorder !== 'undefined';
+    }
+
+    getStorageKey() {
+        return `earlift_attempt_recordings_${appSettings.profileName}`;
+    }
+
+    isRecording() {
+        return this.recording !== null;
+    }
+
+    /**
+     * Start recording an attempt. The microphone must already be running
+     * (exercises start it when they subscribe to PitchStream). A recording
+     * still in progress is stopped and saved first.
+     * @param {string} exerciseId - e.g. 'toneDarts', 'pitchhold'
+     * @param {string} label - Shown in the replay list
+     * @param {number|null} referenceFrequency - Tone the attempt is sung against
+     * @returns {Promise<boolean>} False if recording isn't possible
+     */
+    async start(exerciseId, label, referenceFrequency = null) {
+        if (this.recording) {
+            await this.stop();
+        }
+
+        const audioManager = window.audioManager;
+        const inputNode = audioManager.isInitialized ? audioManager.getInputNode() : null;
+        if (!AttemptRecorder.isSupported() || !inputNode) {
+            return false;
+        }
+
+        const context = audioManager.getAudioContext();
+        const destination = context.createMediaStreamDestination();
+        inputNode.connect(destination);
+
+        let recorder;
+        try {
+            const mimeType = AttemptRecorder.MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+            recorder = new MediaRecorder(destination.stream, mimeType ? { mimeType } : undefined);
+        } catch (error) {
+            console.warn('AttemptRecorder: MediaRecorder unavailable:', error);
+            inputNode.disconnect(destination);
+            return false;
+        }
+
+        const chunks = [];
+        recorder.ondataavailable = (event) => {
+            if (event.data && event.data.size > 0) {
+                chunks.push(event.data);
+            }
+        };
+
+        const attempt = {
+            id: `${Date.now()}`,
+            exerciseId,
+            label,
+            recordedAt: new Date().toISOString(),
+            durationMs: 0,
+            mimeType: recorder.mimeType,
+            references: [],
+            pitchTrace: []
+        };
+
+        const recording = {
+            attempt,
+            recorder,
+            chunks,
+            inputNode,
+            destination,
+            trace: new PitchTrace({ minIntervalMs: AttemptRecorder.CONFIG.traceIntervalMs }),
+            timer: setTimeout(() => this.stop(), AttemptRecorder.CONFIG.maxDurationMs)
+        };
+        this.recording = recording;
+        recorder.start();
+        await recording.trace.start(referenceFrequency);
+
+        return true;
+    }
+
+    /**
+     * Change the tone the attempt is sung against (null for none)
+     */
+    setReference(frequency) {
+        if (this.recording) {
+            this.recording.trace.setTarget(frequency);
+        }
+    }
+
+    /**
+     * Finish the attempt and save it
+     * @returns {Promise<Object|null>} The saved attempt, or null if nothing
+     *   was recording or it was too short to keep
+     */
+    async stop() {
+        const recording = this.finishRecording();
+        if (!recording) return null;
+
+        const attempt = recording.attempt;
+        const blob = await new Promise((resolve) => {
+            recording.recorder.onstop = () => resolve(new Blob(recording.chunks, { type: attempt.mimeType }));
+            recording.recorder.stop();
+        });
+        this.disconnectInput(recording);
+
+        if (attempt.durationMs < AttemptRecorder.CONFIG.minDurationMs || blob.size === 0) {
+            return null;
+        }
+
+        attempt.blob = blob;
+        await this.saveAttempt(attempt);
+        return attempt;
+    }
+
+    /**
+     * Stop recording without saving
+     */
+    cancel() {
+        const recording = this.finishRecording();
+        if (!recording) return;
+
+        recording.recorder.stop();
+        this.disconnectInput(recording);
+    }
+
+    disconnectInput(recording) {
+        try {
+            recording.inputNode.disconnect(recording.destination);
+        } catch (e) {
+            // AudioManager already disconnected it when the microphone stopped
+        }
+    }
+
+    // Detach the current recording and keep its trace with the attempt
+    finishRecording() {
+        const recording = this.recording;
+        if (!recording) return null;
+
+        this.recording = null;
+        clearTimeout(recording.timer);
+
+        const trace = recording.trace.stop();
+        recording.attempt.durationMs = trace.durationMs;
+        recording.attempt.references = trace.targets;
+        recording.attempt.pitchTrace = trace.points;
+        return recording;
+    }
+
+    /**
+     * Saved attempts for the current profile, newest first
+     * @returns {Promise<Array<Object>>}
+     */
+    async getAttempts() {
+        await this.pendingUpdate;
+        return await this.storage.get(this.getStorageKey(), []);
+    }
+
+    saveAttempt(attempt) {
+        return this.updateAttempts(attempts => [attempt, ...attempts].slice(0, AttemptRecorder.MAX_ATTEMPTS));
+    }
+
+    deleteAttempt(id) {
+        this.buffers.delete(id);
+        return this.updateAttempts(attempts => attempts.filter(attempt => attempt.id !== id));
+    }
+
+    // Read-modify-write of the stored list, one at a time so a save that
+    // finishes while another is in progress isn't lost
+    updateAttempts(update) {
+        const key = this.getStorageKey();
+        this.pendingUpdate = this.pendingUpdate.then(async () => {
+            const attempts = await this.storage.get(key, []);
+            await this.storage.set(key, update(attempts));
+            this.listeners.forEach(listener => listener());
+        }).catch(error => {
+            console.error('AttemptRecorder: Could not save attempts:', error);
+        });
+        return this.pendingUpdate;
+    }
+
+    /**
+     * Call listener whenever an attempt is saved or deleted
+     * @returns {Function} Unsubscribe
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Call listener when a replay reaches the end (not when it is stopped)
+     * @returns {Function} Unsubscribe
+     */
+    onPlaybackEnd(listener) {
+        this.playbackEndListeners.add(listener);
+        return () => this.playbackEndListeners.delete(listener);
+    }
+
+    /**
+     * Replay an attempt from offsetMs, mixed with its reference tones
+     * @param {Object} attempt - From getAttempts()
+     * @param {number} offsetMs - Where to start
+     * @param {Object} options - { withReference } (default true)
+     */
+    async play(attempt, offsetMs = 0, options = {}) {
+        this.stopPlayback();
+
+        const withReference = options.withReference !== false;
+        const context = await window.audioEngine.ensureContext();
+        const buffer = await this.decode(context, attempt);
+        const channel = window.audioEngine.getChannel('playback');
+        const startAt = context.currentTime + 0.05;
+        const offsetSeconds = Math.max(0, Math.min(offsetMs, attempt.durationMs)) / 1000;
+        const endAt = startAt + attempt.durationMs / 1000 - offsetSeconds;
+
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        source.connect(channel);
+        source.start(startAt, Math.min(offsetSeconds, buffer.duration));
+
+        const playback = { attempt, startAt, offsetMs: offsetSeconds * 1000, nodes: [source] };
+        this.playback = playback;
+
+        if (withReference) {
+            for (const reference of attempt.references) {
+                const toneStart = Math.max(reference.startMs / 1000 - offsetSeconds, 0);
+                const toneEnd = Math.min((reference.endMs === null ? attempt.durationMs : reference.endMs) / 1000 - offsetSeconds, endAt - startAt);
+                if (toneEnd <= toneStart) continue;
+
+                const nodes = await this.scheduleReference(context, reference.frequency, startAt + toneStart, startAt + toneEnd);
+                if (this.playback !== playback) {
+                    nodes.forEach(node => node.disconnect());
+                    return;
+                }
+                playback.nodes.push(...nodes);
+            }
+        }
+
+        // Ends with the attempt, even if the recording runs a little longer
+        source.stop(endAt);
+        source.onended = () => {
+            if (this.playback !== playback) return;
+            this.stopPlayback();
+            this.playbackEndListeners.forEach(listener => listener(attempt));
+        };
+    }
+
+    // Reference tone in the active timbre between two context times
+    async scheduleReference(context, frequency, startTime, endTime) {
+        const config = AttemptRecorder.CONFIG;
+        const source = await TimbreLibrary.createSource(context, TimbreLibrary.getActiveTimbre(), frequency);
+        const gain = context.createGain();
+        const fade = Math.min(config.referenceFadeSeconds, (endTime - startTime) / 2);
+
+        gain.gain.setValueAtTime(0, startTime);
+        gain.gain.linearRampToValueAtTime(config.referenceVolume, startTime + fade);
+        gain.gain.setValueAtTime(config.referenceVolume, endTime - fade);
+        gain.gain.linearRampToValueAtTime(0, endTime);
+
+        source.node.connect(gain);
+        gain.connect(window.audioEngine.getChannel('playback'));
+        source.node.start(startTime);
+        source.node.stop(endTime);
+        return [source.node, gain];
+    }
+
+    async decode(context, attempt) {
+        if (!this.buffers.has(attempt.id)) {
+            const data = await attempt.blob.arrayBuffer();
+            this.buffers.set(attempt.id, await context.decodeAudioData(data));
+        }
+        return this.buffers.get(attempt.id);
+    }
+
+    stopPlayback() {
+        const playback = this.playback;
+        if (!playback) return;
+
+        this.playback = null;
+        playback.nodes.forEach(node => {
+            try {
+                if (node.stop) node.stop();
+            } catch (e) {
+                // Already stopped
+            }
+            node.disconnect();
+        });
+    }
+
+    isPlaying() {
+        return this.playback !== null;
+    }
+
+    /**
+     * Position of the replay in the attempt
+     * @returns {number|null} ms, or null when nothing is playing
+     */
+    getPlaybackPosition() {
+        if (!this.playback) return null;
+
+        const context = window.audioEngine.getContext();
+        const elapsedMs = Math.max(0, context.currentTime - this.playback.startAt) * 1000;
+        return Math.min(this.playback.offsetMs + elapsedMs, this.playback.attempt.durationMs);
+    }
+}
+
+// Attempts kept per profile
+AttemptRecorder.MAX_ATTEMPTS = 10;
+
+// Preferred recording formats (Safari only records MP4)
+AttemptRecorder.MIME_TYPES = [
+    'audio/webm;codecs=opus',
+    'audio/mp4',
+    'audio/webm'
+];
+
+AttemptRecorder.CONFIG = {
+    minDurationMs: 500,       // Shorter attempts aren't kept
+    maxDurationMs: 60000,     // Recording stops (and is kept) after a minute
+    traceIntervalMs: 20,      // Pitch trace resolution
+    referenceVolume: 0.2,     // Quieter than the exercises' 0.3 so the voice stays clear
+    referenceFadeSeconds: 0.03
+};
+
+// Global singleton instance
+window.attemptRecorder = new AttemptRecorder();
@@ -0,0 +1,245 @@
+/**
+ * Audio Engine
+ *
+ * Owns the app's one AudioContext and the output mix. Anything that makes
+ * sound connects to a named channel rather than to the context destination:
+ *
+ *   source -> channel gain -> channel pan -> master volume -> limiter -> speakers
+ *
+ * Channels are created the first time they are asked for, so callers can
+ * use their own names (DualToneAudioController uses 'tone1' and 'tone2' so
+ * the two tones can be panned apart). AudioManager adds the microphone to
+ * this same context; iOS only allows a few contexts per page, so nothing
+ * else should create one.
+ *
+ * The master volume is saved per profile and applied at startup and on
+ * profile switch (see app.js). The limiter keeps several tones played at
+ * once from clipping.
+ *
+ * Usage:
+ *   const audioContext = await window.audioEngine.ensureContext();
+ *   gainNode.connect(window.audioEngine.getChannel('effects'));
+ *   window.audioEngine.setChannelPan('tone1', -0.3);
+ *   window.audioEngine.setMasterVolume(0.8);
+ */
+
+class AudioEngine {
+    constructor() {
+        this.audioContext = null;
+        this.masterGain = null;
+        this.limiter = null;
+        this.channels = {}; // name -> { input: GainNode, panner: StereoPannerNode|null }
+        this.channelLevels = {}; // name -> { gain, pan }, kept so they survive before the context exists
+        this.masterVolume = 1.0;
+        this.outputDeviceId = ''; // '' = system default
+    }
+
+    /**
+     * The shared AudioContext, created with the master bus on first use.
+     * It starts suspended until resume() is called from a user gesture.
+     * @returns {AudioContext|null} Null if Web Audio isn't supported
+     */
+    getContext() {
+        if (this.audioContext) {
+            return this.audioContext;
+        }
+
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) {
+            console.warn('AudioEngine: Web Audio API not supported');
+            return null;
+        }
+
+        this.audioContext = new AudioContextClass({
+            latencyHint: 'interactive'
+        });
+
+        // Master: volume -> limiter -> destination
+        this.masterGain = this.audioContext.createGain();
+        this.masterGain.gain.value = this.masterVolume;
+
+        const limiter = AudioEngine.LIMITER;
+        this.limiter = this.audioContext.createDynamicsCompressor();
+        this.limiter.threshold.value = limiter.threshold;
+        this.limiter.knee.value = limiter.knee;
+        this.limiter.ratio.value = limiter.ratio;
+        this.limiter.attack.value = limiter.attack;
+        this.limiter.release.value = limiter.release;
+
+        this.masterGain.connect(this.limiter);
+        this.limiter.connect(this.audioContext.destination);
+
+        console.log('AudioEngine: AudioContext created, sample rate:', this.audioContext.sampleRate);
+        if (this.outputDeviceId) {
+            this.setOutputDevice(this.outputDeviceId);
+        }
+        return this.audioContext;
+    }
+
+    hasContext() {
+        return this.audioContext !== null;
+    }
+
+    /**
+     * Get the context and resume it if suspended (iOS suspends it until a
+     * user gesture, and after interruptions such as phone calls)
+     * @returns {Promise<AudioContext|null>}
+     */
+    async ensureContext() {
+        const audioContext = this.getContext();
+        await this.resume();
+        return audioContext;
+    }
+
+    async resume() {
+        if (this.audioContext && this.audioContext.state === 'suspended') {
+            await this.audioContext.resume();
+        }
+    }
+
+    /**
+     * Input node of a channel, created (and routed to the master) if needed
+     * @param {string} name - e.g. 'tones', 'effects', 'ui'
+     * @returns {AudioNode|null} Connect sources here instead of the destination
+     */
+    getChannel(name = 'tones') {
+        if (this.channels[name]) {
+            return this.channels[name].input;
+        }
+
+        const audioContext = this.getContext();
+        if (!audioContext) {
+            return null;
+        }
+
+        const levels = this.getChannelLevels(name);
+        const input = audioContext.createGain();
+        input.gain.value = levels.gain;
+
+        // StereoPannerNode is missing on older Safari; those channels stay centred
+        let panner = null;
+        if (audioContext.createStereoPanner) {
+            panner = audioContext.createStereoPanner();
+            panner.pan.value = levels.pan;
+            input.connect(panner);
+            panner.connect(this.masterGain);
+        } else {
+            input.connect(this.masterGain);
+        }
+
+        this.channels[name] = { input, panner };
+        return input;
+    }
+
+    getChannelNames() {
+        return Object.keys({ ...AudioEngine.CHANNELS, ...this.channels });
+    }
+
+    getChannelLevels(name) {
+        if (!this.channelLevels[name]) {
+            this.channelLevels[name] = { gain: 1.0, pan: 0 };
+        }
+        return this.channelLevels[name];
+    }
+
+    /**
+     * @param {string} name - Channel name
+     * @param {number} gain - 0.0 (silent) to 2.0
+     */
+    setChannelGain(name, gain) {
+        const levels = this.getChannelLevels(name);
+        levels.gain = Math.max(0, Math.min(2.0, gain));
+
+        const channel = this.channels[name];
+        if (channel) {
+            this.rampParam(channel.input.gain, levels.gain);
+        }
+    }
+
+    getChannelGain(name) {
+        return this.getChannelLevels(name).gain;
+    }
+
+    /**
+     * @param {string} name - Channel name
+     * @param {number} pan - -1 (left) to 1 (right)
+     */
+    setChannelPan(name, pan) {
+        const levels = this.getChannelLevels(name);
+        levels.pan = Math.max(-1, Math.min(1, pan));
+
+        const channel = this.channels[name];
+        if (channel && channel.panner) {
+            this.rampParam(channel.panner.pan, levels.pan);
+        }
+    }
+
+    getChannelPan(name) {
+        return this.getChannelLevels(name).pan;
+    }
+
+    /**
+     * Volume of everything the app plays
+     * @param {number} volume - 0.0 (muted) to 1.0 (full)
+     */
+    setMasterVolume(volume) {
+        this.masterVolume = Math.max(0, Math.min(1.0, volume));
+        if (this.masterGain) {
+            this.rampParam(this.masterGain.gain, this.masterVolume);
+        }
+    }
+
+    getMasterVolume() {
+        return this.masterVolume;
+    }
+
+    /**
+     * Play through a specific output device. Needs AudioContext.setSinkId();
+     * other browsers keep using the system default.
+     * @param {string|null} deviceId - From enumerateDevices(), or null for the default
+     * @returns {Promise<boolean>} False if the device couldn't be selected
+     */
+    async setOutputDevice(deviceId) {
+        this.outputDeviceId = deviceId || '';
+        if (!this.audioContext || typeof this.audioContext.setSinkId !== 'function') {
+            return false;
+        }
+
+        try {
+            await this.audioContext.setSinkId(this.outputDeviceId);
+            return true;
+        } catch (error) {
+            console.warn('AudioEngine: Could not switch output device:', error);
+            return false;
+        }
+    }
+
+    // Short ramp so level changes while playing don't click
+    rampParam(param, value) {
+        const now = this.audioContext.currentTime;
+        param.cancelScheduledValues(now);
+        param.setValueAtTime(param.value, now);
+        param.linearRampToValueAtTime(value, now + 0.03);
+    }
+}
+
+// Channels the app uses; others are created on demand
+AudioEngine.CHANNELS = {
+    'tones': 'Reference tones from ToneGenerator',
+    'effects': 'Exercise sound effects (darts hits and misses)',
+    'ui': 'Button clicks and unlock sounds',
+    'calibration': 'Latency calibration chirps and headphone detection probes',
+    'playback': 'Replays of recorded attempts (see lib/attemptRecorder.js)'
+};
+
+// Brick-wall-ish limiter just below full scale
+AudioEngine.LIMITER = {
+    threshold: -3,  // dB
+    knee: 0,
+    ratio: 20,
+    attack: 0.003,  // seconds
+    release: 0.1
+};
+
+// Global singleton instance
+window.audioEngine = new AudioEngine();
@@ -0,0 +1,204 @@
+/**
+ * Auto Gain Control
+ *
+ * Opt-in replacement for the manual microphone gain slider. While the mic is
+ * running it watches the level AudioManager's analyser sees and turns the
+ * mic gain node up or down to keep singing inside a target RMS window.
+ *
+ * To avoid pumping, it only adapts while someone is singing (the level is
+ * well above the calibrated noise floor, so silence is never boosted), it leaves the
+ * gain alone anywhere inside the window (a sustained note fading a little
+ * doesn't move it), and it rises slowly but backs off quickly. Clipping
+ * drops the gain straight away instead of waiting for isClipping() to be
+ * noticed.
+ *
+ * Until the microphone's noise floor is calibrated (see NoiseFloor) it only
+ * backs off from clipping: the default singing threshold is a fixed level
+ * that doesn't follow the gain, so loud room noise would pass for singing
+ * and be boosted without end.
+ *
+ * The learned gain is saved per microphone (see Settings.getAutoGainLevel())
+ * so the next session starts from it. Enabled per profile from Audio
+ * Settings; AudioManager starts and stops it with the microphone.
+ *
+ * Usage:
+ *   window.autoGainControl.setEnabled(true);
+ *   window.autoGainControl.onGainChange(gain => slider.value = gain);
+ */
+
+class AutoGainControl {
+    constructor() {
+        this.enabled = false;
+        this.interval = null;
+        this.buffer = null;
+        this.level = null;       // Smoothed singing RMS, null until someone sings
+        this.lastSavedGain = null;
+        this.lastSaveTime = 0;
+        this.listeners = new Set();
+    }
+
+    /**
+     * Switch AGC on or off. Turning it off goes back to the manual gain.
+     */
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+
+        if (!this.enabled) {
+            const wasRunning = this.isRunning();
+            this.stop();
+            if (wasRunning) {
+                window.audioManager.applyGain(appSettings.getMicrophoneGain());
+            }
+            return;
+        }
+
+        if (window.audioManager && window.audioManager.isInitialized) {
+            this.start();
+        }
+    }
+
+    isEnabled() {
+        return this.enabled;
+    }
+
+    isRunning() {
+        return this.interval !== null;
+    }
+
+    /**
+     * Start adjusting the microphone AudioManager just initialised
+     * (does nothing when disabled)
+     */
+    start() {
+        if (!this.enabled || this.interval) return;
+
+        const analyser = window.audioManager.getAnalyser();
+        if (!analyser) return;
+
+        this.buffer = new Float32Array(analyser.fftSize);
+        this.level = null;
+
+        const savedGain = appSettings.getAutoGainLevel();
+        if (savedGain) {
+            window.audioManager.applyGain(savedGain);
+        }
+        this.lastSavedGain = window.audioManager.getGain();
+        this.lastSaveTime = performance.now();
+
+        this.interval = setInterval(() => this.update(), AutoGainControl.CONFIG.intervalMs);
+        console.log('AutoGainControl: Started at gain', this.lastSavedGain.toFixed(2));
+    }
+
+    stop() {
+        if (!this.interval) return;
+
+        clearInterval(this.interval);
+        this.interval = null;
+        this.saveGain();
+    }
+
+    /**
+     * Call listener with the gain whenever AGC changes it
+     * @returns {Function} Unsubscribe
+     */
+    onGainChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    update() {
+        const config = AutoGainControl.CONFIG;
+        const analyser = window.audioManager.getAnalyser();
+        if (!analyser) return;
+
+        analyser.getFloatTimeDomainData(this.buffer);
+        let sum = 0;
+        let peak = 0;
+        for (let i = 0; i < this.buffer.length; i++) {
+            const value = this.buffer[i];
+            sum += value * value;
+            peak = Math.max(peak, Math.abs(value));
+        }
+        const rms = Math.sqrt(sum / this.buffer.length);
+
+        // Clipping: back off now
+        if (peak >= config.clipLevel) {
+            this.changeGainDb(-config.clipDropDb);
+            this.level = null;
+            return;
+        }
+
+        // Only learn from singing, never from silence or background noise,
+        // which needs a noise floor that scales with the gain
+        if (!appSettings.getNoiseCalibration()) {
+            return;
+        }
+        if (rms < NoiseFloor.getVoicingThreshold() * config.voiceMargin) {
+            return;
+        }
+
+        this.level = this.level === null ? rms : this.level + (rms - this.level) * config.smoothing;
+        if (this.level >= config.targetMinRms && this.level <= config.targetMaxRms) {
+            return;
+        }
+
+        // Step towards the middle of the window, rising slower than falling
+        const targetRms = Math.sqrt(config.targetMinRms * config.targetMaxRms);
+        const errorDb = 20 * Math.log10(targetRms / this.level);
+        const seconds = config.intervalMs / 1000;
+        const stepDb = Math.max(-config.maxFallDbPerSecond * seconds,
+            Math.min(config.maxRiseDbPerSecond * seconds, errorDb));
+
+        const ratio = this.changeGainDb(stepDb);
+        this.level *= ratio;
+    }
+
+    /**
+     * @returns {number} Ratio the gain actually changed by (it is clamped)
+     */
+    changeGainDb(db) {
+        const audioManager = window.audioManager;
+        const oldGain = audioManager.getGain();
+        audioManager.applyGain(oldGain * Math.pow(10, db / 20));
+        const newGain = audioManager.getGain();
+
+        if (newGain !== oldGain) {
+            this.listeners.forEach(listener => listener(newGain));
+            this.maybeSaveGain();
+        }
+        return newGain / oldGain;
+    }
+
+    // Save now and then rather than on every step (localStorage is synchronous)
+    maybeSaveGain() {
+        const now = performance.now();
+        if (now - this.lastSaveTime >= AutoGainControl.CONFIG.saveIntervalMs) {
+            this.saveGain();
+        }
+    }
+
+    saveGain() {
+        const gain = window.audioManager.getGain();
+        this.lastSaveTime = performance.now();
+        if (gain !== this.lastSavedGain) {
+            appSettings.setAutoGainLevel(gain);
+            this.lastSavedGain = gain;
+        }
+    }
+}
+
+AutoGainControl.CONFIG = {
+    intervalMs: 100,
+    targetMinRms: 0.05,       // Singing level window after gain (about -26 to -14 dBFS)
+    targetMaxRms: 0.2,
+    voiceMargin: 4,           // Adapt only when this far above the noise floor (+12 dB)
+    smoothing: 0.2,           // Level averaging per update (~0.5s)
+    maxRiseDbPerSecond: 3,
+    maxFallDbPerSecond: 12,
+    clipLevel: 0.98,
+    clipDropDb: 3,
+    saveIntervalMs: 5000
+};
+
+// Global singleton instance
+window.autoGainControl = new AutoGainControl();
@@ -0,0 +1,181 @@
+/**
+ * Bleed Canceller
+ *
+ * Removes the app's own tones from the microphone signal, so that with a
+ * speaker instead of headphones the pitch detectors hear the voice rather
+ * than the reference tone. AudioManager puts it between the mic gain and
+ * everything that analyses the mic (the analyser and PitchStream's worklet).
+ *
+ * ToneGenerator reports what it is playing with setTone()/clearTone(); the
+ * subtraction itself runs in lib/bleedCancellerWorklet.js. Cancellation is
+ * switched on by the usage mode (see Settings.getUsageModes(),
+ * cancelSpeakerBleed), but the bleed is measured in every mode so Mic
+ * Diagnostics can report how much of it remains.
+ *
+ * Without AudioWorklet support the mic signal passes through unchanged.
+ *
+ * Usage:
+ *   const inputNode = await window.bleedCanceller.attach(audioContext, micGainNode);
+ *   inputNode.connect(analyser);
+ *   window.bleedCanceller.setEnabled(true);
+ *   const unsubscribe = window.bleedCanceller.onLevels(levels => {
+ *       // levels: { time, input, residual, bleed, tones } (RMS)
+ *   });
+ */
+
+class BleedCanceller {
+    constructor() {
+        this.context = null;
+        this.workletNode = null;
+        this.sink = null;
+        this.moduleLoadedFor = null;
+        this.enabled = false;
+        this.tones = new Map(); // id -> last 'tone' message, replayed on attach
+        this.levels = null;
+        this.levelListeners = new Set();
+    }
+
+    static isSupported() {
+        return typeof AudioWorkletNode !== 'undefined';
+    }
+
+    /**
+     * Insert the canceller after a mic node
+     * @param {AudioContext} context
+     * @param {AudioNode} inputNode - Mic signal (after gain)
+     * @returns {Promise<AudioNode>} Node to analyse instead of inputNode
+     */
+    async attach(context, inputNode) {
+        this.detach();
+
+        if (!BleedCanceller.isSupported() || !context.audioWorklet) {
+            console.warn('BleedCanceller: AudioWorklet not supported, speaker bleed will not be removed');
+            return inputNode;
+        }
+
+        try {
+            if (this.moduleLoadedFor !== context) {
+                await context.audioWorklet.addModule('lib/bleedCancellerWorklet.js');
+                this.moduleLoadedFor = context;
+            }
+
+            this.workletNode = new AudioWorkletNode(context, 'bleed-canceller-processor', {
+                numberOfInputs: 1,
+                numberOfOutputs: 1,
+                outputChannelCount: [1]
+            });
+        } catch (error) {
+            console.warn('BleedCanceller: Could not start, speaker bleed will not be removed:', error);
+            this.workletNode = null;
+            return inputNode;
+        }
+
+        this.workletNode.port.onmessage = (event) => this.handleMessage(event.data);
+        this.context = context;
+
+        // Keep the node rendering without sending the mic to the speakers
+        this.sink = context.createGain();
+        this.sink.gain.value = 0;
+        this.workletNode.connect(this.sink);
+        this.sink.connect(context.destination);
+
+        inputNode.connect(this.workletNode);
+
+        this.post({ type: 'enabled', enabled: this.enabled });
+        this.tones.forEach(message => this.post(message));
+
+        console.log(`BleedCanceller: Attached (cancellation ${this.enabled ? 'on' : 'off'})`);
+        return this.workletNode;
+    }
+
+    detach() {
+        if (this.workletNode) {
+            this.post({ type: 'stop' });
+            this.workletNode.port.onmessage = null;
+            this.workletNode.disconnect();
+            this.workletNode = null;
+        }
+        if (this.sink) {
+            this.sink.disconnect();
+            this.sink = null;
+        }
+        this.levels = null;
+    }
+
+    isAttached() {
+        return this.workletNode !== null;
+    }
+
+    /**
+     * Subtract tones from the mic signal (bleed is measured either way)
+     */
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        this.post({ type: 'enabled', enabled: this.enabled });
+    }
+
+    isEnabled() {
+        return this.enabled;
+    }
+
+    /**
+     * Report a tone coming out of the speaker
+     * @param {number|string} id - One id per voice (e.g. a ToneGenerator)
+     * @param {Object} tone - { frequency, targetFrequency, startTime, endTime, partials }
+     *   The tone glides from frequency to targetFrequency between startTime
+     *   and endTime (AudioContext times); partials are its harmonic
+     *   amplitudes, [1] for a sine
+     */
+    setTone(id, tone) {
+        const message = { type: 'tone', id, ...tone };
+        this.tones.set(id, message);
+        this.post(message);
+    }
+
+    /**
+     * The tone has stopped (or will have faded out by `time`)
+     */
+    clearTone(id, time = null) {
+        if (!this.tones.delete(id)) return;
+        this.post({ type: 'clear', id, time });
+    }
+
+    /**
+     * Latest levels from the worklet, or null if it isn't running
+     * @returns {Object|null} { time, input, residual, bleed, tones } (RMS)
+     */
+    getLevels() {
+        return this.levels;
+    }
+
+    /**
+     * Call listener with every level report (~10 per second)
+     * @returns {Function} Unsubscribe
+     */
+    onLevels(listener) {
+        this.levelListeners.add(listener);
+        return () => this.levelListeners.delete(listener);
+    }
+
+    handleMessage(data) {
+        if (!data || data.type !== 'levels') return;
+
+        this.levels = data;
+        this.levelListeners.forEach(listener => {
+            try {
+                listener(data);
+            } catch (error) {
+                console.error('BleedCanceller: level listener failed:', error);
+            }
+        });
+    }
+
+    post(message) {
+        if (this.workletNode) {
+            this.workletNode.port.postMessage(message);
+        }
+    }
+}
+
+// Global singleton instance
+window.bleedCanceller = new BleedCanceller();
@@ -0,0 +1,223 @@
+/**
+ * Bleed Canceller Worklet
+ *
+ * AudioWorkletProcessor that subtracts the app's own tones from the
+ * microphone signal, so exercises can listen while a speaker plays the
+ * reference tone. The main thread tells it which tones ToneGenerator is
+ * playing; for each harmonic of each tone it models the bleed as
+ *   a * cos(phase) + b * sin(phase)
+ * and adapts a and b with LMS, which learns the speaker-to-mic gain and
+ * delay without a cross-correlation search. Whatever the model can't explain
+ * (the voice) is passed on.
+ *
+ * The weights adapt quickly for TRAIN_SECONDS after a tone starts or changes
+ * pitch (the user hasn't started singing yet). Afterwards they only follow
+ * slow changes (volume, the phone moving), and only in blocks where the mic
+ * is no louder than the modelled bleed: once the user sings, the mic is
+ * louder and the weights hold, so a voice on the same note (Pitch Hold,
+ * Chord Tones) isn't learned as bleed.
+ *
+ * Messages from the main thread:
+ *   { type: 'tone', id, frequency, targetFrequency, startTime, endTime, partials }
+ *       frequency glides exponentially to targetFrequency between startTime
+ *       and endTime (AudioContext times); partials are harmonic amplitudes
+ *   { type: 'clear', id, time }   stop cancelling the tone at `time`
+ *   { type: 'enabled', enabled }  when false, the input passes through unchanged
+ *                                 (bleed is still measured)
+ *   { type: 'stop' }
+ *
+ * Every ~100ms it posts { type: 'levels', time, input, residual, bleed, tones }:
+ * RMS of the mic signal, of the signal with the modelled bleed removed, and
+ * of the modelled bleed itself.
+ *
+ * Loaded by BleedCanceller (lib/bleedCanceller.js):
+ *   await context.audioWorklet.addModule('lib/bleedCancellerWorklet.js');
+ */
+
+class BleedCancellerProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+
+        this.tones = new Map(); // id -> { frequency, targetFrequency, startTime, endTime, clearTime, harmonics }
+        this.enabled = false;
+        this.trainUntil = 0;
+        this.lastBleedPower = 0; // Mean square of the modelled bleed in the last block
+
+        // Level report accumulators
+        this.reportInterval = Math.round(sampleRate * 0.1);
+        this.reportSamples = 0;
+        this.inputSum = 0;
+        this.residualSum = 0;
+        this.bleedSum = 0;
+
+        this.active = true;
+        this.port.onmessage = (event) => this.handleMessage(event.data || {});
+    }
+
+    handleMessage(message) {
+        if (message.type === 'tone') {
+            this.setTone(message);
+        } else if (message.type === 'clear') {
+            const tone = this.tones.get(message.id);
+            if (tone) {
+                tone.clearTime = message.time || currentTime;
+            }
+        } else if (message.type === 'enabled') {
+            this.enabled = !!message.enabled;
+        } else if (message.type === 'stop') {
+            this.active = false;
+        }
+    }
+
+    setTone(message) {
+        const previous = this.tones.get(message.id);
+        const partials = message.partials && message.partials.length ? message.partials : [1];
+
+        // Keep phases and weights for harmonics that carry on, so a pitch
+        // change doesn't throw away what was learned
+        const harmonics = [];
+        partials.forEach((amplitude, i) => {
+            if (!(amplitude > BleedCancellerProcessor.MIN_PARTIAL)) return;
+            const number = i + 1;
+            const old = previous && previous.harmonics.find(h => h.number === number);
+            harmonics.push(old || { number, phase: 0, a: 0, b: 0 });
+        });
+
+        this.tones.set(message.id, {
+            frequency: message.frequency,
+            targetFrequency: message.targetFrequency || message.frequency,
+            startTime: message.startTime || currentTime,
+            endTime: message.endTime || currentTime,
+            clearTime: null,
+            harmonics
+        });
+
+        const endTime = Math.max(message.endTime || 0, currentTime);
+        this.trainUntil = Math.max(this.trainUntil, endTime + BleedCancellerProcessor.TRAIN_SECONDS);
+    }
+
+    // Frequency of a tone at an AudioContext time (exponential glide)
+    frequencyAt(tone, time) {
+        if (time >= tone.endTime) {
+            return tone.targetFrequency;
+        }
+        if (time <= tone.startTime) {
+            return tone.frequency;
+        }
+        const progress = (time - tone.startTime) / (tone.endTime - tone.startTime);
+        return tone.frequency * Math.pow(tone.targetFrequency / tone.frequency, progress);
+    }
+
+    meanSquare(samples) {
+        let sum = 0;
+        for (let i = 0; i < samples.length; i++) {
+            sum += samples[i] * samples[i];
+        }
+        return sum / samples.length;
+    }
+
+    process(inputs, outputs) {
+        if (!this.active) {
+            return false;
+        }
+
+        const input = inputs[0] && inputs[0][0];
+        const output = outputs[0] && outputs[0][0];
+        if (!input || !output) {
+            return true;
+        }
+
+        // Drop tones that have finished fading out
+        this.tones.forEach((tone, id) => {
+            if (tone.clearTime !== null && currentTime >= tone.clearTime) {
+                this.tones.delete(id);
+            }
+        });
+
+        // Harmonics to cancel this block, with their phase increment
+        const nyquistLimit = sampleRate * 0.45;
+        const components = [];
+        this.tones.forEach(tone => {
+            const frequency = this.frequencyAt(tone, currentTime);
+            tone.harmonics.forEach(harmonic => {
+                const harmonicFrequency = frequency * harmonic.number;
+                if (harmonicFrequency > 0 && harmonicFrequency < nyquistLimit) {
+                    components.push({ harmonic, step: harmonicFrequency / sampleRate });
+                }
+            });
+        });
+
+        const count = components.length;
+        let baseRate = 0;
+        if (currentTime < this.trainUntil) {
+            baseRate = BleedCancellerProcessor.TRAIN_RATE;
+        } else if (this.meanSquare(input) <= this.lastBleedPower * BleedCancellerProcessor.TRACK_MAX_INPUT_RATIO) {
+            baseRate = BleedCancellerProcessor.TRACK_RATE;
+        }
+        // Split the step size between components so the sum stays stable
+        const rate = count > 0 ? baseRate / count : 0;
+        const twoPi = 2 * Math.PI;
+        let blockBleedSum = 0;
+
+        for (let i = 0; i < input.length; i++) {
+            const x = input[i];
+            let bleed = 0;
+
+            for (let c = 0; c < count; c++) {
+                const h = components[c].harmonic;
+                const angle = twoPi * h.phase;
+                bleed += h.a * Math.cos(angle) + h.b * Math.sin(angle);
+            }
+
+            const residual = x - bleed;
+
+            for (let c = 0; c < count; c++) {
+                const component = components[c];
+                const h = component.harmonic;
+                const angle = twoPi * h.phase;
+                h.a += rate * residual * Math.cos(angle);
+                h.b += rate * residual * Math.sin(angle);
+                h.phase += component.step;
+                if (h.phase >= 1) h.phase -= 1;
+            }
+
+            output[i] = this.enabled ? residual : x;
+
+            this.inputSum += x * x;
+            this.residualSum += residual * residual;
+            this.bleedSum += bleed * bleed;
+            blockBleedSum += bleed * bleed;
+        }
+        this.lastBleedPower = blockBleedSum / input.length;
+
+        this.reportSamples += input.length;
+        if (this.reportSamples >= this.reportInterval) {
+            this.port.postMessage({
+                type: 'levels',
+                time: currentTime,
+                input: Math.sqrt(this.inputSum / this.reportSamples),
+                residual: Math.sqrt(this.residualSum / this.reportSamples),
+                bleed: Math.sqrt(this.bleedSum / this.reportSamples),
+                tones: this.tones.size
+            });
+            this.reportSamples = 0;
+            this.inputSum = 0;
+            this.residualSum = 0;
+            this.bleedSum = 0;
+        }
+
+        return true;
+    }
+}
+
+// LMS step sizes: ~10ms time constant while training, ~1s while tracking
+BleedCancellerProcessor.TRAIN_RATE = 0.004;
+BleedCancellerProcessor.TRACK_RATE = 0.00005;
+BleedCancellerProcessor.TRAIN_SECONDS = 0.3;
+// After training, weights only adapt while the mic's power is at most this
+// multiple of the modelled bleed's (~3dB): anything louder is the voice
+BleedCancellerProcessor.TRACK_MAX_INPUT_RATIO = 2;
+// Harmonics quieter than this (relative to the fundamental) aren't modelled
+BleedCancellerProcessor.MIN_PARTIAL = 0.02;
+
+registerProcessor('bleed-canceller-processor', BleedCancellerProcessor);
@@ -7,6 +7,10 @@
  * - Dissonant intervals (tritone, minor 2nd, major 7th) → Red/Orange (tension)
  * - All other intervals → Colors based on their position in the harmonic series
  *
+ * Saturation follows dissonance. For the default sine timbre that's a fixed
+ * curve; for timbres with overtones (see TimbreLibrary) it's the roughness
+ * between the two tones' partials, so the colours track what is heard.
+ *
  * Usage:
  *   const color = ConsonanceColorSystem.getFrequencyColor(554, 440);
  *   const rgb = ConsonanceColorSystem.hexToRgb('#00ffff');
@@ -52,6 +56,73 @@ class ConsonanceColorSystem {
         return prev.dissonance + (next.dissonance - prev.dissonance) * position;
     }
 
+    /**
+     * Dissonance (0.0 - 1.0) of a frequency against a root, in the active
+     * timbre when it has overtones, otherwise from getDissonanceCurve()
+     * @param {number} freq - The frequency to rate
+     * @param {number} rootFreq - The root/reference frequency
+     * @returns {number} Dissonance value between 0.0 and 1.0
+     */
+    static getDissonance(freq, rootFreq) {
+        const cents = 1200 * Math.log2(freq / rootFreq);
+        const partials = typeof TimbreLibrary !== 'undefined' ? TimbreLibrary.getPartials() : null;
+        if (!partials) {
+            return this.getDissonanceCurve(cents);
+        }
+
+        // Octave-equivalent like the curve: rate the interval within one octave
+        const normalizedCents = ((cents % 1200) + 1200) % 1200;
+        const roughness = this.getRoughness(rootFreq, rootFreq * Math.pow(2, normalizedCents / 1200), partials);
+        const { min, max } = this.getRoughnessRange(rootFreq, partials);
+        return Math.min(1, Math.max(0, (roughness - min) / (max - min)));
+    }
+
+    /**
+     * Sensory roughness between two harmonic tones (Plomp & Levelt curve,
+     * as parameterised by Sethares), summed over every pair of partials
+     * with one partial from each tone
+     * @param {number} freq1 - Hz
+     * @param {number} freq2 - Hz
+     * @param {number[]} partials - Harmonic amplitudes, fundamental first
+     * @returns {number} Unnormalized roughness
+     */
+    static getRoughness(freq1, freq2, partials) {
+        let roughness = 0;
+        for (let i = 0; i < partials.length; i++) {
+            for (let j = 0; j < partials.length; j++) {
+                if (partials[i] <= 0 || partials[j] <= 0) continue;
+                const fa = freq1 * (i + 1);
+                const fb = freq2 * (j + 1);
+                const s = 0.24 / (0.021 * Math.min(fa, fb) + 19);
+                const diff = Math.abs(fb - fa);
+                roughness += Math.min(partials[i], partials[j]) * (Math.exp(-3.5 * s * diff) - Math.exp(-5.75 * s * diff));
+            }
+        }
+        return roughness;
+    }
+
+    /**
+     * Roughness at unison (min) and the highest within an octave above a
+     * root (max), for normalizing. Cached per timbre and (rounded) root
+     * since it costs a sweep.
+     */
+    static getRoughnessRange(rootFreq, partials) {
+        const key = `${partials.join(',')}@${Math.round(rootFreq)}`;
+        if (!this.roughnessRangeCache.has(key)) {
+            if (this.roughnessRangeCache.size >= 64) {
+                this.roughnessRangeCache.clear();
+            }
+
+            const min = this.getRoughness(rootFreq, rootFreq, partials);
+            let max = min;
+            for (let cents = 10; cents < 1200; cents += 10) {
+                max = Math.max(max, this.getRoughness(rootFreq, rootFreq * Math.pow(2, cents / 1200), partials));
+            }
+            this.roughnessRangeCache.set(key, { min, max: max > min ? max : min + 1 });
+        }
+        return this.roughnessRangeCache.get(key);
+    }
+
     /**
      * Get color for a frequency based on its relationship to a root frequency
      * @param {number} freq - The frequency to colorize
@@ -62,7 +133,7 @@ class ConsonanceColorSystem {
         const ratio = freq / rootFreq;
         const cents = 1200 * Math.log2(ratio);
         const normalizedCents = ((cents % 1200) + 1200) % 1200;
-        const dissonance = this.getDissonanceCurve(cents);
+        const dissonance = this.getDissonance(freq, rootFreq);
 
         // Map cents to hue values
         // Consonant intervals get cyan/blue hues (180-220)
@@ -167,3 +238,5 @@ class ConsonanceColorSystem {
         ] : [1, 1, 1]; // Default to white if parsing fails
     }
 }
+
+ConsonanceColorSystem.roughnessRangeCache = new Map();
@@ -1,37 +1,26 @@
 /**
  * Dual Tone Audio Controller
  *
- * Manages two ToneGenerator instances for dual-tone audio playback and
- * calculates beat amplitude based on the frequency difference.
+ * The two-voice case of MultiToneAudioController (lib/multiToneAudioController.js),
+ * with the tone 1 / tone 2 API the interval exercises and visualizations use,
+ * plus a beat amplitude based on the frequency difference.
  *
  * Usage:
  *   const audioCtrl = new DualToneAudioController();
  *   audioCtrl.setFrequencies(440, 554);
+ *   audioCtrl.setIntervalFrequencies(220, 4);   // root + major third in the active tuning system
  *   audioCtrl.playBoth();
+ *   audioCtrl.setTonePan(2, 0.5);                // tone 2 to the right
  *   const beatAmp = audioCtrl.getBeatAmplitude();
  *   audioCtrl.stopBoth();
  *   audioCtrl.destroy();
  */
 
-class DualToneAudioController {
+class DualToneAudioController extends MultiToneAudioController {
     constructor() {
-        // Create tone generators
-        this.toneGen1 = new ToneGenerator();
-        this.toneGen2 = new ToneGenerator();
-
-        // Frequencies
-        this.tone1Freq = 440;
-        this.tone2Freq = 554;
-
-        // Playback state
-        this.isPlayingTone1 = false;
-        this.isPlayingTone2 = false;
-
-        // Timing for animations
-        this.tone1StartTime = null;
-        this.tone1StopTime = null;
-        this.tone2StartTime = null;
-        this.tone2StopTime = null;
+        // Voice 0 is tone 1 (channel 'tone1'), voice 1 is tone 2 ('tone2')
+        super(2);
+        this.setFrequencies(440, 554);
 
         // Beat amplitude (for visualization)
         this.beatAmplitude = 0;
@@ -40,6 +29,43 @@ class DualToneAudioController {
         console.log('DualToneAudioController initialized');
     }
 
+    // Tone 1 and tone 2 state, stored on the voices
+    get toneGen1() { return this.voiceField(0, 'toneGen', null); }
+    get toneGen2() { return this.voiceField(1, 'toneGen', null); }
+
+    get tone1Freq() { return this.voiceField(0, 'frequency', null); }
+    set tone1Freq(freq) { this.setVoiceField(0, 'frequency', freq); }
+    get tone2Freq() { return this.voiceField(1, 'frequency', null); }
+    set tone2Freq(freq) { this.setVoiceField(1, 'frequency', freq); }
+
+    get isPlayingTone1() { return this.voiceField(0, 'isPlaying', false); }
+    set isPlayingTone1(playing) { this.setVoiceField(0, 'isPlaying', playing); }
+    get isPlayingTone2() { return this.voiceField(1, 'isPlaying', false); }
+    set isPlayingTone2(playing) { this.setVoiceField(1, 'isPlaying', playing); }
+
+    // Timing for animations
+    get tone1StartTime() { return this.voiceField(0, 'startTime', null); }
+    set tone1StartTime(time) { this.setVoiceField(0, 'startTime', time); }
+    get tone1StopTime() { return this.voiceField(0, 'stopTime', null); }
+    set tone1StopTime(time) { this.setVoiceField(0, 'stopTime', time); }
+    get tone2StartTime() { return this.voiceField(1, 'startTime', null); }
+    set tone2StartTime(time) { this.setVoiceField(1, 'startTime', time); }
+    get tone2StopTime() { return this.voiceField(1, 'stopTime', null); }
+    set tone2StopTime(time) { this.setVoiceField(1, 'stopTime', time); }
+
+    // A voice's field, or the fallback once destroy() has dropped the voices
+    voiceField(index, field, fallback) {
+        const voice = this.voices[index];
+        return voice ? voice[field] : fallback;
+    }
+
+    setVoiceField(index, field, value) {
+        const voice = this.voices[index];
+        if (voice) {
+            voice[field] = value;
+        }
+    }
+
     /**
      * Set frequencies for both tones
      * @param {number} freq1 - Frequency for tone 1 (Hz)
@@ -50,16 +76,26 @@ class DualToneAudioController {
         this.tone2Freq = freq2;
     }
 
+    /**
+     * Set tone 1 to a root and tone 2 to an interval above it, in the
+     * active tuning system unless one is given (see TuningSystems)
+     * @param {number} rootFreq - Frequency for tone 1 (Hz)
+     * @param {number} semitones - Interval for tone 2, negative for below
+     * @param {string} [systemId] - '12-tet', 'just' or 'pythagorean'
+     * @returns {number} Frequency of tone 2
+     */
+    setIntervalFrequencies(rootFreq, semitones, systemId = TuningSystems.getActiveSystem()) {
+        this.setFrequencies(rootFreq, TuningSystems.intervalFrequency(rootFreq, semitones, systemId));
+        return this.tone2Freq;
+    }
+
     /**
      * Set frequency for tone 1
      * @param {number} freq - Frequency in Hz
      * @param {boolean} updateIfPlaying - If true, update frequency while playing
      */
     setTone1Frequency(freq, updateIfPlaying = false) {
-        this.tone1Freq = freq;
-        if (updateIfPlaying && this.isPlayingTone1) {
-            this.toneGen1.playTone(this.tone1Freq);
-        }
+        this.setVoiceFrequency(0, freq, updateIfPlaying);
     }
 
     /**
@@ -68,10 +104,7 @@ class DualToneAudioController {
      * @param {boolean} updateIfPlaying - If true, update frequency while playing
      */
     setTone2Frequency(freq, updateIfPlaying = false) {
-        this.tone2Freq = freq;
-        if (updateIfPlaying && this.isPlayingTone2) {
-            this.toneGen2.playTone(this.tone2Freq);
-        }
+        this.setVoiceFrequency(1, freq, updateIfPlaying);
     }
 
     /**
@@ -79,23 +112,7 @@ class DualToneAudioController {
      * @param {number} volume - Volume multiplier (0.0 = silent, 1.0 = full volume)
      */
     setTone1Volume(volume) {
-        if (this.toneGen1 && this.toneGen1.gainNode && this.isPlayingTone1) {
-            const audioContext = this.toneGen1.audioContext;
-            if (!audioContext) return;
-
-            const currentTime = audioContext.currentTime;
-            const targetVolume = volume * 0.6; // 0.6 is the standard full volume for ToneGenerator
-
-            // Smoothly ramp to new volume to avoid clicks
-            this.toneGen1.gainNode.gain.setValueAtTime(
-                this.toneGen1.gainNode.gain.value,
-                currentTime
-            );
-            this.toneGen1.gainNode.gain.linearRampToValueAtTime(
-                targetVolume,
-                currentTime + 0.05  // 50ms ramp
-            );
-        }
+        this.setVoiceGain(0, volume * DualToneAudioController.FULL_VOLUME);
     }
 
     /**
@@ -103,23 +120,17 @@ class DualToneAudioController {
      * @param {number} volume - Volume multiplier (0.0 = silent, 1.0 = full volume)
      */
     setTone2Volume(volume) {
-        if (this.toneGen2 && this.toneGen2.gainNode && this.isPlayingTone2) {
-            const audioContext = this.toneGen2.audioContext;
-            if (!audioContext) return;
-
-            const currentTime = audioContext.currentTime;
-            const targetVolume = volume * 0.6; // 0.6 is the standard full volume for ToneGenerator
+        this.setVoiceGain(1, volume * DualToneAudioController.FULL_VOLUME);
+    }
 
-            // Smoothly ramp to new volume to avoid clicks
-            this.toneGen2.gainNode.gain.setValueAtTime(
-                this.toneGen2.gainNode.gain.value,
-                currentTime
-            );
-            this.toneGen2.gainNode.gain.linearRampToValueAtTime(
-                targetVolume,
-                currentTime + 0.05  // 50ms ramp
-            );
-        }
+    /**
+     * Pan a tone left or right. The channels are shared by all
+     * controllers, so reset the pan to 0 when done.
+     * @param {number} tone - 1 or 2
+     * @param {number} pan - -1 (left) to 1 (right)
+     */
+    setTonePan(tone, pan) {
+        this.setVoicePan(tone - 1, pan);
     }
 
     /**
@@ -127,31 +138,22 @@ class DualToneAudioController {
      * @param {boolean} resetTiming - If true, reset start time (for expand animation)
      */
     playTone1(resetTiming = true) {
-        if (isNaN(this.tone1Freq) || this.tone1Freq <= 0) {
-            console.error('Invalid tone1 frequency:', this.tone1Freq);
-            this.tone1Freq = 440; // Emergency fallback
-        }
         if (!this.toneGen1) {
             console.error('ToneGenerator 1 not initialized!');
             return;
         }
-        this.toneGen1.playTone(this.tone1Freq);
-        this.isPlayingTone1 = true;
-        if (resetTiming) {
-            this.tone1StartTime = performance.now();
-            this.tone1StopTime = null;
+        if (isNaN(this.tone1Freq) || this.tone1Freq <= 0) {
+            console.error('Invalid tone1 frequency:', this.tone1Freq);
+            this.tone1Freq = 440; // Emergency fallback
         }
+        this.playVoice(0, resetTiming);
     }
 
     /**
      * Stop tone 1
      */
     stopTone1() {
-        if (this.toneGen1) {
-            this.toneGen1.stopTone();
-        }
-        this.isPlayingTone1 = false;
-        this.tone1StopTime = performance.now();
+        this.stopVoice(0);
     }
 
     /**
@@ -159,31 +161,22 @@ class DualToneAudioController {
      * @param {boolean} resetTiming - If true, reset start time (for expand animation)
      */
     playTone2(resetTiming = true) {
-        if (isNaN(this.tone2Freq) || this.tone2Freq <= 0) {
-            console.error('Invalid tone2 frequency:', this.tone2Freq);
-            this.tone2Freq = 554; // Emergency fallback
-        }
         if (!this.toneGen2) {
             console.error('ToneGenerator 2 not initialized!');
             return;
         }
-        this.toneGen2.playTone(this.tone2Freq);
-        this.isPlayingTone2 = true;
-        if (resetTiming) {
-            this.tone2StartTime = performance.now();
-            this.tone2StopTime = null;
+        if (isNaN(this.tone2Freq) || this.tone2Freq <= 0) {
+            console.error('Invalid tone2 frequency:', this.tone2Freq);
+            this.tone2Freq = 554; // Emergency fallback
         }
+        this.playVoice(1, resetTiming);
     }
 
     /**
      * Stop tone 2
      */
     stopTone2() {
-        if (this.toneGen2) {
-            this.toneGen2.stopTone();
-        }
-        this.isPlayingTone2 = false;
-        this.tone2StopTime = performance.now();
+        this.stopVoice(1);
     }
 
     /**
@@ -199,21 +192,7 @@ class DualToneAudioController {
      * Stop both tones
      */
     stopBoth() {
-        this.stopTone1();
-        this.stopTone2();
-    }
-
-    /**
-     * Update frequencies without resetting timing (for smooth frequency changes)
-     * Only updates if tones are currently playing
-     */
-    updatePlayingFrequencies() {
-        if (this.isPlayingTone1) {
-            this.toneGen1.playTone(this.tone1Freq);
-        }
-        if (this.isPlayingTone2) {
-            this.toneGen2.playTone(this.tone2Freq);
-        }
+        this.stopAll();
     }
 
     /**
@@ -222,32 +201,7 @@ class DualToneAudioController {
      * @param {number} duration - Duration of transition in seconds (default 2.5)
      */
     glissandoTone1ToFrequency(targetFreq, duration = 2.5) {
-        if (!this.isPlayingTone1 || !this.toneGen1 || !this.toneGen1.oscillator) {
-            console.warn('Cannot glissando tone 1: not currently playing');
-            return;
-        }
-
-        const audioContext = this.toneGen1.audioContext;
-        if (!audioContext) return;
-
-        const currentTime = audioContext.currentTime;
-
-        // Update stored frequency
-        this.tone1Freq = targetFreq;
-
-        // Smoothly ramp frequency using exponential curve (natural for pitch)
-        this.toneGen1.oscillator.frequency.cancelScheduledValues(currentTime);
-        this.toneGen1.oscillator.frequency.setValueAtTime(
-            this.toneGen1.oscillator.frequency.value,
-            currentTime
-        );
-        this.toneGen1.oscillator.frequency.exponentialRampToValueAtTime(
-            targetFreq,
-            currentTime + duration
-        );
-
-        // Don't reset start time - tone is already playing
-        // Start time should only be set when going from silence -> playing
+        this.glissandoVoiceToFrequency(0, targetFreq, duration);
     }
 
     /**
@@ -256,32 +210,7 @@ class DualToneAudioController {
      * @param {number} duration - Duration of transition in seconds (default 2.5)
      */
     glissandoTone2ToFrequency(targetFreq, duration = 2.5) {
-        if (!this.isPlayingTone2 || !this.toneGen2 || !this.toneGen2.oscillator) {
-            console.warn('Cannot glissando tone 2: not currently playing');
-            return;
-        }
-
-        const audioContext = this.toneGen2.audioContext;
-        if (!audioContext) return;
-
-        const currentTime = audioContext.currentTime;
-
-        // Update stored frequency
-        this.tone2Freq = targetFreq;
-
-        // Smoothly ramp frequency using exponential curve (natural for pitch)
-        this.toneGen2.oscillator.frequency.cancelScheduledValues(currentTime);
-        this.toneGen2.oscillator.frequency.setValueAtTime(
-            this.toneGen2.oscillator.frequency.value,
-            currentTime
-        );
-        this.toneGen2.oscillator.frequency.exponentialRampToValueAtTime(
-            targetFreq,
-            currentTime + duration
-        );
-
-        // Don't reset start time - tone is already playing
-        // Start time should only be set when going from silence -> playing
+        this.glissandoVoiceToFrequency(1, targetFreq, duration);
     }
 
     /**
@@ -330,29 +259,14 @@ class DualToneAudioController {
         };
     }
 
-    /**
-     * Check if any tone is playing
-     * @returns {boolean} True if either tone is playing
-     */
-    isAnyPlaying() {
-        return this.isPlayingTone1 || this.isPlayingTone2;
-    }
-
     /**
      * Check if both tones are playing
      * @returns {boolean} True if both tones are playing
      */
     areBothPlaying() {
-        return this.isPlayingTone1 && this.isPlayingTone2;
-    }
-
-    /**
-     * Clean up audio resources
-     */
-    destroy() {
-        this.stopBoth();
-        // ToneGenerator cleanup happens automatically
-        this.toneGen1 = null;
-        this.toneGen2 = null;
+        return this.areAllPlaying();
     }
 }
+
+// Gain of a tone at volume 1.0 in setTone1Volume/setTone2Volume
+DualToneAudioController.FULL_VOLUME = 0.6;
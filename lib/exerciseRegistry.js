@@ -0,0 +1,245 @@
+/**
+ * Exercise Registry
+ *
+ * Each exercise file registers the exercises it provides, so the main menu,
+ * usage-mode checks and EarTrainerApp.startExercise() don't need a
+ * hand-written branch per exercise.
+ *
+ * A definition looks like:
+ *   exerciseRegistry.register({
+ *       id: 'glissando',                    // data-exercise value and ?exercise= URL param
+ *       name: 'Glissando',
+ *       container: 'glissandoExercise',     // element faded in after start
+ *       category: 'tools',                  // menu grid with data-exercise-category="tools"
+ *       usageModes: ['headphone-mic'],      // default: every usage mode
+ *       requiresSimultaneousAudio: true,    // plays and listens at once (usage mode's allowSimultaneousAudio)
+ *       requiresTouch: false,               // needs taps or drags (not in handsFree usage modes)
+ *       getInstance: () => window.glissandoExercise,
+ *       start: (exercise) => exercise.start(),   // default: getInstance().start()
+ *       exit: (exercise) => exercise.exit(),     // default: getInstance().exit()
+ *       pause: (exercise) => ...,                // optional
+ *       menu: { icon: '🌊', description: '...' } // optional: card is created if index.html has none
+ *   });
+ *
+ * Hooks receive the instance from getInstance() (or undefined) and the app.
+ * Definitions with no start hook and no instance show a "coming soon" alert.
+ */
+
+class ExerciseRegistry {
+    constructor() {
+        this.definitions = new Map();
+        this.aliases = new Map();
+    }
+
+    /**
+     * Usage modes an exercise can declare (see Settings.getUsageModes())
+     */
+    static getUsageModeIds() {
+        return ['headphone-mic', 'speaker-mic', 'car-mode'];
+    }
+
+    /**
+     * Register an exercise definition. Registering the same id again
+     * replaces the earlier definition.
+     * @param {Object} definition - See file header
+     * @returns {Object} The stored definition
+     */
+    register(definition) {
+        if (!definition || !definition.id) {
+            throw new Error('ExerciseRegistry: exercise definitions need an id');
+        }
+
+        const usageModes = definition.usageModes || ExerciseRegistry.getUsageModeIds();
+        usageModes.forEach(mode => {
+            if (!ExerciseRegistry.getUsageModeIds().includes(mode)) {
+                throw new Error(`ExerciseRegistry: unknown usage mode "${mode}" for ${definition.id}`);
+            }
+        });
+
+        const stored = {
+            name: definition.id,
+            container: null,
+            category: null,
+            aliases: [],
+            menu: null,
+            ...definition,
+            usageModes: usageModes.slice()
+        };
+
+        this.definitions.set(stored.id, stored);
+        stored.aliases.forEach(alias => this.aliases.set(alias, stored.id));
+        return stored;
+    }
+
+    /**
+     * Resolve an id or alias to the registered id
+     */
+    resolveId(id) {
+        return this.aliases.get(id) || id;
+    }
+
+    get(id) {
+        return this.definitions.get(this.resolveId(id)) || null;
+    }
+
+    has(id) {
+        return this.definitions.has(this.resolveId(id));
+    }
+
+    getAll() {
+        return Array.from(this.definitions.values());
+    }
+
+    getByCategory(category) {
+        return this.getAll().filter(definition => definition.category === category);
+    }
+
+    /**
+     * Check whether an exercise can run in a usage mode.
+     * Exercises that aren't registered are allowed everywhere.
+     * @param {string} id - Exercise id or alias
+     * @param {string} usageMode - Usage mode id
+     * @param {Object} modeConfig - The mode's entry in Settings.getUsageModes()
+     */
+    isCompatible(id, usageMode, modeConfig = {}) {
+        const definition = this.get(id);
+        if (!definition) return true;
+
+        if (!definition.usageModes.includes(usageMode)) {
+            return false;
+        }
+        if (definition.requiresSimultaneousAudio && !modeConfig.allowSimultaneousAudio) {
+            return false;
+        }
+        if (definition.requiresTouch && modeConfig.handsFree) {
+            return false;
+        }
+        return true;
+    }
+
+    getInstance(definition) {
+        return typeof definition.getInstance === 'function' ? definition.getInstance() : undefined;
+    }
+
+    /**
+     * Start an exercise and fade in its container once it is shown
+     * @param {string} id - Exercise id or alias
+     * @param {EarTrainerApp} app - Main app (for hooks that need it, and fade-in)
+     * @returns {boolean} False if no exercise is registered under this id
+     */
+    start(id, app) {
+        const definition = this.get(id);
+        if (!definition) {
+            return false;
+        }
+
+        const instance = this.getInstance(definition);
+
+        if (definition.start) {
+            definition.start(instance, app);
+        } else if (instance && typeof instance.start === 'function') {
+            instance.start();
+        } else if (definition.getInstance) {
+            console.error(`${definition.name} is not initialized`);
+            return true;
+        } else {
+            alert(`${definition.name} exercise coming soon!`);
+            return true;
+        }
+
+        this.fadeInContainer(definition, app);
+        return true;
+    }
+
+    /**
+     * Fade in the exercise container after the exercise has displayed it
+     * (start() may show it asynchronously, so check on the next tick)
+     */
+    fadeInContainer(definition, app) {
+        if (!definition.container || !app) return;
+
+        setTimeout(() => {
+            const container = document.getElementById(definition.container);
+            if (container && container.style.display && container.style.display !== 'none') {
+                app.addFadeIn(container);
+            }
+        }, 10);
+    }
+
+    /**
+     * Run an exercise's exit hook (exercises normally exit from their own buttons)
+     * @returns {boolean} True if the exercise had one
+     */
+    exit(id, app) {
+        const definition = this.get(id);
+        if (!definition) return false;
+
+        const instance = this.getInstance(definition);
+
+        if (definition.exit) {
+            definition.exit(instance, app);
+            return true;
+        }
+        if (instance && typeof instance.exit === 'function') {
+            instance.exit();
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Run an exercise's pause hook
+     * @returns {boolean} True if the exercise had one
+     */
+    pause(id, app) {
+        const definition = this.get(id);
+        if (!definition || !definition.pause) return false;
+
+        definition.pause(this.getInstance(definition), app);
+        return true;
+    }
+
+    /**
+     * Add menu cards for registered exercises that declare `menu` and have
+     * no card in index.html yet. Cards go in the grid marked with
+     * data-exercise-category="<category>".
+     * @returns {Array<HTMLElement>} Cards that were created
+     */
+    renderMenuCards(root = document) {
+        const created = [];
+
+        this.getAll().forEach(definition => {
+            if (!definition.menu || !definition.category) return;
+            if (root.querySelector(`.exercise-card[data-exercise="${definition.id}"]`)) return;
+
+            const grid = root.querySelector(`[data-exercise-category="${definition.category}"]`);
+            if (!grid) {
+                console.warn(`ExerciseRegistry: no menu grid for category "${definition.category}" (${definition.id})`);
+                return;
+            }
+
+            const card = document.createElement('button');
+            card.className = 'exercise-card';
+            card.dataset.exercise = definition.id;
+
+            const icon = document.createElement('div');
+            icon.className = 'exercise-icon';
+            icon.textContent = definition.menu.icon || '🎵';
+
+            const title = document.createElement('h3');
+            title.textContent = definition.menu.title || definition.name;
+
+            const description = document.createElement('p');
+            description.textContent = definition.menu.description || '';
+
+            card.append(icon, title, description);
+            grid.appendChild(card);
+            created.push(card);
+        });
+
+        return created;
+    }
+}
+
+// Global registry; exercise scripts register into it as they load
+window.exerciseRegistry = new ExerciseRegistry();
@@ -0,0 +1,159 @@
+/**
+ * Headphone Detector
+ *
+ * Works out whether tones are coming out of headphones or a speaker the
+ * microphone can hear. It plays a short, quiet, high probe tone and compares
+ * the mic level at that frequency with the level just before it: through a
+ * speaker the probe comes back well above the noise, through headphones it
+ * doesn't come back at all.
+ *
+ * AudioSettings runs it at startup and when audio devices change, and
+ * proposes (or switches to) the matching usage mode. Car mode is left to the
+ * user. A Bluetooth headset mic can't hear the probe (it stops around 8kHz),
+ * which gives the right answer: the tones play in the ear.
+ *
+ * Usage:
+ *   const result = await window.headphoneDetector.detect();
+ *   // { usageMode: 'speaker-mic' | 'headphone-mic', leakDb, frequency }
+ */
+
+class HeadphoneDetector {
+    constructor() {
+        this.isRunning = false;
+    }
+
+    /**
+     * Play the probe and decide. Starts the microphone if needed (so call it
+     * after a user gesture) and stops it again afterwards if it wasn't running.
+     * @returns {Promise<Object>} { usageMode, leakDb, frequency }
+     * @throws {Error} If the mic isn't available or the volume is muted
+     */
+    async detect() {
+        if (this.isRunning) {
+            throw new Error('Headphone detection is already running.');
+        }
+        if (window.audioEngine.getMasterVolume() === 0) {
+            throw new Error('Turn the volume up to detect headphones.');
+        }
+
+        this.isRunning = true;
+        const micWasRunning = !!(window.audioManager.isInitialized && window.audioManager.micStream);
+        try {
+            await window.audioManager.initialize();
+            const context = await window.audioEngine.ensureContext();
+            const leakDb = await this.measureLeak(context);
+            const frequency = HeadphoneDetector.getProbeFrequency(context.sampleRate);
+            const usageMode = leakDb >= HeadphoneDetector.PROBE.speakerThresholdDb
+                ? 'speaker-mic'
+                : 'headphone-mic';
+
+            console.log(`HeadphoneDetector: Probe came back ${leakDb.toFixed(1)} dB above the noise -> ${usageMode}`);
+            return { usageMode, leakDb: Math.round(leakDb * 10) / 10, frequency };
+        } finally {
+            this.isRunning = false;
+            // Don't leave the mic (and its indicator) on just for the probe
+            if (!micWasRunning && window.audioManager.isInitialized) {
+                window.audioManager.stop();
+            }
+        }
+    }
+
+    /**
+     * Level at the probe frequency while it plays, relative to just before
+     * @returns {Promise<number>} dB
+     */
+    async measureLeak(context) {
+        const probe = HeadphoneDetector.PROBE;
+        const inputNode = window.audioManager.getInputNode();
+        if (!inputNode) {
+            throw new Error('Microphone input not available.');
+        }
+
+        const analyser = context.createAnalyser();
+        analyser.fftSize = probe.fftSize;
+        analyser.smoothingTimeConstant = 0;
+        inputNode.connect(analyser);
+
+        const frequency = HeadphoneDetector.getProbeFrequency(context.sampleRate);
+        const bin = Math.round(frequency / (context.sampleRate / analyser.fftSize));
+
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+        oscillator.frequency.value = frequency;
+        gain.gain.value = 0;
+        oscillator.connect(gain);
+        gain.connect(window.audioEngine.getChannel('calibration'));
+
+        try {
+            const noise = await HeadphoneDetector.samplePower(analyser, bin, probe.noiseMs);
+
+            // Fade in and out so the probe doesn't click
+            const start = context.currentTime;
+            const end = start + probe.durationMs / 1000;
+            gain.gain.setValueAtTime(0, start);
+            gain.gain.linearRampToValueAtTime(probe.amplitude, start + probe.rampMs / 1000);
+            gain.gain.setValueAtTime(probe.amplitude, end - probe.rampMs / 1000);
+            gain.gain.linearRampToValueAtTime(0, end);
+            oscillator.start(start);
+            oscillator.stop(end);
+
+            // Skip the fade-in (and the output latency of Bluetooth speakers)
+            await HeadphoneDetector.wait(probe.settleMs);
+            const signal = await HeadphoneDetector.samplePower(analyser, bin,
+                probe.durationMs - probe.settleMs - probe.rampMs);
+
+            return 10 * Math.log10(Math.max(signal, 1e-20) / Math.max(noise, 1e-20));
+        } finally {
+            oscillator.disconnect();
+            gain.disconnect();
+            inputNode.disconnect(analyser);
+        }
+    }
+
+    // Probe frequency, kept well below Nyquist for low sample rates
+    static getProbeFrequency(sampleRate) {
+        return Math.min(HeadphoneDetector.PROBE.frequency, sampleRate * 0.4);
+    }
+
+    /**
+     * Average power in the bins around `bin` over `ms` milliseconds
+     * @returns {Promise<number>} Linear power
+     */
+    static async samplePower(analyser, bin, ms) {
+        const spectrum = new Float32Array(analyser.frequencyBinCount);
+        const spread = HeadphoneDetector.PROBE.binSpread;
+        const frames = Math.max(1, Math.round(ms / HeadphoneDetector.PROBE.frameMs));
+        let total = 0;
+
+        for (let frame = 0; frame < frames; frame++) {
+            await HeadphoneDetector.wait(HeadphoneDetector.PROBE.frameMs);
+            analyser.getFloatFrequencyData(spectrum);
+            for (let i = bin - spread; i <= bin + spread; i++) {
+                if (i >= 0 && i < spectrum.length && isFinite(spectrum[i])) {
+                    total += Math.pow(10, spectrum[i] / 10);
+                }
+            }
+        }
+        return total / frames;
+    }
+
+    static wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+HeadphoneDetector.PROBE = {
+    frequency: 15000,       // Hz; faint to most adults, still reproduced by phone speakers
+    amplitude: 0.05,        // About -26 dBFS
+    durationMs: 700,
+    rampMs: 50,
+    settleMs: 250,
+    noiseMs: 300,
+    frameMs: 50,
+    fftSize: 2048,
+    binSpread: 2,           // Bins either side of the probe (covers speaker drift)
+    speakerThresholdDb: 12  // Probe this far above the noise means a speaker
+};
+
+// Global singleton instance
+window.headphoneDetector = new HeadphoneDetector();
@@ -0,0 +1,229 @@
+/**
+ * Hold Analyzer
+ *
+ * Describes how steady a held note was, so singers can see why a hold
+ * drifted rather than only whether it matched. From the pitch frames of one
+ * hold it measures:
+ *
+ *   meanOffsetCents      average distance from the target (+ = sharp)
+ *   driftCentsPerSecond  slope of a straight line through the hold
+ *   jitterCents          frame-to-frame wobble left after removing the
+ *                        drift and any vibrato (RMS of successive differences)
+ *   vibratoRate          Hz, or null when there is no clear vibrato
+ *   vibratoExtentCents   +/- cents of the vibrato (0 without one)
+ *
+ * Vibrato is found by autocorrelating the detrended pitch over 3-9 Hz and
+ * fitting a sinusoid at the strongest period. Frames more than
+ * CONFIG.maxOffsetCents from the target (octave errors, breaths) are ignored.
+ *
+ * Usage:
+ *   const analysis = HoldAnalyzer.analyze(frames, targetFrequency);
+ *   // frames: [{ time (ms), frequency (Hz) }], in time order
+ *   HoldAnalyzer.describe(analysis);   // ['You were 12 cents sharp', ...]
+ */
+
+class HoldAnalyzer {
+    /**
+     * @param {Array<Object>} frames - { time, frequency }
+     * @param {number} targetFrequency - Hz
+     * @returns {Object|null} Null when there are too few usable frames
+     */
+    static analyze(frames, targetFrequency) {
+        const config = HoldAnalyzer.CONFIG;
+        const points = frames
+            .filter(frame => frame.frequency > 0)
+            .map(frame => ({ time: frame.time, cents: 1200 * Math.log2(frame.frequency / targetFrequency) }))
+            .filter(point => Math.abs(point.cents) <= config.maxOffsetCents);
+
+        if (points.length < config.minFrames) {
+            return null;
+        }
+
+        // Resample onto an even grid (frames arrive unevenly from polling detectors)
+        const cents = HoldAnalyzer.resample(points, config.gridMs);
+        const seconds = cents.length * config.gridMs / 1000;
+
+        const meanOffsetCents = cents.reduce((sum, value) => sum + value, 0) / cents.length;
+        const { slope, intercept } = HoldAnalyzer.fitLine(cents);
+        const detrended = cents.map((value, i) => value - (intercept + slope * i));
+
+        const vibrato = HoldAnalyzer.findVibrato(detrended);
+        const residual = vibrato
+            ? detrended.map((value, i) => value - vibrato.fit[i])
+            : detrended;
+
+        let sumSquares = 0;
+        for (let i = 1; i < residual.length; i++) {
+            const step = residual[i] - residual[i - 1];
+            sumSquares += step * step;
+        }
+        const jitterCents = Math.sqrt(sumSquares / (residual.length - 1) / 2);
+
+        const round = (value, places = 1) => Math.round(value * Math.pow(10, places)) / Math.pow(10, places);
+        return {
+            durationMs: Math.round(seconds * 1000),
+            frameCount: points.length,
+            meanOffsetCents: round(meanOffsetCents),
+            driftCentsPerSecond: round(slope * 1000 / config.gridMs),
+            jitterCents: round(jitterCents),
+            vibratoRate: vibrato ? round(vibrato.rate, 2) : null,
+            vibratoExtentCents: vibrato ? round(vibrato.extent) : 0
+        };
+    }
+
+    /**
+     * Short sentences for the post-hold report
+     * @returns {Array<string>}
+     */
+    static describe(analysis) {
+        const thresholds = HoldAnalyzer.CONFIG.report;
+        const lines = [];
+
+        const offset = analysis.meanOffsetCents;
+        if (Math.abs(offset) >= thresholds.offsetCents) {
+            lines.push(`You sat ${Math.abs(Math.round(offset))} cents ${offset > 0 ? 'sharp' : 'flat'} on average.`);
+        } else {
+            lines.push('You were centred on the note.');
+        }
+
+        const drift = analysis.driftCentsPerSecond;
+        if (Math.abs(drift) >= thresholds.driftCentsPerSecond) {
+            lines.push(`The pitch ${drift > 0 ? 'rose' : 'sank'} about ${Math.abs(Math.round(drift))} cents per second as you held it.`);
+        }
+
+        if (analysis.vibratoRate) {
+            lines.push(`Vibrato at ${analysis.vibratoRate.toFixed(1)} Hz, ±${Math.round(analysis.vibratoExtentCents)} cents.`);
+        }
+
+        if (analysis.jitterCents >= thresholds.jitterCents) {
+            lines.push(`The note wobbled by about ${Math.round(analysis.jitterCents)} cents from moment to moment.`);
+        }
+
+        return lines;
+    }
+
+    // Linear interpolation of { time, cents } onto a grid every `stepMs`
+    static resample(points, stepMs) {
+        const values = [];
+        let index = 0;
+        for (let time = points[0].time; time <= points[points.length - 1].time; time += stepMs) {
+            while (index < points.length - 2 && points[index + 1].time < time) {
+                index++;
+            }
+            const a = points[index];
+            const b = points[Math.min(index + 1, points.length - 1)];
+            const t = b.time > a.time ? Math.min(1, Math.max(0, (time - a.time) / (b.time - a.time))) : 0;
+            values.push(a.cents + (b.cents - a.cents) * t);
+        }
+        return values;
+    }
+
+    // Least-squares line through values at x = 0, 1, 2...
+    static fitLine(values) {
+        const n = values.length;
+        const meanX = (n - 1) / 2;
+        const meanY = values.reduce((sum, value) => sum + value, 0) / n;
+
+        let covariance = 0;
+        let variance = 0;
+        for (let i = 0; i < n; i++) {
+            covariance += (i - meanX) * (values[i] - meanY);
+            variance += (i - meanX) * (i - meanX);
+        }
+
+        const slope = variance > 0 ? covariance / variance : 0;
+        return { slope, intercept: meanY - slope * meanX };
+    }
+
+    /**
+     * Strongest periodic wobble between the vibrato rate limits
+     * @returns {Object|null} { rate, extent, fit } - fit is the fitted sinusoid per sample
+     */
+    static findVibrato(values) {
+        const config = HoldAnalyzer.CONFIG;
+        const rate = 1000 / config.gridMs;
+        const minLag = Math.max(2, Math.floor(rate / config.maxVibratoRate));
+        const maxLag = Math.ceil(rate / config.minVibratoRate);
+
+        // Need two full periods of the slowest vibrato
+        if (values.length < maxLag * 2) {
+            return null;
+        }
+
+        const energy = values.reduce((sum, value) => sum + value * value, 0);
+        if (energy === 0) return null;
+
+        const correlations = [];
+        let bestLag = -1;
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            let sum = 0;
+            for (let i = 0; i + lag < values.length; i++) {
+                sum += values[i] * values[i + lag];
+            }
+            // Normalise for the shorter overlap at longer lags
+            correlations[lag] = (sum / (values.length - lag)) / (energy / values.length);
+            if (bestLag < 0 || correlations[lag] > correlations[bestLag]) {
+                bestLag = lag;
+            }
+        }
+
+        if (correlations[bestLag] < config.minVibratoCorrelation) {
+            return null;
+        }
+
+        // Parabolic interpolation between neighbouring lags for a finer period
+        let period = bestLag;
+        if (bestLag > minLag && bestLag < maxLag) {
+            const before = correlations[bestLag - 1];
+            const peak = correlations[bestLag];
+            const after = correlations[bestLag + 1];
+            const curvature = before - 2 * peak + after;
+            if (curvature < 0) {
+                period += 0.5 * (before - after) / curvature;
+            }
+        }
+
+        // Fit a sinusoid at that period for the extent
+        const omega = 2 * Math.PI / period;
+        let cc = 0, ss = 0, cs = 0, yc = 0, ys = 0;
+        for (let i = 0; i < values.length; i++) {
+            const c = Math.cos(omega * i);
+            const s = Math.sin(omega * i);
+            cc += c * c;
+            ss += s * s;
+            cs += c * s;
+            yc += values[i] * c;
+            ys += values[i] * s;
+        }
+        const determinant = cc * ss - cs * cs;
+        if (determinant === 0) return null;
+
+        const a = (yc * ss - ys * cs) / determinant;
+        const b = (ys * cc - yc * cs) / determinant;
+        const extent = Math.sqrt(a * a + b * b);
+        if (extent < config.minVibratoExtentCents) {
+            return null;
+        }
+
+        return {
+            rate: rate / period,
+            extent,
+            fit: values.map((value, i) => a * Math.cos(omega * i) + b * Math.sin(omega * i))
+        };
+    }
+}
+
+HoldAnalyzer.CONFIG = {
+    gridMs: 20,                  // Resampling step (50 Hz, enough for 9 Hz vibrato)
+    minFrames: 10,
+    maxOffsetCents: 100,         // Ignore frames further than a semitone from the target
+    minVibratoRate: 3,           // Hz
+    maxVibratoRate: 9,
+    minVibratoCorrelation: 0.4,
+    minVibratoExtentCents: 5,
+    report: {
+        offsetCents: 8,
+        driftCentsPerSecond: 5,
+        jitterCents: 6
+    }
+};
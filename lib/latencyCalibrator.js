@@ -0,0 +1,266 @@
+/**
+ * Latency Calibrator
+ *
+ * Measures how long a sound takes to go out of the selected speaker and
+ * come back in through the selected microphone. A few chirps are scheduled
+ * on the AudioEngine clock while lib/latencyRecorderWorklet.js records the
+ * mic on the same clock; each chirp is found in the recording with a matched
+ * filter, and the median delay is the round-trip latency.
+ *
+ * Bluetooth headsets add hundreds of milliseconds here, which the listening
+ * windows in the darts exercises and the InterferenceVisualization reveal
+ * animation compensate for. Results are saved per mic/speaker pair (see
+ * Settings.getLatencyCalibration()).
+ *
+ * A loopback can't tell how the delay splits between output and input. The
+ * output share (what visuals should wait for) is the round trip minus the
+ * input latency the browser reports for the mic track, or half the round
+ * trip when it reports none.
+ *
+ * Usage:
+ *   const result = await window.latencyCalibrator.calibrate();
+ *   // { roundTripMs, outputMs, inputMs, detections }
+ *   appSettings.setLatencyCalibration(result);
+ */
+
+class LatencyCalibrator {
+    constructor() {
+        this.isRunning = false;
+        this.moduleLoadedFor = null;
+    }
+
+    static isSupported() {
+        return typeof AudioWorkletNode !== 'undefined';
+    }
+
+    /**
+     * Play the chirps and measure the round trip. Needs a user gesture
+     * (it starts the microphone and resumes the AudioContext).
+     * @returns {Promise<Object>} { roundTripMs, outputMs, inputMs, detections }
+     * @throws {Error} With a message for the user if the chirps weren't heard
+     */
+    async calibrate() {
+        if (this.isRunning) {
+            throw new Error('Latency calibration is already running.');
+        }
+        if (!LatencyCalibrator.isSupported()) {
+            throw new Error('Latency calibration is not supported in this browser.');
+        }
+
+        this.isRunning = true;
+        try {
+            await window.audioManager.initialize();
+            const context = await window.audioEngine.ensureContext();
+            const recording = await this.recordChirps(context);
+            return LatencyCalibrator.analyze(recording, context.sampleRate);
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    async recordChirps(context) {
+        const config = LatencyCalibrator.CONFIG;
+
+        if (this.moduleLoadedFor !== context) {
+            await context.audioWorklet.addModule('lib/latencyRecorderWorklet.js');
+            this.moduleLoadedFor = context;
+        }
+
+        const chirp = LatencyCalibrator.createChirp(context.sampleRate);
+        const buffer = context.createBuffer(1, chirp.length, context.sampleRate);
+        buffer.copyToChannel(chirp, 0);
+
+        const inputNode = window.audioManager.getInputNode();
+        if (!inputNode) {
+            throw new Error('Microphone input not available.');
+        }
+
+        const recorder = new AudioWorkletNode(context, 'latency-recorder-processor', {
+            numberOfInputs: 1,
+            numberOfOutputs: 1,
+            outputChannelCount: [1]
+        });
+
+        // Keep the recorder rendering without sending the mic to the speakers
+        const sink = context.createGain();
+        sink.gain.value = 0;
+        inputNode.connect(recorder);
+        recorder.connect(sink);
+        sink.connect(context.destination);
+
+        const seconds = config.leadSeconds + (config.chirpCount - 1) * config.spacingSeconds +
+            config.chirpSeconds + config.maxLatencySeconds + 0.1;
+
+        const recorded = new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                reject(new Error('Timed out waiting for the microphone.'));
+            }, (seconds + 2) * 1000);
+
+            recorder.port.onmessage = (event) => {
+                if (event.data && event.data.type === 'recording') {
+                    clearTimeout(timeout);
+                    resolve(event.data);
+                }
+            };
+        });
+        recorder.port.postMessage({ type: 'start', seconds });
+
+        // Schedule the chirps after a short lead so the recording has started
+        const output = window.audioEngine.getChannel('calibration');
+        const chirpTimes = [];
+        for (let k = 0; k < config.chirpCount; k++) {
+            const time = context.currentTime + config.leadSeconds + k * config.spacingSeconds;
+            const source = context.createBufferSource();
+            source.buffer = buffer;
+            source.connect(output);
+            source.start(time);
+            chirpTimes.push(time);
+        }
+
+        try {
+            const recording = await recorded;
+            return { ...recording, chirp, chirpTimes };
+        } finally {
+            inputNode.disconnect(recorder);
+            recorder.port.postMessage({ type: 'stop' });
+            recorder.disconnect();
+            sink.disconnect();
+        }
+    }
+
+    /**
+     * Find each chirp in the recording
+     * @param {Object} recording - { samples, startTime, chirp, chirpTimes }
+     * @param {number} sampleRate
+     * @returns {Object} { roundTripMs, outputMs, inputMs, detections }
+     */
+    static analyze(recording, sampleRate) {
+        const config = LatencyCalibrator.CONFIG;
+
+        // Chirps stay below 3kHz, so match at a quarter of the sample rate
+        const factor = config.decimation;
+        const rate = sampleRate / factor;
+        const signal = LatencyCalibrator.decimate(recording.samples, factor);
+        const template = LatencyCalibrator.decimate(recording.chirp, factor);
+
+        const detections = [];
+        recording.chirpTimes.forEach(chirpTime => {
+            const from = Math.max(0, Math.round((chirpTime - recording.startTime) * rate));
+            const to = from + Math.round(config.maxLatencySeconds * rate);
+            const match = LatencyCalibrator.findChirp(signal, template, from, to);
+            if (match && match.confidence >= config.minConfidence) {
+                detections.push((match.index - from) / rate * 1000);
+            }
+        });
+
+        if (detections.length < config.minDetections) {
+            throw new Error("Couldn't hear the chirps. Turn the volume up and hold the speaker or headphones next to the microphone.");
+        }
+
+        const sorted = detections.slice().sort((a, b) => a - b);
+        const spreadMs = sorted[sorted.length - 1] - sorted[0];
+        if (spreadMs > config.maxSpreadMs) {
+            throw new Error(`The chirps came back at different times (${spreadMs.toFixed(0)} ms apart). Try again somewhere quieter.`);
+        }
+
+        const roundTripMs = sorted[Math.floor(sorted.length / 2)];
+        const inputMs = LatencyCalibrator.estimateInputLatencyMs(roundTripMs);
+
+        return {
+            roundTripMs: Math.round(roundTripMs),
+            outputMs: Math.round(roundTripMs - inputMs),
+            inputMs: Math.round(inputMs),
+            detections: detections.map(ms => Math.round(ms * 10) / 10)
+        };
+    }
+
+    /**
+     * Best match of the template in signal[from..to] (matched filter)
+     * @returns {Object|null} { index, confidence } - confidence is the peak
+     *   over the RMS of the correlation; noise alone gives about 4
+     */
+    static findChirp(signal, template, from, to) {
+        const last = Math.min(to, signal.length - template.length);
+        let best = 0;
+        let bestIndex = -1;
+        let sumSquares = 0;
+        let count = 0;
+
+        for (let lag = from; lag <= last; lag++) {
+            let sum = 0;
+            for (let i = 0; i < template.length; i++) {
+                sum += template[i] * signal[lag + i];
+            }
+            const value = Math.abs(sum);
+            sumSquares += value * value;
+            count++;
+            if (value > best) {
+                best = value;
+                bestIndex = lag;
+            }
+        }
+
+        if (bestIndex < 0) return null;
+        const rms = Math.sqrt(sumSquares / count);
+        return { index: bestIndex, confidence: rms > 0 ? best / rms : 0 };
+    }
+
+    // Average blocks of `factor` samples (a crude low-pass, fine below a quarter of the rate)
+    static decimate(samples, factor) {
+        const output = new Float32Array(Math.floor(samples.length / factor));
+        for (let i = 0; i < output.length; i++) {
+            let sum = 0;
+            for (let j = 0; j < factor; j++) {
+                sum += samples[i * factor + j];
+            }
+            output[i] = sum / factor;
+        }
+        return output;
+    }
+
+    // Hann-windowed linear sweep
+    static createChirp(sampleRate) {
+        const config = LatencyCalibrator.CONFIG;
+        const length = Math.round(config.chirpSeconds * sampleRate);
+        const chirp = new Float32Array(length);
+        const sweepRate = (config.endFrequency - config.startFrequency) / config.chirpSeconds;
+
+        for (let i = 0; i < length; i++) {
+            const t = i / sampleRate;
+            const phase = 2 * Math.PI * (config.startFrequency * t + sweepRate * t * t / 2);
+            const window = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (length - 1));
+            chirp[i] = config.amplitude * window * Math.sin(phase);
+        }
+        return chirp;
+    }
+
+    // Mic-side share of the round trip (see file header)
+    static estimateInputLatencyMs(roundTripMs) {
+        const stream = window.audioManager.micStream;
+        const track = stream ? stream.getAudioTracks()[0] : null;
+        const settings = track && track.getSettings ? track.getSettings() : {};
+
+        if (typeof settings.latency === 'number' && settings.latency > 0) {
+            return Math.min(roundTripMs, settings.latency * 1000);
+        }
+        return roundTripMs / 2;
+    }
+}
+
+LatencyCalibrator.CONFIG = {
+    chirpCount: 3,
+    chirpSeconds: 0.1,
+    startFrequency: 500,    // Hz; Bluetooth headset mics cut off around 4kHz
+    endFrequency: 3000,
+    amplitude: 0.5,
+    leadSeconds: 0.3,
+    spacingSeconds: 1.0,
+    maxLatencySeconds: 0.8, // Longest round trip searched for
+    decimation: 4,
+    minConfidence: 8,
+    minDetections: 2,
+    maxSpreadMs: 15
+};
+
+// Global singleton instance
+window.latencyCalibrator = new LatencyCalibrator();
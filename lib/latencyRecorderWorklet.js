@@ -0,0 +1,71 @@
+/**
+ * Latency Recorder Worklet
+ *
+ * AudioWorkletProcessor that records a stretch of the microphone signal and
+ * reports the AudioContext time of its first sample, so LatencyCalibrator
+ * can line the recording up with chirps it scheduled on the same clock.
+ *
+ * Messages from the main thread:
+ *   { type: 'start', seconds }   record the next `seconds` of input
+ *   { type: 'stop' }
+ *
+ * When the recording is full it posts:
+ *   { type: 'recording', startTime, samples }   samples is a Float32Array
+ *
+ * Loaded by LatencyCalibrator (lib/latencyCalibrator.js):
+ *   await context.audioWorklet.addModule('lib/latencyRecorderWorklet.js');
+ */
+
+class LatencyRecorderProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+
+        this.samples = null;
+        this.writeIndex = 0;
+        this.startTime = null;
+
+        this.active = true;
+        this.port.onmessage = (event) => {
+            const message = event.data || {};
+            if (message.type === 'start') {
+                this.samples = new Float32Array(Math.ceil(message.seconds * sampleRate));
+                this.writeIndex = 0;
+                this.startTime = null;
+            } else if (message.type === 'stop') {
+                this.active = false;
+            }
+        };
+    }
+
+    process(inputs) {
+        if (!this.active) {
+            return false;
+        }
+
+        const input = inputs[0] && inputs[0][0];
+        if (!this.samples || !input) {
+            return true;
+        }
+
+        if (this.startTime === null) {
+            this.startTime = currentTime;
+        }
+
+        const count = Math.min(input.length, this.samples.length - this.writeIndex);
+        this.samples.set(input.subarray(0, count), this.writeIndex);
+        this.writeIndex += count;
+
+        if (this.writeIndex >= this.samples.length) {
+            this.port.postMessage({
+                type: 'recording',
+                startTime: this.startTime,
+                samples: this.samples
+            }, [this.samples.buffer]);
+            this.samples = null;
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('latency-recorder-processor', LatencyRecorderProcessor);
@@ -0,0 +1,153 @@
+/**
+ * Melody Aligner
+ *
+ * Scores a sung-back melody against the one that was played. The notes of
+ * the answer (see lib/noteSegmenter.js) are lined up with the melody by
+ * dynamic time warping, and each melody note gets:
+ *
+ *   pitchCents     how far the matched sung note was from it (+ = sharp)
+ *   intervalCents  how far the sung step from the previous note was from
+ *                  the melody's step, so singing in another key still
+ *                  scores on intervals
+ *
+ * The alignment compares the shapes of the two melodies: the sung notes are
+ * shifted by the median key offset first, so a transposed answer lines up
+ * note for note. Melody notes left without a close sung note are missed;
+ * sung notes no melody note claims are extra.
+ *
+ * Usage:
+ *   const sung = NoteSegmenter.segment(trace.points);
+ *   const result = MelodyAligner.score([60, 62, 64], sung, 50);
+ *   // { notes: [{ targetMidi, sungMidi, pitchCents, intervalCents, startMs, endMs }],
+ *   //   keyOffsetCents, pitchAccuracy, intervalAccuracy, missedCount, extraCount }
+ */
+
+class MelodyAligner {
+    /**
+     * Line up sung notes with melody notes (dynamic time warping on pitch)
+     * @param {Array<number>} targets - MIDI notes of the melody
+     * @param {Array<number>} sung - MIDI notes sung, already shifted into the melody's key
+     * @returns {Array<Array<number>>} [targetIndex, sungIndex] pairs, in order
+     */
+    static align(targets, sung) {
+        const n = targets.length;
+        const m = sung.length;
+        if (n === 0 || m === 0) return [];
+
+        const cost = (i, j) => Math.min(Math.abs(targets[i] - sung[j]), MelodyAligner.CONFIG.maxCostSemitones);
+
+        // total[i][j]: cheapest path from (0, 0) to (i, j)
+        const total = [];
+        for (let i = 0; i < n; i++) {
+            total.push(new Array(m).fill(Infinity));
+            for (let j = 0; j < m; j++) {
+                let previous = 0;
+                if (i > 0 || j > 0) {
+                    previous = Math.min(
+                        i > 0 && j > 0 ? total[i - 1][j - 1] : Infinity,
+                        i > 0 ? total[i - 1][j] : Infinity,
+                        j > 0 ? total[i][j - 1] : Infinity
+                    );
+                }
+                total[i][j] = previous + cost(i, j);
+            }
+        }
+
+        // Walk back from the end, preferring the diagonal on ties
+        const path = [[n - 1, m - 1]];
+        let i = n - 1;
+        let j = m - 1;
+        while (i > 0 || j > 0) {
+            const diagonal = i > 0 && j > 0 ? total[i - 1][j - 1] : Infinity;
+            const up = i > 0 ? total[i - 1][j] : Infinity;
+            const left = j > 0 ? total[i][j - 1] : Infinity;
+
+            if (diagonal <= up && diagonal <= left) {
+                i--;
+                j--;
+            } else if (up <= left) {
+                i--;
+            } else {
+                j--;
+            }
+            path.unshift([i, j]);
+        }
+
+        return path;
+    }
+
+    /**
+     * @param {Array<number>} targetMidis - MIDI notes of the melody
+     * @param {Array<Object>} sungNotes - From NoteSegmenter.segment()
+     * @param {number} toleranceCents - Pitch and interval errors counted as right
+     * @returns {Object} See the usage at the top of the file
+     */
+    static score(targetMidis, sungNotes, toleranceCents) {
+        const config = MelodyAligner.CONFIG;
+        const sungMidis = sungNotes.map(note => NoteUtils.frequencyToMidi(note.frequency));
+        const keyOffset = sungMidis.length > 0
+            ? MelodyAligner.median(sungMidis) - MelodyAligner.median(targetMidis)
+            : 0;
+        const shifted = sungMidis.map(midi => midi - keyOffset);
+
+        // Each melody note takes its closest sung note on the path; a sung note
+        // claimed twice goes to the closer melody note
+        const matches = targetMidis.map(() => null); // { sungIndex, distance }
+        MelodyAligner.align(targetMidis, shifted).forEach(([i, j]) => {
+            const distance = Math.abs(targetMidis[i] - shifted[j]);
+            if (!matches[i] || distance < matches[i].distance) {
+                matches[i] = { sungIndex: j, distance };
+            }
+        });
+        const claims = matches.map(match => match);
+        claims.forEach((match, i) => {
+            if (!match) return;
+            const beaten = claims.some((other, k) => k !== i && other && other.sungIndex === match.sungIndex &&
+                (other.distance < match.distance || (other.distance === match.distance && k < i)));
+            if (match.distance > config.missSemitones || beaten) {
+                matches[i] = null;
+            }
+        });
+
+        const notes = targetMidis.map((targetMidi, i) => {
+            const sungIndex = matches[i] ? matches[i].sungIndex : null;
+            const previousIndex = i > 0 && matches[i - 1] ? matches[i - 1].sungIndex : null;
+            const sungMidi = sungIndex !== null ? sungMidis[sungIndex] : null;
+            return {
+                targetMidi,
+                sungMidi: sungMidi !== null ? Math.round(sungMidi * 100) / 100 : null,
+                pitchCents: sungMidi !== null ? Math.round((sungMidi - targetMidi) * 100) : null,
+                intervalCents: sungMidi !== null && previousIndex !== null
+                    ? Math.round(((sungMidi - sungMidis[previousIndex]) - (targetMidi - targetMidis[i - 1])) * 100)
+                    : null,
+                startMs: sungIndex !== null ? sungNotes[sungIndex].onsetMs : null,
+                endMs: sungIndex !== null ? sungNotes[sungIndex].offsetMs : null
+            };
+        });
+
+        const pitchHits = notes.filter(note => note.pitchCents !== null && Math.abs(note.pitchCents) <= toleranceCents);
+        const intervalHits = notes.filter(note => note.intervalCents !== null && Math.abs(note.intervalCents) <= toleranceCents);
+        const claimed = new Set(matches.filter(Boolean).map(match => match.sungIndex));
+
+        return {
+            notes,
+            keyOffsetCents: Math.round(keyOffset * 100),
+            pitchAccuracy: targetMidis.length > 0 ? pitchHits.length / targetMidis.length : 0,
+            intervalAccuracy: targetMidis.length > 1 ? intervalHits.length / (targetMidis.length - 1) : 0,
+            missedCount: matches.filter(match => !match).length,
+            extraCount: sungNotes.length - claimed.size
+        };
+    }
+
+    static median(values) {
+        if (values.length === 0) return 0;
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+}
+
+MelodyAligner.CONFIG = {
+    maxCostSemitones: 3,    // Caps one bad note's weight in the alignment
+    missSemitones: 1.5      // A melody note with no sung note this close (in key) was missed
+};
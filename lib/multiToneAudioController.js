@@ -0,0 +1,208 @@
+/**
+ * Multi Tone Audio Controller
+ *
+ * Plays any number of voices, for chords; DualToneAudioController is the
+ * two-voice case. Each voice is a ToneGenerator on its own AudioEngine
+ * channel ('tone1', 'tone2', ...) so voices can be panned, and the bleed
+ * canceller sees every voice. Voice volumes are scaled so a full chord is
+ * no louder than a single tone pair.
+ *
+ * Usage:
+ *   const chord = new MultiToneAudioController();
+ *   chord.setChordFrequencies(220, [0, 4, 7]);   // A major triad in the active tuning system
+ *   chord.playAll();
+ *   chord.playVoice(1);                          // just the third
+ *   chord.stopAll();
+ *   chord.destroy();
+ */
+
+class MultiToneAudioController {
+    /**
+     * @param {number} voiceCount - Voices to start with (setVoiceFrequencies changes it)
+     */
+    constructor(voiceCount = 3) {
+        this.voices = []; // { toneGen, frequency, isPlaying, startTime, stopTime }
+        this.setVoiceCount(voiceCount);
+    }
+
+    getVoiceCount() {
+        return this.voices.length;
+    }
+
+    /**
+     * Add voices, or stop and drop the extra ones
+     */
+    setVoiceCount(count) {
+        while (this.voices.length > count) {
+            const voice = this.voices.pop();
+            voice.toneGen.stopTone();
+        }
+        while (this.voices.length < count) {
+            this.voices.push({
+                toneGen: new ToneGenerator({ channel: `tone${this.voices.length + 1}` }),
+                frequency: 440,
+                isPlaying: false,
+                startTime: null,
+                stopTime: null
+            });
+        }
+    }
+
+    /**
+     * Set every voice's frequency; the voice count follows the array
+     * @param {Array<number>} frequencies - Hz
+     */
+    setVoiceFrequencies(frequencies) {
+        this.setVoiceCount(frequencies.length);
+        frequencies.forEach((frequency, index) => {
+            this.voices[index].frequency = frequency;
+        });
+    }
+
+    /**
+     * Set the voices to a chord on a root, in the active tuning system
+     * unless one is given (see TuningSystems)
+     * @param {number} rootFreq - Hz
+     * @param {Array<number>} semitones - Each voice above the root, e.g. [0, 4, 7]
+     * @param {string} [systemId] - '12-tet', 'just' or 'pythagorean'
+     * @returns {Array<number>} The voice frequencies
+     */
+    setChordFrequencies(rootFreq, semitones, systemId = TuningSystems.getActiveSystem()) {
+        const frequencies = semitones.map(steps => TuningSystems.intervalFrequency(rootFreq, steps, systemId));
+        this.setVoiceFrequencies(frequencies);
+        return frequencies;
+    }
+
+    getFrequencies() {
+        return this.voices.map(voice => voice.frequency);
+    }
+
+    /**
+     * Set one voice's frequency
+     * @param {boolean} updateIfPlaying - If true, update frequency while playing
+     */
+    setVoiceFrequency(index, freq, updateIfPlaying = false) {
+        const voice = this.voices[index];
+        if (!voice) return;
+
+        voice.frequency = freq;
+        if (updateIfPlaying && voice.isPlaying) {
+            voice.toneGen.playTone(freq, this.getVoiceVolume());
+        }
+    }
+
+    /**
+     * Ramp a playing voice's gain (smoothly, to avoid clicks)
+     * @param {number} gain - Gain of the voice's ToneGenerator
+     */
+    setVoiceGain(index, gain) {
+        const voice = this.voices[index];
+        if (!voice || !voice.isPlaying || !voice.toneGen.gainNode || !voice.toneGen.audioContext) return;
+
+        const gainParam = voice.toneGen.gainNode.gain;
+        const currentTime = voice.toneGen.audioContext.currentTime;
+        gainParam.setValueAtTime(gainParam.value, currentTime);
+        gainParam.linearRampToValueAtTime(gain, currentTime + 0.05); // 50ms ramp
+    }
+
+    // Per-voice volume: ToneGenerator's 0.3 for up to two voices, shared out above that
+    getVoiceVolume() {
+        return Math.min(MultiToneAudioController.VOICE_VOLUME,
+            MultiToneAudioController.TOTAL_VOLUME / Math.max(1, this.voices.length));
+    }
+
+    /**
+     * @param {boolean} resetTiming - If true, reset start time (for animations)
+     */
+    playVoice(index, resetTiming = true) {
+        const voice = this.voices[index];
+        if (!voice) return;
+
+        voice.toneGen.playTone(voice.frequency, this.getVoiceVolume());
+        voice.isPlaying = true;
+        if (resetTiming) {
+            voice.startTime = performance.now();
+            voice.stopTime = null;
+        }
+    }
+
+    stopVoice(index) {
+        const voice = this.voices[index];
+        if (!voice) return;
+
+        voice.toneGen.stopTone();
+        voice.isPlaying = false;
+        voice.stopTime = performance.now();
+    }
+
+    playAll(resetTiming = true) {
+        this.voices.forEach((voice, index) => this.playVoice(index, resetTiming));
+    }
+
+    stopAll() {
+        this.voices.forEach((voice, index) => this.stopVoice(index));
+    }
+
+    /**
+     * Restart playing voices at their current frequencies
+     */
+    updatePlayingFrequencies() {
+        this.voices.forEach(voice => {
+            if (voice.isPlaying) {
+                voice.toneGen.playTone(voice.frequency, this.getVoiceVolume());
+            }
+        });
+    }
+
+    /**
+     * Smoothly glide a playing voice to a new frequency
+     * @param {number} duration - Seconds (default 2.5)
+     */
+    glissandoVoiceToFrequency(index, targetFreq, duration = 2.5) {
+        const voice = this.voices[index];
+        if (!voice || !voice.isPlaying || !voice.toneGen.isPlaying) {
+            console.warn(`Cannot glissando voice ${index + 1}: not currently playing`);
+            return;
+        }
+
+        voice.frequency = targetFreq;
+        voice.toneGen.setFrequency(targetFreq, duration);
+    }
+
+    /**
+     * Pan a voice left or right. The channels are shared by all
+     * controllers, so reset the pan to 0 when done.
+     * @param {number} pan - -1 (left) to 1 (right)
+     */
+    setVoicePan(index, pan) {
+        window.audioEngine.setChannelPan(`tone${index + 1}`, pan);
+    }
+
+    /**
+     * @returns {Array<Object>} { frequency, isPlaying, startTime, stopTime } per voice
+     */
+    getState() {
+        return this.voices.map(({ frequency, isPlaying, startTime, stopTime }) => ({
+            frequency, isPlaying, startTime, stopTime
+        }));
+    }
+
+    isAnyPlaying() {
+        return this.voices.some(voice => voice.isPlaying);
+    }
+
+    areAllPlaying() {
+        return this.voices.length > 0 && this.voices.every(voice => voice.isPlaying);
+    }
+
+    /**
+     * Clean up audio resources
+     */
+    destroy() {
+        this.stopAll();
+        this.voices = [];
+    }
+}
+
+MultiToneAudioController.VOICE_VOLUME = 0.3;  // ToneGenerator's default
+MultiToneAudioController.TOTAL_VOLUME = 0.6;  // Two voices at the default
@@ -0,0 +1,108 @@
+/**
+ * Noise Floor
+ *
+ * The microphone level below which pitch detectors ignore the signal. Fans,
+ * road noise and hiss can look periodic enough to be read as a pitch, so
+ * every detector (the custom, Pitchy and probabilistic YIN backends and
+ * PitchStream's worklet) skips frames quieter than the voicing threshold.
+ *
+ * Without a calibration the threshold is DEFAULT_VOICING_RMS, low enough for
+ * quiet mics such as AirPods. measure() records a few seconds of silence and
+ * puts the threshold just above the loudest noise heard; the result is saved
+ * per microphone with the gain it was measured at (see
+ * Settings.getNoiseCalibration()), and applied at startup, on profile switch
+ * and whenever the microphone or its gain changes.
+ *
+ * Usage:
+ *   const result = await NoiseFloor.measure();
+ *   // { noiseFloorRms, voicingRms, gain }
+ *   appSettings.setNoiseCalibration(result);
+ *   if (NoiseFloor.isBelowThreshold(rms)) return null;
+ */
+
+class NoiseFloor {
+    static getVoicingThreshold() {
+        return NoiseFloor.voicingRms;
+    }
+
+    /**
+     * @param {number} rms - Mic RMS (after gain) below which frames are ignored
+     */
+    static setVoicingThreshold(rms) {
+        const value = typeof rms === 'number' && rms > 0 ? rms : NoiseFloor.DEFAULT_VOICING_RMS;
+        if (value === NoiseFloor.voicingRms) return;
+
+        NoiseFloor.voicingRms = value;
+        NoiseFloor.listeners.forEach(listener => listener(value));
+    }
+
+    static isBelowThreshold(rms) {
+        return rms < NoiseFloor.voicingRms;
+    }
+
+    /**
+     * Call listener with the new threshold whenever it changes
+     * @returns {Function} Unsubscribe
+     */
+    static onChange(listener) {
+        NoiseFloor.listeners.add(listener);
+        return () => NoiseFloor.listeners.delete(listener);
+    }
+
+    /**
+     * Record the microphone while the user stays quiet. Starts the
+     * microphone if needed, so call it after a user gesture.
+     * @param {number} seconds - How long to listen
+     * @returns {Promise<Object>} { noiseFloorRms, voicingRms, gain }
+     * @throws {Error} With a message for the user if it was too loud
+     */
+    static async measure(seconds = NoiseFloor.CONFIG.seconds) {
+        const config = NoiseFloor.CONFIG;
+        await window.audioManager.initialize();
+
+        const analyser = window.audioManager.getAnalyser();
+        const buffer = new Float32Array(analyser.fftSize);
+        const levels = [];
+
+        const frames = Math.round(seconds * 1000 / config.frameMs);
+        for (let i = 0; i < frames; i++) {
+            await new Promise(resolve => setTimeout(resolve, config.frameMs));
+            analyser.getFloatTimeDomainData(buffer);
+
+            let sum = 0;
+            for (let j = 0; j < buffer.length; j++) {
+                sum += buffer[j] * buffer[j];
+            }
+            levels.push(Math.sqrt(sum / buffer.length));
+        }
+
+        levels.sort((a, b) => a - b);
+        const noiseFloorRms = levels[Math.floor(levels.length / 2)];
+        const loudest = levels[Math.floor(levels.length * config.percentile)];
+        const voicingRms = Math.max(NoiseFloor.DEFAULT_VOICING_RMS, loudest * config.margin);
+
+        if (voicingRms > config.maxVoicingRms) {
+            throw new Error("It's too noisy to calibrate. Stay quiet while it listens, or lower the microphone gain.");
+        }
+
+        return {
+            noiseFloorRms,
+            voicingRms,
+            gain: window.audioManager.getGain()
+        };
+    }
+}
+
+// Threshold used before a microphone is calibrated (quiet mics such as AirPods)
+NoiseFloor.DEFAULT_VOICING_RMS = 0.0005;
+
+NoiseFloor.CONFIG = {
+    seconds: 3,
+    frameMs: 50,
+    percentile: 0.95,     // Loudest noise, ignoring the odd click
+    margin: 2,            // Threshold this far above it (+6 dB)
+    maxVoicingRms: 0.05   // Above this a quiet voice wouldn't register
+};
+
+NoiseFloor.voicingRms = NoiseFloor.DEFAULT_VOICING_RMS;
+NoiseFloor.listeners = new Set();
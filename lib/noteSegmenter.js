@@ -0,0 +1,240 @@
+/**
+ * Note Segmenter
+ *
+ * Turns pitch frames into sung notes, so exercises can ask "is the user
+ * singing a steady note, and which?" instead of each keeping its own
+ * buffers of recent readings. A note:
+ *
+ *   - starts (onset) once it has lasted minNoteMs and minReadings frames
+ *   - follows the voice: a reading within splitCents of the note's recent
+ *     pitch continues it, and single stray readings (octave jumps, blips)
+ *     are skipped
+ *   - ends (offset) after a gap of more than maxGapMs without a usable
+ *     reading, or when splitReadings readings in a row settle elsewhere,
+ *     which starts the next note
+ *
+ * Each note is described as:
+ *   { onsetMs, offsetMs (null while sounding), durationMs,
+ *     frequency         median of the whole note
+ *     currentFrequency  median of the last recentReadings (smoothed live pitch)
+ *     steady            those recent readings are all within steadyCents of it
+ *     kind              'glide' when the note moved more than glideCents from
+ *                       start to end, otherwise 'steady'
+ *     confidence        mean voicing confidence, readingCount }
+ *
+ * Events are { type, note, pitch, frame }:
+ *   'onset'   a note started         'update'  another reading of it
+ *   'offset'  it ended               'silence' an unusable frame outside a note
+ *
+ * Times are frame timestamps (performance.now() milliseconds for PitchStream).
+ *
+ * Usage:
+ *   const unsubscribe = await NoteSegmenter.subscribe((event) => {
+ *       if (event.type === 'update' && event.note.steady) show(event.note.currentFrequency);
+ *   }, { minIntervalMs: 50, steadyCents: 25 });
+ *   unsubscribe();   // the sounding note gets its 'offset' first
+ *
+ *   // Offline, from a PitchTrace
+ *   const notes = NoteSegmenter.segment(trace.points);
+ */
+
+class NoteSegmenter {
+    /**
+     * @param {Object} options - Overrides for NoteSegmenter.DEFAULTS
+     */
+    constructor(options = {}) {
+        this.options = { ...NoteSegmenter.DEFAULTS, ...options };
+        this.reset();
+    }
+
+    reset() {
+        this.current = null; // { readings: [{ timeMs, midi, confidence }], startMs, endMs, started }
+        this.pending = [];   // Readings that left the current note
+    }
+
+    /**
+     * Feed one frame
+     * @param {Object|null} pitch - PitchStream pitch, or null when unvoiced
+     * @param {Object} frame - PitchStream frame ({ timestamp, volume, voicingProbability })
+     * @returns {Array<Object>} Events, in order
+     */
+    addFrame(pitch, frame) {
+        const options = this.options;
+        const timeMs = frame.timestamp;
+        const events = [];
+
+        if (this.current && timeMs - this.current.endMs > options.maxGapMs) {
+            this.endNote(events, pitch, frame);
+        }
+
+        const confidence = pitch ? (pitch.confidence ?? frame.voicingProbability ?? 1) : 0;
+        const usable = pitch && pitch.frequency >= options.minFrequency && pitch.frequency <= options.maxFrequency &&
+            confidence >= options.minConfidence && (frame.volume ?? Infinity) >= options.minVolume;
+
+        if (!usable) {
+            if (!this.current) {
+                events.push({ type: 'silence', note: null, pitch, frame });
+            }
+            return events;
+        }
+
+        const reading = { timeMs, midi: NoteUtils.frequencyToMidi(pitch.frequency), confidence };
+
+        if (!this.current) {
+            this.startNote([reading]);
+        } else if (Math.abs(reading.midi - this.getRecentMidi()) * 100 <= options.splitCents) {
+            // Stray readings in between are dropped
+            this.current.readings.push(reading);
+            this.current.endMs = timeMs;
+            this.pending = [];
+        } else {
+            // Only a settled change starts a new note, not stray readings: the
+            // readings away from the note must also agree with each other
+            const agrees = this.pending.every(other => Math.abs(reading.midi - other.midi) * 100 <= options.splitCents);
+            this.pending = agrees ? [...this.pending, reading] : [reading];
+            if (this.pending.length < options.splitReadings) {
+                return events;
+            }
+            const readings = this.pending;
+            this.endNote(events, pitch, frame);
+            this.startNote(readings);
+        }
+
+        const current = this.current;
+        if (!current.started) {
+            if (current.endMs - current.startMs < options.minNoteMs || current.readings.length < options.minReadings) {
+                return events;
+            }
+            current.started = true;
+            events.push({ type: 'onset', note: this.describe(current, null), pitch, frame });
+        } else {
+            events.push({ type: 'update', note: this.describe(current, null), pitch, frame });
+        }
+        return events;
+    }
+
+    /**
+     * End the sounding note, if any (e.g. when listening stops)
+     * @returns {Array<Object>} The 'offset' event, or nothing
+     */
+    finish() {
+        const events = [];
+        this.endNote(events, null, null);
+        this.reset();
+        return events;
+    }
+
+    /**
+     * The sounding note, or null
+     */
+    getCurrentNote() {
+        return this.current && this.current.started ? this.describe(this.current, null) : null;
+    }
+
+    startNote(readings) {
+        this.current = {
+            readings,
+            startMs: readings[0].timeMs,
+            endMs: readings[readings.length - 1].timeMs,
+            started: false
+        };
+        this.pending = [];
+    }
+
+    endNote(events, pitch, frame) {
+        const current = this.current;
+        this.current = null;
+        this.pending = [];
+
+        if (current && current.started) {
+            events.push({ type: 'offset', note: this.describe(current, current.endMs), pitch, frame });
+        }
+    }
+
+    getRecentMidi() {
+        return NoteSegmenter.median(this.current.readings.slice(-this.options.recentReadings).map(r => r.midi));
+    }
+
+    describe(segment, offsetMs) {
+        const options = this.options;
+        const midis = segment.readings.map(r => r.midi);
+        const recent = midis.slice(-options.recentReadings);
+        const recentMidi = NoteSegmenter.median(recent);
+
+        // Start and end of the note, a quarter of it each
+        const edge = Math.max(1, Math.floor(midis.length / 4));
+        const moved = NoteSegmenter.median(midis.slice(-edge)) - NoteSegmenter.median(midis.slice(0, edge));
+
+        return {
+            onsetMs: segment.startMs,
+            offsetMs,
+            durationMs: segment.endMs - segment.startMs,
+            frequency: NoteUtils.midiToFrequency(NoteSegmenter.median(midis)),
+            currentFrequency: NoteUtils.midiToFrequency(recentMidi),
+            steady: recent.every(midi => Math.abs(midi - recentMidi) * 100 <= options.steadyCents),
+            kind: Math.abs(moved) * 100 > options.glideCents ? 'glide' : 'steady',
+            confidence: segment.readings.reduce((sum, r) => sum + r.confidence, 0) / segment.readings.length,
+            readingCount: segment.readings.length
+        };
+    }
+
+    /**
+     * Segment a recorded pitch curve
+     * @param {Array<Object>} points - { timeMs, frequency|null } (PitchTrace points), in time order
+     * @param {Object} options - As for the constructor
+     * @returns {Array<Object>} Finished notes, in order
+     */
+    static segment(points, options = {}) {
+        const segmenter = new NoteSegmenter(options);
+        const events = [];
+        points.forEach(point => {
+            const pitch = point.frequency ? { frequency: point.frequency } : null;
+            events.push(...segmenter.addFrame(pitch, { timestamp: point.timeMs }));
+        });
+        events.push(...segmenter.finish());
+
+        return events.filter(event => event.type === 'offset').map(event => event.note);
+    }
+
+    /**
+     * Receive note events from the shared pitch stream until the returned
+     * function is called
+     * @param {Function} callback - Called with each event
+     * @param {Object} options - As for the constructor, plus PitchStream's minIntervalMs
+     * @returns {Promise<Function>} Unsubscribe function
+     */
+    static async subscribe(callback, options = {}) {
+        const segmenter = new NoteSegmenter(options);
+        const unsubscribe = await window.pitchStream.subscribe((pitch, frame) => {
+            segmenter.addFrame(pitch, frame).forEach(callback);
+        }, { minIntervalMs: options.minIntervalMs });
+
+        return () => {
+            unsubscribe();
+            segmenter.finish().forEach(callback);
+        };
+    }
+
+    static median(values) {
+        if (values.length === 0) return 0;
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+}
+
+NoteSegmenter.DEFAULTS = {
+    minFrequency: 50,       // Hz, outside the singing range is noise
+    maxFrequency: 2000,
+    minConfidence: 0,       // Voicing confidence below this counts as unvoiced
+    minVolume: 0,           // PitchStream frame volume (0-100) below this counts as unvoiced
+    maxGapMs: 150,          // Longer unvoiced gaps end a note
+    splitCents: 70,         // Further than this from the note's recent pitch starts a new note
+                            // (Infinity keeps any unbroken run as one note, e.g. a glissando)...
+    splitReadings: 2,       // ...once this many readings in a row agree
+    recentReadings: 5,      // Readings the recent pitch (and currentFrequency) is taken from
+    steadyCents: 35,        // Recent readings this close count as steady
+    glideCents: 100,        // Start-to-end movement that makes a note a glide
+    minNoteMs: 120,
+    minReadings: 3
+};
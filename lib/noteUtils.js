@@ -0,0 +1,143 @@
+/**
+ * Note Utilities
+ *
+ * Shared note/frequency math in 12-tone equal temperament, relative to a
+ * configurable A4 reference pitch (440 Hz unless the profile says otherwise).
+ * Detectors, generators, displays and exercises should use these instead of
+ * their own copies so they all honor the reference pitch setting.
+ *
+ * The reference pitch is applied from the profile settings at startup and on
+ * profile switch (see app.js) and whenever it is changed in Audio Settings.
+ *
+ * Usage:
+ *   NoteUtils.setReferencePitch(442);
+ *   NoteUtils.frequencyToNote(442);        // 'A4'
+ *   NoteUtils.getCents(445);               // 12
+ *   NoteUtils.noteToFrequency('C', 4);     // 262.82 (C4 at A442)
+ *   NoteUtils.noteToFrequency('Bb3');      // note and octave in one string
+ */
+
+class NoteUtils {
+    static getReferencePitch() {
+        return NoteUtils.referencePitch;
+    }
+
+    /**
+     * Set the A4 reference pitch
+     * @param {number} frequency - A4 in Hz, within MIN/MAX_REFERENCE_PITCH
+     * @returns {boolean} False if the value was rejected
+     */
+    static setReferencePitch(frequency) {
+        const value = Number(frequency);
+        if (!NoteUtils.isValidReferencePitch(value)) {
+            console.error('Invalid reference pitch:', frequency);
+            return false;
+        }
+        NoteUtils.referencePitch = value;
+        return true;
+    }
+
+    static isValidReferencePitch(frequency) {
+        return typeof frequency === 'number' && isFinite(frequency) &&
+               frequency >= NoteUtils.MIN_REFERENCE_PITCH &&
+               frequency <= NoteUtils.MAX_REFERENCE_PITCH;
+    }
+
+    /**
+     * Fractional MIDI note number (A4 = 69) for a frequency
+     * @returns {number|null} Null for non-positive or non-finite input
+     */
+    static frequencyToMidi(frequency) {
+        if (!(frequency > 0) || !isFinite(frequency)) return null;
+        return 69 + 12 * Math.log2(frequency / NoteUtils.referencePitch);
+    }
+
+    static midiToFrequency(midi) {
+        return NoteUtils.referencePitch * Math.pow(2, (midi - 69) / 12);
+    }
+
+    /**
+     * Name of a MIDI note number, e.g. 60 -> 'C4'
+     */
+    static midiToNote(midi) {
+        const rounded = Math.round(midi);
+        const octave = Math.floor(rounded / 12) - 1;
+        return NoteUtils.NOTE_NAMES[((rounded % 12) + 12) % 12] + octave;
+    }
+
+    /**
+     * Nearest note name for a frequency, e.g. 'A4'
+     * @returns {string|null} Null for invalid frequencies
+     */
+    static frequencyToNote(frequency) {
+        const midi = NoteUtils.frequencyToMidi(frequency);
+        return midi === null ? null : NoteUtils.midiToNote(midi);
+    }
+
+    /**
+     * Cents away from the nearest note (-50 to +50)
+     */
+    static getCents(frequency) {
+        const midi = NoteUtils.frequencyToMidi(frequency);
+        if (midi === null) return 0;
+        return Math.round((midi - Math.round(midi)) * 100);
+    }
+
+    /**
+     * Cents from one frequency to another (positive when freq2 is higher)
+     */
+    static centsBetween(freq1, freq2) {
+        return 1200 * Math.log2(freq2 / freq1);
+    }
+
+    /**
+     * Parse a note name into a MIDI note number
+     * @param {string} noteName - 'C#', 'Db' or with octave, 'C#4'
+     * @param {number} [octave] - Octave when not part of noteName
+     * @returns {number|null} Null if the name isn't recognised
+     */
+    static noteToMidi(noteName, octave) {
+        const match = /^([A-Ga-g])([#♯b♭]?)(-?\d+)?$/.exec(String(noteName).trim());
+        if (!match) return null;
+
+        const noteOctave = match[3] !== undefined ? parseInt(match[3], 10) : octave;
+        if (typeof noteOctave !== 'number' || !isFinite(noteOctave)) return null;
+
+        let noteIndex = NoteUtils.NOTE_NAMES.indexOf(match[1].toUpperCase());
+        if (match[2] === '#' || match[2] === '♯') noteIndex++;
+        if (match[2] === 'b' || match[2] === '♭') noteIndex--;
+
+        return (noteOctave + 1) * 12 + noteIndex;
+    }
+
+    /**
+     * Frequency of a note at the current reference pitch
+     * @returns {number|null} Null if the name isn't recognised
+     */
+    static noteToFrequency(noteName, octave) {
+        const midi = NoteUtils.noteToMidi(noteName, octave);
+        return midi === null ? null : NoteUtils.midiToFrequency(midi);
+    }
+
+    /**
+     * Snap a frequency to the nearest note, optionally stepping by semitones
+     * @param {number} frequency
+     * @param {number} [semitones=0] - Semitones to move from the nearest note
+     */
+    static snapToNote(frequency, semitones = 0) {
+        const midi = NoteUtils.frequencyToMidi(frequency);
+        if (midi === null) return frequency;
+        return NoteUtils.midiToFrequency(Math.round(midi) + semitones);
+    }
+}
+
+NoteUtils.NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+NoteUtils.DEFAULT_REFERENCE_PITCH = 440;
+NoteUtils.MIN_REFERENCE_PITCH = 400;
+NoteUtils.MAX_REFERENCE_PITCH = 480;
+NoteUtils.referencePitch = NoteUtils.DEFAULT_REFERENCE_PITCH;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NoteUtils;
+}
@@ -0,0 +1,168 @@
+/**
+ * Piano Roll
+ *
+ * Draws a sung pitch curve against the notes it should have hit: one row per
+ * semitone (black-key rows shaded, note names down the left), each target
+ * as a line with its ± tolerance band, and the curve green where it is
+ * inside the band and pink where it isn't. Gaps where no pitch was detected
+ * are left blank.
+ *
+ * Takes the result of PitchTrace.stop() (a recorded attempt's pitchTrace
+ * and references have the same shape). Exercises show it on their result
+ * screens; the replay screen adds a playhead.
+ *
+ * Usage:
+ *   const pianoRoll = new PianoRoll(canvas);
+ *   pianoRoll.render(trace.stop(), { toleranceCents: 25 });
+ *   pianoRoll.render(result, { playheadMs: 1200 });
+ */
+
+class PianoRoll {
+    constructor(canvas) {
+        this.canvas = canvas;
+    }
+
+    /**
+     * @param {Object} trace - { durationMs, points, targets }
+     * @param {Object} options - { toleranceCents, playheadMs }
+     */
+    render(trace, options = {}) {
+        const config = PianoRoll.CONFIG;
+        const colors = PianoRoll.COLORS;
+        const ctx = this.canvas.getContext('2d');
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const toleranceCents = options.toleranceCents || 0;
+        const durationMs = Math.max(trace.durationMs, 1);
+
+        ctx.clearRect(0, 0, width, height);
+
+        const sung = trace.points.filter(point => point.frequency);
+        const midis = [
+            ...sung.map(point => NoteUtils.frequencyToMidi(point.frequency)),
+            ...trace.targets.map(target => NoteUtils.frequencyToMidi(target.frequency))
+        ];
+
+        const plotX = config.gutterWidth;
+        const plotWidth = width - plotX;
+        const x = (timeMs) => plotX + Math.min(timeMs, durationMs) / durationMs * plotWidth;
+
+        if (midis.length === 0) {
+            ctx.fillStyle = colors.label;
+            ctx.font = '14px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('No pitch detected', width / 2, height / 2);
+            this.drawPlayhead(ctx, options.playheadMs, x, height);
+            return;
+        }
+
+        // A semitone of room around everything, and never fewer than minSemitones rows
+        let low = Math.floor(Math.min(...midis)) - 1;
+        let high = Math.ceil(Math.max(...midis)) + 1;
+        const missing = config.minSemitones - (high - low + 1);
+        if (missing > 0) {
+            low -= Math.floor(missing / 2);
+            high += Math.ceil(missing / 2);
+        }
+
+        const rowHeight = height / (high - low + 1);
+        const y = (midi) => height - (midi - low + 0.5) * rowHeight;
+
+        // Semitone rows and note names
+        ctx.font = `${Math.min(11, Math.max(8, rowHeight - 2))}px sans-serif`;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        for (let midi = low; midi <= high; midi++) {
+            const pitchClass = ((midi % 12) + 12) % 12;
+            ctx.fillStyle = PianoRoll.BLACK_KEYS.includes(pitchClass) ? colors.blackRow : colors.whiteRow;
+            ctx.fillRect(plotX, y(midi) - rowHeight / 2, plotWidth, rowHeight);
+
+            if (rowHeight >= config.minLabelRowHeight || pitchClass === 0) {
+                ctx.fillStyle = colors.label;
+                ctx.fillText(NoteUtils.midiToNote(midi), 2, y(midi));
+            }
+        }
+
+        // Targets with their tolerance bands
+        trace.targets.forEach(target => {
+            const midi = NoteUtils.frequencyToMidi(target.frequency);
+            const startX = x(target.startMs);
+            const endX = x(target.endMs);
+
+            if (toleranceCents > 0) {
+                const band = toleranceCents / 100;
+                ctx.fillStyle = colors.band;
+                ctx.fillRect(startX, y(midi + band), endX - startX, y(midi - band) - y(midi + band));
+            }
+
+            ctx.strokeStyle = colors.target;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(startX, y(midi));
+            ctx.lineTo(endX, y(midi));
+            ctx.stroke();
+        });
+
+        // Sung pitch, one segment at a time so each can be coloured
+        ctx.lineWidth = 2;
+        for (let i = 1; i < trace.points.length; i++) {
+            const from = trace.points[i - 1];
+            const to = trace.points[i];
+            if (!from.frequency || !to.frequency || to.timeMs - from.timeMs > config.maxGapMs) continue;
+
+            ctx.strokeStyle = this.getSegmentColor(trace.targets, to, toleranceCents);
+            ctx.beginPath();
+            ctx.moveTo(x(from.timeMs), y(NoteUtils.frequencyToMidi(from.frequency)));
+            ctx.lineTo(x(to.timeMs), y(NoteUtils.frequencyToMidi(to.frequency)));
+            ctx.stroke();
+        }
+
+        this.drawPlayhead(ctx, options.playheadMs, x, height);
+    }
+
+    // Green inside the band of the target sung at the time, pink outside it
+    getSegmentColor(targets, point, toleranceCents) {
+        const colors = PianoRoll.COLORS;
+        const target = targets.find(t => point.timeMs >= t.startMs && point.timeMs <= t.endMs);
+        if (!target || toleranceCents <= 0) {
+            return colors.curve;
+        }
+
+        const cents = 1200 * Math.log2(point.frequency / target.frequency);
+        return Math.abs(cents) <= toleranceCents ? colors.inTune : colors.outOfTune;
+    }
+
+    drawPlayhead(ctx, playheadMs, x, height) {
+        if (playheadMs === undefined || playheadMs === null) return;
+
+        ctx.strokeStyle = PianoRoll.COLORS.playhead;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x(playheadMs), 0);
+        ctx.lineTo(x(playheadMs), height);
+        ctx.stroke();
+    }
+}
+
+// Pitch classes drawn as black-key rows (C = 0)
+PianoRoll.BLACK_KEYS = [1, 3, 6, 8, 10];
+
+PianoRoll.CONFIG = {
+    gutterWidth: 32,        // px for note names
+    minSemitones: 7,        // Rows shown even for a single steady note
+    minLabelRowHeight: 10,  // Below this only C rows are labelled
+    maxGapMs: 150           // Longer gaps between points break the curve
+};
+
+PianoRoll.COLORS = {
+    whiteRow: 'rgba(255, 255, 255, 0.06)',
+    blackRow: 'rgba(0, 0, 0, 0.35)',
+    label: 'rgba(255, 255, 255, 0.7)',
+    target: '#00ffff',
+    band: 'rgba(0, 255, 255, 0.15)',
+    curve: '#ff00ff',
+    inTune: '#39ff14',
+    outOfTune: '#ff00ff',
+    playhead: 'rgba(255, 255, 255, 0.8)'
+};
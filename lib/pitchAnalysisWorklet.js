@@ -0,0 +1,129 @@
+/**
+ * Pitch Analysis Worklet
+ *
+ * AudioWorkletProcessor that cuts the microphone into overlapping frames on
+ * the audio rendering thread. Every input block is copied into a ring
+ * buffer, and a frame is taken every `hopSize` samples, so no audio is
+ * skipped however busy the main thread is.
+ *
+ * With processorOptions.analysis 'yin' (the default) each frame is analysed
+ * here with probabilistic YIN (lib/yinAnalyzer.js) and posted as:
+ *   { type: 'frame', time, frequency, rawFrequency, voicingProbability, rms, candidates }
+ * where `time` is the AudioContext time of the frame's last sample and
+ * `frequency` is the smoothed pitch, or null when the frame is unvoiced or
+ * quieter than `rmsThreshold` (the microphone's noise floor, see NoiseFloor).
+ *
+ * With 'samples' the frame itself is posted, for a detector that runs on
+ * the main thread (Pitchy, see PitchStream):
+ *   { type: 'samples', time, samples }
+ *
+ * Messages from the main thread:
+ *   { type: 'rmsThreshold', value }   new noise floor threshold
+ *   { type: 'stop' }
+ *
+ * Loaded by PitchStream (lib/pitchStream.js) after lib/yinAnalyzer.js:
+ *   await context.audioWorklet.addModule('lib/yinAnalyzer.js');
+ *   await context.audioWorklet.addModule('lib/pitchAnalysisWorklet.js');
+ */
+
+class PitchAnalysisProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+
+        const processorOptions = (options && options.processorOptions) || {};
+        this.frameSize = processorOptions.frameSize || 2048;
+        this.hopSize = processorOptions.hopSize || 1024;
+        this.analysis = processorOptions.analysis || 'yin';
+
+        // Frames less likely than this to be voiced are reported without a pitch
+        this.voicingThreshold = processorOptions.voicingThreshold || 0.5;
+        this.rmsThreshold = processorOptions.rmsThreshold || 0;
+
+        this.analyzer = new YinAnalyzer({
+            minFrequency: processorOptions.minFrequency || 80,
+            maxFrequency: processorOptions.maxFrequency || 2000
+        });
+
+        // Ring buffer of the most recent frameSize samples
+        this.ring = new Float32Array(this.frameSize);
+        this.frame = new Float32Array(this.frameSize);
+        this.writeIndex = 0;
+        this.samplesBuffered = 0;
+        this.samplesSinceFrame = 0;
+
+        this.active = true;
+        this.port.onmessage = (event) => {
+            const message = event.data || {};
+            if (message.type === 'stop') {
+                this.active = false;
+            } else if (message.type === 'rmsThreshold') {
+                this.rmsThreshold = message.value;
+            }
+        };
+    }
+
+    process(inputs) {
+        if (!this.active) {
+            // Returning false lets the node be garbage collected
+            return false;
+        }
+
+        const input = inputs[0];
+        if (!input || input.length === 0) {
+            return true;
+        }
+
+        const channel = input[0];
+        for (let i = 0; i < channel.length; i++) {
+            this.ring[this.writeIndex] = channel[i];
+            this.writeIndex = (this.writeIndex + 1) % this.frameSize;
+            this.samplesSinceFrame++;
+
+            if (this.samplesBuffered < this.frameSize) {
+                this.samplesBuffered++;
+            }
+
+            if (this.samplesBuffered === this.frameSize && this.samplesSinceFrame >= this.hopSize) {
+                this.samplesSinceFrame = 0;
+                this.analyzeFrame(currentTime + (i + 1) / sampleRate);
+            }
+        }
+
+        return true;
+    }
+
+    analyzeFrame(time) {
+        // Unroll the ring buffer so the oldest sample is first
+        const tail = this.frameSize - this.writeIndex;
+        this.frame.set(this.ring.subarray(this.writeIndex), 0);
+        this.frame.set(this.ring.subarray(0, this.writeIndex), tail);
+
+        if (this.analysis === 'samples') {
+            const samples = this.frame.slice();
+            this.port.postMessage({ type: 'samples', time: time, samples: samples }, [samples.buffer]);
+            return;
+        }
+
+        let sum = 0;
+        for (let i = 0; i < this.frameSize; i++) {
+            sum += this.frame[i] * this.frame[i];
+        }
+        const rms = Math.sqrt(sum / this.frameSize);
+
+        const result = this.analyzer.analyzeFrame(this.frame, sampleRate);
+        const voiced = result.frequency && result.voicingProbability >= this.voicingThreshold &&
+            rms >= this.rmsThreshold;
+
+        this.port.postMessage({
+            type: 'frame',
+            time: time,
+            frequency: voiced ? this.analyzer.applySmoothingFilter(result.frequency) : null,
+            rawFrequency: result.frequency,
+            voicingProbability: result.voicingProbability,
+            rms: rms,
+            candidates: result.candidates.slice(0, 3)
+        });
+    }
+}
+
+registerProcessor('pitch-analysis-processor', PitchAnalysisProcessor);
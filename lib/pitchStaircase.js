@@ -0,0 +1,108 @@
+/**
+ * Pitch Staircase
+ *
+ * Adaptive staircase for a two-alternative pitch test ("was the second tone
+ * higher or lower?"). The difference between the tones shrinks after two
+ * right answers in a row and grows after every wrong one (2-down/1-up), so
+ * it settles where the listener is right about 71% of the time: their
+ * just-noticeable difference (JND) in cents.
+ *
+ * Steps are multiplicative: big (fastFactor) until the first fastReversals
+ * reversals to find the region quickly, then finer (factor). The threshold
+ * is the geometric mean of the difference at the later reversals.
+ *
+ * Usage:
+ *   const staircase = new PitchStaircase();
+ *   while (!staircase.isFinished()) {
+ *       const cents = staircase.getCents();   // play two tones this far apart
+ *       staircase.answer(correct);
+ *   }
+ *   staircase.getResult();   // { thresholdCents, trialCount, reversalCount, correctCount }
+ */
+
+class PitchStaircase {
+    /**
+     * @param {Object} options - Overrides for PitchStaircase.DEFAULTS
+     */
+    constructor(options = {}) {
+        this.options = { ...PitchStaircase.DEFAULTS, ...options };
+        this.cents = this.options.startCents;
+        this.trials = [];    // { cents, correct }
+        this.reversals = []; // Difference (cents) at each change of direction
+        this.correctRun = 0;
+        this.lastStep = null; // 'down' | 'up'
+    }
+
+    /**
+     * Difference to test next, in cents
+     */
+    getCents() {
+        return this.cents;
+    }
+
+    /**
+     * @param {boolean} correct - Whether the listener heard the direction right
+     */
+    answer(correct) {
+        const options = this.options;
+        this.trials.push({ cents: this.cents, correct });
+
+        let step = null;
+        if (!correct) {
+            this.correctRun = 0;
+            step = 'up';
+        } else if (++this.correctRun >= 2) {
+            this.correctRun = 0;
+            step = 'down';
+        }
+        if (!step) return;
+
+        if (this.lastStep && step !== this.lastStep) {
+            this.reversals.push(this.cents);
+        }
+        this.lastStep = step;
+
+        const factor = this.reversals.length < options.fastReversals ? options.fastFactor : options.factor;
+        const next = step === 'down' ? this.cents / factor : this.cents * factor;
+        this.cents = Math.min(options.maxCents, Math.max(options.minCents, Math.round(next * 10) / 10));
+    }
+
+    isFinished() {
+        return this.reversals.length >= this.options.maxReversals || this.trials.length >= this.options.maxTrials;
+    }
+
+    /**
+     * @returns {Object|null} Null before any answers
+     */
+    getResult() {
+        if (this.trials.length === 0) return null;
+
+        // Reversals after the coarse steps; the last trials when there are too few
+        let values = this.reversals.slice(this.options.fastReversals);
+        if (values.length < 2) {
+            values = this.trials.slice(-PitchStaircase.FALLBACK_TRIALS).map(trial => trial.cents);
+        }
+        const logMean = values.reduce((sum, cents) => sum + Math.log(cents), 0) / values.length;
+
+        return {
+            thresholdCents: Math.round(Math.exp(logMean) * 10) / 10,
+            trialCount: this.trials.length,
+            reversalCount: this.reversals.length,
+            correctCount: this.trials.filter(trial => trial.correct).length
+        };
+    }
+}
+
+PitchStaircase.DEFAULTS = {
+    startCents: 100,        // A semitone, audible to nearly everyone
+    minCents: 1,
+    maxCents: 400,          // A major third
+    fastFactor: 2,
+    factor: Math.SQRT2,
+    fastReversals: 2,
+    maxReversals: 10,
+    maxTrials: 80           // Ends a test that never settles
+};
+
+// Trials averaged when a test ends with too few reversals
+PitchStaircase.FALLBACK_TRIALS = 6;
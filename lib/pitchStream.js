@@ -0,0 +1,345 @@
+/**
+ * Pitch Stream
+ *
+ * One shared stream of timestamped pitch frames for every exercise that
+ * listens to the microphone, instead of each exercise polling its own
+ * PitchDetector with setInterval.
+ *
+ * The stream follows the pitch detector picked in Audio Settings. Frames are
+ * cut in an AudioWorklet (lib/pitchAnalysisWorklet.js) that sees every input
+ * block, so none are dropped when the main thread is busy with WebGL
+ * visualizations. Probabilistic YIN runs inside the worklet; Pitchy runs on
+ * the main thread on the frames the worklet posts (see WORKLET_ANALYSIS).
+ * The custom detector, which reads the AnalyserNode's FFT, and browsers
+ * without AudioWorklet poll the configured PitchDetector every 50ms, with
+ * the same frame shape.
+ *
+ * Subscribers receive (pitch, frame):
+ *   pitch - same shape as PitchDetector.detectPitch(), or null when unvoiced
+ *   frame - { timestamp, audioTime, frequency, voicingProbability, rms, volume }
+ *           timestamp is in performance.now() milliseconds
+ *
+ * Usage:
+ *   const unsubscribe = await window.pitchStream.subscribe((pitch, frame) => {
+ *       if (pitch) console.log(pitch.frequency, frame.timestamp);
+ *   }, { minIntervalMs: 100 });   // optional: throttle to one frame per 100ms
+ *   unsubscribe();                // stream stops when nobody is listening
+ */
+
+class PitchStream {
+    constructor() {
+        this.subscribers = new Set();
+
+        // Worklet analysis settings
+        this.frameSize = 2048; // ~43ms at 48kHz, enough for 80Hz
+        this.hopSize = 1024; // New frame every ~21ms
+        this.voicingThreshold = 0.5;
+
+        // Polling fallback rate
+        this.pollingIntervalMs = 50;
+
+        // Runtime state
+        this.mode = null; // 'worklet' | 'polling' | null (stopped)
+        this.detectorName = null; // Detector selected when the stream started
+        this.frameDetector = null; // Analyses posted worklet frames when the worklet only cuts them
+        this.context = null;
+        this.workletNode = null;
+        this.inputNode = null;
+        this.workletLoadedFor = null; // AudioContext the worklet modules were added to
+        this.pollingDetector = null;
+        this.pollingInterval = null;
+        this.startPromise = null;
+        this.latestFrame = null;
+        this.unsubscribeNoiseFloor = null;
+    }
+
+    static isWorkletSupported() {
+        return typeof AudioWorkletNode !== 'undefined';
+    }
+
+    // Detector picked in Audio Settings ('custom', 'pitchy' or 'yin')
+    static getSelectedDetector() {
+        return typeof PITCH_DETECTOR_CONFIG !== 'undefined' ? PITCH_DETECTOR_CONFIG.activeDetector : 'yin';
+    }
+
+    /**
+     * Receive every pitch frame until the returned function is called
+     * @param {Function} callback - Called with (pitch, frame)
+     * @param {Object} options - { minIntervalMs } to receive at most one frame per interval
+     * @returns {Promise<Function>} Unsubscribe function
+     */
+    async subscribe(callback, options = {}) {
+        const subscriber = {
+            callback: callback,
+            minIntervalMs: options.minIntervalMs || 0,
+            lastDelivered: -Infinity
+        };
+        this.subscribers.add(subscriber);
+
+        try {
+            await this.start();
+        } catch (error) {
+            this.subscribers.delete(subscriber);
+            throw error;
+        }
+
+        return () => this.unsubscribe(subscriber);
+    }
+
+    unsubscribe(subscriber) {
+        this.subscribers.delete(subscriber);
+        if (this.subscribers.size === 0) {
+            this.stop();
+        }
+    }
+
+    // Most recent frame (or null), for code that only needs the current pitch
+    getLatestFrame() {
+        return this.latestFrame;
+    }
+
+    isRunning() {
+        return this.mode !== null;
+    }
+
+    async start() {
+        // AudioManager.stop() disconnects the microphone, which silently starves the worklet
+        const context = window.audioManager.getAudioContext();
+        if (this.mode && window.audioManager.isInitialized && context === this.context &&
+            this.detectorName === PitchStream.getSelectedDetector()) {
+            return;
+        }
+
+        if (!this.startPromise) {
+            this.startPromise = this.startAnalysis().then(() => {
+                // Everyone unsubscribed while the microphone was starting
+                if (this.subscribers.size === 0) {
+                    this.stop();
+                }
+            }).finally(() => {
+                this.startPromise = null;
+            });
+        }
+        return this.startPromise;
+    }
+
+    async startAnalysis() {
+        this.stop();
+
+        await window.audioManager.initialize();
+        const context = window.audioManager.getAudioContext();
+        this.detectorName = PitchStream.getSelectedDetector();
+
+        const analysis = PitchStream.WORKLET_ANALYSIS[this.detectorName];
+        if (analysis && PitchStream.isWorkletSupported() && context.audioWorklet) {
+            try {
+                await this.startWorklet(context, analysis);
+                return;
+            } catch (error) {
+                console.warn('PitchStream: AudioWorklet unavailable, falling back to polling:', error);
+            }
+        }
+
+        await this.startPolling();
+    }
+
+    async startWorklet(context, analysis) {
+        if (analysis === 'samples') {
+            this.frameDetector = new PitchDetectorPitchy();
+            this.frameDetector.initializeForFrames(this.frameSize);
+        }
+
+        if (this.workletLoadedFor !== context) {
+            await context.audioWorklet.addModule('lib/yinAnalyzer.js');
+            await context.audioWorklet.addModule('lib/pitchAnalysisWorklet.js');
+            this.workletLoadedFor = context;
+        }
+
+        const inputNode = window.audioManager.getInputNode();
+        if (!inputNode) {
+            throw new Error('Microphone input not available from AudioManager');
+        }
+
+        this.workletNode = new AudioWorkletNode(context, 'pitch-analysis-processor', {
+            numberOfInputs: 1,
+            numberOfOutputs: 1,
+            outputChannelCount: [1],
+            processorOptions: {
+                frameSize: this.frameSize,
+                hopSize: this.hopSize,
+                analysis: analysis,
+                voicingThreshold: this.voicingThreshold,
+                rmsThreshold: NoiseFloor.getVoicingThreshold()
+            }
+        });
+
+        this.workletNode.port.onmessage = (event) => this.handleWorkletMessage(event.data);
+
+        // Follow noise floor changes (calibration, mic or gain changes) while running
+        const workletNode = this.workletNode;
+        this.unsubscribeNoiseFloor = NoiseFloor.onChange(value => {
+            workletNode.port.postMessage({ type: 'rmsThreshold', value });
+        });
+
+        inputNode.connect(this.workletNode);
+        // Browsers only render nodes that reach the destination; the processor outputs silence
+        this.workletNode.connect(context.destination);
+
+        this.inputNode = inputNode;
+        this.context = context;
+        this.mode = 'worklet';
+        console.log(`PitchStream: Started AudioWorklet analysis (${this.detectorName})`);
+    }
+
+    // Restart on the newly selected detector (called when Audio Settings changes it)
+    handleDetectorChange() {
+        if (!this.mode || this.detectorName === PitchStream.getSelectedDetector()) return;
+        this.start().catch(error => {
+            console.error('PitchStream: Failed to switch detector:', error);
+        });
+    }
+
+    handleWorkletMessage(data) {
+        if (!data || this.mode !== 'worklet') return;
+
+        // Map the frame's audio clock time onto performance.now()
+        const ageMs = Math.max(0, (this.context.currentTime - data.time) * 1000);
+
+        if (data.type === 'samples' && this.frameDetector) {
+            const pitch = this.frameDetector.analyzeFrame(data.samples, this.context.sampleRate);
+            this.emitDetectorPitch(pitch, this.frameDetector, performance.now() - ageMs, data.time);
+            return;
+        }
+        if (data.type !== 'frame') return;
+
+        const frame = {
+            timestamp: performance.now() - ageMs,
+            audioTime: data.time,
+            frequency: data.frequency,
+            rawFrequency: data.rawFrequency,
+            voicingProbability: data.voicingProbability,
+            rms: data.rms,
+            volume: Math.min(100, data.rms * 200)
+        };
+
+        const pitch = data.frequency ? {
+            frequency: data.frequency,
+            note: this.frequencyToNote(data.frequency),
+            cents: this.getCents(data.frequency),
+            confidence: data.voicingProbability,
+            voicingProbability: data.voicingProbability,
+            method: 'yin-worklet',
+            candidates: data.candidates
+        } : null;
+
+        this.emit(pitch, frame);
+    }
+
+    async startPolling() {
+        if (!this.pollingDetector) {
+            this.pollingDetector = new PitchDetector();
+        }
+        await this.pollingDetector.initializeWithSharedAudio();
+
+        this.context = window.audioManager.getAudioContext();
+        this.mode = 'polling';
+
+        this.pollingInterval = setInterval(() => {
+            this.emitDetectorPitch(
+                this.pollingDetector.detectPitch(),
+                this.pollingDetector,
+                performance.now(),
+                this.context ? this.context.currentTime : 0
+            );
+        }, this.pollingIntervalMs);
+
+        console.log('PitchStream: Started polling fallback');
+    }
+
+    // Emit a PitchDetector result, with the detector's level, as a frame
+    emitDetectorPitch(pitch, detector, timestamp, audioTime) {
+        const valid = pitch && pitch.frequency > 0;
+
+        this.emit(valid ? pitch : null, {
+            timestamp: timestamp,
+            audioTime: audioTime,
+            frequency: valid ? pitch.frequency : null,
+            rawFrequency: valid ? pitch.frequency : null,
+            voicingProbability: valid ? pitch.voicingProbability : 0,
+            rms: detector.getRMS(),
+            volume: detector.getVolume()
+        });
+    }
+
+    emit(pitch, frame) {
+        this.latestFrame = frame;
+
+        this.subscribers.forEach(subscriber => {
+            // Allow a little jitter so a 100ms subscriber isn't pushed to every 5th 21ms frame
+            if (frame.timestamp - subscriber.lastDelivered < subscriber.minIntervalMs * 0.9) {
+                return;
+            }
+            subscriber.lastDelivered = frame.timestamp;
+
+            try {
+                subscriber.callback(pitch, frame);
+            } catch (error) {
+                console.error('PitchStream: Subscriber error:', error);
+            }
+        });
+    }
+
+    stop() {
+        if (this.unsubscribeNoiseFloor) {
+            this.unsubscribeNoiseFloor();
+            this.unsubscribeNoiseFloor = null;
+        }
+
+        if (this.workletNode) {
+            this.workletNode.port.postMessage({ type: 'stop' });
+            this.workletNode.port.onmessage = null;
+            try {
+                if (this.inputNode) {
+                    this.inputNode.disconnect(this.workletNode);
+                }
+                this.workletNode.disconnect();
+            } catch (error) {
+                // Already disconnected (e.g. the AudioContext was closed)
+            }
+            this.workletNode = null;
+            this.inputNode = null;
+        }
+
+        if (this.pollingInterval) {
+            clearInterval(this.pollingInterval);
+            this.pollingInterval = null;
+        }
+        if (this.pollingDetector) {
+            this.pollingDetector.stop();
+        }
+
+        this.mode = null;
+        this.detectorName = null;
+        this.frameDetector = null;
+        this.latestFrame = null;
+    }
+
+    frequencyToNote(frequency) {
+        return NoteUtils.frequencyToNote(frequency);
+    }
+
+    getCents(frequency) {
+        return NoteUtils.getCents(frequency);
+    }
+}
+
+// How the worklet serves each detector: 'yin' analyses in the worklet,
+// 'samples' posts frames for the detector to analyse on the main thread.
+// Detectors not listed poll instead
+PitchStream.WORKLET_ANALYSIS = {
+    'yin': 'yin',
+    'pitchy': 'samples'
+};
+
+// Global singleton instance
+window.pitchStream = new PitchStream();
@@ -0,0 +1,125 @@
+/**
+ * Pitch Trace
+ *
+ * Collects the pitch curve of one attempt from PitchStream, along with the
+ * target note(s) it was sung against, for PianoRoll and AttemptRecorder.
+ * Targets are sequential segments: setTarget() ends the current one and
+ * starts the next. Times are milliseconds from start().
+ *
+ * Usage:
+ *   const trace = new PitchTrace();
+ *   trace.start(targetFrequency);
+ *   trace.setTarget(nextFrequency);       // null while there is none
+ *   const result = trace.stop();
+ *   // { durationMs, points: [{ timeMs, frequency|null }], targets: [{ frequency, startMs, endMs }] }
+ */
+
+class PitchTrace {
+    /**
+     * @param {Object} options - { minIntervalMs } between points (default 20)
+     */
+    constructor(options = {}) {
+        this.minIntervalMs = options.minIntervalMs || PitchTrace.DEFAULT_INTERVAL_MS;
+        this.startTime = null;
+        this.points = [];
+        this.targets = [];
+        this.unsubscribePitch = null;
+        this.session = 0; // Bumped on stop so a slow subscribe can't attach to a finished trace
+    }
+
+    isRunning() {
+        return this.startTime !== null;
+    }
+
+    /**
+     * Start a new trace (any trace in progress is dropped). The points start
+     * arriving once PitchStream is running.
+     * @param {number|null} targetFrequency - Note the attempt is sung against
+     * @returns {Promise<boolean>} False if the microphone couldn't be started
+     */
+    async start(targetFrequency = null) {
+        this.stop();
+
+        this.startTime = performance.now();
+        this.points = [];
+        this.targets = [];
+        this.setTarget(targetFrequency);
+
+        const session = this.session;
+        try {
+            const unsubscribe = await window.pitchStream.subscribe((pitch, frame) => {
+                this.addPoint(pitch, frame);
+            }, { minIntervalMs: this.minIntervalMs });
+
+            if (session !== this.session) {
+                unsubscribe();
+            } else {
+                this.unsubscribePitch = unsubscribe;
+            }
+            return true;
+        } catch (error) {
+            console.warn('PitchTrace: No pitch stream:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Change the note being sung against (null for none)
+     */
+    setTarget(frequency) {
+        if (!this.isRunning()) return;
+
+        const nowMs = this.getTime();
+        const current = this.targets[this.targets.length - 1];
+        if (current && current.endMs === null) {
+            if (current.frequency === Math.round(frequency * 100) / 100) return;
+            current.endMs = nowMs;
+        }
+
+        if (frequency) {
+            this.targets.push({ frequency: Math.round(frequency * 100) / 100, startMs: nowMs, endMs: null });
+        }
+    }
+
+    getTime() {
+        return this.isRunning() ? Math.round(performance.now() - this.startTime) : 0;
+    }
+
+    addPoint(pitch, frame) {
+        if (!this.isRunning()) return;
+
+        this.points.push({
+            timeMs: Math.round(frame.timestamp - this.startTime),
+            frequency: pitch && pitch.frequency ? Math.round(pitch.frequency * 10) / 10 : null
+        });
+    }
+
+    /**
+     * Finish the trace
+     * @returns {Object|null} { durationMs, points, targets }, or null if it wasn't running
+     */
+    stop() {
+        this.session++;
+        if (this.unsubscribePitch) {
+            this.unsubscribePitch();
+            this.unsubscribePitch = null;
+        }
+        if (!this.isRunning()) return null;
+
+        const durationMs = this.getTime();
+        this.targets.forEach(target => {
+            if (target.endMs === null) {
+                target.endMs = durationMs;
+            }
+        });
+        this.startTime = null;
+
+        return {
+            durationMs,
+            points: this.points.filter(point => point.timeMs >= 0 && point.timeMs <= durationMs),
+            targets: this.targets.filter(target => target.endMs > target.startMs)
+        };
+    }
+}
+
+PitchTrace.DEFAULT_INTERVAL_MS = 20;
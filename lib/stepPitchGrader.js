@@ -0,0 +1,342 @@
+/**
+ * Step Pitch Grader
+ *
+ * Scores how well the user sang each system exercise step from pitch
+ * detector readings, and turns the step scores into a spaced repetition
+ * difficulty ('easy' | 'medium' | 'hard' | 'failed').
+ *
+ * Per step it measures:
+ *   - timeToLockMs: time from the step starting until the voice stays in
+ *     tune for `stableReadings` consecutive readings
+ *   - meanCentsError: average distance from the target after locking
+ *   - stabilityCents: standard deviation of the pitch after locking
+ *
+ * Octave errors are folded out, so singing the target an octave down
+ * (common for low voices against high tones) still counts as a match.
+ * Steps without a target frequency (e.g. "sing a steady note") are graded
+ * against the user's own median pitch, so only steadiness counts.
+ *
+ * Usage:
+ *   const grader = new StepPitchGrader({ toleranceCents: 26, stableReadings: 5 });
+ *   grader.beginStep('match-root', 220);
+ *   grader.addReading(pitch ? pitch.frequency : null);   // every poll
+ *   const grade = grader.finishExercise();               // { difficulty, steps }
+ */
+
+class StepPitchGrader {
+    constructor(options = {}) {
+        // Readings within this many cents of the target count as "in tune"
+        this.toleranceCents = options.toleranceCents || 30;
+
+        // Consecutive in-tune readings required to count as locked
+        this.stableReadings = options.stableReadings || 5;
+
+        // Time limits (ms) and accuracy limits (cents) for each difficulty
+        this.thresholds = {
+            ...StepPitchGrader.getDefaultThresholds(),
+            ...(options.thresholds || {})
+        };
+
+        this.currentStep = null;
+        this.stepResults = [];
+    }
+
+    /**
+     * Default grading thresholds, tuned for the 50ms polling rate
+     */
+    static getDefaultThresholds() {
+        return {
+            easyLockMs: 2500,
+            easyMeanCents: 15,
+            easyStabilityCents: 20,
+            mediumLockMs: 6000,
+            mediumMeanCents: 30
+        };
+    }
+
+    /**
+     * Which frequency each userAction should be sung against.
+     * Actions not listed here (listen, glissando, slider) are not graded.
+     */
+    static getGradedActions() {
+        return {
+            'match-root': 'root',
+            'sing-root': 'root',
+            'match-interval': 'interval',
+            'sing-interval': 'interval'
+        };
+    }
+
+    /**
+     * Check whether a step's userAction can be graded from the microphone
+     */
+    static isGradedAction(userAction) {
+        return Object.prototype.hasOwnProperty.call(StepPitchGrader.getGradedActions(), userAction);
+    }
+
+    /**
+     * Signed distance in cents from target, folded into [-600, 600)
+     */
+    static foldedCents(frequency, targetFrequency) {
+        const cents = 1200 * Math.log2(frequency / targetFrequency);
+        return ((cents % 1200) + 1800) % 1200 - 600;
+    }
+
+    /**
+     * Convert a frequency ratio tolerance (e.g. 0.015 from sensitivity
+     * settings) to cents
+     */
+    static toleranceRatioToCents(tolerance) {
+        return 1200 * Math.log2(1 + tolerance);
+    }
+
+    /**
+     * Start grading a new step. Any step in progress is finished first.
+     * @param {string} userAction - Step userAction from the exercise config
+     * @param {number|null} targetFrequency - Frequency to match, or null to grade steadiness only
+     * @param {number} now - Timestamp in ms (defaults to performance.now())
+     */
+    beginStep(userAction, targetFrequency, now = performance.now()) {
+        this.endStep(now);
+
+        if (!StepPitchGrader.isGradedAction(userAction)) {
+            return;
+        }
+
+        this.currentStep = {
+            userAction: userAction,
+            targetFrequency: targetFrequency || null,
+            startTime: now,
+            totalReadings: 0,
+            voicedReadings: 0,
+            inTuneRun: 0,
+            runStartTime: null,
+            runCents: [],
+            lockTime: null,
+            lockedCents: [],
+            recentFrequencies: []
+        };
+    }
+
+    /**
+     * Feed one pitch detector reading into the current step
+     * @param {number|null} frequency - Detected frequency, or null when nothing was detected
+     * @param {number} now - Timestamp in ms (defaults to performance.now())
+     */
+    addReading(frequency, now = performance.now()) {
+        const step = this.currentStep;
+        if (!step) return;
+
+        step.totalReadings++;
+
+        if (!frequency || !isFinite(frequency) || frequency <= 0) {
+            // Silence breaks the run before lock, but doesn't count against accuracy after
+            if (step.lockTime === null) {
+                step.inTuneRun = 0;
+            }
+            return;
+        }
+
+        step.voicedReadings++;
+
+        const reference = this.getReferenceFrequency(step, frequency);
+        const cents = StepPitchGrader.foldedCents(frequency, reference);
+
+        if (step.lockTime === null) {
+            if (Math.abs(cents) <= this.toleranceCents) {
+                step.inTuneRun++;
+                if (step.inTuneRun === 1) {
+                    step.runStartTime = now;
+                    step.runCents = [];
+                }
+                step.runCents.push(cents);
+
+                if (step.inTuneRun >= this.stableReadings) {
+                    // Lock time is when the in-tune run started, not when it was confirmed
+                    step.lockTime = step.runStartTime;
+                    step.lockedCents = step.runCents.slice();
+                }
+            } else {
+                step.inTuneRun = 0;
+            }
+        } else {
+            step.lockedCents.push(cents);
+        }
+    }
+
+    /**
+     * Target for the current reading. Steps without a target use the
+     * median of the user's recent readings, so only steadiness is graded.
+     */
+    getReferenceFrequency(step, frequency) {
+        if (step.targetFrequency) {
+            return step.targetFrequency;
+        }
+
+        step.recentFrequencies.push(frequency);
+        if (step.recentFrequencies.length > this.stableReadings * 2) {
+            step.recentFrequencies.shift();
+        }
+
+        const sorted = step.recentFrequencies.slice().sort((a, b) => a - b);
+        return sorted[Math.floor(sorted.length / 2)];
+    }
+
+    /**
+     * Whether the current step has locked and been held for holdMs
+     * (used to offer the mic grade as soon as a unison match is done)
+     */
+    hasHeldLock(holdMs, now = performance.now()) {
+        const step = this.currentStep;
+        return Boolean(step && step.lockTime !== null && now - step.lockTime >= holdMs);
+    }
+
+    /**
+     * Score the current step so far without finishing it
+     * @returns {Object|null} Step result, or null if no step is being graded
+     */
+    peekStep(now = performance.now()) {
+        return this.currentStep ? this.scoreStep(this.currentStep, now) : null;
+    }
+
+    /**
+     * Discard the current step and all stored results
+     */
+    reset() {
+        this.currentStep = null;
+        this.stepResults = [];
+    }
+
+    /**
+     * Finish the current step and store its result
+     * @returns {Object|null} Step result, or null if no step was being graded
+     */
+    endStep(now = performance.now()) {
+        const step = this.currentStep;
+        if (!step) return null;
+
+        this.currentStep = null;
+
+        const result = this.scoreStep(step, now);
+        this.stepResults.push(result);
+        return result;
+    }
+
+    /**
+     * Compute metrics and difficulty for a finished step
+     */
+    scoreStep(step, now) {
+        const locked = step.lockTime !== null;
+        const cents = step.lockedCents;
+
+        let meanCentsError = null;
+        let stabilityCents = null;
+
+        if (locked && cents.length > 0) {
+            meanCentsError = cents.reduce((sum, c) => sum + Math.abs(c), 0) / cents.length;
+            const mean = cents.reduce((sum, c) => sum + c, 0) / cents.length;
+            const variance = cents.reduce((sum, c) => sum + (c - mean) * (c - mean), 0) / cents.length;
+            stabilityCents = Math.sqrt(variance);
+        }
+
+        const metrics = {
+            userAction: step.userAction,
+            targetFrequency: step.targetFrequency,
+            durationMs: Math.round(now - step.startTime),
+            timeToLockMs: locked ? Math.round(step.lockTime - step.startTime) : null,
+            meanCentsError: meanCentsError === null ? null : Math.round(meanCentsError * 10) / 10,
+            stabilityCents: stabilityCents === null ? null : Math.round(stabilityCents * 10) / 10,
+            voicedRatio: step.totalReadings > 0
+                ? Math.round((step.voicedReadings / step.totalReadings) * 100) / 100
+                : 0
+        };
+
+        metrics.difficulty = this.classifyStep(metrics);
+        return metrics;
+    }
+
+    /**
+     * Map step metrics to a difficulty
+     */
+    classifyStep(metrics) {
+        const t = this.thresholds;
+
+        if (metrics.timeToLockMs === null) {
+            return 'failed';
+        }
+
+        if (metrics.timeToLockMs <= t.easyLockMs &&
+            metrics.meanCentsError <= t.easyMeanCents &&
+            metrics.stabilityCents <= t.easyStabilityCents) {
+            return 'easy';
+        }
+
+        if (metrics.timeToLockMs <= t.mediumLockMs &&
+            metrics.meanCentsError <= t.mediumMeanCents) {
+            return 'medium';
+        }
+
+        return 'hard';
+    }
+
+    /**
+     * Finish the current step, combine all step results since the last
+     * call into one difficulty, and reset for the next exercise
+     * @returns {Object|null} { difficulty, steps } or null if no steps were graded
+     */
+    finishExercise(now = performance.now()) {
+        this.endStep(now);
+
+        const steps = this.stepResults;
+        this.stepResults = [];
+
+        if (steps.length === 0) {
+            return null;
+        }
+
+        return {
+            difficulty: StepPitchGrader.combineDifficulties(steps.map(s => s.difficulty)),
+            steps: steps
+        };
+    }
+
+    /**
+     * Average step difficulties (easy=3 ... failed=0) into one difficulty.
+     * A single missed step caps the exercise at 'hard'.
+     */
+    static combineDifficulties(difficulties) {
+        const points = { easy: 3, medium: 2, hard: 1, failed: 0 };
+        const average = difficulties.reduce((sum, d) => sum + points[d], 0) / difficulties.length;
+
+        if (difficulties.includes('failed')) {
+            return difficulties.every(d => d === 'failed') ? 'failed' : 'hard';
+        }
+        if (average >= 2.5) return 'easy';
+        if (average >= 1.5) return 'medium';
+        if (average >= 0.5) return 'hard';
+        return 'failed';
+    }
+
+    /**
+     * Summarise a grade for display, e.g. "Locked in 1.4s · ±9¢ average"
+     */
+    static describeGrade(grade) {
+        if (!grade || !grade.steps || grade.steps.length === 0) {
+            return '';
+        }
+
+        const lockedSteps = grade.steps.filter(s => s.timeToLockMs !== null);
+        if (lockedSteps.length === 0) {
+            return 'No steady match detected';
+        }
+
+        const avgLock = lockedSteps.reduce((sum, s) => sum + s.timeToLockMs, 0) / lockedSteps.length;
+        const avgCents = lockedSteps.reduce((sum, s) => sum + (s.meanCentsError || 0), 0) / lockedSteps.length;
+
+        let summary = `Locked in ${(avgLock / 1000).toFixed(1)}s · ±${Math.round(avgCents)}¢ average`;
+        if (lockedSteps.length < grade.steps.length) {
+            summary += ` · ${grade.steps.length - lockedSteps.length} of ${grade.steps.length} steps missed`;
+        }
+        return summary;
+    }
+}
@@ -0,0 +1,253 @@
+/**
+ * Timbre Library
+ *
+ * Tone colours for ToneGenerator. Besides the plain sine there are additive
+ * harmonic presets (voice, organ, string) and a piano approximation, all
+ * played through an OscillatorNode with a PeriodicWave built from the
+ * preset's harmonic amplitudes. Recorded samples can be registered with
+ * registerSample() and are played looped, pitched by playbackRate.
+ *
+ * The active timbre is applied from the profile settings at startup, on
+ * profile switch and when an exercise starts or exits (see app.js
+ * applyTimbre()), since each exercise can override the profile's timbre.
+ * ConsonanceColorSystem and the interference renderers read the active
+ * timbre's partials so the visuals match what is heard.
+ *
+ * Usage:
+ *   TimbreLibrary.setActiveTimbre('voice');
+ *   const source = await TimbreLibrary.createSource(audioContext, 'voice', 220);
+ *   TimbreLibrary.getHarmonicWeights(5);   // [1, 0.7, 0.55, 0.35, 0.3]
+ */
+
+class TimbreLibrary {
+    /**
+     * All timbres, built-in first, then registered samples
+     * @returns {Object} Map of id -> { name, description, type, partials, envelope }
+     */
+    static getTimbres() {
+        return { ...TimbreLibrary.TIMBRES, ...TimbreLibrary.samples };
+    }
+
+    static getTimbre(timbreId) {
+        return TimbreLibrary.getTimbres()[timbreId] || null;
+    }
+
+    static isValidTimbre(timbreId) {
+        return TimbreLibrary.getTimbre(timbreId) !== null;
+    }
+
+    static getActiveTimbre() {
+        return TimbreLibrary.activeTimbre;
+    }
+
+    /**
+     * Set the timbre used by tone generators without a fixed timbre
+     * @param {string} timbreId - Key of getTimbres()
+     * @returns {boolean} False if the id was rejected
+     */
+    static setActiveTimbre(timbreId) {
+        if (!TimbreLibrary.isValidTimbre(timbreId)) {
+            console.error('Invalid timbre:', timbreId);
+            return false;
+        }
+        TimbreLibrary.activeTimbre = timbreId;
+        return true;
+    }
+
+    /**
+     * Register a recorded sample as a timbre. The sample is fetched the
+     * first time it is played; until then (or if loading fails) tones fall
+     * back to the piano approximation.
+     * @param {string} id
+     * @param {Object} sample - { name, description, url, rootFrequency, loopStart, loopEnd, partials }
+     *   rootFrequency is the pitch of the recording in Hz; loopStart/loopEnd
+     *   (seconds) default to the whole file; partials are optional harmonic
+     *   amplitudes for the visuals.
+     */
+    static registerSample(id, sample) {
+        if (!id || !sample || !sample.url || !(sample.rootFrequency > 0)) {
+            throw new Error('TimbreLibrary: samples need an id, url and rootFrequency');
+        }
+        if (TimbreLibrary.TIMBRES[id]) {
+            throw new Error(`TimbreLibrary: "${id}" is a built-in timbre`);
+        }
+
+        TimbreLibrary.samples[id] = {
+            name: id,
+            description: 'Recorded sample',
+            partials: null,
+            envelope: null,
+            ...sample,
+            type: 'sample'
+        };
+        delete TimbreLibrary.sampleBuffers[id];
+    }
+
+    /**
+     * Fetch and decode a sample timbre (cached)
+     * @returns {Promise<AudioBuffer|null>} Null if it couldn't be loaded
+     */
+    static loadSample(audioContext, timbreId) {
+        const sample = TimbreLibrary.samples[timbreId];
+        if (!sample) return Promise.resolve(null);
+
+        if (!TimbreLibrary.sampleBuffers[timbreId]) {
+            TimbreLibrary.sampleBuffers[timbreId] = fetch(sample.url)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.arrayBuffer();
+                })
+                .then(data => audioContext.decodeAudioData(data))
+                .catch(error => {
+                    console.error(`TimbreLibrary: could not load sample "${timbreId}":`, error);
+                    delete TimbreLibrary.sampleBuffers[timbreId];
+                    return null;
+                });
+        }
+        return TimbreLibrary.sampleBuffers[timbreId];
+    }
+
+    /**
+     * Create a source node for a tone (not started or connected).
+     * `pitchParam` and `pitchScale` let the caller retune it later:
+     * pitchParam.value = frequency * pitchScale.
+     * @param {AudioContext} audioContext
+     * @param {string} timbreId - Falls back to sine if unknown
+     * @param {number} frequency - Hz
+     * @returns {Promise<Object>} { node, pitchParam, pitchScale, timbreId, envelope }
+     */
+    static async createSource(audioContext, timbreId, frequency) {
+        let timbre = TimbreLibrary.getTimbre(timbreId);
+        if (!timbre) {
+            timbreId = TimbreLibrary.DEFAULT_TIMBRE;
+            timbre = TimbreLibrary.TIMBRES[timbreId];
+        }
+
+        if (timbre.type === 'sample') {
+            const buffer = await TimbreLibrary.loadSample(audioContext, timbreId);
+            if (buffer) {
+                const node = audioContext.createBufferSource();
+                node.buffer = buffer;
+                node.loop = true;
+                node.loopStart = timbre.loopStart || 0;
+                node.loopEnd = timbre.loopEnd || buffer.duration;
+
+                const pitchScale = 1 / timbre.rootFrequency;
+                node.playbackRate.setValueAtTime(frequency * pitchScale, audioContext.currentTime);
+                return { node, pitchParam: node.playbackRate, pitchScale, timbreId, envelope: timbre.envelope };
+            }
+            timbreId = 'piano';
+            timbre = TimbreLibrary.TIMBRES.piano;
+        }
+
+        const node = audioContext.createOscillator();
+        if (timbre.partials.length > 1) {
+            node.setPeriodicWave(TimbreLibrary.getPeriodicWave(audioContext, timbreId));
+        } else {
+            node.type = 'sine';
+        }
+        node.frequency.setValueAtTime(frequency, audioContext.currentTime);
+        return { node, pitchParam: node.frequency, pitchScale: 1, timbreId, envelope: timbre.envelope };
+    }
+
+    /**
+     * PeriodicWave for a harmonic timbre (cached per AudioContext)
+     */
+    static getPeriodicWave(audioContext, timbreId) {
+        if (TimbreLibrary.waveContext !== audioContext) {
+            TimbreLibrary.waveContext = audioContext;
+            TimbreLibrary.waves = {};
+        }
+
+        if (!TimbreLibrary.waves[timbreId]) {
+            const partials = TimbreLibrary.getTimbre(timbreId).partials;
+            const real = new Float32Array(partials.length + 1);
+            const imag = new Float32Array(partials.length + 1);
+            partials.forEach((amplitude, i) => {
+                imag[i + 1] = amplitude;
+            });
+            TimbreLibrary.waves[timbreId] = audioContext.createPeriodicWave(real, imag);
+        }
+        return TimbreLibrary.waves[timbreId];
+    }
+
+    /**
+     * Harmonic amplitudes (fundamental = 1) of a timbre, or null when it
+     * has none beyond the fundamental or they aren't known
+     */
+    static getPartials(timbreId = TimbreLibrary.activeTimbre) {
+        const timbre = TimbreLibrary.getTimbre(timbreId);
+        if (!timbre || !timbre.partials || timbre.partials.length < 2) {
+            return null;
+        }
+        return timbre.partials;
+    }
+
+    /**
+     * Per-harmonic weights for the interference renderers. A pure sine has
+     * no overtones to draw, so it (and samples without partials) keeps the
+     * renderers' original 1/h falloff.
+     * @param {number} count - Number of harmonics
+     * @returns {number[]}
+     */
+    static getHarmonicWeights(count, timbreId = TimbreLibrary.activeTimbre) {
+        const partials = TimbreLibrary.getPartials(timbreId);
+        const weights = [];
+        for (let h = 1; h <= count; h++) {
+            weights.push(partials ? (partials[h - 1] || 0) : 1 / h);
+        }
+        return weights;
+    }
+}
+
+// Built-in timbres. partials are harmonic amplitudes starting at the
+// fundamental; envelope (optional) decays from the attack to
+// `sustain` x volume with a time constant of `decay` seconds.
+TimbreLibrary.TIMBRES = {
+    'sine': {
+        name: 'Sine',
+        description: 'Pure tone with no overtones (default)',
+        type: 'oscillator',
+        partials: [1],
+        envelope: null
+    },
+    'voice': {
+        name: 'Voice',
+        description: 'Sung "ah" with strong low harmonics; the easiest to match',
+        type: 'additive',
+        partials: [1, 0.7, 0.55, 0.35, 0.3, 0.22, 0.12, 0.08, 0.05, 0.03],
+        envelope: null
+    },
+    'organ': {
+        name: 'Organ',
+        description: 'Steady drawbar organ: octaves and fifths above the note',
+        type: 'additive',
+        partials: [1, 0.7, 0.5, 0.45, 0, 0.3, 0, 0.25],
+        envelope: null
+    },
+    'string': {
+        name: 'String',
+        description: 'Bowed string: bright, with many harmonics',
+        type: 'additive',
+        partials: [1, 0.5, 0.33, 0.25, 0.2, 0.17, 0.14, 0.12, 0.08, 0.07, 0.06, 0.05],
+        envelope: null
+    },
+    'piano': {
+        name: 'Piano',
+        description: 'Piano-like attack that settles to a softer sustained tone',
+        type: 'additive',
+        partials: [1, 0.55, 0.35, 0.25, 0.18, 0.12, 0.08, 0.06, 0.04, 0.03, 0.02, 0.015],
+        envelope: { attack: 0.005, decay: 0.6, sustain: 0.35 }
+    }
+};
+TimbreLibrary.DEFAULT_TIMBRE = 'sine';
+TimbreLibrary.activeTimbre = TimbreLibrary.DEFAULT_TIMBRE;
+TimbreLibrary.samples = {};
+TimbreLibrary.sampleBuffers = {};
+TimbreLibrary.waveContext = null;
+TimbreLibrary.waves = {};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimbreLibrary;
+}
@@ -0,0 +1,133 @@
+/**
+ * Tuning Systems
+ *
+ * Frequency ratios for intervals in 12-tone equal temperament, 5-limit just
+ * intonation and Pythagorean tuning. Interval exercises and visualizations
+ * should get interval frequencies from here rather than Math.pow(2, n / 12),
+ * so they play (and grade against) the profile's tuning system.
+ *
+ * The active system is applied from the profile settings at startup and on
+ * profile switch (see app.js) and whenever it is changed in Audio Settings.
+ * Just and Pythagorean ratios are measured from the root of each interval,
+ * so every interval is pure relative to the note it is built on.
+ *
+ * Usage:
+ *   TuningSystems.setActiveSystem('just');
+ *   TuningSystems.getRatio(4);                     // 1.25 (5:4 major third)
+ *   TuningSystems.intervalFrequency(220, 7);       // 330
+ *   TuningSystems.getCentsFromEqual(4, 'just');    // -13.69
+ *   TuningSystems.getBeatRate(220, 4, '12-tet');   // ~8.7 beats/s
+ */
+
+class TuningSystems {
+    static getSystems() {
+        return TuningSystems.SYSTEMS;
+    }
+
+    static isValidSystem(systemId) {
+        return Object.prototype.hasOwnProperty.call(TuningSystems.SYSTEMS, systemId);
+    }
+
+    static getActiveSystem() {
+        return TuningSystems.activeSystem;
+    }
+
+    /**
+     * Set the tuning system used when no system is passed explicitly
+     * @param {string} systemId - Key of TuningSystems.SYSTEMS
+     * @returns {boolean} False if the id was rejected
+     */
+    static setActiveSystem(systemId) {
+        if (!TuningSystems.isValidSystem(systemId)) {
+            console.error('Invalid tuning system:', systemId);
+            return false;
+        }
+        TuningSystems.activeSystem = systemId;
+        return true;
+    }
+
+    /**
+     * Frequency ratio of an interval. Intervals beyond an octave (and
+     * downward intervals) are built from the ratio within the octave.
+     * @param {number} semitones - Whole semitones, negative for downward
+     * @param {string} [systemId] - Defaults to the active system
+     */
+    static getRatio(semitones, systemId = TuningSystems.activeSystem) {
+        const system = TuningSystems.SYSTEMS[systemId] || TuningSystems.SYSTEMS[TuningSystems.DEFAULT_SYSTEM];
+        const steps = Math.round(semitones);
+        if (!system.ratios) {
+            return Math.pow(2, steps / 12);
+        }
+
+        const octaves = Math.floor(steps / 12);
+        const degree = steps - octaves * 12;
+        const [numerator, denominator] = system.ratios[degree];
+        return Math.pow(2, octaves) * numerator / denominator;
+    }
+
+    /**
+     * Frequency of the note an interval away from a root
+     */
+    static intervalFrequency(rootFrequency, semitones, systemId = TuningSystems.activeSystem) {
+        return rootFrequency * TuningSystems.getRatio(semitones, systemId);
+    }
+
+    /**
+     * How far an interval is from its equal-tempered size, in cents
+     */
+    static getCentsFromEqual(semitones, systemId = TuningSystems.activeSystem) {
+        return 1200 * Math.log2(TuningSystems.getRatio(semitones, systemId)) - Math.round(semitones) * 100;
+    }
+
+    /**
+     * Beats per second between the nearest coinciding harmonics of two
+     * tones an interval apart (e.g. the 5th harmonic of the root against
+     * the 4th of a major third). Pure just intervals don't beat.
+     * @param {number} rootFrequency - Lower tone in Hz
+     * @param {number} semitones - Interval above the root
+     * @param {string} [systemId] - Tuning of the upper tone
+     */
+    static getBeatRate(rootFrequency, semitones, systemId = TuningSystems.activeSystem) {
+        const steps = Math.round(semitones);
+        const octaves = Math.floor(steps / 12);
+        const [numerator, denominator] = TuningSystems.SYSTEMS.just.ratios[steps - octaves * 12];
+        const upperFrequency = TuningSystems.intervalFrequency(rootFrequency, steps, systemId);
+
+        // Upper harmonic `denominator` lines up with root harmonic `numerator * 2^octaves`
+        const rootHarmonic = octaves >= 0 ? numerator * Math.pow(2, octaves) : numerator;
+        const upperHarmonic = octaves >= 0 ? denominator : denominator * Math.pow(2, -octaves);
+        return Math.abs(rootHarmonic * rootFrequency - upperHarmonic * upperFrequency);
+    }
+}
+
+// Ratios are [numerator, denominator] for 0-12 semitones above the root
+TuningSystems.SYSTEMS = {
+    '12-tet': {
+        name: 'Equal Temperament (12-TET)',
+        description: 'Every semitone is the same size, like a piano or guitar (default)',
+        ratios: null
+    },
+    'just': {
+        name: 'Just Intonation (5-limit)',
+        description: 'Pure, beatless intervals from small whole-number ratios, like a cappella choirs',
+        ratios: [
+            [1, 1], [16, 15], [9, 8], [6, 5], [5, 4], [4, 3], [45, 32],
+            [3, 2], [8, 5], [5, 3], [16, 9], [15, 8], [2, 1]
+        ]
+    },
+    'pythagorean': {
+        name: 'Pythagorean',
+        description: 'Built from pure fifths (3:2); bright, wide major thirds',
+        ratios: [
+            [1, 1], [256, 243], [9, 8], [32, 27], [81, 64], [4, 3], [729, 512],
+            [3, 2], [128, 81], [27, 16], [16, 9], [243, 128], [2, 1]
+        ]
+    }
+};
+TuningSystems.DEFAULT_SYSTEM = '12-tet';
+TuningSystems.activeSystem = TuningSystems.DEFAULT_SYSTEM;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TuningSystems;
+}
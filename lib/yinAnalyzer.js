@@ -0,0 +1,350 @@
+/**
+ * YIN Analyzer
+ *
+ * Probabilistic YIN pitch analysis with no DOM or Web Audio dependencies,
+ * so the same code runs on the main thread (PitchDetectorYin), inside the
+ * pitch AudioWorklet (lib/pitchAnalysisWorklet.js) and in Node (benchmarks).
+ *
+ * Instead of one fixed YIN threshold, every threshold from 0.01 to 1.00 is
+ * tried and weighted by a Beta(2, 18) prior (Mauch & Dixon, 2014). Each
+ * threshold votes for the first dip of the YIN curve below it, so:
+ * - the dip with the most votes is the pitch
+ * - the total vote is the probability that the frame is voiced at all
+ * This is the first stage of pYIN only: there is no HMM/Viterbi tracking
+ * across frames, so each frame's pitch is chosen on its own.
+ *
+ * The difference function is computed with an FFT cross-correlation, which
+ * keeps a 2048-sample frame well under a millisecond (fast enough for the
+ * audio rendering thread).
+ *
+ * Usage:
+ *   const analyzer = new YinAnalyzer({ minFrequency: 80, maxFrequency: 2000 });
+ *   const result = analyzer.analyzeFrame(samples, 48000);
+ *   // { frequency, voicingProbability, candidates: [{ frequency, probability }] }
+ *   const smoothed = analyzer.applySmoothingFilter(result.frequency);
+ */
+
+class YinAnalyzer {
+    constructor(options = {}) {
+        // Vocal range searched (Hz)
+        this.minFrequency = options.minFrequency || 80;
+        this.maxFrequency = options.maxFrequency || 2000;
+
+        // Threshold distribution (Beta prior)
+        this.thresholds = [];
+        this.thresholdWeights = [];
+        this.buildThresholdPrior(2, 18);
+
+        // Scratch buffers, sized on first use for each frame length
+        this.frameLength = 0;
+        this.fftSize = 0;
+        this.yinBuffer = null;
+        this.fftReal = null;
+        this.fftImag = null;
+        this.windowReal = null;
+        this.windowImag = null;
+        this.bitReversal = null;
+        this.cosTable = null;
+        this.sinTable = null;
+
+        // Smoothing buffer for stable readings
+        this.smoothingBuffer = [];
+        this.smoothingBufferSize = 3;
+    }
+
+    // Precompute Beta(alpha, beta) weights for thresholds 0.01 ... 1.00
+    buildThresholdPrior(alpha, beta) {
+        const steps = 100;
+        let total = 0;
+
+        for (let i = 1; i <= steps; i++) {
+            const threshold = i / steps;
+            // Unnormalised Beta pdf; (1 - x) is clamped so the last bin isn't exactly zero
+            const weight = Math.pow(threshold, alpha - 1) * Math.pow(Math.max(1 - threshold, 1e-6), beta - 1);
+            this.thresholds.push(threshold);
+            this.thresholdWeights.push(weight);
+            total += weight;
+        }
+
+        this.thresholdWeights = this.thresholdWeights.map(w => w / total);
+    }
+
+    /**
+     * Run probabilistic YIN on one frame
+     * @param {Float32Array} buffer - Time-domain samples
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {{frequency: number|null, voicingProbability: number, candidates: Array}}
+     */
+    analyzeFrame(buffer, sampleRate) {
+        const tauMin = Math.max(2, Math.floor(sampleRate / this.maxFrequency));
+        const tauMax = Math.min(Math.ceil(sampleRate / this.minFrequency), Math.floor(buffer.length / 2));
+
+        if (tauMax <= tauMin + 1) {
+            return { frequency: null, voicingProbability: 0, candidates: [] };
+        }
+
+        const yin = this.cumulativeMeanNormalizedDifference(buffer, tauMax);
+        const troughs = this.findTroughs(yin, tauMin, tauMax);
+
+        if (troughs.length === 0) {
+            return { frequency: null, voicingProbability: 0, candidates: [] };
+        }
+
+        // Each threshold votes for the first trough that dips below it
+        const probabilities = new Array(troughs.length).fill(0);
+        for (let t = 0; t < this.thresholds.length; t++) {
+            const threshold = this.thresholds[t];
+            for (let i = 0; i < troughs.length; i++) {
+                if (troughs[i].value < threshold) {
+                    probabilities[i] += this.thresholdWeights[t];
+                    break;
+                }
+            }
+        }
+
+        let voicingProbability = 0;
+        const candidates = [];
+        for (let i = 0; i < troughs.length; i++) {
+            if (probabilities[i] <= 0) continue;
+            voicingProbability += probabilities[i];
+            candidates.push({
+                frequency: sampleRate / this.parabolicInterpolation(yin, troughs[i].tau, tauMax),
+                probability: probabilities[i]
+            });
+        }
+
+        candidates.sort((a, b) => b.probability - a.probability);
+
+        return {
+            frequency: candidates.length > 0 ? candidates[0].frequency : null,
+            voicingProbability: Math.min(1, voicingProbability),
+            candidates: candidates
+        };
+    }
+
+    // YIN steps 2-3: difference function, then cumulative mean normalisation
+    cumulativeMeanNormalizedDifference(buffer, tauMax) {
+        this.prepareBuffers(buffer.length, tauMax);
+
+        const yin = this.yinBuffer;
+        const windowSize = buffer.length - tauMax;
+        const correlation = this.crossCorrelate(buffer, windowSize);
+
+        // d(tau) = energy(x[0..W)) + energy(x[tau..tau+W)) - 2 * r(tau)
+        let windowEnergy = 0;
+        for (let j = 0; j < windowSize; j++) {
+            windowEnergy += buffer[j] * buffer[j];
+        }
+
+        let shiftedEnergy = windowEnergy;
+        let runningSum = 0;
+        yin[0] = 1;
+
+        for (let tau = 1; tau <= tauMax; tau++) {
+            // Slide the shifted window one sample to the right
+            const leaving = buffer[tau - 1];
+            const entering = buffer[tau + windowSize - 1];
+            shiftedEnergy += entering * entering - leaving * leaving;
+
+            const difference = Math.max(0, windowEnergy + shiftedEnergy - 2 * correlation[tau]);
+            runningSum += difference;
+            yin[tau] = runningSum > 0 ? (difference * tau) / runningSum : 1;
+        }
+
+        return yin;
+    }
+
+    // r(tau) = sum over j < windowSize of x[j] * x[j + tau], via FFT
+    crossCorrelate(buffer, windowSize) {
+        const n = this.fftSize;
+        const real = this.fftReal;
+        const imag = this.fftImag;
+        const windowReal = this.windowReal;
+        const windowImag = this.windowImag;
+
+        real.fill(0);
+        imag.fill(0);
+        windowReal.fill(0);
+        windowImag.fill(0);
+
+        real.set(buffer);
+        windowReal.set(buffer.subarray(0, windowSize));
+
+        this.fft(real, imag, false);
+        this.fft(windowReal, windowImag, false);
+
+        // Multiply the full-frame spectrum by the conjugate of the window spectrum
+        for (let k = 0; k < n; k++) {
+            const re = real[k] * windowReal[k] + imag[k] * windowImag[k];
+            const im = imag[k] * windowReal[k] - real[k] * windowImag[k];
+            real[k] = re;
+            imag[k] = im;
+        }
+
+        this.fft(real, imag, true);
+        return real;
+    }
+
+    // Allocate scratch buffers and FFT tables when the frame length changes
+    prepareBuffers(frameLength, tauMax) {
+        if (!this.yinBuffer || this.yinBuffer.length !== tauMax + 1) {
+            this.yinBuffer = new Float32Array(tauMax + 1);
+        }
+
+        if (frameLength === this.frameLength) {
+            return;
+        }
+
+        let n = 1;
+        while (n < frameLength * 2) {
+            n *= 2;
+        }
+
+        this.frameLength = frameLength;
+        this.fftSize = n;
+        this.fftReal = new Float64Array(n);
+        this.fftImag = new Float64Array(n);
+        this.windowReal = new Float64Array(n);
+        this.windowImag = new Float64Array(n);
+
+        const bits = Math.log2(n);
+        this.bitReversal = new Uint32Array(n);
+        for (let i = 0; i < n; i++) {
+            let reversed = 0;
+            for (let b = 0; b < bits; b++) {
+                reversed = (reversed << 1) | ((i >> b) & 1);
+            }
+            this.bitReversal[i] = reversed;
+        }
+
+        this.cosTable = new Float64Array(n / 2);
+        this.sinTable = new Float64Array(n / 2);
+        for (let i = 0; i < n / 2; i++) {
+            this.cosTable[i] = Math.cos((2 * Math.PI * i) / n);
+            this.sinTable[i] = Math.sin((2 * Math.PI * i) / n);
+        }
+    }
+
+    // In-place iterative radix-2 FFT (inverse is scaled by 1/n)
+    fft(real, imag, inverse) {
+        const n = this.fftSize;
+        const reversal = this.bitReversal;
+
+        for (let i = 0; i < n; i++) {
+            const j = reversal[i];
+            if (j > i) {
+                let temp = real[i]; real[i] = real[j]; real[j] = temp;
+                temp = imag[i]; imag[i] = imag[j]; imag[j] = temp;
+            }
+        }
+
+        const sign = inverse ? 1 : -1;
+        for (let size = 2; size <= n; size *= 2) {
+            const half = size / 2;
+            const step = n / size;
+            for (let start = 0; start < n; start += size) {
+                for (let k = 0; k < half; k++) {
+                    const cos = this.cosTable[k * step];
+                    const sin = sign * this.sinTable[k * step];
+                    const a = start + k;
+                    const b = a + half;
+                    const tre = real[b] * cos - imag[b] * sin;
+                    const tim = real[b] * sin + imag[b] * cos;
+                    real[b] = real[a] - tre;
+                    imag[b] = imag[a] - tim;
+                    real[a] += tre;
+                    imag[a] += tim;
+                }
+            }
+        }
+
+        if (inverse) {
+            for (let i = 0; i < n; i++) {
+                real[i] /= n;
+                imag[i] /= n;
+            }
+        }
+    }
+
+    // Local minima of the YIN curve in the searched range, in order of lag
+    findTroughs(yin, tauMin, tauMax) {
+        const troughs = [];
+        for (let tau = tauMin; tau < tauMax; tau++) {
+            if (yin[tau] < yin[tau - 1] && yin[tau] <= yin[tau + 1]) {
+                troughs.push({ tau: tau, value: yin[tau] });
+            }
+        }
+        return troughs;
+    }
+
+    // Refine a trough position to sub-sample accuracy
+    parabolicInterpolation(yin, tau, tauMax) {
+        if (tau <= 0 || tau >= tauMax) {
+            return tau;
+        }
+
+        const s0 = yin[tau - 1];
+        const s1 = yin[tau];
+        const s2 = yin[tau + 1];
+        const denominator = s0 + s2 - 2 * s1;
+
+        if (denominator === 0) {
+            return tau;
+        }
+
+        return tau + (s0 - s2) / (2 * denominator);
+    }
+
+    applySmoothingFilter(newFrequency) {
+        // Much more lenient smoothing - only reject obvious octave errors
+        if (this.smoothingBuffer.length > 0) {
+            const medianFreq = [...this.smoothingBuffer].sort((a, b) => a - b)[Math.floor(this.smoothingBuffer.length / 2)];
+            const ratio = newFrequency / medianFreq;
+
+            // Only reject clear octave jumps (2x or 0.5x)
+            if ((ratio > 1.9 && ratio < 2.1) || (ratio > 0.48 && ratio < 0.52)) {
+                // If buffer is full and consistent, allow the octave change
+                if (this.smoothingBuffer.length >= this.smoothingBufferSize) {
+                    const bufferVariance = Math.max(...this.smoothingBuffer) / Math.min(...this.smoothingBuffer);
+                    if (bufferVariance < 1.05) { // Very consistent (within 5%)
+                        // Reset buffer to allow octave change
+                        this.smoothingBuffer = [newFrequency];
+                        return newFrequency;
+                    }
+                }
+                // Reject the octave jump
+                return medianFreq;
+            }
+
+            // Only reject extreme jumps that are clearly errors
+            if (ratio > 2.5 || ratio < 0.4) {
+                return medianFreq;
+            }
+        }
+
+        // Add to buffer
+        this.smoothingBuffer.push(newFrequency);
+        if (this.smoothingBuffer.length > this.smoothingBufferSize) {
+            this.smoothingBuffer.shift();
+        }
+
+        // Return median of buffer (most resistant to outliers)
+        const sorted = [...this.smoothingBuffer].sort((a, b) => a - b);
+        return sorted[Math.floor(sorted.length / 2)];
+    }
+
+    resetSmoothing() {
+        this.smoothingBuffer = [];
+    }
+}
+
+// AudioWorklet modules don't share top-level declarations, so publish the
+// class on the worklet's global scope for lib/pitchAnalysisWorklet.js
+if (typeof registerProcessor === 'function') {
+    globalThis.YinAnalyzer = YinAnalyzer;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = YinAnalyzer;
+}
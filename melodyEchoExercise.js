@@ -0,0 +1,407 @@
+// Melody Echo Exercise - Hear a short melody, sing it back
+// Plays a generated major-key melody inside the user's vocal range, then
+// records the answer until the singer stops. The answer is cut into notes
+// (lib/noteSegmenter.js) and lined up with the melody (lib/melodyAligner.js),
+// and every note is scored on pitch and on the step from the note before.
+// Melodies get longer and leap further as the user succeeds (LEVELS);
+// progress is kept in TrainingData.melodyEcho
+class MelodyEchoExercise {
+    constructor() {
+        this.toneGenerator = new ToneGenerator();
+        this.pitchTrace = new PitchTrace();
+        this.pianoRoll = null;
+        this.unsubscribePitch = null; // Set while subscribed to window.pitchStream
+        this.session = 0; // Bumped on exit so a slow mic start can't resume
+
+        this.level = 1;
+        this.melody = [];  // MIDI notes
+        this.state = null; // 'listening' | 'singing' | 'result'
+        this.timers = [];
+        this.lastVoicedAt = null;
+
+        this.initializeElements();
+        this.attachEventListeners();
+    }
+
+    initializeElements() {
+        this.container = document.getElementById('melodyEchoExercise');
+        this.levelDisplay = document.getElementById('melodyEchoLevel');
+        this.promptDisplay = document.getElementById('melodyEchoPrompt');
+        this.liveDisplay = document.getElementById('melodyEchoLive');
+        this.resultDisplay = document.getElementById('melodyEchoResult');
+        this.notesDisplay = document.getElementById('melodyEchoNotes');
+        this.againBtn = document.getElementById('melodyEchoAgainBtn');
+        this.nextBtn = document.getElementById('melodyEchoNextBtn');
+        this.exitBtn = document.getElementById('exitMelodyEchoExercise');
+
+        const canvas = document.getElementById('melodyEchoPianoRoll');
+        this.pianoRoll = canvas ? new PianoRoll(canvas) : null;
+    }
+
+    attachEventListeners() {
+        this.exitBtn.addEventListener('click', () => this.exit());
+        this.againBtn.addEventListener('click', () => this.playMelody());
+        this.nextBtn.addEventListener('click', () => this.newMelody());
+    }
+
+    getTrainingData() {
+        return window.trainingUI ? window.trainingUI.trainingData : null;
+    }
+
+    async start() {
+        document.getElementById('appContainer').style.display = 'none';
+        this.container.style.display = 'block';
+
+        const trainingData = this.getTrainingData();
+        this.level = trainingData ? trainingData.getMelodyEcho().level : 1;
+
+        // Microphone first, so iOS routes the melody for play-and-record
+        const session = ++this.session;
+        try {
+            const unsubscribe = await window.pitchStream.subscribe((pitch, frame) => this.handlePitch(pitch, frame), {
+                minIntervalMs: MelodyEchoExercise.CONFIG.pitchIntervalMs
+            });
+
+            // Exercise was exited while the microphone was starting
+            if (session !== this.session) {
+                unsubscribe();
+                return;
+            }
+            this.unsubscribePitch = unsubscribe;
+        } catch (error) {
+            alert(error.message);
+            this.exit();
+            return;
+        }
+
+        this.newMelody();
+    }
+
+    newMelody() {
+        this.melody = MelodyEchoExercise.generateMelody(this.getLevelConfig(), this.getRange());
+        this.playMelody();
+    }
+
+    getLevelConfig() {
+        const levels = MelodyEchoExercise.LEVELS;
+        return levels[Math.min(this.level, levels.length) - 1];
+    }
+
+    // MIDI range melodies stay in: the vocal range, or C3-C5 when none is set
+    getRange() {
+        const vocalRange = appSettings.getVocalRange();
+        const hasRange = vocalRange && vocalRange.low && vocalRange.high;
+        const low = hasRange ? vocalRange.low.frequency : NoteUtils.noteToFrequency('C3');
+        const high = hasRange ? vocalRange.high.frequency : NoteUtils.noteToFrequency('C5');
+        return {
+            low: Math.ceil(NoteUtils.frequencyToMidi(low)),
+            high: Math.floor(NoteUtils.frequencyToMidi(high))
+        };
+    }
+
+    /**
+     * A random walk over a major scale in the range, using only the level's steps
+     * @param {Object} levelConfig - From LEVELS
+     * @param {Object} range - { low, high } MIDI notes
+     * @returns {Array<number>} MIDI notes
+     */
+    static generateMelody(levelConfig, range) {
+        const { noteCount, steps } = levelConfig;
+
+        for (let attempt = 0; attempt < 50; attempt++) {
+            const key = Math.floor(Math.random() * 12);
+            const scale = [];
+            for (let midi = range.low; midi <= range.high; midi++) {
+                if (MelodyEchoExercise.MAJOR_SCALE.includes((midi - key + 12) % 12)) {
+                    scale.push(midi);
+                }
+            }
+            if (scale.length === 0) continue;
+
+            const melody = [scale[Math.floor(Math.random() * scale.length)]];
+            while (melody.length < noteCount) {
+                const last = melody[melody.length - 1];
+                const options = scale.filter(midi => steps.includes(Math.abs(midi - last)));
+                if (options.length === 0) break;
+                melody.push(options[Math.floor(Math.random() * options.length)]);
+            }
+            if (melody.length === noteCount) {
+                return melody;
+            }
+        }
+
+        // Range too narrow for the level's steps: back and forth a semitone at the bottom
+        return Array.from({ length: noteCount }, (_, i) => range.low + i % 2);
+    }
+
+    // Play the melody, then listen for the answer
+    playMelody() {
+        this.stopTurn();
+        this.state = 'listening';
+
+        const { noteMs, gapMs, cueMs } = MelodyEchoExercise.CONFIG;
+        const levelConfig = this.getLevelConfig();
+        this.levelDisplay.textContent = `Level ${this.level} · ${levelConfig.noteCount} notes, ${levelConfig.vocabulary}`;
+        this.promptDisplay.textContent = '👂 Listen...';
+        this.resultDisplay.textContent = '';
+        this.notesDisplay.innerHTML = '';
+        this.liveDisplay.textContent = '';
+        this.againBtn.style.display = 'none';
+        this.nextBtn.style.display = 'none';
+        if (this.pianoRoll) {
+            this.pianoRoll.canvas.style.display = 'none';
+        }
+
+        this.melody.forEach((midi, index) => {
+            const startMs = index * (noteMs + gapMs);
+            this.schedule(() => this.toneGenerator.playTone(NoteUtils.midiToFrequency(midi)), startMs);
+            this.schedule(() => this.toneGenerator.stopTone(), startMs + noteMs);
+        });
+        this.schedule(() => this.beginAnswer(), this.melody.length * (noteMs + gapMs) + cueMs);
+    }
+
+    beginAnswer() {
+        const { maxMsPerNote, answerLeadMs } = MelodyEchoExercise.CONFIG;
+
+        this.state = 'singing';
+        this.lastVoicedAt = null;
+        this.promptDisplay.textContent = '🎤 Your turn: sing it back';
+
+        this.pitchTrace.start();
+        window.attemptRecorder.start('melodyEcho', 'Melody Echo');
+
+        // Graded on whatever was sung by then, even without a pause at the end
+        this.schedule(() => this.finishAnswer(), answerLeadMs + this.melody.length * maxMsPerNote);
+    }
+
+    handlePitch(pitch, frame) {
+        if (this.state !== 'singing') return;
+
+        if (pitch && pitch.frequency) {
+            this.lastVoicedAt = frame.timestamp;
+            this.liveDisplay.textContent = NoteUtils.frequencyToNote(pitch.frequency);
+        } else if (this.lastVoicedAt !== null &&
+            frame.timestamp - this.lastVoicedAt > MelodyEchoExercise.CONFIG.silenceMs) {
+            // Sang, then stopped: that was the answer
+            this.finishAnswer();
+        }
+    }
+
+    finishAnswer() {
+        if (this.state !== 'singing') return;
+
+        this.clearTimers();
+        this.state = 'result';
+        const trace = this.pitchTrace.stop();
+        window.attemptRecorder.stop();
+
+        const toleranceCents = MelodyEchoExercise.CONFIG.toleranceCents;
+        const sung = NoteSegmenter.segment(trace ? trace.points : []);
+        const result = MelodyAligner.score(this.melody, sung, toleranceCents);
+
+        this.showResult(result);
+        this.showPianoRoll(trace, result);
+        this.recordResult(result);
+
+        this.againBtn.style.display = '';
+        this.nextBtn.style.display = '';
+    }
+
+    showResult(result) {
+        const percent = (value) => `${Math.round(value * 100)}%`;
+        this.liveDisplay.textContent = '';
+        this.promptDisplay.textContent = result.missedCount === this.melody.length
+            ? 'No notes heard, try again'
+            : `Pitch ${percent(result.pitchAccuracy)} · Intervals ${percent(result.intervalAccuracy)}`;
+
+        const details = [];
+        if (Math.abs(result.keyOffsetCents) > MelodyEchoExercise.CONFIG.toleranceCents && result.intervalAccuracy > 0) {
+            details.push(`Sung ${Math.abs(result.keyOffsetCents)}¢ ${result.keyOffsetCents > 0 ? 'higher' : 'lower'} than played`);
+        }
+        if (result.missedCount > 0) {
+            details.push(`${result.missedCount} missed`);
+        }
+        if (result.extraCount > 0) {
+            details.push(`${result.extraCount} extra`);
+        }
+        this.resultDisplay.textContent = details.join(' · ');
+
+        // One chip per melody note: the sung note and how far off it was
+        const toleranceCents = MelodyEchoExercise.CONFIG.toleranceCents;
+        const signed = (cents) => `${cents > 0 ? '+' : ''}${cents}¢`;
+        this.notesDisplay.innerHTML = '';
+        result.notes.forEach(note => {
+            const chip = document.createElement('div');
+            chip.className = 'melody-echo-note';
+
+            const target = document.createElement('div');
+            target.className = 'melody-echo-note-target';
+            target.textContent = NoteUtils.midiToNote(note.targetMidi);
+            chip.appendChild(target);
+
+            const sung = document.createElement('div');
+            if (note.sungMidi === null) {
+                chip.classList.add('missed');
+                sung.textContent = '—';
+            } else {
+                chip.classList.add(Math.abs(note.pitchCents) <= toleranceCents ? 'hit' : 'off');
+                sung.textContent = signed(note.pitchCents);
+                if (note.intervalCents !== null) {
+                    sung.title = `Step from the previous note: ${signed(note.intervalCents)}`;
+                }
+            }
+            chip.appendChild(sung);
+            this.notesDisplay.appendChild(chip);
+        });
+    }
+
+    // The answer against the melody, each note drawn where it was sung
+    showPianoRoll(trace, result) {
+        if (!trace || !this.pianoRoll) return;
+
+        const targets = result.notes
+            .filter(note => note.startMs !== null)
+            .map(note => ({
+                frequency: NoteUtils.midiToFrequency(note.targetMidi),
+                startMs: note.startMs,
+                endMs: note.endMs
+            }));
+
+        this.pianoRoll.render({ ...trace, targets }, { toleranceCents: MelodyEchoExercise.CONFIG.toleranceCents });
+        this.pianoRoll.canvas.style.display = 'block';
+    }
+
+    /**
+     * Save the answer and move up a level after CONFIG.levelWindow good
+     * answers in a row at this level, or down after as many poor ones
+     */
+    recordResult(result) {
+        const { levelUpScore, levelDownScore, levelWindow } = MelodyEchoExercise.CONFIG;
+        const score = (attempt) => (attempt.pitchAccuracy + attempt.intervalAccuracy) / 2;
+
+        const attempt = {
+            level: this.level,
+            notes: this.melody,
+            pitchAccuracy: Math.round(result.pitchAccuracy * 100) / 100,
+            intervalAccuracy: Math.round(result.intervalAccuracy * 100) / 100,
+            keyOffsetCents: result.keyOffsetCents,
+            missedCount: result.missedCount,
+            extraCount: result.extraCount
+        };
+
+        const trainingData = this.getTrainingData();
+        const history = trainingData ? trainingData.getMelodyEcho().attempts : [];
+
+        // The unbroken run at this level: answers from an earlier stint at it don't count
+        let runStart = history.length;
+        while (runStart > 0 && history[runStart - 1].level === this.level) {
+            runStart--;
+        }
+        const recent = [...history.slice(runStart), attempt].slice(-levelWindow);
+
+        let nextLevel = this.level;
+        if (recent.length === levelWindow && recent.every(previous => score(previous) >= levelUpScore)) {
+            nextLevel = Math.min(this.level + 1, MelodyEchoExercise.LEVELS.length);
+        } else if (recent.length === levelWindow && recent.every(previous => score(previous) < levelDownScore)) {
+            nextLevel = Math.max(this.level - 1, 1);
+        }
+
+        if (trainingData) {
+            trainingData.recordMelodyEcho(attempt, nextLevel);
+        }
+
+        if (nextLevel > this.level) {
+            this.resultDisplay.textContent = `🎉 Level ${nextLevel} unlocked! ${this.resultDisplay.textContent}`.trim();
+        }
+        this.level = nextLevel;
+    }
+
+    schedule(callback, delayMs) {
+        this.timers.push(setTimeout(callback, delayMs));
+    }
+
+    clearTimers() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers = [];
+    }
+
+    // Stop the melody or the answer in progress without grading it
+    stopTurn() {
+        this.clearTimers();
+        this.toneGenerator.stopTone();
+        if (this.state === 'singing') {
+            this.pitchTrace.stop();
+            window.attemptRecorder.cancel();
+        }
+        this.state = null;
+    }
+
+    exit() {
+        this.session++;
+        this.stopTurn();
+
+        if (this.unsubscribePitch) {
+            this.unsubscribePitch();
+            this.unsubscribePitch = null;
+        }
+
+        // Stop microphone stream
+        if (window.audioManager && window.audioManager.isInitialized) {
+            window.audioManager.stop();
+        }
+
+        this.container.style.display = 'none';
+        document.getElementById('appContainer').style.display = 'block';
+
+        // Add fade-in
+        if (window.mainApp) {
+            window.mainApp.clearExerciseFromURL();
+            window.mainApp.addFadeIn(document.getElementById('appContainer'));
+        }
+    }
+}
+
+// Semitones of the major scale above its tonic
+MelodyEchoExercise.MAJOR_SCALE = [0, 2, 4, 5, 7, 9, 11];
+
+// Melody length and the steps (semitones, up or down) between its notes
+MelodyEchoExercise.LEVELS = [
+    { noteCount: 3, steps: [1, 2], vocabulary: 'steps only' },
+    { noteCount: 4, steps: [1, 2], vocabulary: 'steps only' },
+    { noteCount: 4, steps: [1, 2, 3, 4], vocabulary: 'up to a third' },
+    { noteCount: 5, steps: [1, 2, 3, 4], vocabulary: 'up to a third' },
+    { noteCount: 5, steps: [1, 2, 3, 4, 5, 7], vocabulary: 'up to a fifth' },
+    { noteCount: 6, steps: [1, 2, 3, 4, 5, 7], vocabulary: 'up to a fifth' },
+    { noteCount: 6, steps: [1, 2, 3, 4, 5, 6, 7, 8, 9], vocabulary: 'up to a sixth' },
+    { noteCount: 7, steps: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12], vocabulary: 'up to an octave' }
+];
+
+MelodyEchoExercise.CONFIG = {
+    noteMs: 600,            // Each melody note
+    gapMs: 100,             // Silence between melody notes
+    cueMs: 400,             // Pause before "your turn"
+    pitchIntervalMs: 20,    // Live display and end-of-answer check
+    silenceMs: 1200,        // Quiet this long after singing ends the answer
+    answerLeadMs: 3000,     // Time to start singing...
+    maxMsPerNote: 1200,     // ...plus this per note, then the answer is graded anyway
+    toleranceCents: 50,     // Pitch and step errors that round to the right note
+    levelUpScore: 0.8,      // Mean of pitch and interval accuracy
+    levelDownScore: 0.4,
+    levelWindow: 3          // Answers in a row at a level that move it
+};
+
+// Initialize exercise
+window.melodyEchoExercise = new MelodyEchoExercise();
+
+window.exerciseRegistry.register({
+    id: 'melodyEcho',
+    name: 'Melody Echo',
+    container: 'melodyEchoExercise',
+    category: 'scales',
+    usageModes: ['headphone-mic', 'speaker-mic'],
+    getInstance: () => window.melodyEchoExercise,
+    menu: {
+        icon: '🦜',
+        description: 'Hear a short melody and sing it back'
+    }
+});
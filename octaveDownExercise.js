@@ -57,9 +57,9 @@ class OctaveDownExercise {
 
     generateOctavePair() {
         // Range Directive: Select a note where both it and its octave are within vocal range
-        // F3 is approximately 174.61 Hz - use as minimum unless user's range is lower
+        // Use F3 as minimum unless user's range is lower
         // This exercise always goes DOWN (higher note first)
-        const MIN_FREQUENCY = 174.61; // F3
+        const MIN_FREQUENCY = NoteUtils.noteToFrequency('F3');
         const lowFreq = Math.max(this.vocalRange.low.frequency, MIN_FREQUENCY);
         const highFreq = this.vocalRange.high.frequency;
 
@@ -182,15 +182,7 @@ class OctaveDownExercise {
     }
 
     frequencyToNote(frequency) {
-        const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-        const A4 = 440;
-        const C0 = A4 * Math.pow(2, -4.75);
-
-        const halfSteps = 12 * Math.log2(frequency / C0);
-        const octave = Math.floor(halfSteps / 12);
-        const noteIndex = Math.round(halfSteps % 12);
-
-        return noteNames[noteIndex] + octave;
+        return NoteUtils.frequencyToNote(frequency);
     }
 
     exit() {
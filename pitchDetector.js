@@ -366,36 +366,17 @@ class PitchDetector {
 
     // Convert frequency to musical note
     frequencyToNote(frequency) {
-        const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-        const A4 = 440;
-        const C0 = A4 * Math.pow(2, -4.75);
-
-        const halfSteps = 12 * Math.log2(frequency / C0);
-        const octave = Math.floor(halfSteps / 12);
-        const noteIndex = Math.round(halfSteps % 12);
-
-        return noteNames[noteIndex] + octave;
+        return NoteUtils.frequencyToNote(frequency);
     }
 
     // Calculate how many cents off from the nearest note
     getCents(frequency) {
-        const A4 = 440;
-        const C0 = A4 * Math.pow(2, -4.75);
-        const halfSteps = 12 * Math.log2(frequency / C0);
-        const nearestNote = Math.round(halfSteps);
-        return Math.floor((halfSteps - nearestNote) * 100);
+        return NoteUtils.getCents(frequency);
     }
 
     // Get the frequency of a specific note
     noteToFrequency(noteName, octave) {
-        const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-        const A4 = 440;
-        const noteIndex = noteNames.indexOf(noteName);
-
-        if (noteIndex === -1) return null;
-
-        const halfStepsFromA4 = (octave - 4) * 12 + (noteIndex - 9);
-        return A4 * Math.pow(2, halfStepsFromA4 / 12);
+        return NoteUtils.noteToFrequency(noteName, octave);
     }
 
     stop() {
@@ -71,6 +71,18 @@ class PitchDetectorPitchy {
         return true;
     }
 
+    // Analyse frames handed over by PitchStream's AudioWorklet instead of
+    // reading the analyser (see analyzeFrame)
+    initializeForFrames(frameSize) {
+        if (typeof Pitchy === 'undefined') {
+            throw new Error('Pitchy library not loaded');
+        }
+        this.detector = Pitchy.PitchDetector.forFloat32Array(frameSize);
+        this.smoothingBuffer = [];
+        this.isListening = true;
+        return true;
+    }
+
     detectPitch() {
         if (!this.isListening || !this.detector) {
             return null;
@@ -86,15 +98,27 @@ class PitchDetectorPitchy {
         // Get time-domain data
         analyser.getFloatTimeDomainData(this.buffer);
 
+        return this.analyzeFrame(this.buffer, audioContext.sampleRate);
+    }
+
+    /**
+     * Detect the pitch of one frame of samples
+     * @param {Float32Array} buffer - Time-domain samples, as long as the detector was created for
+     * @param {number} sampleRate
+     * @returns {Object|null} Same shape as detectPitch()
+     */
+    analyzeFrame(buffer, sampleRate) {
         // Calculate volume metrics
-        this.currentVolume = this.calculateVolume(this.buffer);
-        this.currentRMS = this.calculateRawRMS(this.buffer);
+        this.currentVolume = this.calculateVolume(buffer);
+        this.currentRMS = this.calculateRawRMS(buffer);
 
-        const now = Date.now();
+        // Below the microphone's noise floor
+        if (NoiseFloor.isBelowThreshold(this.currentRMS)) {
+            return null;
+        }
 
         // Use Pitchy to detect pitch
-        const sampleRate = audioContext.sampleRate;
-        let [pitch, clarity] = this.detector.findPitch(this.buffer, sampleRate);
+        let [pitch, clarity] = this.detector.findPitch(buffer, sampleRate);
 
         // Pitchy sometimes detects sub-harmonics (octaves too low)
         // Multiply by 2 until we're in reasonable vocal range (80-2000 Hz)
@@ -211,23 +235,11 @@ class PitchDetectorPitchy {
     }
 
     frequencyToNote(frequency) {
-        const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-        const A4 = 440;
-        const C0 = A4 * Math.pow(2, -4.75);
-
-        const halfSteps = 12 * Math.log2(frequency / C0);
-        const octave = Math.floor(halfSteps / 12);
-        const noteIndex = Math.round(halfSteps % 12);
-
-        return noteNames[noteIndex] + octave;
+        return NoteUtils.frequencyToNote(frequency);
     }
 
     getCents(frequency) {
-        const A4 = 440;
-        const C0 = A4 * Math.pow(2, -4.75);
-        const halfSteps = 12 * Math.log2(frequency / C0);
-        const nearestNote = Math.round(halfSteps);
-        return Math.floor((halfSteps - nearestNote) * 100);
+        return NoteUtils.getCents(frequency);
     }
 
     stop() {
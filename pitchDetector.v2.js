@@ -76,8 +76,8 @@ class PitchDetector {
         }
         rms = Math.sqrt(rms / SIZE);
 
-        // Very low threshold for quiet microphones (AirPods, etc.)
-        const rmsThreshold = 0.0005;
+        // Noise floor of this microphone (very low for quiet mics such as AirPods until calibrated)
+        const rmsThreshold = NoiseFloor.getVoicingThreshold();
         const belowThreshold = rms < rmsThreshold;
 
         // Diagnostic logging
@@ -622,6 +622,12 @@ class PitchDetector {
         this.currentVolume = this.calculateVolume(this.buffer);
         this.currentRMS = this.calculateRawRMS(this.buffer);
 
+        // Below the microphone's noise floor (the FFT path would otherwise read fans as pitches)
+        if (NoiseFloor.isBelowThreshold(this.currentRMS)) {
+            this.lastRejectionReason = 'Below the noise floor';
+            return null;
+        }
+
         const sampleRate = audioContext.sampleRate;
 
         // Step 1: Get rough frequency from FFT
@@ -803,34 +809,15 @@ class PitchDetector {
     }
 
     frequencyToNote(frequency) {
-        const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-        const A4 = 440;
-        const C0 = A4 * Math.pow(2, -4.75);
-
-        const halfSteps = 12 * Math.log2(frequency / C0);
-        const octave = Math.floor(halfSteps / 12);
-        const noteIndex = Math.round(halfSteps % 12);
-
-        return noteNames[noteIndex] + octave;
+        return NoteUtils.frequencyToNote(frequency);
     }
 
     getCents(frequency) {
-        const A4 = 440;
-        const C0 = A4 * Math.pow(2, -4.75);
-        const halfSteps = 12 * Math.log2(frequency / C0);
-        const nearestNote = Math.round(halfSteps);
-        return Math.floor((halfSteps - nearestNote) * 100);
+        return NoteUtils.getCents(frequency);
     }
 
     noteToFrequency(noteName, octave) {
-        const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-        const A4 = 440;
-        const noteIndex = noteNames.indexOf(noteName);
-
-        if (noteIndex === -1) return null;
-
-        const halfStepsFromA4 = (octave - 4) * 12 + (noteIndex - 9);
-        return A4 * Math.pow(2, halfStepsFromA4 / 12);
+        return NoteUtils.noteToFrequency(noteName, octave);
     }
 
     stop() {
@@ -0,0 +1,208 @@
+// Pitch Detector using YIN with probabilistic thresholds
+// This is an alternative to pitchDetector.v2.js / pitchDetector.pitchy.js
+//
+// The analysis itself lives in lib/yinAnalyzer.js (shared with the pitch
+// AudioWorklet). It is the first stage of pYIN: each frame gets a voicing
+// probability, and frames below voicingThreshold are rejected, so only frames
+// under the microphone's noise floor (see NoiseFloor) need an RMS gate.
+// pYIN's second stage (Viterbi tracking over the candidates) is not used;
+// frames are picked one at a time and smoothed with the same median filter
+// as the other detectors.
+class PitchDetectorYin {
+    constructor() {
+        this.buffer = null;
+        this.currentVolume = 0;
+        this.currentRMS = 0;
+        this.isListening = false;
+
+        // Diagnostic logging
+        this.diagnosticsEnabled = false;
+        this.diagnosticsCallback = null;
+        this.lastRejectionReason = null;
+
+        // Frames less likely than this to be voiced return null
+        this.voicingThreshold = 0.5;
+
+        // Probabilistic YIN analysis and smoothing (vocal range 80-2000 Hz)
+        this.analyzer = new YinAnalyzer({ minFrequency: 80, maxFrequency: 2000 });
+
+        // Voicing probability of the last analysed frame (0-1)
+        this.lastVoicingProbability = 0;
+    }
+
+    async initialize() {
+        // Use shared AudioManager
+        await window.audioManager.initialize();
+        return this.initializeWithSharedAudio();
+    }
+
+    // Initialize with already-initialized AudioManager (for shared pitch detector)
+    async initializeWithSharedAudio() {
+        const analyser = window.audioManager.getAnalyser();
+        if (!analyser) {
+            throw new Error('Analyser not available from AudioManager');
+        }
+
+        // Create buffer for time-domain data
+        this.buffer = new Float32Array(analyser.fftSize);
+
+        this.isListening = true;
+        console.log('PitchDetectorYin: Initialized with shared audio');
+        return true;
+    }
+
+    detectPitch() {
+        if (!this.isListening || !this.buffer) {
+            return null;
+        }
+
+        const analyser = window.audioManager.getAnalyser();
+        const audioContext = window.audioManager.getAudioContext();
+
+        if (!analyser || !audioContext) {
+            return null;
+        }
+
+        // Get time-domain data
+        analyser.getFloatTimeDomainData(this.buffer);
+
+        // Calculate volume metrics
+        this.currentVolume = this.calculateVolume(this.buffer);
+        this.currentRMS = this.calculateRawRMS(this.buffer);
+
+        // Steady fan or road noise can look voiced; skip anything under the noise floor
+        if (NoiseFloor.isBelowThreshold(this.currentRMS)) {
+            this.lastVoicingProbability = 0;
+            this.lastRejectionReason = 'Below the noise floor';
+            return null;
+        }
+
+        const result = this.analyzer.analyzeFrame(this.buffer, audioContext.sampleRate);
+        this.lastVoicingProbability = result.voicingProbability;
+
+        if (this.diagnosticsEnabled && this.diagnosticsCallback) {
+            this.diagnosticsCallback({
+                method: 'pyin',
+                rms: this.currentRMS,
+                voicingProbability: result.voicingProbability,
+                candidates: result.candidates
+            });
+        }
+
+        if (!result.frequency || result.voicingProbability < this.voicingThreshold) {
+            this.lastRejectionReason = result.frequency
+                ? `Unvoiced (p=${result.voicingProbability.toFixed(2)})`
+                : 'No pitch candidates';
+            return null;
+        }
+
+        this.lastRejectionReason = null;
+
+        // Apply smoothing filter
+        const smoothedFrequency = this.analyzer.applySmoothingFilter(result.frequency);
+
+        return {
+            frequency: smoothedFrequency,
+            note: this.frequencyToNote(smoothedFrequency),
+            cents: this.getCents(smoothedFrequency),
+            confidence: result.voicingProbability,
+            voicingProbability: result.voicingProbability,
+            method: 'pyin',
+            candidates: result.candidates
+        };
+    }
+
+    // Probability (0-1) that the last analysed frame was voiced
+    getVoicingProbability() {
+        return this.lastVoicingProbability;
+    }
+
+    calculateRawRMS(buffer) {
+        let sum = 0;
+        for (let i = 0; i < buffer.length; i++) {
+            sum += buffer[i] * buffer[i];
+        }
+        return Math.sqrt(sum / buffer.length);
+    }
+
+    calculateVolume(buffer) {
+        const rms = this.calculateRawRMS(buffer);
+        return Math.min(100, rms * 200);
+    }
+
+    getVolume() {
+        return this.currentVolume;
+    }
+
+    getRMS() {
+        return this.currentRMS || 0;
+    }
+
+    // Get current pitch (alias for detectPitch for compatibility)
+    getCurrentPitch() {
+        return this.detectPitch();
+    }
+
+    // Check if audio is clipping
+    isClipping() {
+        if (!this.buffer) return false;
+        for (let i = 0; i < this.buffer.length; i++) {
+            if (Math.abs(this.buffer[i]) >= 0.99) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    setGain(gainValue) {
+        window.audioManager.setGain(gainValue);
+    }
+
+    getGain() {
+        return window.audioManager.getGain();
+    }
+
+    frequencyToNote(frequency) {
+        return NoteUtils.frequencyToNote(frequency);
+    }
+
+    getCents(frequency) {
+        return NoteUtils.getCents(frequency);
+    }
+
+    stop() {
+        // Don't stop AudioManager - it's shared
+        this.isListening = false;
+        this.analyzer.resetSmoothing();
+        this.lastVoicingProbability = 0;
+    }
+
+    // Enable diagnostic logging
+    enableDiagnostics(callback) {
+        this.diagnosticsEnabled = true;
+        this.diagnosticsCallback = callback;
+    }
+
+    // Disable diagnostic logging
+    disableDiagnostics() {
+        this.diagnosticsEnabled = false;
+        this.diagnosticsCallback = null;
+    }
+
+    // Stub methods for compatibility with diagnostics
+    detectPitchFFT() {
+        return null;
+    }
+
+    autoCorrelate(buffer, sampleRate) {
+        // Not used by YIN - just return null
+        return null;
+    }
+
+    getWaveformData() {
+        if (this.buffer) {
+            return Array.from(this.buffer);
+        }
+        return [];
+    }
+}
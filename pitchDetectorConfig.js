@@ -2,11 +2,29 @@
 // This file controls which pitch detector implementation to use
 
 const PITCH_DETECTOR_CONFIG = {
-    // Options: 'custom' or 'pitchy'
+    // Options: 'custom', 'pitchy' or 'yin'
     // 'custom' = our custom FFT/autocorrelation implementation (pitchDetector.v2.js)
     // 'pitchy' = Pitchy library implementation (pitchDetector.pitchy.js)
+    // 'yin' = YIN with probabilistic thresholds and voicing (pitchDetector.yin.js)
+    // Users can change this at runtime from Audio Settings (see setActivePitchDetector)
     activeDetector: 'pitchy',
 
+    // Shown in the Audio Settings detector picker
+    detectors: {
+        'pitchy': {
+            name: 'Pitchy (McLeod)',
+            description: 'Fast and reliable for most voices (default)'
+        },
+        'yin': {
+            name: 'Probabilistic YIN',
+            description: 'Ignores breath and background noise using voicing probability instead of a volume threshold, and analyses off the main thread where supported'
+        },
+        'custom': {
+            name: 'Custom (FFT + Autocorrelation)',
+            description: 'Original detector with detailed diagnostics'
+        }
+    },
+
     // Enable this to see which detector is being used
     debugMode: true
 };
@@ -15,32 +33,101 @@ const PITCH_DETECTOR_CONFIG = {
 // Note: PitchDetector is a global class, not window.PitchDetector
 const PitchDetectorCustom = (typeof PitchDetector !== 'undefined') ? PitchDetector : null;
 
+// Switch every PitchDetector (including ones already listening) to another backend
+function setActivePitchDetector(name) {
+    if (!PITCH_DETECTOR_CONFIG.detectors[name]) {
+        console.error('Unknown pitch detector:', name);
+        return false;
+    }
+    PITCH_DETECTOR_CONFIG.activeDetector = name;
+    return true;
+}
+
 // Create a wrapper class that delegates to the configured detector
 class PitchDetectorWrapper {
     constructor() {
-        if (PITCH_DETECTOR_CONFIG.debugMode) {
-            console.log(`%cUsing pitch detector: ${PITCH_DETECTOR_CONFIG.activeDetector}`, 'color: #00ff00; font-weight: bold; font-size: 14px;');
-        }
+        this._detectorName = null;
+        this._detector = null;
+        this._diagnosticsCallback = null;
+        // Set when a switch happened while listening but the shared analyser was gone
+        this._pendingInitialize = false;
+        this._syncDetector();
+    }
 
-        // Create the actual detector based on config
-        if (PITCH_DETECTOR_CONFIG.activeDetector === 'pitchy') {
+    // Create the actual detector based on config
+    _createDetector(name) {
+        if (name === 'pitchy') {
             if (typeof PitchDetectorPitchy === 'undefined') {
                 console.error('PitchDetectorPitchy not loaded! Falling back to custom detector.');
-                this._detector = new PitchDetectorCustom();
-            } else {
-                this._detector = new PitchDetectorPitchy();
+                return new PitchDetectorCustom();
             }
-        } else {
-            this._detector = new PitchDetectorCustom();
+            return new PitchDetectorPitchy();
         }
+
+        if (name === 'yin') {
+            if (typeof PitchDetectorYin === 'undefined') {
+                console.error('PitchDetectorYin not loaded! Falling back to custom detector.');
+                return new PitchDetectorCustom();
+            }
+            return new PitchDetectorYin();
+        }
+
+        return new PitchDetectorCustom();
+    }
+
+    // Swap to the configured detector if the user changed it since the last call
+    _syncDetector() {
+        const name = PITCH_DETECTOR_CONFIG.activeDetector;
+        if (name === this._detectorName) {
+            return;
+        }
+
+        if (PITCH_DETECTOR_CONFIG.debugMode) {
+            console.log(`%cUsing pitch detector: ${name}`, 'color: #00ff00; font-weight: bold; font-size: 14px;');
+        }
+
+        const previous = this._detector;
+        this._detector = this._createDetector(name);
+        this._detectorName = name;
+
+        if (!previous) {
+            return;
+        }
+
+        // Carry over listening state so running exercises keep detecting
+        if (previous.isListening) {
+            previous.stop();
+            this._pendingInitialize = true;
+            this._resumeListening();
+        }
+
+        if (this._diagnosticsCallback) {
+            this._detector.enableDiagnostics(this._diagnosticsCallback);
+        }
+    }
+
+    // Start a detector swapped in while listening once the shared analyser is available
+    // (otherwise the next initialize() call starts it)
+    _resumeListening() {
+        if (!this._pendingInitialize || !window.audioManager || !window.audioManager.getAnalyser()) {
+            return;
+        }
+        this._pendingInitialize = false;
+        this._detector.initializeWithSharedAudio().catch((error) => {
+            console.error('Failed to switch pitch detector:', error);
+        });
     }
 
     // Delegate all methods to the actual detector
     async initialize(deviceId) {
+        this._syncDetector();
+        this._pendingInitialize = false;
         return this._detector.initialize(deviceId);
     }
 
     async initializeWithSharedAudio() {
+        this._syncDetector();
+        this._pendingInitialize = false;
         if (this._detector.initializeWithSharedAudio) {
             return this._detector.initializeWithSharedAudio();
         }
@@ -49,15 +136,41 @@ class PitchDetectorWrapper {
     }
 
     detectPitch() {
-        return this._detector.detectPitch();
+        this._syncDetector();
+        this._resumeListening();
+        return this._withVoicingProbability(this._detector.detectPitch());
     }
 
     getCurrentPitch() {
+        this._syncDetector();
+        this._resumeListening();
         if (this._detector.getCurrentPitch) {
-            return this._detector.getCurrentPitch();
+            return this._withVoicingProbability(this._detector.getCurrentPitch());
         }
         // Fallback to detectPitch if method doesn't exist
-        return this._detector.detectPitch();
+        return this._withVoicingProbability(this._detector.detectPitch());
+    }
+
+    // Every backend reports voicingProbability (0-1) so exercises can reject unvoiced frames.
+    // Detectors without a voicing model pass their confidence (or 1 once past their RMS gate).
+    _withVoicingProbability(pitch) {
+        if (pitch && pitch.frequency > 0 && pitch.voicingProbability === undefined) {
+            pitch.voicingProbability = typeof pitch.confidence === 'number' ? pitch.confidence : 1;
+        }
+        return pitch;
+    }
+
+    // Probability that the last analysed frame was voiced (0 when unknown)
+    getVoicingProbability() {
+        if (this._detector.getVoicingProbability) {
+            return this._detector.getVoicingProbability();
+        }
+        return 0;
+    }
+
+    // Name of the backend currently in use ('custom', 'pitchy' or 'yin')
+    getDetectorName() {
+        return this._detectorName;
     }
 
     getVolume() {
@@ -77,14 +190,17 @@ class PitchDetectorWrapper {
     }
 
     stop() {
+        this._pendingInitialize = false;
         return this._detector.stop();
     }
 
     enableDiagnostics(callback) {
+        this._diagnosticsCallback = callback;
         return this._detector.enableDiagnostics(callback);
     }
 
     disableDiagnostics() {
+        this._diagnosticsCallback = null;
         return this._detector.disableDiagnostics();
     }
 
@@ -149,6 +265,7 @@ class PitchDetectorWrapper {
 PitchDetector = PitchDetectorWrapper;
 window.PitchDetector = PitchDetectorWrapper;
 window.PitchDetectorCustom = PitchDetectorCustom;
+window.setActivePitchDetector = setActivePitchDetector;
 
 // Log that the config has loaded (only in debug mode)
 if (PITCH_DETECTOR_CONFIG.debugMode) {
@@ -0,0 +1,215 @@
+// Pitch Discrimination Exercise - Was the second tone higher or lower?
+// Plays two tones a few cents apart and asks which way the pitch moved. A
+// PitchStaircase narrows the difference after right answers and widens it
+// after wrong ones until it settles on the smallest difference the user can
+// hear (their just-noticeable difference). Each finished test is stored in
+// TrainingData and charted on the Progress screen
+class PitchDiscriminationExercise {
+    constructor() {
+        // Sine tones: no overtones to give the difference away
+        this.toneGenerator = new ToneGenerator({ timbre: 'sine' });
+        this.staircase = null;
+        this.trial = null; // { cents, direction, answered }
+        this.timers = [];
+
+        this.initializeElements();
+        this.attachEventListeners();
+    }
+
+    initializeElements() {
+        this.container = document.getElementById('pitchDiscriminationExercise');
+        this.differenceDisplay = document.getElementById('pitchDiscriminationDifference');
+        this.trialDisplay = document.getElementById('pitchDiscriminationTrial');
+        this.promptDisplay = document.getElementById('pitchDiscriminationPrompt');
+        this.higherBtn = document.getElementById('pitchDiscriminationHigherBtn');
+        this.lowerBtn = document.getElementById('pitchDiscriminationLowerBtn');
+        this.resultDisplay = document.getElementById('pitchDiscriminationResult');
+        this.startBtn = document.getElementById('pitchDiscriminationStartBtn');
+        this.exitBtn = document.getElementById('exitPitchDiscriminationExercise');
+    }
+
+    attachEventListeners() {
+        this.exitBtn.addEventListener('click', () => this.exit());
+        this.startBtn.addEventListener('click', () => this.startTest());
+        this.higherBtn.addEventListener('click', () => this.answer('higher'));
+        this.lowerBtn.addEventListener('click', () => this.answer('lower'));
+    }
+
+    getTrainingData() {
+        return window.trainingUI ? window.trainingUI.trainingData : null;
+    }
+
+    async start() {
+        document.getElementById('appContainer').style.display = 'none';
+        this.container.style.display = 'block';
+
+        const trainingData = this.getTrainingData();
+        if (trainingData) {
+            await trainingData.ready;
+        }
+
+        this.staircase = null;
+        this.trial = null;
+        this.setAnswersEnabled(false);
+        this.differenceDisplay.textContent = '–';
+        this.trialDisplay.textContent = '0';
+        this.promptDisplay.textContent = 'Two tones will play. Was the second one higher or lower?';
+        this.resultDisplay.textContent = this.describeLastResult();
+        this.setStartLabel('Start Test');
+        this.startBtn.style.display = '';
+    }
+
+    startTest() {
+        this.clearTimers();
+        this.staircase = new PitchStaircase();
+        this.resultDisplay.textContent = '';
+        this.startBtn.style.display = 'none';
+        this.newTrial();
+    }
+
+    newTrial() {
+        const staircase = this.staircase;
+        if (!staircase) return;
+
+        this.trial = {
+            cents: staircase.getCents(),
+            direction: Math.random() < 0.5 ? 'higher' : 'lower',
+            answered: false
+        };
+
+        this.differenceDisplay.textContent = `${this.trial.cents}¢`;
+        this.trialDisplay.textContent = staircase.trials.length + 1;
+        this.promptDisplay.textContent = '👂 Listen...';
+        this.setAnswersEnabled(false);
+        this.play(this.trial);
+    }
+
+    play(trial) {
+        const { toneMs, gapMs } = PitchDiscriminationExercise.CONFIG;
+        const first = this.pickBaseFrequency();
+        const sign = trial.direction === 'higher' ? 1 : -1;
+        const second = first * Math.pow(2, sign * trial.cents / 1200);
+
+        this.schedule(() => this.toneGenerator.playTone(first), 0);
+        this.schedule(() => this.toneGenerator.stopTone(), toneMs);
+        this.schedule(() => this.toneGenerator.playTone(second), toneMs + gapMs);
+        this.schedule(() => {
+            this.toneGenerator.stopTone();
+            this.promptDisplay.textContent = 'Was the second tone higher or lower?';
+            this.setAnswersEnabled(true);
+        }, toneMs * 2 + gapMs);
+    }
+
+    /**
+     * A different, off-grid base pitch every trial, so the answer can't come
+     * from remembering the previous tones
+     */
+    pickBaseFrequency() {
+        const { low, high } = PitchDiscriminationExercise.CONFIG.baseRange;
+        return low * Math.pow(high / low, Math.random());
+    }
+
+    answer(direction) {
+        const trial = this.trial;
+        if (!trial || trial.answered) return;
+
+        trial.answered = true;
+        this.setAnswersEnabled(false);
+
+        const correct = direction === trial.direction;
+        this.promptDisplay.textContent = correct ? '✓ Right' : `✗ It went ${trial.direction}`;
+        this.staircase.answer(correct);
+
+        if (this.staircase.isFinished()) {
+            this.schedule(() => this.finishTest(), PitchDiscriminationExercise.CONFIG.feedbackMs);
+        } else {
+            this.schedule(() => this.newTrial(), PitchDiscriminationExercise.CONFIG.feedbackMs);
+        }
+    }
+
+    finishTest() {
+        const result = this.staircase.getResult();
+        this.staircase = null;
+        this.trial = null;
+
+        const trainingData = this.getTrainingData();
+        if (trainingData && result) {
+            trainingData.recordPitchDiscrimination(result);
+        }
+
+        this.differenceDisplay.textContent = `${result.thresholdCents}¢`;
+        this.promptDisplay.textContent = `You can hear differences of about ${result.thresholdCents} cents`;
+        this.resultDisplay.textContent = this.describeLastResult();
+        this.setStartLabel('Test Again');
+        this.startBtn.style.display = '';
+    }
+
+    /**
+     * The previous result and the best so far, from the profile
+     */
+    describeLastResult() {
+        const trainingData = this.getTrainingData();
+        const records = trainingData ? trainingData.getPitchDiscrimination() : [];
+        if (records.length === 0) return '';
+
+        const best = Math.min(...records.map(record => record.thresholdCents));
+        return `Last: ${records[records.length - 1].thresholdCents}¢ · Best: ${best}¢ · ${records.length} test${records.length === 1 ? '' : 's'}`;
+    }
+
+    setAnswersEnabled(enabled) {
+        this.higherBtn.disabled = !enabled;
+        this.lowerBtn.disabled = !enabled;
+    }
+
+    setStartLabel(text) {
+        this.startBtn.querySelector('.btn-text').textContent = text;
+    }
+
+    schedule(callback, delayMs) {
+        this.timers.push(setTimeout(callback, delayMs));
+    }
+
+    clearTimers() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers = [];
+    }
+
+    exit() {
+        this.clearTimers();
+        this.toneGenerator.stopTone();
+        this.staircase = null;
+        this.trial = null;
+        this.container.style.display = 'none';
+        document.getElementById('appContainer').style.display = 'block';
+
+        // Add fade-in
+        if (window.mainApp) {
+            window.mainApp.clearExerciseFromURL();
+            window.mainApp.addFadeIn(document.getElementById('appContainer'));
+        }
+    }
+}
+
+PitchDiscriminationExercise.CONFIG = {
+    toneMs: 500,
+    gapMs: 400,
+    feedbackMs: 700,                    // Right/wrong shown before the next trial
+    baseRange: { low: 220, high: 440 }  // Hz, A3-A4
+};
+
+// Initialize exercise
+window.pitchDiscriminationExercise = new PitchDiscriminationExercise();
+
+// Listening only, but answered on screen, so not in car mode
+window.exerciseRegistry.register({
+    id: 'pitchDiscrimination',
+    name: 'Pitch Discrimination',
+    container: 'pitchDiscriminationExercise',
+    category: 'tools',
+    usageModes: ['headphone-mic', 'speaker-mic'],
+    getInstance: () => window.pitchDiscriminationExercise,
+    menu: {
+        icon: '🎚️',
+        description: 'Find the smallest pitch difference you can hear'
+    }
+});
@@ -2,7 +2,7 @@
 class PitchHoldExercise {
     constructor() {
         this.toneGenerator = new ToneGenerator();
-        this.pitchDetector = null; // Created lazily on first use
+        this.unsubscribePitch = null; // Set while subscribed to window.pitchStream
         this.vocalRange = null;
         this.currentFrequency = null;
         this.isPaused = false;
@@ -10,13 +10,18 @@ class PitchHoldExercise {
         this.isDetecting = false;
         this.totalMatchedTime = 0; // Cumulative time matched
         this.matchDuration = 3000; // 3 seconds
-        this.detectionInterval = null;
         this.lastMatchTime = null; // Track last time we were matching
 
+        // Every pitch frame of the current tone, for the stability report (see HoldAnalyzer)
+        this.unsubscribeFrames = null;
+        this.holdFrames = [];
+        this.holdStartTime = null; // frame.timestamp of the first stable match
+
+        // Pitch curve of the current tone for the report's piano roll
+        this.pitchTrace = new PitchTrace();
+
         // Sensitivity settings (loaded from appSettings)
         this.sensitivityConfig = null;
-        this.stableReadings = [];
-        this.graceTokens = [];
 
         this.initializeElements();
         this.attachEventListeners();
@@ -33,6 +38,11 @@ class PitchHoldExercise {
         this.exitBtn = document.getElementById('exitPitchHold');
         this.toneCounter = document.getElementById('pitchHoldCounter');
         this.successAnimation = document.getElementById('pitchHoldSuccess');
+        this.report = document.getElementById('pitchHoldReport');
+        this.reportMetrics = document.getElementById('pitchHoldReportMetrics');
+        this.reportNotes = document.getElementById('pitchHoldReportNotes');
+        this.reportTrend = document.getElementById('pitchHoldReportTrend');
+        this.pianoRoll = new PianoRoll(document.getElementById('pitchHoldPianoRoll'));
         this.progressBar = document.getElementById('pitchHoldProgress');
         this.progressFill = document.getElementById('pitchHoldProgressFill');
     }
@@ -68,13 +78,14 @@ class PitchHoldExercise {
         this.isPaused = false;
         this.tonesCompleted = 0;
         this.updateCounter();
+        this.hideReport();
         this.generateNewTone();
         this.playCurrentTone();
     }
 
     generateNewTone() {
-        // F3 is approximately 174.61 Hz - use as minimum unless user's range is lower
-        const MIN_FREQUENCY = 174.61; // F3
+        // Use F3 as minimum unless user's range is lower
+        const MIN_FREQUENCY = NoteUtils.noteToFrequency('F3');
 
         // Generate random frequency within vocal range (minimum F3)
         const lowFreq = Math.max(this.vocalRange.low.frequency, MIN_FREQUENCY);
@@ -94,6 +105,8 @@ class PitchHoldExercise {
         // Reset match tracking - bar never goes down, only accumulates
         this.totalMatchedTime = 0;
         this.lastMatchTime = null;
+        this.holdFrames = [];
+        this.holdStartTime = null;
         this.hideSuccessAnimation();
         // Show progress bucket for debugging (always visible)
         if (this.progressBar) {
@@ -109,6 +122,7 @@ class PitchHoldExercise {
         this.toneGenerator.playTone(this.currentFrequency);
         console.log('After toneGenerator.playTone() call');
         this.toneAnimation.classList.add('playing');
+        this.recordTone();
 
         // Adjust animation speed based on frequency
         const minFreq = 174;
@@ -127,6 +141,22 @@ class PitchHoldExercise {
         this.isPaused = false;
     }
 
+    // Trace the attempt at this tone for the piano roll and record it for
+    // replay (see lib/attemptRecorder.js). Pausing and resuming stays in one attempt.
+    recordTone() {
+        if (this.pitchTrace.isRunning()) {
+            this.pitchTrace.setTarget(this.currentFrequency);
+        } else {
+            this.pitchTrace.start(this.currentFrequency);
+        }
+
+        if (window.attemptRecorder.isRecording()) {
+            window.attemptRecorder.setReference(this.currentFrequency);
+        } else {
+            window.attemptRecorder.start('pitchhold', 'Pitch Hold', this.currentFrequency);
+        }
+    }
+
     togglePlayPause() {
         if (this.isPaused) {
             // Resume playing
@@ -136,113 +166,125 @@ class PitchHoldExercise {
             this.toneGenerator.stopTone();
             this.toneAnimation.classList.remove('playing');
             this.isPaused = true;
+            this.pitchTrace.setTarget(null);
+            window.attemptRecorder.setReference(null);
         }
     }
 
     async startPitchDetection() {
-        try {
-            // Create pitch detector lazily (so config has time to load)
-            if (!this.pitchDetector) {
-                this.pitchDetector = new PitchDetector();
-            }
+        if (this.unsubscribePitch) {
+            this.isDetecting = true;
+            return;
+        }
 
-            // Get selected microphone device ID if available
-            const deviceId = window.audioSettings ? window.audioSettings.getSelectedMicId() : null;
+        try {
+            // Sung notes, steady over the last stableReadings readings; those are
+            // counted per frame, so keep the 100ms rate they were tuned for
+            const stableReadings = this.sensitivityConfig.stableReadings;
+            this.unsubscribePitch = await NoteSegmenter.subscribe((event) => {
+                this.checkPitchMatch(event);
+            }, {
+                minIntervalMs: 100,
+                recentReadings: stableReadings,
+                minReadings: stableReadings,
+                minNoteMs: 0,
+                steadyCents: this.getToleranceCents()
+            });
 
-            await this.pitchDetector.initialize(deviceId);
+            // Vibrato needs every frame, not the 100ms matching rate
+            this.unsubscribeFrames = await window.pitchStream.subscribe((pitch, frame) => {
+                this.recordHoldFrame(pitch, frame);
+            });
 
             // Apply saved microphone gain
-            const savedGain = appSettings.getMicrophoneGain();
-            this.pitchDetector.setGain(savedGain);
+            window.audioManager.setGain(appSettings.getMicrophoneGain());
 
             this.isDetecting = true;
-
-            this.detectionInterval = setInterval(() => {
-                this.checkPitchMatch();
-            }, 100);
         } catch (error) {
             console.error('Pitch detection failed:', error);
             alert('Failed to access microphone. Please check your audio settings and permissions.');
         }
     }
 
-    checkPitchMatch() {
-        if (!this.isDetecting || this.isPaused) return;
+    stopPitchDetection() {
+        this.isDetecting = false;
+        if (this.unsubscribePitch) {
+            this.unsubscribePitch();
+            this.unsubscribePitch = null;
+        }
+        if (this.unsubscribeFrames) {
+            this.unsubscribeFrames();
+            this.unsubscribeFrames = null;
+        }
+    }
+
+    getToleranceCents() {
+        return StepPitchGrader.toleranceRatioToCents(this.sensitivityConfig.tolerance);
+    }
 
-        const pitch = this.pitchDetector.detectPitch();
+    recordHoldFrame(pitch, frame) {
+        if (!this.isDetecting || this.isPaused) return;
 
         // Update debug mode with detected pitch, volume, and raw RMS
         if (window.debugMode) {
-            const volume = this.pitchDetector.getVolume();
-            const rms = this.pitchDetector.getRMS();
-            window.debugMode.updateDetectedPitch(pitch, volume, rms);
+            window.debugMode.updateDetectedPitch(pitch, frame.volume, frame.rms);
         }
 
-        if (pitch && pitch.frequency) {
-            const difference = Math.abs(pitch.frequency - this.currentFrequency);
-            const tolerance = this.currentFrequency * this.sensitivityConfig.tolerance;
-            const isWithinTolerance = difference <= tolerance;
+        // Nothing to report on until the first stable match
+        if (this.holdStartTime === null) return;
+        if (!pitch || !pitch.frequency) return;
 
-            // Add to stable readings buffer
-            this.stableReadings.push({
-                timestamp: Date.now(),
-                withinTolerance: isWithinTolerance,
-                frequency: pitch.frequency
-            });
+        this.holdFrames.push({ time: frame.timestamp, frequency: pitch.frequency });
+    }
 
-            // Keep only recent readings based on stableReadings requirement
-            const maxReadings = this.sensitivityConfig.stableReadings + 5;
-            if (this.stableReadings.length > maxReadings) {
-                this.stableReadings.shift();
-            }
-
-            // Check if we have enough consecutive stable readings
-            const recentReadings = this.stableReadings.slice(-this.sensitivityConfig.stableReadings);
-            const allStable = recentReadings.length >= this.sensitivityConfig.stableReadings &&
-                            recentReadings.every(r => r.withinTolerance);
-
-            if (allStable) {
-                // Pitch is stable and matching
-                const now = Date.now();
-
-                // If this is a new match period, record the start time
-                if (this.lastMatchTime === null) {
-                    this.lastMatchTime = now;
-                }
-
-                // Calculate time since last check and add to total
-                const timeDelta = now - this.lastMatchTime;
-                this.totalMatchedTime += timeDelta;
-                this.lastMatchTime = now;
-
-                // Update progress bar (never goes down)
-                this.updateProgressBar(this.totalMatchedTime);
-
-                if (this.totalMatchedTime >= this.matchDuration) {
-                    // Success! They accumulated 3 seconds of matching
-                    this.showSuccessAnimation();
-                    this.stopCurrentTone();
-                    this.playSuccessSound();
-                    this.totalMatchedTime = 0;
-                    this.lastMatchTime = null;
-                    this.stableReadings = [];
-                    this.graceTokens = [];
-
-                    // Auto-play next tone after 5 seconds
-                    setTimeout(() => {
-                        this.playNextTone();
-                    }, 5000);
-                }
-            } else {
-                // Not matching - stop accumulating time but don't reset the bar
-                this.lastMatchTime = null;
-                this.graceTokens = [];
-            }
-        } else {
-            // No pitch detected - stop accumulating but don't reset the bar
+    // Accumulates time while a steady sung note is within tolerance of the
+    // target (event from NoteSegmenter)
+    checkPitchMatch(event) {
+        if (!this.isDetecting || this.isPaused) return;
+
+        const note = event.note;
+        const isMatching = (event.type === 'onset' || event.type === 'update') && note.steady &&
+            Math.abs(1200 * Math.log2(note.currentFrequency / this.currentFrequency)) <= this.getToleranceCents();
+
+        if (!isMatching) {
+            // Not matching - stop accumulating time but don't reset the bar
             this.lastMatchTime = null;
-            this.stableReadings = [];
-            this.graceTokens = [];
+            return;
+        }
+
+        const now = Date.now();
+
+        // If this is a new match period, record the start time
+        if (this.lastMatchTime === null) {
+            this.lastMatchTime = now;
+        }
+        // The report covers the hold from the first stable match on
+        if (this.holdStartTime === null) {
+            this.holdStartTime = event.frame.timestamp;
+        }
+
+        // Calculate time since last check and add to total
+        const timeDelta = now - this.lastMatchTime;
+        this.totalMatchedTime += timeDelta;
+        this.lastMatchTime = now;
+
+        // Update progress bar (never goes down)
+        this.updateProgressBar(this.totalMatchedTime);
+
+        if (this.totalMatchedTime >= this.matchDuration) {
+            // Success! They accumulated 3 seconds of matching
+            this.showSuccessAnimation();
+            this.stopCurrentTone();
+            this.playSuccessSound();
+            this.reportHold();
+            window.attemptRecorder.stop();
+            this.totalMatchedTime = 0;
+            this.lastMatchTime = null;
+
+            // Auto-play next tone after 5 seconds
+            setTimeout(() => {
+                this.playNextTone();
+            }, 5000);
         }
     }
 
@@ -258,6 +300,90 @@ class PitchHoldExercise {
         this.progressFill.style.height = `${cappedPercentage}%`;
     }
 
+    // Analyse the hold, save it with the profile's training data and show the report
+    reportHold() {
+        const trace = this.pitchTrace.stop();
+        const frames = this.holdFrames.filter(frame => frame.time >= this.holdStartTime);
+        const analysis = HoldAnalyzer.analyze(frames, this.currentFrequency);
+        if (!analysis) return;
+
+        const record = {
+            targetFrequency: Math.round(this.currentFrequency * 100) / 100,
+            note: NoteUtils.frequencyToNote(this.currentFrequency),
+            ...analysis
+        };
+
+        // Averages of earlier holds, before this one is added
+        let trend = null;
+        const trainingData = window.trainingUI && window.trainingUI.trainingData;
+        if (trainingData) {
+            trend = this.getTrend(trainingData.getHoldAnalyses('pitchhold', 28));
+            trainingData.recordHoldAnalysis('pitchhold', record);
+        }
+
+        this.showReport(record, trend, trace);
+    }
+
+    // Average magnitudes over earlier holds (null if there are too few)
+    getTrend(records) {
+        if (records.length < 3) return null;
+
+        const average = (getValue) => records.reduce((sum, record) => sum + getValue(record), 0) / records.length;
+        return {
+            count: records.length,
+            offsetCents: average(record => Math.abs(record.meanOffsetCents)),
+            driftCentsPerSecond: average(record => Math.abs(record.driftCentsPerSecond)),
+            jitterCents: average(record => record.jitterCents)
+        };
+    }
+
+    showReport(record, trend, trace) {
+        if (!this.report) return;
+
+        const signed = (value) => `${value > 0 ? '+' : ''}${value}`;
+        const metrics = [
+            ['Offset', `${signed(record.meanOffsetCents)} cents`],
+            ['Drift', `${signed(record.driftCentsPerSecond)} cents/s`],
+            ['Jitter', `${record.jitterCents} cents`],
+            ['Vibrato', record.vibratoRate
+                ? `${record.vibratoRate.toFixed(1)} Hz ±${Math.round(record.vibratoExtentCents)}`
+                : 'None']
+        ];
+        this.reportMetrics.innerHTML = '';
+        metrics.forEach(([label, value]) => {
+            const item = document.createElement('div');
+            item.innerHTML = `<span>${label}:</span> ${value}`;
+            this.reportMetrics.appendChild(item);
+        });
+
+        this.reportNotes.innerHTML = '';
+        HoldAnalyzer.describe(record).forEach(line => {
+            const item = document.createElement('li');
+            item.textContent = line;
+            this.reportNotes.appendChild(item);
+        });
+
+        this.reportTrend.textContent = trend
+            ? `Your last 4 weeks (${trend.count} holds): offset ${trend.offsetCents.toFixed(0)} cents, ` +
+              `drift ${trend.driftCentsPerSecond.toFixed(1)} cents/s, jitter ${trend.jitterCents.toFixed(1)} cents on average`
+            : '';
+
+        // The whole tone, not just the hold, against the matching tolerance
+        if (trace) {
+            this.pianoRoll.render(trace, {
+                toleranceCents: StepPitchGrader.toleranceRatioToCents(this.sensitivityConfig.tolerance)
+            });
+        }
+
+        this.report.style.display = 'block';
+    }
+
+    hideReport() {
+        if (this.report) {
+            this.report.style.display = 'none';
+        }
+    }
+
     stopCurrentTone() {
         this.toneGenerator.stopTone();
         this.toneAnimation.classList.remove('playing');
@@ -315,7 +441,7 @@ class PitchHoldExercise {
             gain.gain.exponentialRampToValueAtTime(0.01, currentTime + noteDuration);
 
             osc.connect(gain);
-            gain.connect(audioContext.destination);
+            gain.connect(window.audioEngine.getChannel('effects'));
 
             osc.start(currentTime);
             osc.stop(currentTime + noteDuration);
@@ -328,6 +454,8 @@ class PitchHoldExercise {
         // Stop current tone first
         this.toneGenerator.stopTone();
         this.toneAnimation.classList.remove('playing');
+        this.pitchTrace.stop();
+        window.attemptRecorder.stop();
 
         // Increment counter
         this.tonesCompleted++;
@@ -351,12 +479,9 @@ class PitchHoldExercise {
 
     exitExercise() {
         // Stop pitch detection
-        this.isDetecting = false;
-        if (this.detectionInterval) {
-            clearInterval(this.detectionInterval);
-            this.detectionInterval = null;
-        }
-        this.pitchDetector.stop();
+        this.stopPitchDetection();
+        this.pitchTrace.stop();
+        window.attemptRecorder.stop();
 
         // Stop any playing tone
         this.toneGenerator.stopTone();
@@ -379,10 +504,7 @@ class PitchHoldExercise {
 
     cleanup() {
         this.toneGenerator.cleanup();
-        this.pitchDetector.stop();
-        if (this.detectionInterval) {
-            clearInterval(this.detectionInterval);
-        }
+        this.stopPitchDetection();
     }
 }
 
@@ -394,3 +516,17 @@ if (document.readyState === 'loading') {
 } else {
     window.pitchHoldExercise = new PitchHoldExercise();
 }
+
+// Pitch Hold is the speaker and car mode version of holding a note against
+// the tone; the bleed canceller keeps the tone out of the mic
+window.exerciseRegistry.register({
+    id: 'pitchhold',
+    name: 'Pitch Hold',
+    container: 'pitchHoldExercise',
+    category: 'unison',
+    usageModes: ['speaker-mic', 'car-mode'],
+    getInstance: () => window.pitchHoldExercise,
+    pause: (exercise) => {
+        if (!exercise.isPaused) exercise.togglePlayPause();
+    }
+});
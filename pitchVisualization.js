@@ -148,18 +148,18 @@ class PitchVisualization {
     }
 
     updateInterval() {
-        const intervalRatios = {
-            'unison': 1.0,
-            'halfStep': Math.pow(2, 1/12),
-            'wholeStep': Math.pow(2, 2/12),
-            'minorThird': Math.pow(2, 3/12),
-            'majorThird': Math.pow(2, 4/12),
-            'perfectFourth': Math.pow(2, 5/12),
-            'perfectFifth': Math.pow(2, 7/12),
-            'octave': 2.0
+        const intervalSemitones = {
+            'unison': 0,
+            'halfStep': 1,
+            'wholeStep': 2,
+            'minorThird': 3,
+            'majorThird': 4,
+            'perfectFourth': 5,
+            'perfectFifth': 7,
+            'octave': 12
         };
 
-        this.targetFrequency = this.rootFrequency * intervalRatios[this.currentInterval];
+        this.targetFrequency = TuningSystems.intervalFrequency(this.rootFrequency, intervalSemitones[this.currentInterval]);
 
         // Update slider to match the interval
         if (this.targetSlider) {
@@ -1619,3 +1619,9 @@ if (document.readyState === 'loading') {
 } else {
     window.pitchVisualization = new PitchVisualization();
 }
+
+window.exerciseRegistry.register({
+    id: 'pitchVisualization',
+    name: 'Pitch Visualization',
+    getInstance: () => window.pitchVisualization
+});
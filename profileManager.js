@@ -239,9 +239,15 @@ class ProfileManager {
      * Delete all data associated with a profile
      */
     deleteProfileData(profileName) {
-        // Delete training data cookie
-        const trainingCookieName = `earlift_training_data_${profileName}`;
-        document.cookie = `${trainingCookieName}=; expires=Thu, 01 Jan 1970 00:00:00 UTC; path=/; SameSite=Strict`;
+        // Delete training data from IndexedDB
+        const trainingDataKey = `earlift_training_data_${profileName}`;
+        new IndexedDBStorageService().remove(trainingDataKey);
+
+        // Delete recorded attempts (see lib/attemptRecorder.js)
+        new IndexedDBStorageService().remove(`earlift_attempt_recordings_${profileName}`);
+
+        // Delete legacy training data cookie (pre-IndexedDB storage)
+        document.cookie = `${trainingDataKey}=; expires=Thu, 01 Jan 1970 00:00:00 UTC; path=/; SameSite=Strict`;
 
         // Delete settings from localStorage
         const settingsKey = `earTrainerSettings_${profileName}`;
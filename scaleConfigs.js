@@ -0,0 +1,253 @@
+/**
+ * Scale Configuration Data
+ *
+ * Scales used by the scale exercises (scaleExercise.js and
+ * scaleDartsExercise.js), one octave from the tonic.
+ *
+ * Properties:
+ * - scaleType: Unique identifier (e.g., 'major', 'harmonic-minor')
+ * - scaleName: Display name (e.g., 'Harmonic Minor')
+ * - group: Heading the scale is listed under (see SCALE_GROUPS)
+ * - semitones: Each note above the tonic, ascending, ending on the octave
+ * - solfege: Movable-do syllables, do-based minor: the tonic is always Do
+ *   and altered degrees change vowel (Me, Le, Te lowered; Fi, Si raised)
+ * - laSolfege: Syllables of the relative major, so minor starts on La,
+ *   Dorian on Re, Mixolydian on Sol. Omitted where the tonic is Do anyway
+ * - descending: Only where the way down differs from the way up (melodic
+ *   minor falls as natural minor, chromatic is spelled with flats):
+ *   { semitones, solfege, laSolfege }, from the octave down to the tonic
+ * - description: Brief description of the scale's sound
+ *
+ * Scale results are tracked in TrainingData like intervals, under
+ * getScaleTrainingType(scaleType) so they never mix with interval progress.
+ */
+
+const SCALE_CONFIGS = Object.freeze({
+    major: {
+        scaleType: 'major',
+        scaleName: 'Major (Ionian)',
+        group: 'major-minor',
+        semitones: [0, 2, 4, 5, 7, 9, 11, 12],
+        solfege: ['Do', 'Re', 'Mi', 'Fa', 'Sol', 'La', 'Ti', 'Do'],
+        description: 'bright and settled'
+    },
+
+    'natural-minor': {
+        scaleType: 'natural-minor',
+        scaleName: 'Natural Minor (Aeolian)',
+        group: 'major-minor',
+        semitones: [0, 2, 3, 5, 7, 8, 10, 12],
+        solfege: ['Do', 'Re', 'Me', 'Fa', 'Sol', 'Le', 'Te', 'Do'],
+        laSolfege: ['La', 'Ti', 'Do', 'Re', 'Mi', 'Fa', 'Sol', 'La'],
+        description: 'dark and settled'
+    },
+
+    'harmonic-minor': {
+        scaleType: 'harmonic-minor',
+        scaleName: 'Harmonic Minor',
+        group: 'major-minor',
+        semitones: [0, 2, 3, 5, 7, 8, 11, 12],
+        solfege: ['Do', 'Re', 'Me', 'Fa', 'Sol', 'Le', 'Ti', 'Do'],
+        laSolfege: ['La', 'Ti', 'Do', 'Re', 'Mi', 'Fa', 'Si', 'La'],
+        description: 'minor with a leading tone, the wide step before it sounds exotic'
+    },
+
+    'melodic-minor': {
+        scaleType: 'melodic-minor',
+        scaleName: 'Melodic Minor',
+        group: 'major-minor',
+        semitones: [0, 2, 3, 5, 7, 9, 11, 12],
+        solfege: ['Do', 'Re', 'Me', 'Fa', 'Sol', 'La', 'Ti', 'Do'],
+        laSolfege: ['La', 'Ti', 'Do', 'Re', 'Mi', 'Fi', 'Si', 'La'],
+        descending: {
+            semitones: [12, 10, 8, 7, 5, 3, 2, 0],
+            solfege: ['Do', 'Te', 'Le', 'Sol', 'Fa', 'Me', 'Re', 'Do'],
+            laSolfege: ['La', 'Sol', 'Fa', 'Mi', 'Re', 'Do', 'Ti', 'La']
+        },
+        description: 'minor that rises smoothly like major and falls as natural minor'
+    },
+
+    dorian: {
+        scaleType: 'dorian',
+        scaleName: 'Dorian',
+        group: 'modes',
+        semitones: [0, 2, 3, 5, 7, 9, 10, 12],
+        solfege: ['Do', 'Re', 'Me', 'Fa', 'Sol', 'La', 'Te', 'Do'],
+        laSolfege: ['Re', 'Mi', 'Fa', 'Sol', 'La', 'Ti', 'Do', 'Re'],
+        description: 'minor with a bright sixth, folky'
+    },
+
+    phrygian: {
+        scaleType: 'phrygian',
+        scaleName: 'Phrygian',
+        group: 'modes',
+        semitones: [0, 1, 3, 5, 7, 8, 10, 12],
+        solfege: ['Do', 'Ra', 'Me', 'Fa', 'Sol', 'Le', 'Te', 'Do'],
+        laSolfege: ['Mi', 'Fa', 'Sol', 'La', 'Ti', 'Do', 'Re', 'Mi'],
+        description: 'minor with a half step above the tonic, Spanish-sounding'
+    },
+
+    lydian: {
+        scaleType: 'lydian',
+        scaleName: 'Lydian',
+        group: 'modes',
+        semitones: [0, 2, 4, 6, 7, 9, 11, 12],
+        solfege: ['Do', 'Re', 'Mi', 'Fi', 'Sol', 'La', 'Ti', 'Do'],
+        laSolfege: ['Fa', 'Sol', 'La', 'Ti', 'Do', 'Re', 'Mi', 'Fa'],
+        description: 'major with a raised fourth, dreamy'
+    },
+
+    mixolydian: {
+        scaleType: 'mixolydian',
+        scaleName: 'Mixolydian',
+        group: 'modes',
+        semitones: [0, 2, 4, 5, 7, 9, 10, 12],
+        solfege: ['Do', 'Re', 'Mi', 'Fa', 'Sol', 'La', 'Te', 'Do'],
+        laSolfege: ['Sol', 'La', 'Ti', 'Do', 'Re', 'Mi', 'Fa', 'Sol'],
+        description: 'major with a lowered seventh, bluesy'
+    },
+
+    locrian: {
+        scaleType: 'locrian',
+        scaleName: 'Locrian',
+        group: 'modes',
+        semitones: [0, 1, 3, 5, 6, 8, 10, 12],
+        solfege: ['Do', 'Ra', 'Me', 'Fa', 'Se', 'Le', 'Te', 'Do'],
+        laSolfege: ['Ti', 'Do', 'Re', 'Mi', 'Fa', 'Sol', 'La', 'Ti'],
+        description: 'diminished fifth above the tonic, unstable'
+    },
+
+    'major-pentatonic': {
+        scaleType: 'major-pentatonic',
+        scaleName: 'Major Pentatonic',
+        group: 'pentatonic-blues',
+        semitones: [0, 2, 4, 7, 9, 12],
+        solfege: ['Do', 'Re', 'Mi', 'Sol', 'La', 'Do'],
+        description: 'major without half steps, open'
+    },
+
+    'minor-pentatonic': {
+        scaleType: 'minor-pentatonic',
+        scaleName: 'Minor Pentatonic',
+        group: 'pentatonic-blues',
+        semitones: [0, 3, 5, 7, 10, 12],
+        solfege: ['Do', 'Me', 'Fa', 'Sol', 'Te', 'Do'],
+        laSolfege: ['La', 'Do', 'Re', 'Mi', 'Sol', 'La'],
+        description: 'minor without half steps, the rock and blues workhorse'
+    },
+
+    blues: {
+        scaleType: 'blues',
+        scaleName: 'Blues',
+        group: 'pentatonic-blues',
+        semitones: [0, 3, 5, 6, 7, 10, 12],
+        solfege: ['Do', 'Me', 'Fa', 'Se', 'Sol', 'Te', 'Do'],
+        laSolfege: ['La', 'Do', 'Re', 'Me', 'Mi', 'Sol', 'La'],
+        description: 'minor pentatonic with the blue note'
+    },
+
+    chromatic: {
+        scaleType: 'chromatic',
+        scaleName: 'Chromatic',
+        group: 'other',
+        semitones: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12],
+        solfege: ['Do', 'Di', 'Re', 'Ri', 'Mi', 'Fa', 'Fi', 'Sol', 'Si', 'La', 'Li', 'Ti', 'Do'],
+        laSolfege: ['La', 'Li', 'Ti', 'Do', 'Di', 'Re', 'Ri', 'Mi', 'Fa', 'Fi', 'Sol', 'Si', 'La'],
+        descending: {
+            semitones: [12, 11, 10, 9, 8, 7, 6, 5, 4, 3, 2, 1, 0],
+            solfege: ['Do', 'Ti', 'Te', 'La', 'Le', 'Sol', 'Se', 'Fa', 'Mi', 'Me', 'Re', 'Ra', 'Do'],
+            laSolfege: ['La', 'Le', 'Sol', 'Se', 'Fa', 'Mi', 'Me', 'Re', 'Ra', 'Do', 'Ti', 'Te', 'La']
+        },
+        description: 'every half step'
+    }
+});
+
+// Headings of the scale pickers, in order
+const SCALE_GROUPS = Object.freeze({
+    'major-minor': 'Major & Minor',
+    'modes': 'Modes',
+    'pentatonic-blues': 'Pentatonic & Blues',
+    'other': 'Other'
+});
+
+// Ways of naming scale notes (see Settings.getSolfegeSystem)
+const SOLFEGE_SYSTEMS = Object.freeze({
+    'do': 'Movable do (do-based minor)',
+    'la': 'La-based minor'
+});
+
+// Helper function to get scale config by type
+function getScaleConfig(scaleType) {
+    return SCALE_CONFIGS[scaleType] || null;
+}
+
+// Key for a scale's attempts in TrainingData.data.exercises
+function getScaleTrainingType(scaleType) {
+    return `scale-${scaleType}`;
+}
+
+function isValidSolfegeSystem(systemId) {
+    return Object.prototype.hasOwnProperty.call(SOLFEGE_SYSTEMS, systemId);
+}
+
+/**
+ * The notes of a scale in the order they are sung
+ * @param {Object} scaleConfig - From SCALE_CONFIGS
+ * @param {string} direction - 'ascending' (tonic to octave) or 'descending' (octave to tonic)
+ * @param {string} solfegeSystem - 'do' or 'la' (see SOLFEGE_SYSTEMS)
+ * @returns {Array<Object>} { semitones (above the lower tonic), solfege }
+ */
+function getScaleRun(scaleConfig, direction = 'ascending', solfegeSystem = 'do') {
+    const pickSolfege = (form) => (solfegeSystem === 'la' && form.laSolfege) || form.solfege;
+
+    if (direction === 'descending') {
+        const form = scaleConfig.descending;
+        if (form) {
+            const syllables = pickSolfege(form);
+            return form.semitones.map((semitones, index) => ({ semitones, solfege: syllables[index] }));
+        }
+        return getScaleRun(scaleConfig, 'ascending', solfegeSystem).reverse();
+    }
+
+    const syllables = pickSolfege(scaleConfig);
+    return scaleConfig.semitones.map((semitones, index) => ({ semitones, solfege: syllables[index] }));
+}
+
+/**
+ * Fill a <select> with every scale, grouped under SCALE_GROUPS
+ * @param {HTMLSelectElement} select
+ * @param {string} selectedType - scaleType selected initially
+ */
+function populateScaleSelect(select, selectedType = 'major') {
+    select.innerHTML = '';
+    Object.entries(SCALE_GROUPS).forEach(([group, label]) => {
+        const optgroup = document.createElement('optgroup');
+        optgroup.label = label;
+        Object.values(SCALE_CONFIGS)
+            .filter(config => config.group === group)
+            .forEach(config => {
+                const option = document.createElement('option');
+                option.value = config.scaleType;
+                option.textContent = config.scaleName;
+                option.selected = config.scaleType === selectedType;
+                optgroup.appendChild(option);
+            });
+        select.appendChild(optgroup);
+    });
+}
+
+/**
+ * Fill a <select> with the solfege systems
+ * @param {HTMLSelectElement} select
+ * @param {string} selectedId - System selected initially
+ */
+function populateSolfegeSelect(select, selectedId = 'do') {
+    select.innerHTML = '';
+    Object.entries(SOLFEGE_SYSTEMS).forEach(([systemId, label]) => {
+        const option = document.createElement('option');
+        option.value = systemId;
+        option.textContent = label;
+        option.selected = systemId === selectedId;
+        select.appendChild(option);
+    });
+}
@@ -1,18 +1,23 @@
 // Scale Darts Exercise - Match scale degree accuracy game
-// Plays root note, but has multiple target tones (scale degrees)
+// Plays the tonic, then asks for another note of the chosen scale (see
+// scaleConfigs.js) by its solfege name. Descending plays the octave instead
+// and takes the notes from the scale's descending form. Each dart is
+// recorded in TrainingData under the scale (see getScaleTrainingType)
 class ScaleDartsExercise {
     constructor() {
         this.toneGenerator = new ToneGenerator();
-        this.pitchDetector = null;
+        this.unsubscribePitch = null; // Set while subscribed to window.pitchStream
         this.vocalRange = null;
-        this.rootFrequency = null;
-        this.targetFrequencies = []; // Array of all scale degree frequencies
-        this.currentTargetIndex = 0; // Which scale degree we're currently aiming for
+        this.rootFrequency = null; // Lower tonic
+        this.scaleConfig = getScaleConfig('major');
+        this.direction = 'ascending';
+        this.run = []; // Notes of the scale from the reference tonic (see getScaleRun)
+        this.targetFrequencies = []; // Frequency of each note of the run
+        this.currentTargetIndex = 0; // Which note of the run we're currently aiming for
         this.isPlayingTone = false;
         this.isListening = false;
         this.totalScore = 0;
         this.roundsPlayed = 0;
-        this.detectionInterval = null;
         this.listeningStartTime = null;
         this.matchDuration = 1000; // 1 second to match
         this.bestMatch = null;
@@ -20,21 +25,6 @@ class ScaleDartsExercise {
         this.missAudioBuffer = null;
         this.dartboardAudioBuffer = null;
 
-        // Scale degrees (major scale)
-        // 1 (root), 2 (whole step), 3 (major third), 4 (perfect fourth),
-        // 5 (perfect fifth), 6 (major sixth), 7 (major seventh), 8 (octave)
-        this.scaleRatios = [
-            1.0,                    // 1 - Root (unison)
-            Math.pow(2, 2/12),      // 2 - Whole step
-            Math.pow(2, 4/12),      // 3 - Major third
-            Math.pow(2, 5/12),      // 4 - Perfect fourth
-            Math.pow(2, 7/12),      // 5 - Perfect fifth
-            Math.pow(2, 9/12),      // 6 - Major sixth
-            Math.pow(2, 11/12),     // 7 - Major seventh
-            2.0                     // 8 - Octave
-        ];
-        this.scaleNames = ['Do', 'Re', 'Mi', 'Fa', 'Sol', 'La', 'Ti', 'Do\''];
-
         // Car mode state
         this.isCarMode = false;
         this.carModeLives = 5;
@@ -55,22 +45,45 @@ class ScaleDartsExercise {
         this.playIcon = document.getElementById('scaleDartsPlayIcon');
         this.exitBtn = document.getElementById('scaleDartsExitBtn');
         this.targetIndicator = document.getElementById('scaleDartsTarget');
+        this.scaleSelect = document.getElementById('scaleDartsScale');
+        this.directionSelect = document.getElementById('scaleDartsDirection');
+        this.solfegeSelect = document.getElementById('scaleDartsSolfege');
+
+        if (this.scaleSelect && this.solfegeSelect) {
+            populateScaleSelect(this.scaleSelect, this.scaleConfig.scaleType);
+            populateSolfegeSelect(this.solfegeSelect, appSettings.getSolfegeSystem());
+        }
     }
 
     attachEventListeners() {
-        if (!this.playBtn || !this.exitBtn) {
+        if (!this.playBtn || !this.exitBtn || !this.scaleSelect || !this.directionSelect || !this.solfegeSelect) {
             console.error('ScaleDartsExercise: Missing required elements');
             return;
         }
         this.playBtn.addEventListener('click', () => this.handlePlayButton());
         this.exitBtn.addEventListener('click', () => this.exit());
+
+        // Changes apply from the next round
+        this.scaleSelect.addEventListener('change', () => {
+            this.scaleConfig = getScaleConfig(this.scaleSelect.value) || getScaleConfig('major');
+        });
+        this.directionSelect.addEventListener('change', () => {
+            this.direction = this.directionSelect.value;
+        });
+        this.solfegeSelect.addEventListener('change', () => {
+            appSettings.setSolfegeSystem(this.solfegeSelect.value);
+        });
+    }
+
+    getTrainingData() {
+        return window.trainingUI ? window.trainingUI.trainingData : null;
     }
 
     async loadDartSounds() {
         try {
-            const audioContext = window.audioManager.getAudioContext();
+            const audioContext = window.audioEngine.getContext();
             if (!audioContext) {
-                // Audio context will be created on first user interaction
+                // Web Audio isn't supported
                 return;
             }
 
@@ -110,6 +123,7 @@ class ScaleDartsExercise {
         document.getElementById('appContainer').style.display = 'none';
         this.container.style.display = 'block';
 
+        this.solfegeSelect.value = appSettings.getSolfegeSystem();
         this.totalScore = 0;
         this.roundsPlayed = 0;
         this.carModeLives = 5;
@@ -139,8 +153,11 @@ class ScaleDartsExercise {
         }
     }
 
-    async playRootTone() {
-        const MIN_FREQUENCY = 174.61; // F3
+    /**
+     * Pick a tonic and a target note of the scale for the next round
+     */
+    newTarget() {
+        const MIN_FREQUENCY = NoteUtils.noteToFrequency('F3');
         const lowFreq = Math.max(this.vocalRange.low.frequency, MIN_FREQUENCY);
         const highFreq = this.vocalRange.high.frequency;
 
@@ -150,23 +167,41 @@ class ScaleDartsExercise {
 
         this.rootFrequency = this.toneGenerator.getRandomFrequencyInRange(lowFreq, constrainedHighFreq);
 
-        // Calculate all scale degree frequencies
-        this.targetFrequencies = this.scaleRatios.map(ratio => this.rootFrequency * ratio);
+        // Semitones above the lower tonic; frequencies follow the profile's tuning system
+        this.run = getScaleRun(this.scaleConfig, this.direction, appSettings.getSolfegeSystem());
+        this.targetFrequencies = this.run.map(note =>
+            TuningSystems.intervalFrequency(this.rootFrequency, note.semitones));
+
+        // Any note but the tonic that's played
+        this.currentTargetIndex = Math.floor(Math.random() * (this.run.length - 1)) + 1;
+
+        if (this.targetIndicator) {
+            this.targetIndicator.textContent = `Target: ${this.getTargetName()}`;
+        }
+    }
+
+    // Solfege of the target, marked ' for the upper tonic and , for the lower
+    getTargetName() {
+        const note = this.run[this.currentTargetIndex];
+        if (note.semitones === 12) return `${note.solfege}'`;
+        if (note.semitones === 0) return `${note.solfege},`;
+        return note.solfege;
+    }
+
+    // The tonic the run starts from: the octave when descending
+    getReferenceFrequency() {
+        return this.targetFrequencies[0];
+    }
 
-        // Pick a random target scale degree (excluding root for now to make it more challenging)
-        this.currentTargetIndex = Math.floor(Math.random() * 7) + 1; // 1-7 (Re through Do')
+    async playRootTone() {
+        this.newTarget();
 
         this.isPlayingTone = true;
         this.playBtn.textContent = 'Playing Root...';
         this.playIcon.textContent = '♪';
 
-        // Update target indicator
-        if (this.targetIndicator) {
-            this.targetIndicator.textContent = `Target: ${this.scaleNames[this.currentTargetIndex]}`;
-        }
-
         // Play root tone for 2 seconds
-        await this.toneGenerator.playTone(this.rootFrequency);
+        await this.toneGenerator.playTone(this.getReferenceFrequency());
 
         setTimeout(() => {
             this.toneGenerator.stopTone();
@@ -175,14 +210,16 @@ class ScaleDartsExercise {
         }, 2000);
     }
 
-    async startListening() {
-        if (!this.pitchDetector) {
-            this.pitchDetector = new PitchDetector();
-        }
+    // Listening window, extended by the calibrated speaker-to-mic latency so
+    // a reply that arrives late (e.g. over Bluetooth) still counts
+    getListeningDuration() {
+        return this.matchDuration + appSettings.getRoundTripLatency();
+    }
 
+    async startListening() {
+        // Subscribe to the shared pitch stream
         try {
-            const deviceId = window.audioSettings ? window.audioSettings.getSelectedMicId() : null;
-            await this.pitchDetector.initialize(deviceId);
+            await this.subscribeToPitch();
         } catch (error) {
             alert('Failed to access microphone: ' + error.message);
             return;
@@ -195,54 +232,105 @@ class ScaleDartsExercise {
         this.playBtn.textContent = 'Listening...';
         this.playIcon.textContent = '🎤';
 
-        this.detectionInterval = setInterval(() => {
-            this.checkPitch();
-        }, 100);
-
         setTimeout(() => {
             if (this.isListening) {
                 this.stopListening();
             }
-        }, this.matchDuration);
+        }, this.getListeningDuration());
+    }
+
+    async subscribeToPitch() {
+        if (this.unsubscribePitch) return;
+        this.unsubscribePitch = await NoteSegmenter.subscribe((event) => this.checkPitch(event), {
+            minConfidence: 0.85
+        });
+    }
+
+    unsubscribeFromPitch() {
+        if (this.unsubscribePitch) {
+            this.unsubscribePitch();
+            this.unsubscribePitch = null;
+        }
     }
 
-    checkPitch() {
-        const pitch = this.pitchDetector.detectPitch();
+    // Scores each confidently sung note by its median pitch (see lib/noteSegmenter.js)
+    checkPitch(event) {
+        if (!this.isListening || event.type !== 'offset') return;
 
-        if (pitch && pitch.confidence > 0.85) {
-            // Calculate cents difference from the target scale degree
-            const targetFreq = this.targetFrequencies[this.currentTargetIndex];
-            const signedCentsDiff = 1200 * Math.log2(pitch.frequency / targetFreq);
-            const centsDiff = Math.abs(signedCentsDiff);
+        const note = event.note;
 
-            if (!this.bestMatch || centsDiff < this.bestMatch.centsDiff) {
-                this.bestMatch = {
-                    frequency: pitch.frequency,
-                    centsDiff: centsDiff,
-                    signedCentsDiff: signedCentsDiff,
-                    confidence: pitch.confidence
-                };
-            }
+        // Calculate cents difference from the target scale degree
+        const targetFreq = this.targetFrequencies[this.currentTargetIndex];
+        const signedCentsDiff = 1200 * Math.log2(note.frequency / targetFreq);
+        const centsDiff = Math.abs(signedCentsDiff);
+
+        if (!this.bestMatch || centsDiff < this.bestMatch.centsDiff) {
+            this.bestMatch = {
+                frequency: note.frequency,
+                centsDiff: centsDiff,
+                signedCentsDiff: signedCentsDiff,
+                confidence: note.confidence
+            };
         }
     }
 
     stopListening() {
         if (!this.isListening) return;
 
+        // Unsubscribing ends the note still being sung, which can be the best match
+        this.unsubscribeFromPitch();
         this.isListening = false;
-        clearInterval(this.detectionInterval);
 
         if (this.bestMatch) {
             const score = this.calculateScore(this.bestMatch.centsDiff);
             this.showResult(score, this.bestMatch.centsDiff);
+            this.recordResult(score, this.bestMatch);
         } else {
             this.showResult(0, null);
+            this.recordResult(0, null);
         }
 
         this.playBtn.textContent = 'Play Root';
         this.playIcon.textContent = '▶';
     }
 
+    /**
+     * Record the dart as a training attempt for the scale: easy for 80+
+     * points, medium for any hit
+     */
+    recordResult(score, match) {
+        const trainingData = this.getTrainingData();
+        if (!trainingData || this.run.length === 0) return;
+
+        let difficulty = 'failed';
+        if (score >= 80) {
+            difficulty = 'easy';
+        } else if (score > 0) {
+            difficulty = 'medium';
+        }
+
+        const targetFrequency = this.targetFrequencies[this.currentTargetIndex];
+        const { range } = window.trainingUI.trainingSystem.detectDirectionAndRange(
+            this.getReferenceFrequency(),
+            targetFrequency
+        );
+
+        trainingData.recordAttempt(
+            getScaleTrainingType(this.scaleConfig.scaleType),
+            difficulty,
+            this.direction === 'descending' ? 'down' : 'up',
+            range,
+            ScaleDartsExercise.EXERCISE_INDEX,
+            null, // No level, so darts never unlock system exercise levels
+            {
+                solfege: this.run[this.currentTargetIndex].solfege,
+                semitones: this.run[this.currentTargetIndex].semitones,
+                centsDiff: match ? Math.round(match.signedCentsDiff) : null,
+                score
+            }
+        );
+    }
+
     calculateScore(centsDiff) {
         if (centsDiff <= 5) return 100;
         if (centsDiff <= 10) return 80;
@@ -267,7 +355,7 @@ class ScaleDartsExercise {
     }
 
     playHitSound(centsDiff = null) {
-        const audioContext = window.audioManager.getAudioContext();
+        const audioContext = window.audioEngine.getContext();
         if (!audioContext || !this.dartboardAudioBuffer) {
             console.warn('Scale Darts: No audio for hit sound');
             return;
@@ -307,7 +395,7 @@ class ScaleDartsExercise {
         const gainNode = audioContext.createGain();
         gainNode.gain.value = 0.4;
         source.connect(gainNode);
-        gainNode.connect(audioContext.destination);
+        gainNode.connect(window.audioEngine.getChannel('effects'));
         source.start(audioContext.currentTime, selectedSegment.start, selectedSegment.duration);
 
         if (this.datsRightAudioBuffer) {
@@ -317,14 +405,14 @@ class ScaleDartsExercise {
                 const datsGain = audioContext.createGain();
                 datsGain.gain.value = 0.3;
                 datsSource.connect(datsGain);
-                datsGain.connect(audioContext.destination);
+                datsGain.connect(window.audioEngine.getChannel('effects'));
                 datsSource.start();
             }, 200);
         }
     }
 
     playMissSound() {
-        const audioContext = window.audioManager.getAudioContext();
+        const audioContext = window.audioEngine.getContext();
         if (!audioContext || !this.missAudioBuffer) {
             console.warn('Scale Darts: Miss sound not available');
             return;
@@ -335,7 +423,7 @@ class ScaleDartsExercise {
         const gainNode = audioContext.createGain();
         gainNode.gain.value = 0.3;
         source.connect(gainNode);
-        gainNode.connect(audioContext.destination);
+        gainNode.connect(window.audioEngine.getChannel('effects'));
         source.start();
     }
 
@@ -536,22 +624,10 @@ class ScaleDartsExercise {
         this.carModePhase = 'listen';
         this.playBtn.disabled = true;
 
-        const MIN_FREQUENCY = 174.61;
-        const lowFreq = Math.max(this.vocalRange.low.frequency, MIN_FREQUENCY);
-        const highFreq = this.vocalRange.high.frequency;
-        const maxRootFreq = highFreq / 2.0;
-        const constrainedHighFreq = Math.min(maxRootFreq, highFreq);
-
-        this.rootFrequency = this.toneGenerator.getRandomFrequencyInRange(lowFreq, constrainedHighFreq);
-        this.targetFrequencies = this.scaleRatios.map(ratio => this.rootFrequency * ratio);
-        this.currentTargetIndex = Math.floor(Math.random() * 7) + 1;
-
-        if (this.targetIndicator) {
-            this.targetIndicator.textContent = `Target: ${this.scaleNames[this.currentTargetIndex]}`;
-        }
+        this.newTarget();
 
         this.playBtn.textContent = 'Listen...';
-        await this.toneGenerator.playTone(this.rootFrequency);
+        await this.toneGenerator.playTone(this.getReferenceFrequency());
 
         const playTimer = setTimeout(() => {
             this.toneGenerator.stopTone();
@@ -581,27 +657,29 @@ class ScaleDartsExercise {
         this.carModePhase = 'sing';
         this.playBtn.textContent = 'Sing Now!';
 
-        await window.audioManager.initialize();
+        // Subscribe to the shared pitch stream (starts the microphone)
+        try {
+            await this.subscribeToPitch();
+        } catch (error) {
+            alert('Failed to access microphone: ' + error.message);
+            this.carModePhase = null;
+            return;
+        }
 
         this.isListening = true;
         this.listeningStartTime = Date.now();
         this.bestMatch = null;
 
-        this.detectionInterval = setInterval(() => {
-            this.checkPitch();
-        }, 100);
-        this.carModeTimers.push(this.detectionInterval);
-
         const listenTimer = setTimeout(() => {
             this.carModeResult();
-        }, this.matchDuration);
+        }, this.getListeningDuration());
         this.carModeTimers.push(listenTimer);
     }
 
     carModeResult() {
         this.carModePhase = 'result';
+        this.unsubscribeFromPitch();
         this.isListening = false;
-        clearInterval(this.detectionInterval);
 
         if (this.bestMatch) {
             const score = this.calculateScore(this.bestMatch.centsDiff);
@@ -617,11 +695,13 @@ class ScaleDartsExercise {
                 this.carModeLives--;
                 this.playBtn.textContent = 'Miss!';
             }
+            this.recordResult(score, this.bestMatch);
         } else {
             this.playMissSound();
             this.placeDart(null, 0);
             this.carModeLives--;
             this.playBtn.textContent = 'Miss!';
+            this.recordResult(0, null);
         }
 
         this.updateScore();
@@ -646,10 +726,7 @@ class ScaleDartsExercise {
         this.toneGenerator.stopTone();
         this.isPlayingTone = false;
         this.isListening = false;
-
-        if (this.detectionInterval) {
-            clearInterval(this.detectionInterval);
-        }
+        this.unsubscribeFromPitch();
 
         this.carModeTimers.forEach(timer => {
             if (typeof timer === 'number') {
@@ -670,6 +747,9 @@ class ScaleDartsExercise {
     }
 }
 
+// exerciseIndex of scale darts attempts in TrainingData (system exercises use 0-2)
+ScaleDartsExercise.EXERCISE_INDEX = 'darts';
+
 // Initialize exercise
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', () => {
@@ -678,3 +758,10 @@ if (document.readyState === 'loading') {
 } else {
     window.scaleDartsExercise = new ScaleDartsExercise();
 }
+
+window.exerciseRegistry.register({
+    id: 'scaleDarts',
+    name: 'Scale Darts',
+    category: 'scales',
+    getInstance: () => window.scaleDartsExercise
+});
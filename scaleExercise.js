@@ -1,65 +1,79 @@
 // Scale Match Up Exercise - All Notes Layout
+// One button per note of the chosen scale (see scaleConfigs.js), tonic at
+// the bottom and octave at the top; any number can sound at once. Play Run
+// sings the scale up or down, using its descending form where it has one
 class ScaleExercise {
     constructor() {
-        // Create separate tone generator for each note to allow simultaneous playback
+        // Separate tone generator for each note to allow simultaneous playback,
+        // created as scales with more notes need them
         this.toneGenerators = [];
-        for (let i = 0; i < 8; i++) {
-            this.toneGenerators[i] = new ToneGenerator();
-        }
+        this.runToneGenerator = new ToneGenerator();
+        this.runTimers = [];
         this.rootNote = null;
-        this.scaleNotes = [];
+        this.scaleConfig = getScaleConfig('major');
+        this.scaleNotes = []; // In button order, as sung in the selected direction
         this.playingNotes = new Set(); // Track which notes are currently playing
         this.vocalRange = null;
 
-        // Major scale intervals in semitones from root
-        this.majorScaleIntervals = [0, 2, 4, 5, 7, 9, 11, 12];
-
-        // Solfege syllables
-        this.solfegeSyllables = ['Do', 'Re', 'Mi', 'Fa', 'Sol', 'La', 'Ti', 'Do'];
-
         this.initializeElements();
         this.attachEventListeners();
     }
 
     initializeElements() {
         this.container = document.getElementById('scaleExercise');
+        this.scaleSelect = document.getElementById('scaleExerciseScale');
+        this.solfegeSelect = document.getElementById('scaleExerciseSolfege');
+        this.directionSelect = document.getElementById('scaleExerciseDirection');
+        this.noteRows = document.getElementById('scaleNoteRows');
 
-        // All 8 note buttons
+        // Note buttons are built per scale (see renderNotes)
         this.noteButtons = [];
         this.noteAnimations = [];
         this.notePlayIcons = [];
-        for (let i = 0; i < 8; i++) {
-            this.noteButtons[i] = document.getElementById(`scaleNote${i}Btn`);
-            this.noteAnimations[i] = document.getElementById(`scaleNote${i}Animation`);
-            this.notePlayIcons[i] = document.getElementById(`scaleNote${i}PlayIcon`);
-        }
 
-        // New Scale button
+        this.playRunBtn = document.getElementById('playScaleRunBtn');
         this.newScaleBtn = document.getElementById('newScaleBtn');
         this.exitBtn = document.getElementById('exitScaleExercise');
+
+        populateScaleSelect(this.scaleSelect, this.scaleConfig.scaleType);
+        populateSolfegeSelect(this.solfegeSelect, appSettings.getSolfegeSystem());
     }
 
     attachEventListeners() {
-        // Attach listeners to all 8 note buttons
-        for (let i = 0; i < 8; i++) {
-            if (this.noteButtons[i]) {
-                this.noteButtons[i].addEventListener('click', () => this.toggleNote(i));
-            }
+        if (this.playRunBtn) {
+            this.playRunBtn.addEventListener('click', () => this.playRun());
         }
-
         if (this.newScaleBtn) {
             this.newScaleBtn.addEventListener('click', () => this.newScale());
         }
         if (this.exitBtn) {
             this.exitBtn.addEventListener('click', () => this.exit());
         }
+
+        // Same root, so the scales can be compared
+        this.scaleSelect.addEventListener('change', () => {
+            this.scaleConfig = getScaleConfig(this.scaleSelect.value) || getScaleConfig('major');
+            this.refreshScale();
+        });
+        this.directionSelect.addEventListener('change', () => this.refreshScale());
+        this.solfegeSelect.addEventListener('change', () => {
+            appSettings.setSolfegeSystem(this.solfegeSelect.value);
+            this.refreshScale();
+        });
+    }
+
+    getToneGenerator(index) {
+        if (!this.toneGenerators[index]) {
+            this.toneGenerators[index] = new ToneGenerator();
+        }
+        return this.toneGenerators[index];
     }
 
     toggleNote(index) {
         // If this note is currently playing, stop it
         if (this.playingNotes.has(index)) {
             // Stop this note
-            this.toneGenerators[index].stopTone();
+            this.getToneGenerator(index).stopTone();
             this.playingNotes.delete(index);
             this.noteAnimations[index].classList.remove('playing');
             this.updatePlayIcon(index, '▶');
@@ -80,8 +94,10 @@ class ScaleExercise {
         document.getElementById('appContainer').style.display = 'none';
         this.container.style.display = 'block';
 
+        this.solfegeSelect.value = appSettings.getSolfegeSystem();
         this.playingNotes.clear();
         this.generateScale();
+        this.renderNotes();
         this.updateUI();
     }
 
@@ -91,11 +107,22 @@ class ScaleExercise {
         this.resetAllPlayIcons();
         this.playingNotes.clear();
         this.generateScale();
+        this.renderNotes();
+        this.updateUI();
+    }
+
+    // Rebuild the notes on the current root after a scale, direction or solfege change
+    refreshScale() {
+        if (!this.rootNote) return;
+
+        this.stopAllNotes();
+        this.scaleNotes = this.buildScaleNotes(this.rootNote.frequency);
+        this.renderNotes();
         this.updateUI();
     }
 
     generateScale() {
-        const MIN_FREQUENCY = 174.61; // F3
+        const MIN_FREQUENCY = NoteUtils.noteToFrequency('F3');
         const lowFreq = Math.max(this.vocalRange.low.frequency, MIN_FREQUENCY);
         const highFreq = this.vocalRange.high.frequency;
 
@@ -117,17 +144,105 @@ class ScaleExercise {
             note: this.frequencyToNote(rootFreq)
         };
 
-        this.scaleNotes = this.majorScaleIntervals.map((semitones, index) => {
-            const freq = rootFreq * Math.pow(2, semitones / 12);
+        this.scaleNotes = this.buildScaleNotes(rootFreq);
+    }
+
+    buildScaleNotes(rootFreq) {
+        const run = getScaleRun(this.scaleConfig, this.directionSelect.value, this.solfegeSelect.value);
+
+        // Frequencies follow the profile's tuning system, as in Scale Darts
+        return run.map(({ semitones, solfege }) => {
+            const freq = TuningSystems.intervalFrequency(rootFreq, semitones);
             return {
                 frequency: freq,
                 note: this.frequencyToNote(freq),
                 interval: semitones,
-                solfege: this.solfegeSyllables[index]
+                solfege
             };
         });
     }
 
+    /**
+     * One row per note, from the octave at the top down to the tonic. The
+     * tonics are wide buttons at either edge; the notes between climb
+     * evenly from lower left to upper right
+     */
+    renderNotes() {
+        const { firstInnerLeft, lastInnerLeft } = ScaleExercise.LAYOUT;
+        const byPitch = this.scaleNotes
+            .map((note, index) => ({ note, index }))
+            .sort((a, b) => a.note.interval - b.note.interval);
+        const innerCount = byPitch.length - 2;
+
+        this.noteRows.innerHTML = '';
+        this.noteButtons = [];
+        this.noteAnimations = [];
+        this.notePlayIcons = [];
+
+        byPitch.forEach(({ note, index }, position) => {
+            const isTonic = note.interval === 0 || note.interval === 12;
+            const row = document.createElement('div');
+            row.className = 'scale-row';
+
+            if (note.interval === 12) {
+                row.classList.add('scale-row-do-high');
+            } else if (note.interval === 0) {
+                row.classList.add('scale-row-do-low');
+            } else {
+                const step = innerCount > 1 ? (lastInnerLeft - firstInnerLeft) / (innerCount - 1) : 0;
+                row.style.marginLeft = `${firstInnerLeft + (position - 1) * step}%`;
+            }
+
+            const button = document.createElement('button');
+            button.className = isTonic ? 'btn-scale-horizontal btn-do-half' : 'btn-scale-horizontal';
+            button.innerHTML = `
+                <div class="btn-scale-content-vertical">
+                    <div class="tone-animation-btn-small">
+                        <div class="tone-wave"></div>
+                        <div class="tone-wave"></div>
+                        <div class="tone-wave"></div>
+                    </div>
+                    <div class="solfege-label">${note.solfege}</div>
+                    <div class="play-pause-icon-small">▶</div>
+                </div>
+            `;
+            button.addEventListener('click', () => this.toggleNote(index));
+
+            this.noteButtons[index] = button;
+            this.noteAnimations[index] = button.querySelector('.tone-animation-btn-small');
+            this.notePlayIcons[index] = button.querySelector('.play-pause-icon-small');
+
+            row.appendChild(button);
+            this.noteRows.prepend(row);
+        });
+    }
+
+    // Play the whole scale in the selected direction, lighting each note
+    playRun() {
+        if (this.scaleNotes.length === 0) return;
+
+        this.stopAllNotes();
+        this.clearAnimations();
+        this.resetAllPlayIcons();
+        this.updateUI();
+
+        const noteMs = ScaleExercise.CONFIG.runNoteMs;
+        this.scaleNotes.forEach((note, index) => {
+            this.runTimers.push(setTimeout(() => {
+                this.runToneGenerator.playTone(note.frequency);
+                this.noteButtons.forEach((button, i) => button.classList.toggle('current-note', i === index));
+            }, index * noteMs));
+        });
+        this.runTimers.push(setTimeout(() => this.stopRun(), this.scaleNotes.length * noteMs));
+    }
+
+    stopRun() {
+        this.runTimers.forEach(timer => clearTimeout(timer));
+        this.runTimers = [];
+        this.runToneGenerator.stopTone();
+        this.updateUI();
+    }
+
     playNote(index) {
         if (index < 0 || index >= this.scaleNotes.length) return;
 
@@ -135,7 +250,7 @@ class ScaleExercise {
 
         if (note) {
             // Play using this note's dedicated tone generator
-            this.toneGenerators[index].playTone(note.frequency);
+            this.getToneGenerator(index).playTone(note.frequency);
             this.playingNotes.add(index);
 
             // Show animation for this note
@@ -164,30 +279,26 @@ class ScaleExercise {
     }
 
     clearAnimations() {
-        for (let i = 0; i < 8; i++) {
-            this.noteAnimations[i].classList.remove('playing');
-        }
+        this.noteAnimations.forEach(animation => animation.classList.remove('playing'));
     }
 
     updatePlayIcon(index, icon) {
-        if (index >= 0 && index < 8 && this.notePlayIcons[index]) {
+        if (this.notePlayIcons[index]) {
             this.notePlayIcons[index].textContent = icon;
         }
     }
 
     resetAllPlayIcons() {
-        for (let i = 0; i < 8; i++) {
-            if (this.notePlayIcons[i]) {
-                this.notePlayIcons[i].textContent = '▶';
-            }
-        }
+        this.notePlayIcons.forEach(icon => {
+            icon.textContent = '▶';
+        });
     }
 
     updateUI() {
         if (!this.scaleNotes || this.scaleNotes.length === 0) return;
 
         // Update all buttons to highlight currently playing notes
-        for (let i = 0; i < 8; i++) {
+        for (let i = 0; i < this.noteButtons.length; i++) {
             if (this.playingNotes.has(i)) {
                 this.noteButtons[i].classList.add('current-note');
             } else {
@@ -197,22 +308,13 @@ class ScaleExercise {
     }
 
     frequencyToNote(frequency) {
-        const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-        const A4 = 440;
-        const C0 = A4 * Math.pow(2, -4.75);
-
-        const halfSteps = 12 * Math.log2(frequency / C0);
-        const octave = Math.floor(halfSteps / 12);
-        const noteIndex = Math.round(halfSteps % 12);
-
-        return noteNames[noteIndex] + octave;
+        return NoteUtils.frequencyToNote(frequency);
     }
 
     stopAllNotes() {
         // Stop all tone generators
-        for (let i = 0; i < 8; i++) {
-            this.toneGenerators[i].stopTone();
-        }
+        this.stopRun();
+        this.toneGenerators.forEach(toneGenerator => toneGenerator.stopTone());
         this.playingNotes.clear();
     }
 
@@ -229,6 +331,17 @@ class ScaleExercise {
     }
 }
 
+ScaleExercise.CONFIG = {
+    runNoteMs: 600  // Each note of Play Run
+};
+
+// Inner notes climb from under the low tonic's centre to under the high
+// tonic's (margin-left of the lowest and highest inner row, in %)
+ScaleExercise.LAYOUT = {
+    firstInnerLeft: 7.5,
+    lastInnerLeft: 74.17
+};
+
 // Initialize when DOM is ready and expose globally
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', () => {
@@ -237,3 +350,16 @@ if (document.readyState === 'loading') {
 } else {
     window.scaleExerciseInstance = new ScaleExercise();
 }
+
+window.exerciseRegistry.register({
+    id: 'scale',
+    name: 'Scale Match Up',
+    container: 'scaleExercise',
+    category: 'scales',
+    usageModes: ['headphone-mic', 'speaker-mic'],
+    getInstance: () => window.scaleExerciseInstance
+});
+
+// Menu placeholders, no implementation yet
+window.exerciseRegistry.register({ id: 'scaleHopping', name: 'Scale Hopping', category: 'scales' });
+window.exerciseRegistry.register({ id: 'hopToOctave', name: 'Hop to the Octave', category: 'scales' });
@@ -1,41 +1,225 @@
-// Network-first strategy - always fetch fresh content, no caching during development
-const CACHE_NAME = 'earlift-no-cache-v28';
+// Offline-first service worker
+// - Precaches every asset the app loads so practice works without a network
+// - Serves from this build's cache first; the network only fills cache misses,
+//   so a page never mixes files from two builds
+// - New builds arrive only with a new worker, and wait until the user accepts
+//   the in-app "update available" banner
+//
+// Bump BUILD_VERSION together with manifest.json "version" on every deploy so
+// browsers detect the new worker and install a fresh precache.
+const BUILD_VERSION = '1.0.29';
+const CACHE_PREFIX = 'earlift-precache-';
+const CACHE_NAME = `${CACHE_PREFIX}v${BUILD_VERSION}`;
 
-// Install event - skip caching
+// Everything index.html loads. Query strings (?v=...) are ignored on lookup,
+// so entries are listed without them.
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'manifest.json',
+  'styles.css',
+  'favicon.ico',
+  'icon-192.png',
+  'icon-512.png',
+  'icon-neon.svg',
+  'skeleton-logo.svg',
+
+  // Scripts (in index.html load order)
+  'lib/noteUtils.js',
+  'lib/tuningSystems.js',
+  'lib/timbreLibrary.js',
+  'lib/audioEngine.js',
+  'lib/bleedCanceller.js',
+  'lib/bleedCancellerWorklet.js',
+  'lib/latencyCalibrator.js',
+  'lib/latencyRecorderWorklet.js',
+  'lib/headphoneDetector.js',
+  'lib/noiseFloor.js',
+  'lib/autoGainControl.js',
+  'lib/holdAnalyzer.js',
+  'lib/pitchTrace.js',
+  'lib/pianoRoll.js',
+  'lib/melodyAligner.js',
+  'lib/pitchStaircase.js',
+  'audioManager.js',
+  'pitchy.bundle.js',
+  'pitchDetector.v2.js',
+  'pitchDetector.pitchy.js',
+  'lib/yinAnalyzer.js',
+  'pitchDetector.yin.js',
+  'pitchDetectorConfig.js',
+  'lib/pitchStream.js',
+  'lib/noteSegmenter.js',
+  'lib/pitchAnalysisWorklet.js',
+  'toneGenerator.v2.js',
+  'lib/exerciseRegistry.js',
+  'settings.js',
+  'tipsAndTricks.js',
+  'debugMode.js',
+  'audioSettings.js',
+  'setup.js',
+  'glissandoExercise.js',
+  'intonationExercise.js',
+  'pitchHoldExercise.js',
+  'octaveExercise.js',
+  'scaleConfigs.js',
+  'scaleExercise.js',
+  'toneDartsExercise.js',
+  'audioDiagnostics.js',
+  'exerciseInstructions.js',
+  'feelTheRootExercise.js',
+  'intervalSlideExercise.js',
+  'intervalDartsExercise.js',
+  'scaleDartsExercise.js',
+  'earTrainingOverview.js',
+  'lib/consonanceColorSystem.js',
+  'lib/speakerOverlayRenderer.js',
+  'lib/multiToneAudioController.js',
+  'lib/dualToneAudioController.js',
+  'lib/harmonicRendererSettings.js',
+  'waveVisualization.js',
+  'beatFrequencyFeeling.js',
+  'interferenceVisualization.js',
+  'intervalOverviewTutorial.js',
+  'unisonOverviewTutorial.js',
+  'glissandoOverviewTutorial.js',
+  'unisonTutorialSlider.js',
+  'tutorialController.js',
+  'intervalOverview.js',
+  'unisonOverview.js',
+  'glissandoOverview.js',
+  'intervalConfigs.js',
+  'intervalOverviewTutorialTemplate.js',
+  'generalIntervalOverview.js',
+  'intervalSystemExerciseConfigs.js',
+  'lib/stepPitchGrader.js',
+  'intervalSystemExercise.js',
+  'tuningComparisonExercise.js',
+  'intervalQuizExercise.js',
+  'chordConfigs.js',
+  'chordQualityExercise.js',
+  'chordToneExercise.js',
+  'melodyEchoExercise.js',
+  'pitchDiscriminationExercise.js',
+  'adapters/web/IndexedDBStorageService.js',
+  'profileManager.js',
+  'trainingData.js',
+  'lib/attemptRecorder.js',
+  'attemptReplay.js',
+  'trainingSystem.js',
+  'trainingUI.js',
+  'ftueManager.js',
+  'ftueSounds.js',
+  'ftueAnimations.js',
+  'helperDefinitions.js',
+  'helperDefinitionModal.js',
+  'app.js',
+
+  // Sounds
+  'sounds/471427__juaner__23_miss_hit.wav',
+  'sounds/587252__beetlemuse__dats-right.wav',
+  'sounds/706968__gridmaw__darts-impacting-dart-board.wav',
+
+  // Images
+  'images/EarLiftIcon.png',
+  'images/EarLifting.png',
+  'images/TwoEarsOneBud.png',
+  'images/earwithsound.png',
+  'images/facesinging.png',
+  'images/glissandonotes.png',
+  'images/headtalking.png',
+  'images/roundspeaker.png',
+  'images/roundspeaker-transparent.png'
+];
+
+// Install event - precache the current build
 self.addEventListener('install', (event) => {
-  console.log('Service Worker installed - no caching enabled');
-  self.skipWaiting();
+  console.log(`Service Worker installing build ${BUILD_VERSION}`);
+  event.waitUntil(
+    caches.open(CACHE_NAME).then((cache) => {
+      // Cache entries individually so one missing optional asset
+      // (e.g. generated icons) doesn't abort the whole precache
+      return Promise.all(
+        PRECACHE_URLS.map((url) => {
+          return cache.add(new Request(url, { cache: 'reload' })).catch((error) => {
+            console.warn('Precache failed for', url, error);
+          });
+        })
+      );
+    })
+  );
+  // Don't skipWaiting() here - the page asks via SKIP_WAITING once the user accepts the update
 });
 
-// Activate event - clear all caches
+// Activate event - remove caches from previous builds
 self.addEventListener('activate', (event) => {
   event.waitUntil(
     caches.keys().then((cacheNames) => {
       return Promise.all(
-        cacheNames.map((cacheName) => {
-          console.log('Deleting cache:', cacheName);
-          return caches.delete(cacheName);
-        })
+        cacheNames
+          .filter((cacheName) => cacheName !== CACHE_NAME)
+          .map((cacheName) => {
+            console.log('Deleting cache:', cacheName);
+            return caches.delete(cacheName);
+          })
       );
-    })
+    }).then(() => self.clients.claim())
   );
-  self.clients.claim();
 });
 
-// Fetch event - always use network, never cache
+// Message event - page-controlled update flow
+self.addEventListener('message', (event) => {
+  const message = event.data || {};
+
+  if (message.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  } else if (message.type === 'GET_VERSION' && event.ports[0]) {
+    event.ports[0].postMessage({ version: BUILD_VERSION });
+  }
+});
+
+// Fetch event - cache-first for same-origin GET requests
 self.addEventListener('fetch', (event) => {
-  event.respondWith(
-    fetch(event.request, {
-      cache: 'no-store'
-    }).catch(() => {
-      // If network fails, return a basic error response
-      return new Response('Network error occurred', {
-        status: 503,
-        statusText: 'Service Unavailable',
-        headers: new Headers({
-          'Content-Type': 'text/plain'
-        })
-      });
-    })
-  );
+  const request = event.request;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin) {
+    return; // Let the browser handle it
+  }
+
+  event.respondWith(cacheFirst(event));
 });
+
+// Cached entries are never refreshed from the network: this cache holds one
+// build, and the next build comes with its own worker and cache (see install)
+async function cacheFirst(event) {
+  const request = event.request;
+  const cache = await caches.open(CACHE_NAME);
+
+  // Navigations carry ?exercise=... etc, so always match the app shell
+  const cacheKey = request.mode === 'navigate' ? 'index.html' : request;
+  const cached = await cache.match(cacheKey, { ignoreSearch: true });
+  if (cached) {
+    return cached;
+  }
+
+  try {
+    const response = await fetch(request, { cache: 'no-cache' });
+    if (response && response.ok && response.type === 'basic') {
+      // Fill the miss, without the query string so versioned URLs share one entry
+      const url = new URL(request.url);
+      const storeKey = request.mode === 'navigate' ? 'index.html' : url.origin + url.pathname;
+      event.waitUntil(cache.put(storeKey, response.clone()).catch(() => {}));
+    }
+    return response;
+  } catch (error) {
+    // Offline and not precached
+    return new Response('You are offline and this resource is not available yet.', {
+      status: 503,
+      statusText: 'Service Unavailable',
+      headers: new Headers({
+        'Content-Type': 'text/plain'
+      })
+    });
+  }
+}
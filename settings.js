@@ -30,9 +30,21 @@ class Settings {
                 tolerance: 0.015 // 0.01 (1%), 0.015 (1.5%), 0.02 (2%), 0.03 (3%)
             },
             microphoneGain: 4.0, // Default gain level (0.1 to 5.0) - 4.0 for quiet mics
+            masterVolume: 1.0, // Output volume of everything the app plays (0.0 to 1.0, see AudioEngine)
             selectedMicrophone: null, // Device ID of preferred microphone
+            noiseCalibrations: {}, // Noise floor and voicing threshold per microphone (see NoiseFloor)
+            autoGainControl: false, // Adjust microphone gain automatically (see AutoGainControl)
+            autoGainLevels: {}, // Gain AutoGainControl learned, per microphone
+            selectedSpeaker: null, // Device ID of preferred speaker (see AudioEngine.setOutputDevice)
+            latencyCalibrations: {}, // Round-trip latency per mic/speaker pair (see LatencyCalibrator)
             debugControlsEnabled: true, // Show debug button and diagnostics exercise by default
             usageMode: 'headphone-mic', // headphone-mic, speaker-mic, car-mode
+            usageModeDetection: 'suggest', // auto, suggest, off (see HeadphoneDetector)
+            referencePitch: 440, // A4 in Hz (see Settings.getTuningStandards())
+            tuningSystem: '12-tet', // Interval tuning: 12-tet, just, pythagorean (see TuningSystems)
+            timbre: 'sine', // Tone colour for played tones (see TimbreLibrary)
+            exerciseTimbres: {}, // Per-exercise timbre overrides, by exercise id
+            solfegeSystem: 'do', // Scale note names: 'do' or 'la' based minor (see SOLFEGE_SYSTEMS)
             sliderGlissandoVisualization: true // Show wave visualization during Slider Glissando exercises
         };
     }
@@ -254,6 +266,148 @@ class Settings {
         // Clamp between 0.1 and 5.0
         const clampedGain = Math.max(0.1, Math.min(5.0, gain));
         this.settings.microphoneGain = clampedGain;
+        this.applyVoicingThreshold();
+        return this.save();
+    }
+
+    // Get the noise calibration of the selected microphone (null if not calibrated)
+    getNoiseCalibration() {
+        const deviceId = this.getSelectedMicrophone() || 'default';
+        return (this.settings.noiseCalibrations || {})[deviceId] || null;
+    }
+
+    // Save a NoiseFloor.measure() result for the selected microphone
+    setNoiseCalibration(result) {
+        const deviceId = this.getSelectedMicrophone() || 'default';
+        this.settings.noiseCalibrations = this.settings.noiseCalibrations || {};
+        this.settings.noiseCalibrations[deviceId] = {
+            noiseFloorRms: result.noiseFloorRms,
+            voicingRms: result.voicingRms,
+            gain: result.gain,
+            calibratedAt: new Date().toISOString()
+        };
+        this.applyVoicingThreshold();
+        return this.save();
+    }
+
+    clearNoiseCalibration() {
+        const deviceId = this.getSelectedMicrophone() || 'default';
+        if (this.settings.noiseCalibrations) {
+            delete this.settings.noiseCalibrations[deviceId];
+        }
+        this.applyVoicingThreshold();
+        return this.save();
+    }
+
+    // Mic RMS below which detectors ignore the signal, scaled from the
+    // calibration gain to `gain` (null = NoiseFloor default)
+    getVoicingThreshold(gain = this.getMicrophoneGain()) {
+        const calibration = this.getNoiseCalibration();
+        if (!calibration) {
+            return null;
+        }
+        return calibration.voicingRms * (gain / calibration.gain);
+    }
+
+    // Apply the selected mic's threshold at the gain it is running at
+    // (AutoGainControl may have moved it away from the saved gain)
+    applyVoicingThreshold() {
+        const audioManager = window.audioManager;
+        const gain = audioManager && audioManager.isInitialized ? audioManager.getGain() : this.getMicrophoneGain();
+        NoiseFloor.setVoicingThreshold(this.getVoicingThreshold(gain));
+    }
+
+    // Whether AutoGainControl replaces the manual microphone gain
+    getAutoGainControl() {
+        return this.settings.autoGainControl === true;
+    }
+
+    setAutoGainControl(enabled) {
+        this.settings.autoGainControl = !!enabled;
+        window.autoGainControl.setEnabled(this.settings.autoGainControl);
+        return this.save();
+    }
+
+    // Gain AutoGainControl last settled on for the selected microphone (null if none yet)
+    getAutoGainLevel() {
+        const deviceId = this.getSelectedMicrophone() || 'default';
+        return (this.settings.autoGainLevels || {})[deviceId] || null;
+    }
+
+    setAutoGainLevel(gain) {
+        const deviceId = this.getSelectedMicrophone() || 'default';
+        this.settings.autoGainLevels = this.settings.autoGainLevels || {};
+        this.settings.autoGainLevels[deviceId] = Math.round(gain * 100) / 100;
+        return this.save();
+    }
+
+    // Get selected speaker device ID
+    getSelectedSpeaker() {
+        return this.settings.selectedSpeaker || null;
+    }
+
+    // Set selected speaker device ID
+    setSelectedSpeaker(deviceId) {
+        this.settings.selectedSpeaker = deviceId || null;
+        return this.save();
+    }
+
+    // Key of the selected mic and speaker, for settings that depend on both
+    getDevicePairKey() {
+        return `${this.getSelectedMicrophone() || 'default'}|${this.getSelectedSpeaker() || 'default'}`;
+    }
+
+    // Get the latency calibration of the selected mic and speaker (null if not calibrated)
+    getLatencyCalibration() {
+        return (this.settings.latencyCalibrations || {})[this.getDevicePairKey()] || null;
+    }
+
+    // Save a LatencyCalibrator result for the selected mic and speaker
+    setLatencyCalibration(result) {
+        const calibrations = { ...(this.settings.latencyCalibrations || {}) };
+        calibrations[this.getDevicePairKey()] = {
+            roundTripMs: result.roundTripMs,
+            outputMs: result.outputMs,
+            calibratedAt: new Date().toISOString()
+        };
+        this.settings.latencyCalibrations = calibrations;
+        return this.save();
+    }
+
+    // Forget the latency calibration of the selected mic and speaker
+    clearLatencyCalibration() {
+        const calibrations = { ...(this.settings.latencyCalibrations || {}) };
+        delete calibrations[this.getDevicePairKey()];
+        this.settings.latencyCalibrations = calibrations;
+        return this.save();
+    }
+
+    // Speaker-to-mic latency in ms (0 if not calibrated), for listening windows
+    getRoundTripLatency() {
+        const calibration = this.getLatencyCalibration();
+        return calibration ? calibration.roundTripMs : 0;
+    }
+
+    // Tone-to-ear latency in ms (0 if not calibrated), for syncing visuals with audio
+    getOutputLatency() {
+        const calibration = this.getLatencyCalibration();
+        return calibration ? calibration.outputMs : 0;
+    }
+
+    // Get master output volume
+    getMasterVolume() {
+        const volume = this.settings.masterVolume;
+        return typeof volume === 'number' ? volume : 1.0;
+    }
+
+    // Set master output volume and apply it to the AudioEngine
+    setMasterVolume(volume) {
+        // Clamp between 0.0 and 1.0
+        const clampedVolume = Math.max(0, Math.min(1.0, volume));
+        this.settings.masterVolume = clampedVolume;
+        if (window.audioEngine) {
+            window.audioEngine.setMasterVolume(clampedVolume);
+        }
         return this.save();
     }
 
@@ -266,6 +420,7 @@ class Settings {
     setSelectedMicrophone(deviceId) {
         this.settings.selectedMicrophone = deviceId;
         console.log('Saved microphone preference:', deviceId);
+        this.applyVoicingThreshold();
         return this.save();
     }
 
@@ -295,15 +450,17 @@ class Settings {
             },
             'speaker-mic': {
                 name: 'Speaker + Mic',
-                description: 'Separate speaker and microphone (no simultaneous audio)',
+                description: 'Separate speaker and microphone (tones are filtered out of the mic)',
                 icon: '🔊',
-                allowSimultaneousAudio: false
+                allowSimultaneousAudio: true,
+                cancelSpeakerBleed: true
             },
             'car-mode': {
                 name: 'Car Mode',
                 description: 'Hands-free mode for driving (adapted exercises)',
                 icon: '🚗',
                 allowSimultaneousAudio: false,
+                cancelSpeakerBleed: true,
                 handsFree: true
             }
         };
@@ -326,64 +483,197 @@ class Settings {
             return false;
         }
         this.settings.usageMode = mode;
+        if (window.bleedCanceller) {
+            window.bleedCanceller.setEnabled(modes[mode].cancelSpeakerBleed === true);
+        }
         return this.save();
     }
 
-    // Get current usage mode config
-    getCurrentUsageModeConfig() {
-        const mode = this.getUsageMode();
-        const modes = Settings.getUsageModes();
-        return modes[mode] || modes['headphone-mic'];
+    // What to do when HeadphoneDetector finds a different usage mode:
+    // 'auto' switches, 'suggest' asks first, 'off' doesn't probe
+    getUsageModeDetection() {
+        return this.settings.usageModeDetection || 'suggest';
     }
 
-    // Check if an exercise is compatible with current usage mode
-    isExerciseCompatible(exerciseType) {
-        const mode = this.getUsageMode();
-        const modeConfig = this.getCurrentUsageModeConfig();
-
-        // Exercise compatibility matrix
-        const exerciseRequirements = {
-            'glissando': { requiresSimultaneous: true, requiresTouch: false, hasCarMode: false },
-            'pitch': { requiresSimultaneous: false, requiresTouch: false, hasCarMode: true },
-            'pitchhold': { requiresSimultaneous: true, requiresTouch: false, hasCarMode: false, carModeOnly: true },
-            'octave': { requiresSimultaneous: false, requiresTouch: false, hasCarMode: false },
-            'scale': { requiresSimultaneous: false, requiresTouch: false, hasCarMode: false },
-            'toneSlide': { requiresSimultaneous: false, requiresTouch: true, hasCarMode: false },
-            'darts': { requiresSimultaneous: false, requiresTouch: false, hasCarMode: true }, // Sequential: tone then mic
-            'unisonDarts': { requiresSimultaneous: false, requiresTouch: false, hasCarMode: true }, // Sequential: root then mic
-            'halfStepDarts': { requiresSimultaneous: false, requiresTouch: false, hasCarMode: true }, // Sequential: root then mic
-            'wholeStepDarts': { requiresSimultaneous: false, requiresTouch: false, hasCarMode: true }, // Sequential: root then mic
-            'diagnostics': { requiresSimultaneous: false, requiresTouch: false, hasCarMode: false },
-            'halfStepFeelRoot': { requiresSimultaneous: false, requiresTouch: false, hasCarMode: false }, // Sequential: toggle between tones
-            'wholeStepFeelRoot': { requiresSimultaneous: false, requiresTouch: false, hasCarMode: false }, // Sequential: toggle between tones
-            'halfStepSlide': { requiresSimultaneous: false, requiresTouch: true, hasCarMode: false }, // Requires touch for slider
-            'wholeStepSlide': { requiresSimultaneous: false, requiresTouch: true, hasCarMode: false } // Requires touch for slider
+    setUsageModeDetection(detection) {
+        if (!['auto', 'suggest', 'off'].includes(detection)) {
+            console.error('Invalid usage mode detection:', detection);
+            return false;
+        }
+        this.settings.usageModeDetection = detection;
+        return this.save();
+    }
+
+    // Whether the usage mode plays tones on a speaker the mic can hear (see BleedCanceller)
+    getSpeakerBleedCancellation() {
+        return this.getCurrentUsageModeConfig().cancelSpeakerBleed === true;
+    }
+
+    // Get pitch detector backend ('pitchy', 'yin' or 'custom')
+    getPitchDetector() {
+        if (!this.settings.pitchDetector) {
+            this.settings.pitchDetector = 'pitchy';
+            this.save();
+        }
+        return this.settings.pitchDetector;
+    }
+
+    // Set pitch detector backend
+    setPitchDetector(name) {
+        if (typeof PITCH_DETECTOR_CONFIG !== 'undefined' && !PITCH_DETECTOR_CONFIG.detectors[name]) {
+            console.error('Invalid pitch detector:', name);
+            return false;
+        }
+        this.settings.pitchDetector = name;
+        return this.save();
+    }
+
+    // Tuning standard presets for the A4 reference pitch
+    static getTuningStandards() {
+        return {
+            'a440': {
+                name: 'A440 (Modern concert)',
+                frequency: 440,
+                description: 'International standard pitch used by most tuners and ensembles (default)'
+            },
+            'a442': {
+                name: 'A442 (Orchestral)',
+                frequency: 442,
+                description: 'Common for European orchestras and choirs'
+            },
+            'a443': {
+                name: 'A443 (Orchestral, bright)',
+                frequency: 443,
+                description: 'Used by some German and Austrian orchestras'
+            },
+            'a432': {
+                name: 'A432',
+                frequency: 432,
+                description: 'Alternative tuning a third of a semitone below A440'
+            },
+            'a430': {
+                name: 'A430 (Classical)',
+                frequency: 430,
+                description: 'Approximate pitch of the Classical era'
+            },
+            'a415': {
+                name: 'A415 (Baroque)',
+                frequency: 415,
+                description: 'Baroque pitch, a half step below A440'
+            }
         };
+    }
+
+    // Get A4 reference pitch in Hz
+    getReferencePitch() {
+        const frequency = this.settings.referencePitch;
+        return NoteUtils.isValidReferencePitch(frequency) ? frequency : NoteUtils.DEFAULT_REFERENCE_PITCH;
+    }
+
+    // Set A4 reference pitch in Hz and apply it to all note math
+    setReferencePitch(frequency) {
+        const value = Math.round(Number(frequency) * 10) / 10;
+        if (!NoteUtils.setReferencePitch(value)) {
+            return false;
+        }
+        this.settings.referencePitch = value;
+        return this.save();
+    }
+
+    // Get the tuning standard id matching the reference pitch ('custom' if none does)
+    getTuningStandard() {
+        const frequency = this.getReferencePitch();
+        const match = Object.entries(Settings.getTuningStandards())
+            .find(([, standard]) => standard.frequency === frequency);
+        return match ? match[0] : 'custom';
+    }
 
-        const requirements = exerciseRequirements[exerciseType];
-        if (!requirements) return true; // Unknown exercises are allowed
+    // Get the tuning system intervals are played in ('12-tet', 'just' or 'pythagorean')
+    getTuningSystem() {
+        const systemId = this.settings.tuningSystem;
+        return TuningSystems.isValidSystem(systemId) ? systemId : TuningSystems.DEFAULT_SYSTEM;
+    }
 
-        // Car mode only exercises - only show in car mode
-        if (requirements.carModeOnly) {
-            return mode === 'car-mode';
+    // Set the tuning system and apply it to all interval math
+    setTuningSystem(systemId) {
+        if (!TuningSystems.setActiveSystem(systemId)) {
+            return false;
         }
+        this.settings.tuningSystem = systemId;
+        return this.save();
+    }
 
-        // Car mode - only allow exercises with car mode implementation
-        if (mode === 'car-mode') {
-            return requirements.hasCarMode === true;
+    // Get the profile's timbre ('sine', 'voice', 'organ', 'string', 'piano' or a sample)
+    getDefaultTimbre() {
+        const timbreId = this.settings.timbre;
+        return TimbreLibrary.isValidTimbre(timbreId) ? timbreId : TimbreLibrary.DEFAULT_TIMBRE;
+    }
+
+    // Set the profile's timbre
+    setDefaultTimbre(timbreId) {
+        if (!TimbreLibrary.isValidTimbre(timbreId)) {
+            console.error('Invalid timbre:', timbreId);
+            return false;
         }
+        this.settings.timbre = timbreId;
+        return this.save();
+    }
+
+    // Get an exercise's timbre override (null if it uses the profile's timbre)
+    getExerciseTimbre(exerciseId) {
+        const timbreId = (this.settings.exerciseTimbres || {})[exerciseId];
+        return TimbreLibrary.isValidTimbre(timbreId) ? timbreId : null;
+    }
 
-        // Check simultaneous audio requirement
-        if (requirements.requiresSimultaneous && !modeConfig.allowSimultaneousAudio) {
+    // Set an exercise's timbre override (null to use the profile's timbre)
+    setExerciseTimbre(exerciseId, timbreId) {
+        if (timbreId !== null && !TimbreLibrary.isValidTimbre(timbreId)) {
+            console.error('Invalid timbre:', timbreId);
             return false;
         }
+        const overrides = { ...(this.settings.exerciseTimbres || {}) };
+        if (timbreId === null) {
+            delete overrides[exerciseId];
+        } else {
+            overrides[exerciseId] = timbreId;
+        }
+        this.settings.exerciseTimbres = overrides;
+        return this.save();
+    }
+
+    // Get the timbre to play in an exercise (or outside one when exerciseId is omitted)
+    getTimbre(exerciseId = null) {
+        return (exerciseId && this.getExerciseTimbre(exerciseId)) || this.getDefaultTimbre();
+    }
 
-        // Check touch requirement (incompatible with car mode)
-        if (requirements.requiresTouch && modeConfig.handsFree) {
+    // Get how the scale exercises name notes ('do' or 'la', see SOLFEGE_SYSTEMS in scaleConfigs.js)
+    getSolfegeSystem() {
+        const systemId = this.settings.solfegeSystem;
+        return isValidSolfegeSystem(systemId) ? systemId : 'do';
+    }
+
+    // Set how the scale exercises name notes
+    setSolfegeSystem(systemId) {
+        if (!isValidSolfegeSystem(systemId)) {
+            console.error('Invalid solfege system:', systemId);
             return false;
         }
+        this.settings.solfegeSystem = systemId;
+        return this.save();
+    }
 
-        return true;
+    // Get current usage mode config
+    getCurrentUsageModeConfig() {
+        const mode = this.getUsageMode();
+        const modes = Settings.getUsageModes();
+        return modes[mode] || modes['headphone-mic'];
+    }
+
+    // Check if an exercise is compatible with current usage mode
+    // (each exercise declares its usage modes when it registers with window.exerciseRegistry)
+    isExerciseCompatible(exerciseType) {
+        if (!window.exerciseRegistry) return true;
+        return window.exerciseRegistry.isCompatible(exerciseType, this.getUsageMode(), this.getCurrentUsageModeConfig());
     }
 
     // Get slider glissando visualization setting
@@ -400,6 +690,21 @@ class Settings {
         this.settings.sliderGlissandoVisualization = Boolean(enabled);
         return this.save();
     }
+
+    // Get microphone auto-grading setting for system exercises
+    getAutoGrading() {
+        if (this.settings.autoGrading === undefined) {
+            this.settings.autoGrading = true;
+            this.save();
+        }
+        return this.settings.autoGrading;
+    }
+
+    // Set microphone auto-grading setting
+    setAutoGrading(enabled) {
+        this.settings.autoGrading = Boolean(enabled);
+        return this.save();
+    }
 }
 
 // Global settings instance (initialized in app.js with profile support)
@@ -1,26 +1,19 @@
 // First-time Setup Experience
 class SetupFlow {
     constructor() {
-        this.pitchDetector = new PitchDetector();
         this.lowNote = null;
         this.highNote = null;
         this.isRecording = false;
-        this.detectionInterval = null;
-        this.stableReadings = [];
-        this.requiredStableReadings = 2; // Very forgiving - just need consistency
-        this.stableCount = 0;
-        this.requiredStableCount = 1; // Show button quickly
+        this.unsubscribeNotes = null; // Set while listening for notes (see lib/noteSegmenter.js)
+        this.recordingSession = 0; // Bumped on stop so a slow mic start can't resume
         this.buttonShown = false; // Track if button has been shown
 
-        // Track pitch held readings for low note (similar to high note)
-        this.lowNoteHeldReadings = [];
-
         // Track lowest and highest stable pitches
         this.lowestStablePitch = null;
         this.highestStablePitch = null;
 
-        // Track pitch held time for high note (0.25s requirement)
-        this.highNoteHeldReadings = []; // Array of {frequency, note, timestamp}
+        // A note counts once held steady this long
+        this.heldMs = 200;
         this.lastDisplayUpdate = 0; // Throttle display updates
         this.displayUpdateInterval = 300; // ms between display updates
 
@@ -183,18 +176,19 @@ class SetupFlow {
 
     selectStandardRange(rangeType) {
         const ranges = {
-            bass: { low: { frequency: 82.41, note: 'E2' }, high: { frequency: 329.63, note: 'E4' }, voiceType: 'Bass' },
-            baritone: { low: { frequency: 110.00, note: 'A2' }, high: { frequency: 440.00, note: 'A4' }, voiceType: 'Baritone' },
-            tenor: { low: { frequency: 130.81, note: 'C3' }, high: { frequency: 523.25, note: 'C5' }, voiceType: 'Tenor' },
-            alto: { low: { frequency: 174.61, note: 'F3' }, high: { frequency: 698.46, note: 'F5' }, voiceType: 'Alto' },
-            mezzo: { low: { frequency: 220.00, note: 'A3' }, high: { frequency: 880.00, note: 'A5' }, voiceType: 'Mezzo-Soprano' },
-            soprano: { low: { frequency: 261.63, note: 'C4' }, high: { frequency: 1046.50, note: 'C6' }, voiceType: 'Soprano' }
+            bass: { low: 'E2', high: 'E4', voiceType: 'Bass' },
+            baritone: { low: 'A2', high: 'A4', voiceType: 'Baritone' },
+            tenor: { low: 'C3', high: 'C5', voiceType: 'Tenor' },
+            alto: { low: 'F3', high: 'F5', voiceType: 'Alto' },
+            mezzo: { low: 'A3', high: 'A5', voiceType: 'Mezzo-Soprano' },
+            soprano: { low: 'C4', high: 'C6', voiceType: 'Soprano' }
         };
 
         const selectedRange = ranges[rangeType];
         if (selectedRange) {
-            this.lowNote = selectedRange.low;
-            this.highNote = selectedRange.high;
+            // Frequencies follow the profile's reference pitch
+            this.lowNote = { frequency: NoteUtils.noteToFrequency(selectedRange.low), note: selectedRange.low };
+            this.highNote = { frequency: NoteUtils.noteToFrequency(selectedRange.high), note: selectedRange.high };
 
             // Save the range and voice type
             appSettings.setVocalRange(this.lowNote, this.highNote, selectedRange.voiceType);
@@ -223,46 +217,46 @@ class SetupFlow {
     }
 
     cancelSetup() {
-        this.pitchDetector.stop();
+        this.stopMicrophone();
         document.getElementById('setupContainer').style.display = 'none';
         document.getElementById('appContainer').style.display = 'block';
     }
 
     async startRecording(type) {
-        try {
-            // Initialize pitch detector if not already done
-            if (!this.pitchDetector.isListening) {
-                // Get selected microphone device ID if available
-                const deviceId = window.audioSettings ? window.audioSettings.getSelectedMicId() : null;
-                await this.pitchDetector.initialize(deviceId);
-            }
-
-            this.isRecording = true;
-            this.stableReadings = [];
-            this.stableCount = 0;
-            this.buttonShown = false;
-
-            // Reset tracked extremes for this recording session
-            if (type === 'low') {
-                this.lowestStablePitch = null;
-                this.lowNoteHeldReadings = [];
-                this.lastDisplayUpdate = 0;
-            } else {
-                this.highestStablePitch = null;
-                this.highNoteHeldReadings = [];
-                this.lastDisplayUpdate = 0;
-            }
+        this.stopRecording(type);
+        this.isRecording = true;
+        this.buttonShown = false;
+        this.lastDisplayUpdate = 0;
 
-            const setBtn = type === 'low' ? this.setLowBtn : this.setHighBtn;
+        // Reset tracked extremes for this recording session
+        if (type === 'low') {
+            this.lowestStablePitch = null;
+        } else {
+            this.highestStablePitch = null;
+        }
 
-            // Hide "Set Note" button initially
-            setBtn.style.display = 'none';
+        const setBtn = type === 'low' ? this.setLowBtn : this.setHighBtn;
 
-            // Start pitch detection loop
-            this.detectionInterval = setInterval(() => {
-                this.detectAndDisplay(type);
-            }, 100);
+        // Hide "Set Note" button initially
+        setBtn.style.display = 'none';
 
+        // Notes steady within the setup tolerance over the last ~0.25s
+        const session = this.recordingSession;
+        try {
+            const unsubscribe = await NoteSegmenter.subscribe((event) => {
+                this.detectAndDisplay(type, event);
+            }, {
+                minIntervalMs: 50,
+                recentReadings: 5,
+                steadyCents: StepPitchGrader.toleranceRatioToCents(this.sensitivityConfig.tolerance)
+            });
+
+            // Stopped while the microphone was starting
+            if (session !== this.recordingSession) {
+                unsubscribe();
+                return;
+            }
+            this.unsubscribeNotes = unsubscribe;
         } catch (error) {
             alert(error.message);
             this.stopRecording(type);
@@ -345,228 +339,93 @@ class SetupFlow {
         }
     }
 
-    detectAndDisplay(type) {
-        const pitch = this.pitchDetector.detectPitch();
+    detectAndDisplay(type, event) {
+        if (!this.isRecording) return;
+
+        const { pitch, frame } = event;
         const now = Date.now();
 
         // Update debug mode with detected pitch
-        if (window.debugMode) {
-            const volume = this.pitchDetector.getVolume();
-            const rms = this.pitchDetector.getRMS();
-            window.debugMode.updateDetectedPitch(pitch, volume, rms);
+        if (window.debugMode && frame) {
+            window.debugMode.updateDetectedPitch(pitch, frame.volume, frame.rms);
         }
 
-        if (pitch && pitch.frequency > 50 && pitch.frequency < 2000) {
-            const nameElement = type === 'low' ? this.lowNoteName : this.highNoteName;
-            const freqElement = type === 'low' ? this.lowNoteFreq : this.highNoteFreq;
-            const setBtn = type === 'low' ? this.setLowBtn : this.setHighBtn;
-
-            // For high note, track held readings with timestamps
-            if (type === 'high') {
-                // Reject only extreme octave jumps (smoothing filter handles small variations)
-                if (this.highNoteHeldReadings.length > 2) {
-                    const lastReading = this.highNoteHeldReadings[this.highNoteHeldReadings.length - 1];
-                    const ratio = pitch.frequency / lastReading.frequency;
-
-                    // Only reject clear octave jumps (2x or 0.5x)
-                    if ((ratio > 1.9 && ratio < 2.1) || (ratio > 0.48 && ratio < 0.52)) {
-                        if (window.debugMode) {
-                            console.log(`HIGH: Rejecting octave jump: ${lastReading.frequency.toFixed(1)}Hz -> ${pitch.frequency.toFixed(1)}Hz (ratio: ${ratio.toFixed(2)})`);
-                        }
-                        return; // Skip this reading
-                    }
-                }
-
-                // Add current reading with timestamp
-                this.highNoteHeldReadings.push({
-                    frequency: pitch.frequency,
-                    note: pitch.note,
-                    timestamp: now,
-                    cents: pitch.cents
-                });
-
-                // Remove readings older than 0.2s
-                this.highNoteHeldReadings = this.highNoteHeldReadings.filter(r => now - r.timestamp <= 200);
-
-                // Check if we have readings spanning at least 0.2s
-                if (this.highNoteHeldReadings.length > 0) {
-                    const oldestReading = this.highNoteHeldReadings[0];
-                    const timeSpan = now - oldestReading.timestamp;
-
-                    if (timeSpan >= 200) {
-                        // Check if readings are stable using MEDIAN (more resistant to outliers)
-                        const frequencies = this.highNoteHeldReadings.map(r => r.frequency);
-                        frequencies.sort((a, b) => a - b);
-                        const medianFreq = frequencies[Math.floor(frequencies.length / 2)];
-
-                        // Use very forgiving tolerance
-                        const tolerance = medianFreq * this.sensitivityConfig.tolerance;
-                        const maxDeviation = Math.max(...frequencies.map(f => Math.abs(f - medianFreq)));
-
-                        // Debug logging
-                        if (window.debugMode) {
-                            console.log(`High note stability check: median=${medianFreq.toFixed(1)}Hz, deviation=${maxDeviation.toFixed(1)}Hz, tolerance=${tolerance.toFixed(1)}Hz, stable=${maxDeviation < tolerance}`);
-                        }
-
-                        if (maxDeviation < tolerance) {
-                            // Valid stable reading held for 0.25s
-                            // Update highest pitch if this is higher
-                            if (this.highestStablePitch === null || medianFreq > this.highestStablePitch.frequency) {
-                                this.highestStablePitch = {
-                                    frequency: medianFreq,
-                                    note: pitch.note
-                                };
-                                this.currentHighPitch = this.highestStablePitch;
-
-                                // Update button text
-                                setBtn.textContent = `Set Note (${pitch.note})`;
-
-                                // Show button
-                                setBtn.style.display = 'inline-block';
-                                this.buttonShown = true;
-                            }
-                        }
-                    }
-                }
-
-                // Throttle display updates - only update every 300ms
-                if (now - this.lastDisplayUpdate >= this.displayUpdateInterval) {
-                    this.lastDisplayUpdate = now;
-
-                    // Show the highest note found so far, or current if none yet
-                    const displayPitch = this.highestStablePitch || pitch;
-                    nameElement.textContent = displayPitch.note;
-
-                    // Calculate cents deviation and show visual feedback
-                    const cents = Math.abs(pitch.cents || 0);
-                    const accuracy = Math.max(0, 1 - (cents / 50));
-
-                    // Apply brightness based on accuracy
-                    const brightness = 0.5 + (accuracy * 0.5);
-                    nameElement.style.filter = `brightness(${brightness})`;
-                    nameElement.style.transform = `scale(${1 + accuracy * 0.2})`;
-
-                    // Update adaptive range and visualization
-                    this.updateAdaptiveRange(type, displayPitch.frequency);
-                    this.updateRangeVisualization(type, displayPitch.frequency);
+        if (event.type !== 'onset' && event.type !== 'update') return;
+
+        const note = event.note;
+        const nameElement = type === 'low' ? this.lowNoteName : this.highNoteName;
+        const freqElement = type === 'low' ? this.lowNoteFreq : this.highNoteFreq;
+        const setBtn = type === 'low' ? this.setLowBtn : this.setHighBtn;
+
+        // A held, steady note extends the range if it's the lowest (or highest) yet
+        if (note.steady && note.durationMs >= this.heldMs) {
+            const frequency = note.currentFrequency;
+            const extreme = type === 'low' ? this.lowestStablePitch : this.highestStablePitch;
+            const isNewExtreme = extreme === null ||
+                (type === 'low' ? frequency < extreme.frequency : frequency > extreme.frequency);
+
+            if (isNewExtreme) {
+                const stablePitch = {
+                    frequency: frequency,
+                    note: NoteUtils.frequencyToNote(frequency)
+                };
+                if (type === 'low') {
+                    this.lowestStablePitch = stablePitch;
+                    this.currentLowPitch = stablePitch;
+                } else {
+                    this.highestStablePitch = stablePitch;
+                    this.currentHighPitch = stablePitch;
                 }
 
-                // Hide Hz display
-                freqElement.style.display = 'none';
-
-            } else {
-                // Low note logic - use same 0.25s held system as high note
-                // Reject only extreme octave jumps (smoothing filter handles small variations)
-                if (this.lowNoteHeldReadings.length > 2) {
-                    const lastReading = this.lowNoteHeldReadings[this.lowNoteHeldReadings.length - 1];
-                    const ratio = pitch.frequency / lastReading.frequency;
-
-                    // Only reject clear octave jumps (2x or 0.5x)
-                    if ((ratio > 1.9 && ratio < 2.1) || (ratio > 0.48 && ratio < 0.52)) {
-                        if (window.debugMode) {
-                            console.log(`LOW: Rejecting octave jump: ${lastReading.frequency.toFixed(1)}Hz -> ${pitch.frequency.toFixed(1)}Hz (ratio: ${ratio.toFixed(2)})`);
-                        }
-                        return; // Skip this reading
-                    }
-                }
+                // Update button text
+                setBtn.textContent = `Set Note (${stablePitch.note})`;
 
-                // Add current reading with timestamp
-                this.lowNoteHeldReadings.push({
-                    frequency: pitch.frequency,
-                    note: pitch.note,
-                    timestamp: now,
-                    cents: pitch.cents
-                });
-
-                // Remove readings older than 0.2s
-                this.lowNoteHeldReadings = this.lowNoteHeldReadings.filter(r => now - r.timestamp <= 200);
-
-                // Check if we have readings spanning at least 0.2s
-                if (this.lowNoteHeldReadings.length > 0) {
-                    const oldestReading = this.lowNoteHeldReadings[0];
-                    const timeSpan = now - oldestReading.timestamp;
-
-                    if (timeSpan >= 200) {
-                        // Check if readings are stable using MEDIAN (more resistant to outliers)
-                        const frequencies = this.lowNoteHeldReadings.map(r => r.frequency);
-                        frequencies.sort((a, b) => a - b);
-                        const medianFreq = frequencies[Math.floor(frequencies.length / 2)];
-
-                        // Use very forgiving tolerance
-                        const tolerance = medianFreq * this.sensitivityConfig.tolerance;
-                        const maxDeviation = Math.max(...frequencies.map(f => Math.abs(f - medianFreq)));
-
-                        // Debug logging
-                        if (window.debugMode) {
-                            console.log(`Low note stability check: median=${medianFreq.toFixed(1)}Hz, deviation=${maxDeviation.toFixed(1)}Hz, tolerance=${tolerance.toFixed(1)}Hz, stable=${maxDeviation < tolerance}`);
-                        }
-
-                        if (maxDeviation < tolerance) {
-                            // Valid stable reading held for 0.25s
-                            // Update lowest pitch if this is lower
-                            if (this.lowestStablePitch === null || medianFreq < this.lowestStablePitch.frequency) {
-                                this.lowestStablePitch = {
-                                    frequency: medianFreq,
-                                    note: pitch.note
-                                };
-                                this.currentLowPitch = this.lowestStablePitch;
-
-                                // Update button text
-                                setBtn.textContent = `Set Note (${pitch.note})`;
-
-                                // Show button
-                                setBtn.style.display = 'inline-block';
-                                this.buttonShown = true;
-                            }
-                        }
-                    }
-                }
+                // Show button
+                setBtn.style.display = 'inline-block';
+                this.buttonShown = true;
+            }
+        }
 
-                // Throttle display updates - only update every 300ms
-                if (now - this.lastDisplayUpdate >= this.displayUpdateInterval) {
-                    this.lastDisplayUpdate = now;
+        // Throttle display updates - only update every 300ms
+        if (now - this.lastDisplayUpdate >= this.displayUpdateInterval) {
+            this.lastDisplayUpdate = now;
 
-                    // Show the lowest note found so far, or current if none yet
-                    const displayPitch = this.lowestStablePitch || pitch;
-                    nameElement.textContent = displayPitch.note;
+            // Show the lowest (or highest) note found so far, or current if none yet
+            const displayPitch = (type === 'low' ? this.lowestStablePitch : this.highestStablePitch) || pitch;
+            nameElement.textContent = displayPitch.note;
 
-                    // Calculate cents deviation and show visual feedback
-                    const cents = Math.abs(pitch.cents || 0);
-                    const accuracy = Math.max(0, 1 - (cents / 50));
+            // Calculate cents deviation and show visual feedback
+            const cents = Math.abs(pitch.cents || 0);
+            const accuracy = Math.max(0, 1 - (cents / 50));
 
-                    // Apply brightness based on accuracy
-                    const brightness = 0.5 + (accuracy * 0.5);
-                    nameElement.style.filter = `brightness(${brightness})`;
-                    nameElement.style.transform = `scale(${1 + accuracy * 0.2})`;
+            // Apply brightness based on accuracy
+            const brightness = 0.5 + (accuracy * 0.5);
+            nameElement.style.filter = `brightness(${brightness})`;
+            nameElement.style.transform = `scale(${1 + accuracy * 0.2})`;
 
-                    // Update adaptive range and visualization
-                    this.updateAdaptiveRange(type, displayPitch.frequency);
-                    this.updateRangeVisualization(type, displayPitch.frequency);
-                }
-
-                // Hide Hz display
-                freqElement.style.display = 'none';
-            }
+            // Update adaptive range and visualization
+            this.updateAdaptiveRange(type, displayPitch.frequency);
+            this.updateRangeVisualization(type, displayPitch.frequency);
         }
-    }
-
-    isStable() {
-        if (this.stableReadings.length < this.requiredStableReadings) return false;
-
-        const frequencies = this.stableReadings.map(r => r.frequency);
-        const avg = frequencies.reduce((a, b) => a + b) / frequencies.length;
-        const maxDeviation = Math.max(...frequencies.map(f => Math.abs(f - avg)));
 
-        // Use the same tolerance as Pitch Hold exercise
-        const allowedDeviation = avg * this.sensitivityConfig.tolerance;
-        return maxDeviation < allowedDeviation;
+        // Hide Hz display
+        freqElement.style.display = 'none';
     }
 
     stopRecording(type) {
         this.isRecording = false;
-        if (this.detectionInterval) {
-            clearInterval(this.detectionInterval);
-            this.detectionInterval = null;
+        this.recordingSession++;
+        if (this.unsubscribeNotes) {
+            this.unsubscribeNotes();
+            this.unsubscribeNotes = null;
+        }
+    }
+
+    // Stop listening and turn off the microphone
+    stopMicrophone() {
+        this.stopRecording();
+        if (window.audioManager && window.audioManager.isInitialized) {
+            window.audioManager.stop();
         }
     }
 
@@ -605,10 +464,8 @@ class SetupFlow {
                 note: pitch.note
             };
 
-            // Stop the pitch detector and turn off microphone
-            if (this.pitchDetector) {
-                this.pitchDetector.stop();
-            }
+            // Stop listening and turn off microphone
+            this.stopMicrophone();
 
             // Validate and move to step 3
             this.proceedToSummary();
@@ -646,26 +503,13 @@ class SetupFlow {
         // Reset state
         this.lowNote = null;
         this.highNote = null;
-        this.isRecording = false;
-        this.stableReadings = [];
-        this.stableCount = 0;
         this.buttonShown = false;
         this.lowestStablePitch = null;
         this.highestStablePitch = null;
-        this.lowNoteHeldReadings = [];
-        this.highNoteHeldReadings = [];
         this.lastDisplayUpdate = 0;
 
-        // Stop pitch detector if running
-        if (this.pitchDetector) {
-            this.pitchDetector.stop();
-        }
-
-        // Clear any intervals
-        if (this.detectionInterval) {
-            clearInterval(this.detectionInterval);
-            this.detectionInterval = null;
-        }
+        // Stop listening if running
+        this.stopMicrophone();
 
         // Hide step 3 and show choice screen
         this.step3.style.display = 'none';
@@ -676,8 +520,8 @@ class SetupFlow {
         // Save to settings
         appSettings.setVocalRange(this.lowNote, this.highNote);
 
-        // Stop pitch detector
-        this.pitchDetector.stop();
+        // Stop listening and turn off microphone
+        this.stopMicrophone();
 
         // Show main app
         document.getElementById('setupContainer').style.display = 'none';
@@ -2,14 +2,13 @@
 class ToneDartsExercise {
     constructor() {
         this.toneGenerator = new ToneGenerator();
-        this.pitchDetector = null; // Created lazily on first use
+        this.unsubscribePitch = null; // Set while subscribed to window.pitchStream
         this.vocalRange = null;
         this.targetFrequency = null;
         this.isPlayingTone = false;
         this.isListening = false;
         this.totalScore = 0;
         this.roundsPlayed = 0;
-        this.detectionInterval = null;
         this.listeningStartTime = null;
         this.matchDuration = 1000; // 1 second to match
         this.bestMatch = null; // Track best match during listening period
@@ -22,6 +21,7 @@ class ToneDartsExercise {
         this.carModeLives = 5;
         this.carModePhase = null; // 'listen', 'countdown', 'sing', 'result'
         this.carModeTimers = []; // Track all car mode timers for cleanup
+        this.pitchTrace = new PitchTrace(); // Reply of the current round, for the piano roll
 
         this.initializeElements();
         this.attachEventListeners();
@@ -33,6 +33,7 @@ class ToneDartsExercise {
         this.dartboard = document.getElementById('dartboard');
         this.scoreDisplay = document.getElementById('dartScore');
         this.roundsDisplay = document.getElementById('dartRounds');
+        this.pianoRoll = new PianoRoll(document.getElementById('dartPianoRoll'));
         this.playBtn = document.getElementById('dartPlayBtn');
         this.playIcon = document.getElementById('dartPlayIcon');
         this.exitBtn = document.getElementById('exitToneDarts');
@@ -76,6 +77,7 @@ class ToneDartsExercise {
         this.carModeLives = 5;
         this.updateScore();
         this.clearDartboard();
+        this.pianoRoll.canvas.style.display = 'none';
 
         // Ready for first tone
         if (this.isCarMode) {
@@ -107,7 +109,7 @@ class ToneDartsExercise {
 
     async playTargetTone() {
         // Generate random frequency in vocal range
-        const MIN_FREQUENCY = 174.61; // F3
+        const MIN_FREQUENCY = NoteUtils.noteToFrequency('F3');
         const lowFreq = Math.max(this.vocalRange.low.frequency, MIN_FREQUENCY);
         const highFreq = this.vocalRange.high.frequency;
 
@@ -128,38 +130,32 @@ class ToneDartsExercise {
         }, 3000);
     }
 
+    // Listening window, extended by the calibrated speaker-to-mic latency so
+    // a reply that arrives late (e.g. over Bluetooth) still counts
+    getListeningDuration() {
+        return this.matchDuration + appSettings.getRoundTripLatency();
+    }
+
     async startListening() {
         try {
-            // Create pitch detector lazily (so config has time to load)
-            if (!this.pitchDetector) {
-                this.pitchDetector = new PitchDetector();
-            }
-
-            // Initialize pitch detector if needed
-            if (!this.pitchDetector.isListening) {
-                const deviceId = window.audioSettings ? window.audioSettings.getSelectedMicId() : null;
-                await this.pitchDetector.initialize(deviceId);
-            }
+            // Subscribe to every analysed frame (best match benefits from all of them)
+            await this.subscribeToPitch();
 
             this.isListening = true;
             this.listeningStartTime = Date.now();
             this.bestMatch = null;
+            this.recordAttempt();
 
             // Update button - show microphone while listening
             this.playBtn.textContent = 'Listening...';
             this.playIcon.textContent = '🎤';
 
-            // Start detection loop
-            this.detectionInterval = setInterval(() => {
-                this.detectPitch();
-            }, 50); // 20 Hz update rate
-
-            // Auto-stop after 1 second
+            // Auto-stop after 1 second (plus latency)
             setTimeout(() => {
                 if (this.isListening) {
                     this.stopListening();
                 }
-            }, this.matchDuration);
+            }, this.getListeningDuration());
 
         } catch (error) {
             alert(error.message);
@@ -167,38 +163,68 @@ class ToneDartsExercise {
         }
     }
 
-    detectPitch() {
-        if (!this.isListening) return;
+    async subscribeToPitch() {
+        if (this.unsubscribePitch) return;
+        this.unsubscribePitch = await NoteSegmenter.subscribe((event) => this.detectPitch(event));
+    }
 
-        const pitch = this.pitchDetector.detectPitch();
+    // Trace the reply for the piano roll and record it for replay
+    // (see lib/attemptRecorder.js)
+    recordAttempt() {
+        this.pitchTrace.start(this.targetFrequency);
+        window.attemptRecorder.start('toneDarts', 'Tone Darts', this.targetFrequency);
+    }
 
-        if (pitch && pitch.frequency > 50 && pitch.frequency < 2000) {
-            // Calculate cents difference
-            const cents = 1200 * Math.log2(pitch.frequency / this.targetFrequency);
-            const centsDiff = Math.abs(cents);
+    // Stop tracing and recording, and show the reply on the piano roll
+    finishAttempt() {
+        window.attemptRecorder.stop();
+        const trace = this.pitchTrace.stop();
+        if (!trace || !this.pianoRoll) return;
 
-            // Track best match (closest to target)
-            if (this.bestMatch === null || centsDiff < this.bestMatch.centsDiff) {
-                this.bestMatch = {
-                    frequency: pitch.frequency,
-                    centsDiff: centsDiff,
-                    cents: cents
-                };
+        // Tolerance band = the scoring area of the board
+        this.pianoRoll.render(trace, { toleranceCents: 50 });
+        this.pianoRoll.canvas.style.display = 'block';
+    }
 
-                // Update button to show tone was registered - remove microphone
-                this.playBtn.textContent = 'Registered!';
-                this.playIcon.textContent = '✓';
-            }
+    unsubscribeFromPitch() {
+        if (this.unsubscribePitch) {
+            this.unsubscribePitch();
+            this.unsubscribePitch = null;
         }
     }
 
-    stopListening() {
-        this.isListening = false;
+    // Scores each sung note by its median pitch (see lib/noteSegmenter.js),
+    // so sliding through the target on the way to another note doesn't count
+    detectPitch(event) {
+        if (!this.isListening) return;
 
-        if (this.detectionInterval) {
-            clearInterval(this.detectionInterval);
-            this.detectionInterval = null;
+        if (event.type === 'onset') {
+            // Update button to show tone was registered - remove microphone
+            this.playBtn.textContent = 'Registered!';
+            this.playIcon.textContent = '✓';
         }
+        if (event.type !== 'offset') return;
+
+        // Calculate cents difference
+        const frequency = event.note.frequency;
+        const cents = 1200 * Math.log2(frequency / this.targetFrequency);
+        const centsDiff = Math.abs(cents);
+
+        // Track best match (closest to target)
+        if (this.bestMatch === null || centsDiff < this.bestMatch.centsDiff) {
+            this.bestMatch = {
+                frequency: frequency,
+                centsDiff: centsDiff,
+                cents: cents
+            };
+        }
+    }
+
+    stopListening() {
+        // Unsubscribing ends the note still being sung, which can be the best match
+        this.unsubscribeFromPitch();
+        this.isListening = false;
+        this.finishAttempt();
 
         // Add delay before showing dart (500ms)
         setTimeout(() => {
@@ -257,9 +283,9 @@ class ToneDartsExercise {
 
     async loadDartSounds() {
         try {
-            const audioContext = window.audioManager.getAudioContext();
+            const audioContext = window.audioEngine.getContext();
             if (!audioContext) {
-                // Audio context will be created on first user interaction
+                // Web Audio isn't supported
                 return;
             }
 
@@ -299,7 +325,7 @@ class ToneDartsExercise {
     }
 
     playHitSound(centsDiff = null) {
-        const audioContext = window.audioManager.getAudioContext();
+        const audioContext = window.audioEngine.getContext();
         if (!audioContext) {
             console.warn('Tone Darts: No audio context for playHitSound');
             return;
@@ -362,7 +388,7 @@ class ToneDartsExercise {
         gainNode.gain.setValueAtTime(0.5, audioContext.currentTime);
 
         source.connect(gainNode);
-        gainNode.connect(audioContext.destination);
+        gainNode.connect(window.audioEngine.getChannel('effects'));
 
         source.start(audioContext.currentTime, selectedSegment.start, selectedSegment.duration);
 
@@ -375,7 +401,7 @@ class ToneDartsExercise {
     }
 
     playDatsRightSound() {
-        const audioContext = window.audioManager.getAudioContext();
+        const audioContext = window.audioEngine.getContext();
         if (!audioContext || !this.datsRightAudioBuffer) return;
 
         const source = audioContext.createBufferSource();
@@ -385,13 +411,13 @@ class ToneDartsExercise {
         gainNode.gain.setValueAtTime(0.5, audioContext.currentTime);
 
         source.connect(gainNode);
-        gainNode.connect(audioContext.destination);
+        gainNode.connect(window.audioEngine.getChannel('effects'));
 
         source.start(audioContext.currentTime);
     }
 
     playMissSound() {
-        const audioContext = window.audioManager.getAudioContext();
+        const audioContext = window.audioEngine.getContext();
         if (!audioContext) {
             console.warn('Tone Darts: No audio context for playMissSound');
             return;
@@ -413,7 +439,7 @@ class ToneDartsExercise {
         gainNode.gain.setValueAtTime(0.5, audioContext.currentTime);
 
         source.connect(gainNode);
-        gainNode.connect(audioContext.destination);
+        gainNode.connect(window.audioEngine.getChannel('effects'));
 
         source.start(audioContext.currentTime);
     }
@@ -633,7 +659,7 @@ class ToneDartsExercise {
         this.carModePhase = 'listen';
 
         // Generate random frequency
-        const MIN_FREQUENCY = 174.61; // F3
+        const MIN_FREQUENCY = NoteUtils.noteToFrequency('F3');
         const lowFreq = Math.max(this.vocalRange.low.frequency, MIN_FREQUENCY);
         const highFreq = this.vocalRange.high.frequency;
         this.targetFrequency = this.toneGenerator.getRandomFrequencyInRange(lowFreq, highFreq);
@@ -656,17 +682,9 @@ class ToneDartsExercise {
     async carModeStartSinging() {
         this.carModePhase = 'sing';
 
-        // Create pitch detector lazily (so config has time to load)
-        if (!this.pitchDetector) {
-            this.pitchDetector = new PitchDetector();
-        }
-
-        // Initialize pitch detector if needed
+        // Start the shared pitch stream (isListening gates frames until singing starts)
         try {
-            if (!this.pitchDetector.isListening) {
-                const deviceId = window.audioSettings ? window.audioSettings.getSelectedMicId() : null;
-                await this.pitchDetector.initialize(deviceId);
-            }
+            await this.subscribeToPitch();
         } catch (error) {
             alert(error.message);
             this.carModePhase = null;
@@ -680,11 +698,7 @@ class ToneDartsExercise {
 
         this.isListening = true;
         this.bestMatch = null;
-
-        // Start detection loop
-        this.detectionInterval = setInterval(() => {
-            this.detectPitch();
-        }, 50);
+        this.recordAttempt();
 
         // Listen for 2.5 seconds
         const timer = setTimeout(() => {
@@ -694,12 +708,9 @@ class ToneDartsExercise {
     }
 
     carModeStopSinging() {
+        this.unsubscribeFromPitch();
         this.isListening = false;
-
-        if (this.detectionInterval) {
-            clearInterval(this.detectionInterval);
-            this.detectionInterval = null;
-        }
+        this.finishAttempt();
 
         this.carModePhase = 'result';
 
@@ -813,11 +824,9 @@ class ToneDartsExercise {
         // Stop everything
         this.isListening = false;
         this.isPlayingTone = false;
-
-        if (this.detectionInterval) {
-            clearInterval(this.detectionInterval);
-            this.detectionInterval = null;
-        }
+        this.unsubscribeFromPitch();
+        window.attemptRecorder.stop();
+        this.pitchTrace.stop();
 
         // Stop all car mode timers and reset state
         this.carModeTimers.forEach(timer => clearTimeout(timer));
@@ -826,7 +835,6 @@ class ToneDartsExercise {
         this.isCarMode = false;
 
         this.toneGenerator.stopTone();
-        this.pitchDetector.stop();
 
         // Stop microphone stream
         if (window.audioManager && window.audioManager.isInitialized) {
@@ -846,3 +854,11 @@ class ToneDartsExercise {
 
 // Initialize exercise
 window.toneDartsExercise = new ToneDartsExercise();
+
+// Sequential (tone, then mic), with a car mode
+window.exerciseRegistry.register({
+    id: 'darts',
+    name: 'Tone Darts',
+    container: 'toneDartsExercise',
+    getInstance: () => window.toneDartsExercise
+});
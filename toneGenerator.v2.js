@@ -1,11 +1,25 @@
-// Simplified Tone Generator using shared AudioManager
+// Simplified Tone Generator using the shared AudioEngine
+// Tones use the active timbre (see lib/timbreLibrary.js) unless one is fixed,
+// and play on the AudioEngine 'tones' channel unless another is given:
+//   new ToneGenerator({ timbre: 'sine', channel: 'tone1' })
 class ToneGenerator {
-    constructor() {
-        this.oscillator = null;
+    constructor(options = {}) {
+        this.oscillator = null; // Source node: OscillatorNode, or AudioBufferSourceNode for sample timbres
+        this.pitchParam = null; // AudioParam that sets the pitch (see setFrequency)
+        this.pitchScale = 1;
         this.gainNode = null;
         this.isPlaying = false;
         this.currentFrequency = null;
+        this.currentTimbre = null;
         this.audioContext = null;
+        this.timbre = options.timbre || null; // Fixed timbre id, or null to follow the active timbre
+        this.channel = options.channel || 'tones'; // AudioEngine channel to play on
+        this.id = ToneGenerator.nextId++; // Identifies this voice to the bleed canceller
+        this.playToken = 0; // Bumped by every playTone/stopTone, so a superseded playTone gives up after its awaits
+    }
+
+    getTimbre() {
+        return this.timbre || TimbreLibrary.getActiveTimbre();
     }
 
     async ensureAudioContext() {
@@ -23,6 +37,7 @@ class ToneGenerator {
     }
 
     async playTone(frequency, volume = 0.3) {
+        const token = ++this.playToken;
         await this.ensureAudioContext();
 
         // Update stored reference
@@ -35,7 +50,6 @@ class ToneGenerator {
             const devices = await navigator.mediaDevices.enumerateDevices();
             const audioOutputs = devices.filter(d => d.kind === 'audiooutput');
             console.log('Available audio outputs:', audioOutputs.map(d => `${d.label} (${d.deviceId.substr(0, 20)}...)`));
-            console.log('AudioContext destination:', audioContext.destination);
         } catch (e) {
             console.log('Could not enumerate devices:', e);
         }
@@ -45,6 +59,11 @@ class ToneGenerator {
             return;
         }
 
+        // stopTone() or another playTone() was called while waiting
+        if (token !== this.playToken) {
+            return;
+        }
+
         // Force stop any currently playing tone (even if isPlaying is false)
         // This prevents ghost tones from fading oscillators
         if (this.oscillator) {
@@ -63,30 +82,46 @@ class ToneGenerator {
             }
         }
         this.oscillator = null;
+        this.pitchParam = null;
         this.gainNode = null;
         this.isPlaying = false;
 
         try {
-            // Create oscillator
-            this.oscillator = audioContext.createOscillator();
-            this.oscillator.type = 'sine';
-            this.oscillator.frequency.setValueAtTime(frequency, audioContext.currentTime);
+            // Create the source for the timbre (oscillator, or looped sample)
+            const source = await TimbreLibrary.createSource(audioContext, this.getTimbre(), frequency);
+            if (token !== this.playToken) {
+                // Cancelled while a sample was loading: never start it
+                return;
+            }
+            this.oscillator = source.node;
+            this.pitchParam = source.pitchParam;
+            this.pitchScale = source.pitchScale;
+            this.currentTimbre = source.timbreId;
 
             // Create gain node for volume control
+            const now = audioContext.currentTime;
+            const envelope = source.envelope;
             this.gainNode = audioContext.createGain();
-            this.gainNode.gain.setValueAtTime(0, audioContext.currentTime);
-            this.gainNode.gain.linearRampToValueAtTime(volume, audioContext.currentTime + 0.05);
+            this.gainNode.gain.setValueAtTime(0, now);
+            if (envelope) {
+                // Percussive attack, then settle to the sustain level
+                this.gainNode.gain.linearRampToValueAtTime(volume, now + envelope.attack);
+                this.gainNode.gain.setTargetAtTime(volume * envelope.sustain, now + envelope.attack, envelope.decay);
+            } else {
+                this.gainNode.gain.linearRampToValueAtTime(volume, now + 0.05);
+            }
 
-            // Connect: oscillator -> gain -> destination
+            // Connect: source -> gain -> channel
             this.oscillator.connect(this.gainNode);
-            this.gainNode.connect(audioContext.destination);
+            this.gainNode.connect(window.audioEngine.getChannel(this.channel));
 
-            // Start oscillator
-            this.oscillator.start(audioContext.currentTime);
+            // Start source
+            this.oscillator.start(now);
 
             this.isPlaying = true;
             this.currentFrequency = frequency;
-            console.log(`Tone started successfully: ${frequency}Hz, isPlaying: ${this.isPlaying}`);
+            this.reportTone(frequency, frequency, now, now);
+            console.log(`Tone started successfully: ${frequency}Hz (${this.currentTimbre}), isPlaying: ${this.isPlaying}`);
 
             // Notify debug mode if it's active
             if (window.debugMode && window.debugMode.isEnabled) {
@@ -98,7 +133,49 @@ class ToneGenerator {
         }
     }
 
+    /**
+     * Change the pitch of the playing tone without restarting it
+     * @param {number} frequency - Hz
+     * @param {number} rampSeconds - Exponential glide time (0 = immediate)
+     * @returns {boolean} False if no tone is playing
+     */
+    setFrequency(frequency, rampSeconds = 0) {
+        if (!this.isPlaying || !this.pitchParam || !this.audioContext) {
+            return false;
+        }
+
+        const currentTime = this.audioContext.currentTime;
+        const value = frequency * this.pitchScale;
+        this.reportTone(this.currentFrequency, frequency, currentTime, currentTime + rampSeconds);
+
+        this.pitchParam.cancelScheduledValues(currentTime);
+        this.pitchParam.setValueAtTime(this.pitchParam.value, currentTime);
+        if (rampSeconds > 0) {
+            this.pitchParam.exponentialRampToValueAtTime(value, currentTime + rampSeconds);
+        } else {
+            this.pitchParam.setValueAtTime(value, currentTime);
+        }
+
+        this.currentFrequency = frequency;
+        return true;
+    }
+
+    // Tell the bleed canceller what the speaker is playing (see lib/bleedCanceller.js)
+    reportTone(fromFrequency, toFrequency, startTime, endTime) {
+        if (!window.bleedCanceller) return;
+        window.bleedCanceller.setTone(this.id, {
+            frequency: fromFrequency,
+            targetFrequency: toFrequency,
+            startTime,
+            endTime,
+            partials: TimbreLibrary.getPartials(this.currentTimbre) || [1]
+        });
+    }
+
     stopTone() {
+        // Cancel a playTone() that is still waiting for the context or its source
+        this.playToken++;
+
         if (!this.isPlaying || !this.oscillator) {
             return;
         }
@@ -116,6 +193,9 @@ class ToneGenerator {
 
             // Stop oscillator after fade
             this.oscillator.stop(currentTime + 0.05);
+            if (window.bleedCanceller) {
+                window.bleedCanceller.clearTone(this.id, currentTime + 0.05);
+            }
 
             this.isPlaying = false;
             this.currentFrequency = null;
@@ -131,6 +211,7 @@ class ToneGenerator {
 
         // Clean up
         this.oscillator = null;
+        this.pitchParam = null;
         this.gainNode = null;
     }
 
@@ -168,7 +249,7 @@ class ToneGenerator {
 
         // Connect and play
         osc.connect(gain);
-        gain.connect(audioContext.destination);
+        gain.connect(window.audioEngine.getChannel('ui'));
 
         osc.start(now);
         osc.stop(now + duration);
@@ -186,6 +267,8 @@ class ToneGenerator {
 
     cleanup() {
         this.stopTone();
-        // Don't stop AudioManager - it's shared
+        // Don't close the AudioContext - it's shared
     }
 }
+
+ToneGenerator.nextId = 1;
@@ -1,16 +1,41 @@
 /**
  * Training Data Management
  *
- * Handles storage and retrieval of training data using cookies.
+ * Handles storage and retrieval of training data using IndexedDB.
  * Tracks user performance, unlocks, and spaced repetition scheduling.
+ *
+ * Data used to live in a single cookie, which browsers cap around 4KB and
+ * silently truncated long attempt histories. Existing cookie payloads are
+ * migrated into IndexedDB the first time a profile is loaded.
  */
 
 class TrainingData {
     constructor(profileName = 'Default') {
         this.profileName = profileName;
-        this.cookieName = `earlift_training_data_${profileName}`;
+        this.storageKey = `earlift_training_data_${profileName}`;
+        this.cookieName = this.storageKey; // Legacy storage location (pre-IndexedDB)
         this.cookieExpireDays = 365;
-        this.data = this.loadData();
+        this.storage = new IndexedDBStorageService();
+
+        // Start with defaults so synchronous callers never see undefined data;
+        // callers that need the persisted state should await `ready`
+        this.data = this.getDefaultData();
+        this.isLoaded = false;
+        this.hasEarlyWrites = false; // Something was recorded before the load finished
+        this.loadFailed = false; // IndexedDB couldn't be read, so it must not be written either
+        this.ready = this.loadData().catch(error => {
+            // IndexedDB blocked (e.g. some private browsing modes) or the read
+            // failed: use the cookie fallback persistData() writes, or carry
+            // on from defaults
+            console.error('[TrainingData] Failed to load from IndexedDB:', error);
+            this.loadFailed = true;
+            const legacyData = this.loadLegacyCookieData();
+            if (legacyData) {
+                this.data = this.mergeEarlyData(this.migrateData(legacyData));
+            }
+            this.isLoaded = true;
+            return this.data;
+        });
     }
 
     /**
@@ -18,12 +43,14 @@ class TrainingData {
      */
     getDefaultData() {
         return {
-            version: 1,
+            version: 2,
             unlocked: ['unison'], // Start with only unison unlocked
             forceUnlocked: [], // Exercises force-unlocked by user
             exercises: {
                 // Exercise data structure:
-                // 'intervalType': {
+                // 'intervalType': {   (chords use 'chord-<type>', see chordConfigs.js,
+                //                      scales 'scale-<type>', see scaleConfigs.js, and
+                //                      interval quiz answers 'quiz-<intervalType>')
                 //     attempts: [
                 //         {
                 //             timestamp: Date,
@@ -41,6 +68,21 @@ class TrainingData {
                 //     interval: 1 // Days until next review
                 // }
             },
+            // Pitch stability of held notes, by exercise id (see HoldAnalyzer):
+            // 'pitchhold': [{ timestamp, targetFrequency, note, meanOffsetCents,
+            //                 driftCentsPerSecond, jitterCents, vibratoRate, vibratoExtentCents, ... }]
+            holdAnalyses: {},
+            // Interval quiz answers, by the interval played and then the one
+            // answered (the diagonal counts the right answers):
+            // 'fourth': { 'fourth': 12, 'fifth': 3 }
+            intervalConfusion: {},
+            // Melody Echo level (melody length and interval vocabulary, see
+            // melodyEchoExercise.js) and scored answers, oldest first:
+            // attempts: [{ timestamp, level, notes, pitchAccuracy, intervalAccuracy, ... }]
+            melodyEcho: { level: 1, attempts: [] },
+            // Pitch discrimination thresholds (see PitchStaircase), oldest first:
+            // [{ timestamp, thresholdCents, trialCount, reversalCount, correctCount }]
+            pitchDiscrimination: [],
             settings: {
                 // Future: allow customization of unlock thresholds, etc.
                 unlockThreshold: 0.75, // 75% of last 10 must be "easy"
@@ -52,27 +94,140 @@ class TrainingData {
     }
 
     /**
-     * Load data from cookie
+     * Load data from IndexedDB, migrating the legacy cookie on first load
      */
-    loadData() {
-        const cookieData = this.getCookie(this.cookieName);
-        if (cookieData) {
-            try {
-                const data = JSON.parse(decodeURIComponent(cookieData));
-                // Migrate old data if needed
-                return this.migrateData(data);
-            } catch (e) {
-                console.error('Failed to parse training data:', e);
-                return this.getDefaultData();
+    async loadData() {
+        // read() rejects on error, so a failed read never passes for a new profile
+        const stored = await this.storage.read(this.storageKey);
+
+        if (stored) {
+            this.data = this.mergeEarlyData(this.migrateData(stored));
+        } else {
+            const legacyData = this.loadLegacyCookieData();
+            if (legacyData) {
+                console.log(`[TrainingData] Migrating cookie data for profile "${this.profileName}" to IndexedDB`);
+                this.data = this.mergeEarlyData(this.migrateData(legacyData));
+
+                // Only drop the cookie once IndexedDB holds a copy
+                if (await this.persistData()) {
+                    this.deleteLegacyCookie();
+                }
+            }
+        }
+
+        this.isLoaded = true;
+        return this.data;
+    }
+
+    /**
+     * Add what was recorded into the defaults before the load finished to
+     * the loaded data, so an early attempt isn't lost when it replaces them
+     * @param {Object} loaded - Data read from storage
+     * @returns {Object} loaded, with the early records appended
+     */
+    mergeEarlyData(loaded) {
+        if (!this.hasEarlyWrites) {
+            return loaded;
+        }
+        const early = this.data;
+
+        Object.entries(early.exercises).forEach(([intervalType, exercise]) => {
+            const target = loaded.exercises[intervalType];
+            if (!target) {
+                loaded.exercises[intervalType] = exercise;
+                return;
             }
+            target.attempts.push(...exercise.attempts);
+            target.lastPracticed = exercise.lastPracticed || target.lastPracticed;
+        });
+
+        Object.entries(early.holdAnalyses || {}).forEach(([exerciseId, records]) => {
+            loaded.holdAnalyses = loaded.holdAnalyses || {};
+            loaded.holdAnalyses[exerciseId] = [...(loaded.holdAnalyses[exerciseId] || []), ...records];
+        });
+
+        Object.entries(early.intervalConfusion || {}).forEach(([playedType, row]) => {
+            loaded.intervalConfusion = loaded.intervalConfusion || {};
+            const target = loaded.intervalConfusion[playedType] || (loaded.intervalConfusion[playedType] = {});
+            Object.entries(row).forEach(([answeredType, count]) => {
+                target[answeredType] = (target[answeredType] || 0) + count;
+            });
+        });
+
+        if (early.melodyEcho && early.melodyEcho.attempts.length > 0) {
+            loaded.melodyEcho = loaded.melodyEcho || { level: 1, attempts: [] };
+            loaded.melodyEcho.attempts.push(...early.melodyEcho.attempts);
+        }
+
+        if (early.pitchDiscrimination && early.pitchDiscrimination.length > 0) {
+            loaded.pitchDiscrimination = [...(loaded.pitchDiscrimination || []), ...early.pitchDiscrimination];
         }
-        return this.getDefaultData();
+
+        loaded.unlocked = [...new Set([...loaded.unlocked, ...early.unlocked])];
+        loaded.forceUnlocked = [...new Set([...loaded.forceUnlocked, ...early.forceUnlocked])];
+
+        this.hasEarlyWrites = false;
+        return loaded;
     }
 
     /**
-     * Save data to cookie
+     * Load data from the legacy training data cookie
+     * Returns null if there is no cookie or it cannot be parsed
      */
-    saveData() {
+    loadLegacyCookieData() {
+        const cookieData = this.getCookie(this.cookieName);
+        if (!cookieData) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(decodeURIComponent(cookieData));
+        } catch (e) {
+            console.error('Failed to parse training data cookie:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Save data to IndexedDB
+     * Waits for the initial load so a pending migration is never overwritten
+     */
+    async saveData() {
+        if (!this.isLoaded) {
+            this.hasEarlyWrites = true;
+        }
+        await this.ready;
+        return this.persistData();
+    }
+
+    /**
+     * Write current data to IndexedDB
+     * Falls back to the legacy cookie if IndexedDB is unavailable (e.g. some
+     * private browsing modes) or couldn't be read at load, so progress is
+     * not lost entirely and stored progress is never overwritten
+     * @returns {Promise<boolean>} True if written to IndexedDB
+     */
+    async persistData() {
+        // Whatever IndexedDB holds wasn't loaded; writing would replace it
+        if (this.loadFailed) {
+            this.saveLegacyCookie();
+            return false;
+        }
+
+        try {
+            await this.storage.set(this.storageKey, this.data);
+            return true;
+        } catch (error) {
+            console.warn('[TrainingData] IndexedDB unavailable, falling back to cookie storage:', error);
+            this.saveLegacyCookie();
+            return false;
+        }
+    }
+
+    /**
+     * Save data to the legacy cookie (fallback only)
+     */
+    saveLegacyCookie() {
         const jsonData = JSON.stringify(this.data);
         const encodedData = encodeURIComponent(jsonData);
         const expiryDate = new Date();
@@ -81,6 +236,13 @@ class TrainingData {
         document.cookie = `${this.cookieName}=${encodedData}; expires=${expiryDate.toUTCString()}; path=/; SameSite=Strict`;
     }
 
+    /**
+     * Delete the legacy cookie after a successful migration
+     */
+    deleteLegacyCookie() {
+        document.cookie = `${this.cookieName}=; expires=Thu, 01 Jan 1970 00:00:00 UTC; path=/; SameSite=Strict`;
+    }
+
     /**
      * Get cookie by name
      */
@@ -104,6 +266,11 @@ class TrainingData {
             data.version = 1;
         }
 
+        // v2: Data moved from a cookie to IndexedDB (structure unchanged)
+        if (data.version < 2) {
+            data.version = 2;
+        }
+
         // Ensure all required fields exist
         const defaultData = this.getDefaultData();
         return {
@@ -116,7 +283,7 @@ class TrainingData {
     /**
      * Record an exercise attempt
      */
-    recordAttempt(intervalType, difficulty, direction, range, exerciseIndex, level = 1) {
+    recordAttempt(intervalType, difficulty, direction, range, exerciseIndex, level = 1, details = {}) {
         if (!this.data.exercises[intervalType]) {
             this.data.exercises[intervalType] = {
                 attempts: [],
@@ -144,7 +311,8 @@ class TrainingData {
             direction: direction,
             range: range,
             exerciseIndex: exerciseIndex,
-            level: level
+            level: level,
+            ...details
         });
 
         // Update spaced repetition data
@@ -172,6 +340,133 @@ class TrainingData {
         return { leveledUp };
     }
 
+    /**
+     * Record the HoldAnalyzer result of a held note. Kept apart from
+     * `exercises` so it doesn't affect unlocks or spaced repetition.
+     */
+    recordHoldAnalysis(exerciseId, analysis) {
+        if (!this.data.holdAnalyses) {
+            this.data.holdAnalyses = {};
+        }
+        if (!this.data.holdAnalyses[exerciseId]) {
+            this.data.holdAnalyses[exerciseId] = [];
+        }
+
+        const records = this.data.holdAnalyses[exerciseId];
+        records.push({
+            timestamp: new Date().toISOString(),
+            ...analysis
+        });
+
+        // Keep about a year of daily practice
+        const maxRecords = 2000;
+        if (records.length > maxRecords) {
+            records.splice(0, records.length - maxRecords);
+        }
+
+        this.saveData();
+    }
+
+    /**
+     * Hold analyses of an exercise, oldest first
+     * @param {number|null} days - Only the last `days` days (all when null)
+     */
+    getHoldAnalyses(exerciseId, days = null) {
+        const records = (this.data.holdAnalyses && this.data.holdAnalyses[exerciseId]) || [];
+        if (days === null) {
+            return records;
+        }
+        const since = Date.now() - days * 24 * 60 * 60 * 1000;
+        return records.filter(record => new Date(record.timestamp).getTime() >= since);
+    }
+
+    /**
+     * Count an interval quiz answer in the confusion matrix
+     * @param {string} playedType - intervalType that was played
+     * @param {string} answeredType - intervalType the user picked
+     */
+    recordIntervalConfusion(playedType, answeredType) {
+        if (!this.data.intervalConfusion) {
+            this.data.intervalConfusion = {};
+        }
+        const row = this.data.intervalConfusion[playedType] || (this.data.intervalConfusion[playedType] = {});
+        row[answeredType] = (row[answeredType] || 0) + 1;
+
+        this.saveData();
+    }
+
+    /**
+     * Interval quiz confusion matrix (see recordIntervalConfusion)
+     */
+    getIntervalConfusion() {
+        return this.data.intervalConfusion || {};
+    }
+
+    /**
+     * Melody Echo progress: { level, attempts }
+     */
+    getMelodyEcho() {
+        if (!this.data.melodyEcho) {
+            this.data.melodyEcho = { level: 1, attempts: [] };
+        }
+        return this.data.melodyEcho;
+    }
+
+    /**
+     * Record a scored Melody Echo answer and the level to continue at. Kept
+     * apart from `exercises` so it doesn't affect unlocks or spaced repetition.
+     */
+    recordMelodyEcho(attempt, nextLevel) {
+        const melodyEcho = this.getMelodyEcho();
+        melodyEcho.attempts.push({
+            timestamp: new Date().toISOString(),
+            ...attempt
+        });
+        melodyEcho.level = nextLevel;
+
+        const maxAttempts = 2000;
+        if (melodyEcho.attempts.length > maxAttempts) {
+            melodyEcho.attempts.splice(0, melodyEcho.attempts.length - maxAttempts);
+        }
+
+        this.saveData();
+    }
+
+    /**
+     * Record the threshold measured by a pitch discrimination test
+     */
+    recordPitchDiscrimination(result) {
+        if (!this.data.pitchDiscrimination) {
+            this.data.pitchDiscrimination = [];
+        }
+
+        const records = this.data.pitchDiscrimination;
+        records.push({
+            timestamp: new Date().toISOString(),
+            ...result
+        });
+
+        const maxRecords = 2000;
+        if (records.length > maxRecords) {
+            records.splice(0, records.length - maxRecords);
+        }
+
+        this.saveData();
+    }
+
+    /**
+     * Pitch discrimination results, oldest first
+     * @param {number|null} days - Only the last `days` days (all when null)
+     */
+    getPitchDiscrimination(days = null) {
+        const records = this.data.pitchDiscrimination || [];
+        if (days === null) {
+            return records;
+        }
+        const since = Date.now() - days * 24 * 60 * 60 * 1000;
+        return records.filter(record => new Date(record.timestamp).getTime() >= since);
+    }
+
     /**
      * Update spaced repetition scheduling
      * Based on SM-2 algorithm
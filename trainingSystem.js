@@ -422,8 +422,9 @@ class TrainingSystem {
 
     /**
      * Record exercise result
+     * @param {Object} details - Optional extra attempt fields (e.g. gradingSource, pitchMetrics)
      */
-    recordExerciseResult(intervalType, difficulty, rootFreq, intervalFreq, exerciseIndex, level = 1) {
+    recordExerciseResult(intervalType, difficulty, rootFreq, intervalFreq, exerciseIndex, level = 1, details = {}) {
         const { direction, range } = this.detectDirectionAndRange(rootFreq, intervalFreq);
 
         const result = this.trainingData.recordAttempt(
@@ -432,7 +433,8 @@ class TrainingSystem {
             direction,
             range,
             exerciseIndex,
-            level
+            level,
+            details
         );
 
         // Check for new unlocks
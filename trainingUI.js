@@ -12,6 +12,7 @@ class TrainingUI {
         this.currentExercise = null;
         this.currentLevel = 1;
         this.isInTrainingMode = false;
+        this.autoGradeTimer = null; // Applies the mic grade on the rating UI (see showRatingUI)
 
         // Initialize vocal range
         this.initializeVocalRange();
@@ -33,13 +34,16 @@ class TrainingUI {
         this.trainingData = new TrainingData(profileName);
         this.trainingSystem = new TrainingSystem(this.trainingData);
         this.initializeVocalRange();
-        this.updateTrainingMenuStats();
+        this.trainingData.ready.then(() => this.updateTrainingMenuStats());
     }
 
     /**
      * Show Training Mode main menu
      */
-    showTrainingMenu() {
+    async showTrainingMenu() {
+        // Make sure persisted training data has finished loading
+        await this.trainingData.ready;
+
         // Hide main app
         document.getElementById('appContainer').style.display = 'none';
 
@@ -73,9 +77,11 @@ class TrainingUI {
         document.getElementById('trainingUnlockCount').textContent =
             `${unlocked.length} / ${allIntervals.length} intervals unlocked`;
 
-        // Calculate total practice count
+        // Calculate total practice count, of the intervals only (chords,
+        // scales and quiz answers are stored alongside under prefixed keys)
         let totalPractices = 0;
-        Object.values(this.trainingData.data.exercises).forEach(ex => {
+        Object.entries(this.trainingData.data.exercises).forEach(([intervalType, ex]) => {
+            if (!allIntervals.includes(intervalType)) return;
             totalPractices += ex.attempts ? ex.attempts.length : 0;
         });
         document.getElementById('trainingPracticeCount').textContent =
@@ -88,9 +94,12 @@ class TrainingUI {
     /**
      * Start Train Now mode
      */
-    startTrainNow() {
+    async startTrainNow() {
         this.isInTrainingMode = true;
 
+        // Exercise selection depends on the full attempt history
+        await this.trainingData.ready;
+
         // Select next exercise
         const exercise = this.trainingSystem.selectNextExercise();
         console.log('[Training] Selected exercise:', exercise);
@@ -233,8 +242,9 @@ class TrainingUI {
 
                 console.log('[Training] wasCompleted:', wasCompleted);
 
-                // Stop audio but don't show appContainer
+                // Stop audio and microphone grading but don't show appContainer
                 this.stopAll();
+                this.stopAutoGrading();
                 // Hide exercise screen
                 document.getElementById('intervalSystemExercise').style.display = 'none';
 
@@ -255,11 +265,13 @@ class TrainingUI {
                             rootFreq,
                             intervalFreq,
                             trainingUI.currentExerciseIndex,
-                            trainingUI.currentLevel
+                            trainingUI.currentLevel,
+                            trainingUI.getGradingDetails(this.lastAutoGrade, this.lastGradingSource === 'mic')
                         );
 
                         // Clear the rating for next exercise
                         this.lastUnisonRating = null;
+                        this.lastAutoGrade = null;
 
                         // Show unlock and level-up notifications
                         if (result.newUnlocks && result.newUnlocks.length > 0) {
@@ -310,15 +322,88 @@ class TrainingUI {
         // Get interval name for display
         const config = getIntervalConfig(this.currentIntervalType);
         document.getElementById('ratingIntervalName').textContent = config ? config.intervalName : this.currentIntervalType;
+
+        // Apply the microphone grade as the rating unless a button is pressed first
+        this.clearAutoGradeTimer();
+        const autoGrade = window.systemExerciseInstance ? window.systemExerciseInstance.lastAutoGrade : null;
+        const autoGradeContainer = document.getElementById('ratingAutoGrade');
+        const ratingButtons = ratingUI.querySelectorAll('.rating-btn');
+
+        ratingButtons.forEach(btn => {
+            btn.classList.toggle('suggested', Boolean(autoGrade) && btn.dataset.rating === autoGrade.difficulty);
+        });
+
+        if (autoGradeContainer) {
+            if (autoGrade) {
+                const label = ratingUI.querySelector(`.rating-btn[data-rating="${autoGrade.difficulty}"] .rating-label`);
+                document.getElementById('ratingAutoGradeLabel').textContent = label ? label.textContent : autoGrade.difficulty;
+                document.getElementById('ratingAutoGradeSummary').textContent = StepPitchGrader.describeGrade(autoGrade);
+                autoGradeContainer.style.display = 'block';
+            } else {
+                autoGradeContainer.style.display = 'none';
+            }
+        }
+        if (autoGrade) {
+            this.autoGradeTimer = setTimeout(() => this.handleRating(autoGrade.difficulty),
+                IntervalSystemExercise.AUTO_GRADE_APPLY_MS);
+        }
+
+        // What was sung in the last rep
+        const pitchTrace = window.systemExerciseInstance ? window.systemExerciseInstance.lastPitchTrace : null;
+        const pianoRollCanvas = document.getElementById('ratingPianoRoll');
+        if (pianoRollCanvas) {
+            if (pitchTrace) {
+                new PianoRoll(pianoRollCanvas).render(pitchTrace, { toleranceCents: pitchTrace.toleranceCents });
+                pianoRollCanvas.style.display = 'block';
+            } else {
+                pianoRollCanvas.style.display = 'none';
+            }
+        }
+    }
+
+    /**
+     * Cancel a pending automatic mic rating (see showRatingUI)
+     */
+    clearAutoGradeTimer() {
+        if (this.autoGradeTimer) {
+            clearTimeout(this.autoGradeTimer);
+            this.autoGradeTimer = null;
+        }
+    }
+
+    /**
+     * Build the extra attempt fields that record how a rating was decided
+     * @param {Object|null} autoGrade - Grade from StepPitchGrader, if the mic was used
+     * @param {boolean} acceptedAutoGrade - Whether the recorded rating is the mic's suggestion
+     */
+    getGradingDetails(autoGrade, acceptedAutoGrade) {
+        return {
+            gradingSource: autoGrade && acceptedAutoGrade ? 'mic' : 'self',
+            autoDifficulty: autoGrade ? autoGrade.difficulty : null,
+            pitchMetrics: autoGrade ? autoGrade.steps : null
+        };
+    }
+
+    /**
+     * Accept the microphone grade shown on the rating UI
+     */
+    acceptAutoGrade() {
+        const autoGrade = window.systemExerciseInstance ? window.systemExerciseInstance.lastAutoGrade : null;
+        if (autoGrade) {
+            this.handleRating(autoGrade.difficulty);
+        }
     }
 
     /**
      * Handle difficulty rating selection
      */
     handleRating(difficulty) {
+        this.clearAutoGradeTimer();
+
         // Get the actual root and interval frequencies from the exercise
         const rootFreq = window.systemExerciseInstance.rootFrequency || this.currentTargetNote;
         const intervalFreq = window.systemExerciseInstance.intervalFrequency || rootFreq;
+        const autoGrade = window.systemExerciseInstance.lastAutoGrade;
 
         // Record the result
         const result = this.trainingSystem.recordExerciseResult(
@@ -327,9 +412,12 @@ class TrainingUI {
             rootFreq,
             intervalFreq,
             this.currentExerciseIndex,
-            this.currentLevel
+            this.currentLevel,
+            this.getGradingDetails(autoGrade, Boolean(autoGrade) && difficulty === autoGrade.difficulty)
         );
 
+        window.systemExerciseInstance.lastAutoGrade = null;
+
         // Hide rating UI
         document.getElementById('trainingRatingUI').style.display = 'none';
 
@@ -440,6 +528,7 @@ class TrainingUI {
      */
     exitTrainingMode() {
         this.isInTrainingMode = false;
+        this.clearAutoGradeTimer();
 
         // Hide all training UIs
         document.getElementById('trainingRatingUI').style.display = 'none';
@@ -452,7 +541,9 @@ class TrainingUI {
     /**
      * Show Settings menu
      */
-    showSettings() {
+    async showSettings() {
+        await this.trainingData.ready;
+
         // Hide main app (in case called from main page)
         document.getElementById('appContainer').style.display = 'none';
         document.getElementById('trainingMenu').style.display = 'none';
@@ -587,7 +678,9 @@ class TrainingUI {
     /**
      * Show Progress screen
      */
-    showProgress() {
+    async showProgress() {
+        await this.trainingData.ready;
+
         // Hide main app (in case called from main page)
         document.getElementById('appContainer').style.display = 'none';
         document.getElementById('trainingMenu').style.display = 'none';
@@ -673,6 +766,155 @@ class TrainingUI {
 
             container.appendChild(card);
         });
+
+        this.appendScaleCards(container);
+        this.appendPitchDiscriminationCard(container);
+    }
+
+    /**
+     * One card per scale practised in Scale Darts (see getScaleTrainingType)
+     */
+    appendScaleCards(container) {
+        Object.values(SCALE_CONFIGS).forEach(config => {
+            const stats = this.trainingData.getStats(getScaleTrainingType(config.scaleType));
+            if (stats.totalAttempts === 0) return;
+
+            const accuracy = Math.round((stats.easyCount / stats.totalAttempts) * 100);
+
+            const card = document.createElement('div');
+            card.className = 'progress-card';
+
+            const header = document.createElement('h3');
+            header.textContent = `${config.scaleName} Scale`;
+            card.appendChild(header);
+
+            const statsDiv = document.createElement('div');
+            statsDiv.className = 'progress-stats';
+            statsDiv.innerHTML = `
+                <div class="stat-item">
+                    <span class="stat-label">Attempts:</span>
+                    <span class="stat-value">${stats.totalAttempts}</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Accuracy:</span>
+                    <span class="stat-value">${accuracy}%</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Ascending:</span>
+                    <span class="stat-value">${Math.round(stats.upAccuracy * 100)}%</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Descending:</span>
+                    <span class="stat-value">${Math.round(stats.downAccuracy * 100)}%</span>
+                </div>
+            `;
+            card.appendChild(statsDiv);
+
+            container.appendChild(card);
+        });
+    }
+
+    /**
+     * Pitch discrimination thresholds (see pitchDiscriminationExercise.js):
+     * latest and best, and a chart of every test
+     */
+    appendPitchDiscriminationCard(container) {
+        const records = this.trainingData.getPitchDiscrimination();
+        if (records.length === 0) return;
+
+        const latest = records[records.length - 1].thresholdCents;
+        const best = Math.min(...records.map(record => record.thresholdCents));
+
+        const card = document.createElement('div');
+        card.className = 'progress-card';
+
+        const header = document.createElement('h3');
+        header.textContent = 'Pitch Discrimination';
+        card.appendChild(header);
+
+        const statsDiv = document.createElement('div');
+        statsDiv.className = 'progress-stats';
+        statsDiv.innerHTML = `
+            <div class="stat-item">
+                <span class="stat-label">Latest:</span>
+                <span class="stat-value">${latest}¢</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-label">Best:</span>
+                <span class="stat-value">${best}¢</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-label">Tests:</span>
+                <span class="stat-value">${records.length}</span>
+            </div>
+        `;
+        card.appendChild(statsDiv);
+
+        if (records.length > 1) {
+            const canvas = document.createElement('canvas');
+            canvas.className = 'progress-chart';
+            canvas.width = 280;
+            canvas.height = 120;
+            card.appendChild(canvas);
+            this.drawThresholdChart(canvas, records.map(record => record.thresholdCents));
+        }
+
+        container.appendChild(card);
+    }
+
+    /**
+     * Line chart of thresholds in test order, on a log scale so halving the
+     * threshold looks the same at 50¢ as at 5¢. Lower is better.
+     */
+    drawThresholdChart(canvas, values) {
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
+        const gutter = 34;
+        const padding = 8;
+
+        const low = Math.log(Math.min(...values));
+        const high = Math.log(Math.max(...values));
+        const span = Math.max(high - low, Math.log(2)); // At least an octave of scale
+        const middle = (low + high) / 2;
+        const y = (cents) => padding + (1 - ((Math.log(cents) - middle) / span + 0.5)) * (height - padding * 2);
+        const x = (index) => gutter + index / (values.length - 1) * (width - gutter - padding);
+
+        ctx.clearRect(0, 0, width, height);
+
+        // Best (lowest) and worst thresholds marked on the axis
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+        ctx.lineWidth = 1;
+        [Math.min(...values), Math.max(...values)].forEach(cents => {
+            ctx.beginPath();
+            ctx.moveTo(gutter, y(cents));
+            ctx.lineTo(width - padding, y(cents));
+            ctx.stroke();
+            ctx.fillText(`${Math.round(cents)}¢`, gutter - 4, y(cents));
+        });
+
+        ctx.strokeStyle = '#00ffff';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        values.forEach((cents, index) => {
+            if (index === 0) {
+                ctx.moveTo(x(index), y(cents));
+            } else {
+                ctx.lineTo(x(index), y(cents));
+            }
+        });
+        ctx.stroke();
+
+        ctx.fillStyle = '#00ffff';
+        values.forEach((cents, index) => {
+            ctx.beginPath();
+            ctx.arc(x(index), y(cents), 3, 0, Math.PI * 2);
+            ctx.fill();
+        });
     }
 
     /**
@@ -0,0 +1,201 @@
+// Tuning Comparison Exercise - Just vs Equal Tempered intervals
+// Plays the same interval pure (just) and tempered (12-TET) so you can hear
+// the beating that tempered thirds and sixths produce
+class TuningComparisonExercise {
+    constructor() {
+        this.audioController = new DualToneAudioController();
+        this.intervalType = 'majorThird';
+        this.rootFrequency = null;
+        this.playingSystem = null; // '12-tet' or 'just' while playing
+        this.alternateTimer = null;
+
+        this.initializeElements();
+        this.populateIntervals();
+        this.attachEventListeners();
+    }
+
+    initializeElements() {
+        this.container = document.getElementById('tuningComparisonExercise');
+        this.intervalSelect = document.getElementById('tuningComparisonInterval');
+        this.temperedBtn = document.getElementById('tuningComparisonTemperedBtn');
+        this.justBtn = document.getElementById('tuningComparisonJustBtn');
+        this.alternateBtn = document.getElementById('tuningComparisonAlternateBtn');
+        this.newRootBtn = document.getElementById('tuningComparisonNewRootBtn');
+        this.rootDisplay = document.getElementById('tuningComparisonRoot');
+        this.detailsDisplay = document.getElementById('tuningComparisonDetails');
+        this.nowPlayingDisplay = document.getElementById('tuningComparisonNowPlaying');
+        this.exitBtn = document.getElementById('exitTuningComparisonExercise');
+    }
+
+    populateIntervals() {
+        if (!this.intervalSelect) return;
+
+        TuningComparisonExercise.INTERVAL_TYPES.forEach(intervalType => {
+            const config = getIntervalConfig(intervalType);
+            if (!config) return;
+
+            const option = document.createElement('option');
+            option.value = intervalType;
+            option.textContent = `${config.intervalName} (${config.frequencyRatio})`;
+            this.intervalSelect.appendChild(option);
+        });
+        this.intervalSelect.value = this.intervalType;
+    }
+
+    attachEventListeners() {
+        this.exitBtn.addEventListener('click', () => this.exit());
+        this.temperedBtn.addEventListener('click', () => this.toggleSystem('12-tet'));
+        this.justBtn.addEventListener('click', () => this.toggleSystem('just'));
+        this.alternateBtn.addEventListener('click', () => this.toggleAlternate());
+        this.newRootBtn.addEventListener('click', () => this.newRoot());
+
+        if (this.intervalSelect) {
+            this.intervalSelect.addEventListener('change', (e) => {
+                this.intervalType = e.target.value;
+                this.refreshPlayingTones();
+                this.updateUI();
+            });
+        }
+    }
+
+    start() {
+        document.getElementById('appContainer').style.display = 'none';
+        this.container.style.display = 'block';
+
+        this.newRoot();
+    }
+
+    getSemitones() {
+        return getIntervalConfig(this.intervalType).semitones;
+    }
+
+    // Random natural note from C3 to C4: low enough that the beating is easy to hear
+    newRoot() {
+        const lowMidi = NoteUtils.noteToMidi('C3');
+        this.rootFrequency = NoteUtils.midiToFrequency(lowMidi + Math.floor(Math.random() * 13));
+        this.refreshPlayingTones();
+        this.updateUI();
+    }
+
+    toggleSystem(systemId) {
+        if (this.playingSystem === systemId && !this.alternateTimer) {
+            this.stop();
+            return;
+        }
+
+        this.stopAlternating();
+        this.play(systemId);
+    }
+
+    play(systemId) {
+        this.playingSystem = systemId;
+        this.audioController.setIntervalFrequencies(this.rootFrequency, this.getSemitones(), systemId);
+
+        if (this.audioController.areBothPlaying()) {
+            // Only the upper tone changes between systems, so the root keeps sounding
+            this.audioController.setTone2Frequency(this.audioController.tone2Freq, true);
+        } else {
+            this.audioController.playBoth();
+        }
+        this.updateUI();
+    }
+
+    // Switch between tempered and just every few seconds
+    toggleAlternate() {
+        if (this.alternateTimer) {
+            this.stop();
+            return;
+        }
+
+        this.play('12-tet');
+        this.alternateTimer = setInterval(() => {
+            this.play(this.playingSystem === '12-tet' ? 'just' : '12-tet');
+        }, TuningComparisonExercise.ALTERNATE_INTERVAL_MS);
+        this.updateUI();
+    }
+
+    stopAlternating() {
+        if (this.alternateTimer) {
+            clearInterval(this.alternateTimer);
+            this.alternateTimer = null;
+        }
+    }
+
+    refreshPlayingTones() {
+        if (this.playingSystem) {
+            this.audioController.setIntervalFrequencies(this.rootFrequency, this.getSemitones(), this.playingSystem);
+            this.audioController.updatePlayingFrequencies();
+        }
+    }
+
+    stop() {
+        this.stopAlternating();
+        this.audioController.stopBoth();
+        this.playingSystem = null;
+        this.updateUI();
+    }
+
+    updateUI() {
+        const config = getIntervalConfig(this.intervalType);
+        const semitones = config.semitones;
+        const tempered = TuningSystems.intervalFrequency(this.rootFrequency, semitones, '12-tet');
+        const just = TuningSystems.intervalFrequency(this.rootFrequency, semitones, 'just');
+        const centsOff = -TuningSystems.getCentsFromEqual(semitones, 'just');
+        const beatRate = TuningSystems.getBeatRate(this.rootFrequency, semitones, '12-tet');
+
+        if (this.rootDisplay) {
+            this.rootDisplay.textContent =
+                `Root ${NoteUtils.frequencyToNote(this.rootFrequency)} · ${this.rootFrequency.toFixed(2)} Hz`;
+        }
+
+        if (this.detailsDisplay) {
+            const direction = centsOff >= 0 ? 'wider' : 'narrower';
+            this.detailsDisplay.textContent =
+                `Tempered ${config.intervalName.toLowerCase()}: ${tempered.toFixed(2)} Hz, ` +
+                `${Math.abs(centsOff).toFixed(1)}¢ ${direction} than just (${just.toFixed(2)} Hz). ` +
+                `It beats about ${beatRate.toFixed(1)} times per second; the just version doesn't beat.`;
+        }
+
+        if (this.nowPlayingDisplay) {
+            const system = this.playingSystem ? TuningSystems.getSystems()[this.playingSystem] : null;
+            this.nowPlayingDisplay.textContent = system ? `Now playing: ${system.name}` : '';
+        }
+
+        this.temperedBtn.classList.toggle('active', this.playingSystem === '12-tet');
+        this.justBtn.classList.toggle('active', this.playingSystem === 'just');
+        this.alternateBtn.classList.toggle('active', this.alternateTimer !== null);
+    }
+
+    exit() {
+        this.stop();
+        this.container.style.display = 'none';
+        document.getElementById('appContainer').style.display = 'block';
+
+        // Add fade-in
+        if (window.mainApp) {
+            window.mainApp.clearExerciseFromURL();
+            window.mainApp.addFadeIn(document.getElementById('appContainer'));
+        }
+    }
+}
+
+// Intervals offered; thirds and sixths are 14-16¢ off just, fifths and fourths only 2¢
+TuningComparisonExercise.INTERVAL_TYPES = ['majorThird', 'minorThird', 'majorSixth', 'minorSixth', 'fifth', 'fourth'];
+TuningComparisonExercise.ALTERNATE_INTERVAL_MS = 3000;
+
+// Initialize exercise
+window.tuningComparisonExercise = new TuningComparisonExercise();
+
+// Playback only, but needs the screen to switch versions, so not in car mode
+window.exerciseRegistry.register({
+    id: 'tuningComparison',
+    name: 'Just vs Tempered',
+    container: 'tuningComparisonExercise',
+    category: 'tools',
+    usageModes: ['headphone-mic', 'speaker-mic'],
+    getInstance: () => window.tuningComparisonExercise,
+    menu: {
+        icon: '⚖️',
+        description: 'Hear an interval pure and tempered, and the beating tempering causes'
+    }
+});
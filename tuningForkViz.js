@@ -1369,3 +1369,9 @@ if (document.readyState === 'loading') {
 } else {
     window.tuningForkViz = new TuningForkViz();
 }
+
+window.exerciseRegistry.register({
+    id: 'tuningForkViz',
+    name: 'Tuning Fork Viz',
+    getInstance: () => window.tuningForkViz
+});
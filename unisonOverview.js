@@ -381,8 +381,8 @@ class UnisonOverview {
             return;
         }
 
-        // Calculate frequency using equal temperament: freq * 2^(semitones/12)
-        this.tone2Freq = this.tone1Freq * Math.pow(2, semitones / 12);
+        // Calculate frequency in the profile's tuning system (see TuningSystems)
+        this.tone2Freq = this.tone1Freq * TuningSystems.getRatio(semitones);
         this.syncTone2Controls(this.tone2Freq);
         this.updateVisualizations();
 
@@ -502,10 +502,7 @@ class UnisonOverview {
 
     // Chromatic Scale Logic
     nextChromaticFreq(freq, direction) {
-        const A4 = 440;
-        const semitones = Math.round(12 * Math.log2(freq / A4));
-        const nextSemitones = semitones + direction; // +1 or -1
-        return A4 * Math.pow(2, nextSemitones / 12);
+        return NoteUtils.snapToNote(freq, direction); // direction is +1 or -1
     }
 
     // Initialize Simplified Controls
@@ -932,3 +929,11 @@ function showUnisonOverview() {
         window.unisonOverviewInstance = unisonOverviewInstance;
     }
 }
+
+window.exerciseRegistry.register({
+    id: 'unisonOverview',
+    name: 'Unison Overview',
+    container: 'unisonOverviewExercise',
+    category: 'tutorials',
+    start: () => showUnisonOverview()
+});
@@ -456,7 +456,7 @@ class UnisonTutorialSlider {
             this.gainNode.gain.setValueAtTime(0.3, audioContext.currentTime);
 
             this.oscillator.connect(this.gainNode);
-            this.gainNode.connect(audioContext.destination);
+            this.gainNode.connect(window.audioEngine.getChannel('tones'));
 
             this.oscillator.start();
             this.isPlaying = true;
@@ -243,7 +243,7 @@ class WaveVisualizationExercise {
                     const semitones = parseInt(btn.dataset.interval, 10);
                     if (isNaN(semitones)) return;
 
-                    const rawFreq = this.tone1Freq * Math.pow(2, semitones / 12);
+                    const rawFreq = this.tone1Freq * TuningSystems.getRatio(semitones);
                     const maxFreq = this.tone2Slider ? parseFloat(this.tone2Slider.max) : 4186;
                     const minFreq = this.tone2Slider ? parseFloat(this.tone2Slider.min) : 27;
                     const newFreq = Math.min(Math.max(rawFreq, minFreq), maxFreq);
@@ -374,7 +374,7 @@ class WaveVisualizationExercise {
         const newRoot = Math.random() * (maxFreq - minFreq) + minFreq;
         const semitoneSpan = 24;
         const semitones = Math.floor(Math.random() * semitoneSpan);
-        const newInterval = newRoot * Math.pow(2, semitones / 12);
+        const newInterval = newRoot * TuningSystems.getRatio(semitones);
 
         const wasPlaying = this.audioController && this.audioController.isAnyPlaying && this.audioController.isAnyPlaying();
         this.setFrequencies(newRoot, newInterval, { updateAudio: wasPlaying });
@@ -759,14 +759,7 @@ class WaveVisualizationExercise {
     }
 
     frequencyToNote(frequency) {
-        if (!frequency || !isFinite(frequency)) return '--';
-        const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-        const A4 = 440;
-        const C0 = A4 * Math.pow(2, -4.75);
-        const halfSteps = 12 * Math.log2(frequency / C0);
-        const noteIndex = Math.round(halfSteps) % 12;
-        const octave = Math.floor(Math.round(halfSteps) / 12);
-        return `${noteNames[(noteIndex + 12) % 12]}${octave}`;
+        return NoteUtils.frequencyToNote(frequency) || '--';
     }
 }
 
@@ -775,3 +768,21 @@ WaveVisualizationExercise.DEFAULT_SELECTORS = WAVE_DEFAULT_SELECTORS;
 document.addEventListener('DOMContentLoaded', () => {
     window.waveVizExercise = new WaveVisualizationExercise();
 });
+
+window.exerciseRegistry.register({
+    id: 'waveVisualization',
+    name: 'Wave Visualization',
+    container: 'waveVisualizationExercise',
+    category: 'tools',
+    getInstance: () => window.waveVizExercise,
+    start: () => {
+        if (!window.waveVizExercise) {
+            window.waveVizExercise = new WaveVisualizationExercise();
+        }
+
+        document.getElementById('waveVisualizationExercise').style.display = 'block';
+        document.getElementById('appContainer').style.display = 'none';
+
+        setTimeout(() => window.waveVizExercise.start(), 10);
+    }
+});